@@ -22,6 +22,15 @@ import ErrorBoundary from './components/ErrorBoundary';
 import AuthCallback from './components/AuthCallback';
 import SearchPage from './pages/SearchPage';
 import ProgressAnalyticsPage from './pages/ProgressAnalyticsPage';
+import QuizzesPage from './pages/QuizzesPage';
+import QuizPage from './pages/QuizPage';
+import FlashcardsPage from './pages/FlashcardsPage';
+import FlashcardDeckPage from './pages/FlashcardDeckPage';
+import ModulePage from './pages/ModulePage';
+import ClassesPage from './pages/ClassesPage';
+import ClassPage from './pages/ClassPage';
+import AdminPage from './pages/AdminPage';
+import NotificationsPage from './pages/NotificationsPage';
 
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
@@ -90,6 +99,15 @@ function AuthWrapper() {
         <Route path="saves" element={<Saves />} />
         <Route path="search" element={<SearchPage />} />
         <Route path="analytics" element={<ProgressAnalyticsPage />} />
+        <Route path="quizzes" element={<QuizzesPage />} />
+        <Route path="quizzes/:quizId" element={<QuizPage />} />
+        <Route path="flashcards" element={<FlashcardsPage />} />
+        <Route path="flashcards/:deckId" element={<FlashcardDeckPage />} />
+        <Route path="modules/:moduleId" element={<ModulePage />} />
+        <Route path="classes" element={<ClassesPage />} />
+        <Route path="classes/:classId" element={<ClassPage />} />
+        <Route path="notifications" element={<NotificationsPage />} />
+        <Route path="admin" element={<AdminPage />} />
       </Route>
 
       {/* Catch-all 404 */}
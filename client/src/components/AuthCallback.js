@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { getErrorMessage } from '../utils/apiRequest';
 
 function AuthCallback() {
   const [status, setStatus] = useState('processing');
@@ -30,7 +31,7 @@ function AuthCallback() {
         const result = await response.json();
 
         if (!response.ok) {
-          throw new Error(result.error || 'Authentication failed');
+          throw new Error(getErrorMessage(result, 'Authentication failed'));
         }
 
         sessionStorage.setItem('auth_email', result.email);
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import API_BASE_URL from '../config';
+import { getErrorMessage } from '../utils/apiRequest';
 
 const EnhancedSignup = () => {
   const [email, setEmail] = useState('');
@@ -12,6 +13,8 @@ const EnhancedSignup = () => {
   const [step, setStep] = useState('email'); 
   const [userInfo, setUserInfo] = useState(null);
   const [timeRemaining, setTimeRemaining] = useState(0);
+  const [resendCooldown, setResendCooldown] = useState(0);
+  const [resending, setResending] = useState(false);
 
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
@@ -43,7 +46,7 @@ const EnhancedSignup = () => {
           const result = await response.json();
 
           if (!response.ok) {
-            throw new Error(result.error || 'Authentication failed');
+            throw new Error(getErrorMessage(result, 'Authentication failed'));
           }
 
           // Store the data for the verification step
@@ -87,6 +90,7 @@ const EnhancedSignup = () => {
               const result = await response.json();
               if (result.hasVerification && result.timeRemaining > 0) {
                 setTimeRemaining(Math.floor(result.timeRemaining / 1000));
+                setResendCooldown(secondsUntil(result.resendAvailableAt));
               }
             }
           } catch (err) {
@@ -120,6 +124,44 @@ const EnhancedSignup = () => {
     return () => clearInterval(timer);
   }, [timeRemaining, step]);
 
+  useEffect(() => {
+    if (resendCooldown <= 0) return undefined;
+    const timer = setTimeout(() => setResendCooldown(prev => prev - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendCooldown]);
+
+  const handleResendCode = async () => {
+    setResending(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/resend-signup-code`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: email.trim() }),
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        if (result.error?.details?.retryAfterSeconds) {
+          setResendCooldown(result.error.details.retryAfterSeconds);
+        }
+        throw new Error(getErrorMessage(result, 'Failed to resend the code'));
+      }
+
+      setVerificationCode('');
+      setTimeRemaining(secondsUntil(result.codeExpires));
+      setResendCooldown(secondsUntil(result.resendAvailableAt));
+      setMessage('A new verification code has been sent to your email.');
+    } catch (err) {
+      console.error('Resend code error:', err);
+      setError(err.message);
+    } finally {
+      setResending(false);
+    }
+  };
+
   const handleGoogleSignup = async (e) => {
     e.preventDefault();
     
@@ -144,7 +186,7 @@ const EnhancedSignup = () => {
       const result = await response.json();
 
       if (!response.ok) {
-        throw new Error(result.error || 'Failed to initiate Google signup');
+        throw new Error(getErrorMessage(result, 'Failed to initiate Google signup'));
       }
 
       sessionStorage.setItem('signup_email', email.trim());
@@ -196,7 +238,7 @@ const EnhancedSignup = () => {
       const result = await response.json();
 
       if (!response.ok) {
-        throw new Error(result.error || 'Verification failed');
+        throw new Error(getErrorMessage(result, 'Verification failed'));
       }
 
       if (result.session) {
@@ -225,6 +267,7 @@ const EnhancedSignup = () => {
     setError('');
     setMessage('');
     setTimeRemaining(0);
+    setResendCooldown(0);
     
     sessionStorage.removeItem('signup_email');
     sessionStorage.removeItem('auth_email');
@@ -232,6 +275,10 @@ const EnhancedSignup = () => {
     sessionStorage.removeItem('google_verified');
   };
 
+  const secondsUntil = (isoTime) => (
+    isoTime ? Math.max(0, Math.ceil((new Date(isoTime).getTime() - Date.now()) / 1000)) : 0
+  );
+
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
@@ -326,6 +373,17 @@ const EnhancedSignup = () => {
                 {loading ? 'Verifying...' : 'Complete Signup'}
               </button>
               
+              <button
+                type="button"
+                onClick={handleResendCode}
+                className="secondary-button"
+                disabled={loading || resending || resendCooldown > 0}
+              >
+                {resending
+                  ? 'Sending...'
+                  : resendCooldown > 0 ? `Resend code in ${resendCooldown}s` : 'Resend code'}
+              </button>
+
               <button 
                 type="button" 
                 onClick={handleStartOver} 
@@ -1,13 +1,16 @@
 import React from "react";
 import ReactDOM from "react-dom";
+import ModuleSummary from "./ModuleSummary";
 
-export default function FileViewer({ fileUrl, fileName, onClose }) {
+export default function FileViewer({ fileUrl, fileName, onClose, page, pageLabel, excerpt, module, canEditSummary = false, onModuleSummaryChange }) {
   const ext = fileName?.split(".").pop().toLowerCase();
 
   // Decide viewer per file type
   const renderViewer = () => {
   if (ext === "pdf") {
-    return <iframe src={fileUrl} title={fileName} className="file-viewer-iframe" />;
+    // Browser PDF viewers jump to the cited page via the #page fragment
+    const src = page ? `${fileUrl}#page=${page}` : fileUrl;
+    return <iframe src={src} title={fileName} className="file-viewer-iframe" />;
   }
 
   if (["doc", "docx", "ppt", "pptx", "xls", "xlsx"].includes(ext)) {
@@ -38,7 +41,20 @@ export default function FileViewer({ fileUrl, fileName, onClose }) {
           Close
         </button>
       </div>
-      <div className="file-viewer-body">{renderViewer()}</div>
+      {(pageLabel || excerpt) && (
+        <div className="file-viewer-citation">
+          {pageLabel && <strong>{pageLabel}</strong>}
+          {excerpt && <q>{excerpt}</q>}
+        </div>
+      )}
+      <div className="file-viewer-content">
+        <div className="file-viewer-body">{renderViewer()}</div>
+        {module && (
+          <aside className="file-viewer-summary">
+            <ModuleSummary module={module} canEdit={canEditSummary} onChange={onModuleSummaryChange} />
+          </aside>
+        )}
+      </div>
     </div>,
     document.body
   );
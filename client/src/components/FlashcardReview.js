@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import {
+  REVIEW_GRADES,
+  fetchDueCardsApi,
+  reviewCardApi,
+  recordReviewSessionApi,
+  formatDueIn,
+} from '../utils/FlashcardHelpers';
+
+/**
+ * Review session for one deck: shows due cards one at a time and reschedules
+ * each with the grade picked. Time spent with the tab visible is added to the
+ * user's usage time when the session ends.
+ */
+function FlashcardReview({ deckId, onFinish }) {
+  const [queue, setQueue] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [flipped, setFlipped] = useState(false);
+  const [isGrading, setIsGrading] = useState(false);
+  const [reviewedCount, setReviewedCount] = useState(0);
+  const [lastScheduled, setLastScheduled] = useState(null);
+
+  const activeSinceRef = useRef(Date.now());
+  const activeSecondsRef = useRef(0);
+  const reviewedRef = useRef(0);
+  const recordedRef = useRef(false);
+
+  // ⏱ Only count time while the tab is visible
+  useEffect(() => {
+    const handleVisibility = () => {
+      if (document.hidden) {
+        if (activeSinceRef.current) {
+          activeSecondsRef.current += (Date.now() - activeSinceRef.current) / 1000;
+          activeSinceRef.current = null;
+        }
+      } else if (!activeSinceRef.current) {
+        activeSinceRef.current = Date.now();
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, []);
+
+  const recordSession = useCallback(async () => {
+    if (recordedRef.current) return;
+
+    const seconds = activeSecondsRef.current
+      + (activeSinceRef.current ? (Date.now() - activeSinceRef.current) / 1000 : 0);
+    if (seconds < 1 && reviewedRef.current === 0) return;
+    recordedRef.current = true;
+
+    try {
+      await recordReviewSessionApi(seconds, reviewedRef.current);
+    } catch (err) {
+      console.warn('⚠️ Could not record review session:', err.message);
+    }
+  }, []);
+
+  // Leaving the page mid-session still counts the time spent
+  useEffect(() => () => { recordSession(); }, [recordSession]);
+
+  useEffect(() => {
+    const loadDueCards = async () => {
+      try {
+        setQueue(await fetchDueCardsApi(deckId));
+      } catch (err) {
+        console.error('❌ Failed to load due cards:', err);
+        toast.error(err.message || 'Failed to load cards for review.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadDueCards();
+  }, [deckId]);
+
+  const handleGrade = async (quality) => {
+    const [card, ...rest] = queue;
+    setIsGrading(true);
+    try {
+      const scheduled = await reviewCardApi(card.id, quality);
+      reviewedRef.current += 1;
+      setReviewedCount(reviewedRef.current);
+      setLastScheduled(scheduled);
+      // Forgotten cards come back at the end of this session
+      setQueue(quality < 3 ? [...rest, scheduled] : rest);
+      setFlipped(false);
+    } catch (err) {
+      console.error('❌ Failed to grade card:', err);
+      toast.error(err.message || 'Failed to save review.');
+    } finally {
+      setIsGrading(false);
+    }
+  };
+
+  const handleFinish = async () => {
+    await recordSession();
+    onFinish(reviewedRef.current);
+  };
+
+  if (loading) {
+    return <div className="flashcard-review"><p>Loading cards...</p></div>;
+  }
+
+  const card = queue[0];
+
+  return (
+    <div className="flashcard-review">
+      <div className="flashcard-review-status">
+        <span>{reviewedCount} reviewed · {queue.length} left</span>
+        <button className="quiz-back-button" onClick={handleFinish}>End session</button>
+      </div>
+
+      {!card ? (
+        <div className="flashcard-review-done">
+          <h3>🎉 All caught up!</h3>
+          <p>You reviewed {reviewedCount} card{reviewedCount === 1 ? '' : 's'}.</p>
+          <button className="quiz-submit-button" onClick={handleFinish}>Back to deck</button>
+        </div>
+      ) : (
+        <>
+          <div
+            className={`flashcard ${flipped ? 'flipped' : ''}`}
+            onClick={() => setFlipped(true)}
+            role="button"
+            tabIndex={0}
+            aria-label={flipped ? 'Answer shown' : 'Show answer'}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ' ') setFlipped(true);
+            }}
+          >
+            <p className="flashcard-front">{card.front}</p>
+            {flipped
+              ? <p className="flashcard-back">{card.back}</p>
+              : <p className="flashcard-hint">Click to show the answer</p>}
+          </div>
+
+          {flipped && (
+            <div className="flashcard-grades">
+              {REVIEW_GRADES.map(grade => (
+                <button
+                  key={grade.quality}
+                  className={`flashcard-grade ${grade.className}`}
+                  onClick={() => handleGrade(grade.quality)}
+                  disabled={isGrading}
+                >
+                  {grade.label}
+                </button>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
+      {lastScheduled && (
+        <p className="quiz-meta">Last card: next review {formatDueIn(lastScheduled.dueAt)}</p>
+      )}
+    </div>
+  );
+}
+
+export default FlashcardReview;
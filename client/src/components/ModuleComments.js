@@ -0,0 +1,310 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import ReactMarkdown from 'react-markdown';
+import { FaCheckCircle, FaReply } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import {
+  toMentionToken,
+  renderMentions,
+  fetchModuleCommentsApi,
+  postModuleCommentApi,
+  updateModuleCommentApi,
+  deleteModuleCommentApi,
+  setAcceptedAnswerApi,
+} from '../utils/ModuleHelpers';
+
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Textarea for a comment. Typing @ suggests people from the discussion and
+ * inserts a mention for the one picked.
+ */
+function CommentEditor({ initialBody = '', people, submitLabel, onSubmit, onCancel }) {
+  const [body, setBody] = useState(initialBody);
+  const [query, setQuery] = useState(null);
+  const [sending, setSending] = useState(false);
+  const textareaRef = useRef(null);
+
+  const handleChange = (e) => {
+    setBody(e.target.value);
+    const beforeCaret = e.target.value.slice(0, e.target.selectionStart);
+    const match = beforeCaret.match(/(?:^|\s)@([^\s@[\]]{0,30})$/);
+    setQuery(match ? match[1].toLowerCase() : null);
+  };
+
+  const suggestions = query === null
+    ? []
+    : people.filter(person => person.name.toLowerCase().includes(query)).slice(0, MAX_SUGGESTIONS);
+
+  const insertMention = (person) => {
+    const caret = textareaRef.current.selectionStart;
+    const start = body.slice(0, caret).lastIndexOf('@');
+    setBody(`${body.slice(0, start)}${toMentionToken(person.name, person.userId)} ${body.slice(caret)}`);
+    setQuery(null);
+    textareaRef.current.focus();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setSending(true);
+    try {
+      await onSubmit(body.trim());
+      setBody('');
+    } catch (err) {
+      toast.error(err.message || 'Failed to save comment.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <form className="comment-editor" onSubmit={handleSubmit}>
+      <textarea
+        ref={textareaRef}
+        value={body}
+        onChange={handleChange}
+        placeholder="Ask a question or share a thought. Markdown works, @ mentions someone."
+        aria-label="Comment"
+        rows={3}
+        maxLength={5000}
+      />
+      {suggestions.length > 0 && (
+        <ul className="mention-suggestions" role="listbox" aria-label="Mention someone">
+          {suggestions.map(person => (
+            <li key={person.userId}>
+              <button type="button" onClick={() => insertMention(person)}>@{person.name}</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="class-row-actions">
+        <button type="submit" className="create-btn" disabled={sending || !body.trim()}>
+          {sending ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && <button type="button" className="cancel-btn" onClick={onCancel}>Cancel</button>}
+      </div>
+    </form>
+  );
+}
+
+function Comment({ comment, currentUserId, canAccept, people, onEdit, onDelete, onReply, onToggleAccepted }) {
+  const [editing, setEditing] = useState(false);
+
+  if (comment.deleted) {
+    return (
+      <div className="comment deleted" id={`comment-${comment.id}`}>
+        <p className="quiz-meta">This comment was deleted.</p>
+      </div>
+    );
+  }
+
+  const isAuthor = comment.userId === currentUserId;
+
+  return (
+    <div className={`comment${comment.accepted ? ' accepted' : ''}`} id={`comment-${comment.id}`}>
+      <div className="comment-header">
+        <strong>{isAuthor ? 'You' : comment.authorName}</strong>
+        <span className="quiz-meta">
+          {new Date(comment.createdAt).toLocaleString()}{comment.edited && ' (edited)'}
+        </span>
+        {comment.accepted && (
+          <span className="comment-accepted-badge"><FaCheckCircle aria-hidden="true" /> Accepted answer</span>
+        )}
+      </div>
+
+      {editing ? (
+        <CommentEditor
+          initialBody={comment.body}
+          people={people}
+          submitLabel="Save"
+          onSubmit={async (body) => {
+            await onEdit(comment, body);
+            setEditing(false);
+          }}
+          onCancel={() => setEditing(false)}
+        />
+      ) : (
+        <div className="comment-body">
+          <ReactMarkdown>{renderMentions(comment.body)}</ReactMarkdown>
+        </div>
+      )}
+
+      {!editing && (
+        <div className="comment-actions">
+          {onReply && (
+            <button type="button" onClick={onReply}><FaReply aria-hidden="true" /> Reply</button>
+          )}
+          {canAccept && comment.parentId && (
+            <button type="button" onClick={() => onToggleAccepted(comment)}>
+              {comment.accepted ? 'Unaccept' : 'Accept answer'}
+            </button>
+          )}
+          {isAuthor && (
+            <>
+              <button type="button" onClick={() => setEditing(true)}>Edit</button>
+              <button type="button" onClick={() => onDelete(comment)}>Delete</button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Discussion under a module: threads with replies, newest thread first.
+ * `onCountChange` receives the change in the module's comment count.
+ */
+function ModuleComments({ module, shareToken, currentUserId, onCountChange }) {
+  const [threads, setThreads] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [replyingTo, setReplyingTo] = useState(null);
+
+  const loadComments = useCallback(async (nextPage = 1) => {
+    try {
+      const result = await fetchModuleCommentsApi(module.id, { page: nextPage, shareToken });
+      setThreads(prev => (nextPage === 1 ? result.comments : [...prev, ...result.comments]));
+      setPage(nextPage);
+      setTotalPages(Math.max(1, result.totalPages));
+    } catch (err) {
+      console.error('❌ Failed to load comments:', err);
+      toast.error(err.message || 'Failed to load comments.');
+    } finally {
+      setLoading(false);
+    }
+  }, [module.id, shareToken]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  // Notifications link to #comment-<id>, which only exists once threads load
+  useEffect(() => {
+    if (!loading && window.location.hash.startsWith('#comment-')) {
+      document.getElementById(window.location.hash.slice(1))?.scrollIntoView();
+    }
+  }, [loading]);
+
+  // People who can be mentioned: the uploader and everyone in the discussion
+  const people = [
+    ...(module.user_id !== currentUserId ? [{ userId: module.user_id, name: module.uploadedBy }] : []),
+    ...threads.flatMap(thread => [thread, ...thread.replies])
+      .filter(c => c.userId && c.userId !== currentUserId)
+      .map(c => ({ userId: c.userId, name: c.authorName })),
+  ].filter((person, index, all) => all.findIndex(p => p.userId === person.userId) === index);
+
+  const updateComment = (commentId, update) => {
+    setThreads(prev => prev.map(thread => (
+      thread.id === commentId
+        ? update(thread)
+        : { ...thread, replies: thread.replies.map(reply => (reply.id === commentId ? update(reply) : reply)) }
+    )));
+  };
+
+  const handlePost = async (body) => {
+    const comment = await postModuleCommentApi(module.id, { body, shareToken });
+    setThreads(prev => [comment, ...prev]);
+    if (onCountChange) onCountChange(1);
+  };
+
+  const handleReply = async (thread, body) => {
+    const reply = await postModuleCommentApi(module.id, { body, parentId: thread.id, shareToken });
+    updateComment(thread.id, t => ({ ...t, replies: [...t.replies, reply] }));
+    setReplyingTo(null);
+    if (onCountChange) onCountChange(1);
+  };
+
+  const handleEdit = async (comment, body) => {
+    const updated = await updateModuleCommentApi(module.id, comment.id, body, shareToken);
+    updateComment(comment.id, c => ({ ...c, ...updated }));
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+    try {
+      const { kept } = await deleteModuleCommentApi(module.id, comment.id, shareToken);
+      if (kept) {
+        updateComment(comment.id, c => ({ ...c, deleted: true, body: null, userId: null }));
+      } else if (comment.parentId) {
+        updateComment(comment.parentId, t => ({ ...t, replies: t.replies.filter(r => r.id !== comment.id) }));
+      } else {
+        setThreads(prev => prev.filter(t => t.id !== comment.id));
+      }
+      if (onCountChange) onCountChange(-1);
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete comment.');
+    }
+  };
+
+  const handleToggleAccepted = async (reply) => {
+    try {
+      await setAcceptedAnswerApi(module.id, reply.id, !reply.accepted);
+      updateComment(reply.parentId, t => ({
+        ...t,
+        replies: t.replies.map(r => ({ ...r, accepted: r.id === reply.id ? !reply.accepted : false })),
+      }));
+    } catch (err) {
+      toast.error(err.message || 'Failed to update the accepted answer.');
+    }
+  };
+
+  const commentProps = {
+    currentUserId,
+    canAccept: module.user_id === currentUserId,
+    people,
+    onEdit: handleEdit,
+    onDelete: handleDelete,
+    onToggleAccepted: handleToggleAccepted,
+  };
+
+  return (
+    <section className="module-comments" id="comments">
+      <h3>Discussion</h3>
+      <CommentEditor people={people} submitLabel="Comment" onSubmit={handlePost} />
+
+      {loading ? (
+        <p className="quiz-meta">Loading...</p>
+      ) : threads.length === 0 ? (
+        <p className="quiz-empty">No comments yet. Ask the first question.</p>
+      ) : (
+        <ul className="comment-threads">
+          {threads.map(thread => (
+            <li key={thread.id} className="comment-thread">
+              <Comment {...commentProps} comment={thread} onReply={() => setReplyingTo(thread.id)} />
+              {thread.replies.length > 0 && (
+                <ul className="comment-replies">
+                  {thread.replies.map(reply => (
+                    <li key={reply.id}>
+                      <Comment {...commentProps} comment={reply} onReply={() => setReplyingTo(thread.id)} />
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {replyingTo === thread.id && (
+                <div className="comment-replies">
+                  <CommentEditor
+                    people={people}
+                    submitLabel="Reply"
+                    onSubmit={(body) => handleReply(thread, body)}
+                    onCancel={() => setReplyingTo(null)}
+                  />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {page < totalPages && (
+        <button type="button" className="cancel-btn" onClick={() => loadComments(page + 1)}>
+          Show older comments
+        </button>
+      )}
+    </section>
+  );
+}
+
+export default ModuleComments;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaTimes, FaHistory, FaUndo, FaEye } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import {
+  VERSION_CHANGE_LABELS,
+  VERSION_FIELD_LABELS,
+  updateModuleApi,
+  replaceModuleFileApi,
+  fetchModuleVersionsApi,
+  restoreModuleVersionApi,
+} from '../utils/ModuleHelpers';
+
+/**
+ * Lets the uploader fix a module's title, outline or file, and browse or
+ * restore earlier versions. `onUpdated` receives the module's new fields.
+ */
+function ModuleEditModal({ module, onClose, onUpdated, onViewFile }) {
+  const [title, setTitle] = useState(module.title);
+  const [description, setDescription] = useState(module.description || '');
+  const [file, setFile] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [versions, setVersions] = useState(null);
+  const [openVersion, setOpenVersion] = useState(null);
+  const [restoringVersion, setRestoringVersion] = useState(null);
+
+  const loadVersions = useCallback(async () => {
+    try {
+      setVersions(await fetchModuleVersionsApi(module.id));
+    } catch (err) {
+      console.error('❌ Failed to load module versions:', err);
+      toast.error(err.message || 'Failed to load version history.');
+    }
+  }, [module.id]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!title.trim() || !description.trim()) {
+      toast.error('Title and outline are required.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      let updated = module;
+      if (title.trim() !== module.title || description.trim() !== module.description) {
+        ({ module: updated } = await updateModuleApi(module.id, { title, description }));
+      }
+      if (file) {
+        ({ module: updated } = await replaceModuleFileApi(module.id, file));
+        setFile(null);
+      }
+
+      if (updated === module) {
+        toast.info('Nothing to save.');
+      } else {
+        onUpdated(updated);
+        toast.success('Module updated.');
+        loadVersions();
+      }
+    } catch (err) {
+      toast.error(err.message || 'Failed to update module.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version.versionNumber}? The current state stays in the history.`)) return;
+
+    setRestoringVersion(version.versionNumber);
+    try {
+      const { module: updated, version: restored } = await restoreModuleVersionApi(module.id, version.versionNumber);
+      if (!restored) {
+        toast.info('The module already matches this version.');
+        return;
+      }
+      onUpdated(updated);
+      setTitle(updated.title);
+      setDescription(updated.description || '');
+      toast.success(`Restored version ${version.versionNumber}.`);
+      loadVersions();
+    } catch (err) {
+      toast.error(err.message || 'Failed to restore version.');
+    } finally {
+      setRestoringVersion(null);
+    }
+  };
+
+  return (
+    <div className="modal-overlays" onClick={onClose}>
+      <div className="modal-contents module-edit-modal" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose} aria-label="Close">
+          <FaTimes />
+        </button>
+        <h3>Edit module</h3>
+
+        <form className="module-edit-form" onSubmit={handleSave}>
+          <label>
+            Title
+            <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} maxLength={200} />
+          </label>
+          <label>
+            Outline
+            <textarea value={description} onChange={(e) => setDescription(e.target.value)} rows={4} maxLength={5000} />
+          </label>
+          <label>
+            Replace file {module.file_name && <span className="quiz-meta">(current: {module.file_name})</span>}
+            <input type="file" onChange={(e) => setFile(e.target.files[0] || null)} />
+          </label>
+          <button type="submit" className="create-btn" disabled={saving}>
+            {saving ? 'Saving...' : 'Save changes'}
+          </button>
+        </form>
+
+        <h4><FaHistory aria-hidden="true" /> Version history</h4>
+        {versions === null ? (
+          <p className="quiz-meta">Loading...</p>
+        ) : versions.length === 0 ? (
+          <p className="quiz-meta">No edits yet. Every change you save is kept here.</p>
+        ) : (
+          <ul className="module-version-list">
+            {versions.map((version, index) => (
+              <li key={version.id}>
+                <div className="module-version-row">
+                  <button
+                    type="button"
+                    className="module-version-toggle"
+                    onClick={() => setOpenVersion(openVersion === version.versionNumber ? null : version.versionNumber)}
+                    aria-expanded={openVersion === version.versionNumber}
+                  >
+                    <strong>v{version.versionNumber}</strong> · {VERSION_CHANGE_LABELS[version.changeType]}
+                    {version.restoredFrom && ` v${version.restoredFrom}`}
+                    <span className="quiz-meta"> · {new Date(version.createdAt).toLocaleString()}</span>
+                  </button>
+                  {index === 0 ? (
+                    <span className="quiz-meta">Current</span>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => handleRestore(version)}
+                      disabled={restoringVersion !== null}
+                      aria-label={`Restore version ${version.versionNumber}`}
+                    >
+                      <FaUndo aria-hidden="true" /> {restoringVersion === version.versionNumber ? 'Restoring...' : 'Restore'}
+                    </button>
+                  )}
+                </div>
+
+                {openVersion === version.versionNumber && (
+                  <div className="module-version-details">
+                    <p><strong>Title:</strong> {version.title}</p>
+                    <p><strong>Outline:</strong> {version.description}</p>
+                    {version.fileUrl && (
+                      <button type="button" onClick={() => onViewFile(version.fileUrl, version.fileName)}>
+                        <FaEye aria-hidden="true" /> {version.fileName || 'View file'}
+                      </button>
+                    )}
+                    {Object.entries(version.changes)
+                      .filter(([field]) => field !== 'file_url')
+                      .map(([field, change]) => (
+                        <p key={field} className="module-version-change">
+                          {VERSION_FIELD_LABELS[field] || field}: <del>{change.from || '—'}</del> → <ins>{change.to || '—'}</ins>
+                        </p>
+                      ))}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ModuleEditModal;
@@ -0,0 +1,152 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import StarRating from './StarRating';
+import {
+  fetchModuleReviewsApi,
+  saveModuleReviewApi,
+  deleteModuleReviewApi,
+} from '../utils/ModuleHelpers';
+
+/**
+ * A module's ratings and reviews. Users other than the uploader can leave one
+ * review and edit or delete it. `onRatingChange` receives the new average and
+ * count after the user's review changes.
+ */
+function ModuleReviews({ module, shareToken, canReview, onRatingChange }) {
+  const [reviews, setReviews] = useState([]);
+  const [myReview, setMyReview] = useState(null);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const [rating, setRating] = useState(0);
+  const [body, setBody] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const loadReviews = useCallback(async (nextPage = 1) => {
+    try {
+      const result = await fetchModuleReviewsApi(module.id, { page: nextPage, shareToken });
+      setReviews(prev => (nextPage === 1 ? result.reviews : [...prev, ...result.reviews]));
+      setMyReview(result.myReview);
+      setPage(nextPage);
+      setTotalPages(Math.max(1, result.totalPages));
+    } catch (err) {
+      console.error('❌ Failed to load reviews:', err);
+      toast.error(err.message || 'Failed to load reviews.');
+    } finally {
+      setLoading(false);
+    }
+  }, [module.id, shareToken]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const startEditing = () => {
+    setRating(myReview?.rating || 0);
+    setBody(myReview?.body || '');
+    setEditing(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!rating) {
+      toast.error('Pick a star rating.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const result = await saveModuleReviewApi(module.id, { rating, body: body.trim(), shareToken });
+      toast.success(myReview ? 'Review updated.' : 'Thanks for your review!');
+      setEditing(false);
+      if (onRatingChange) onRatingChange(result);
+      loadReviews();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save review.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete your review?')) return;
+    try {
+      const result = await deleteModuleReviewApi(module.id);
+      if (onRatingChange) onRatingChange(result);
+      loadReviews();
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete review.');
+    }
+  };
+
+  return (
+    <section className="module-reviews" id="reviews">
+      <h3>Reviews</h3>
+      <p className="quiz-meta">
+        <StarRating value={module.rating_average} label="Average rating" />{' '}
+        {module.rating_count > 0
+          ? `${Number(module.rating_average).toFixed(1)} from ${module.rating_count} review${module.rating_count === 1 ? '' : 's'}`
+          : 'No reviews yet'}
+      </p>
+
+      {canReview && (editing ? (
+        <form className="module-review-form" onSubmit={handleSubmit}>
+          <StarRating value={rating} onChange={setRating} label="Your rating" />
+          <textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            placeholder="What was helpful or missing? (optional)"
+            aria-label="Your review"
+            rows={3}
+            maxLength={2000}
+          />
+          <div className="class-row-actions">
+            <button type="submit" className="create-btn" disabled={saving}>
+              {saving ? 'Saving...' : myReview ? 'Update review' : 'Post review'}
+            </button>
+            <button type="button" className="cancel-btn" onClick={() => setEditing(false)}>Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <div className="class-row-actions">
+          <button type="button" className="quiz-module-button" onClick={startEditing}>
+            {myReview ? '✏️ Edit your review' : '⭐ Write a review'}
+          </button>
+          {myReview && (
+            <button type="button" className="delete-module-button" onClick={handleDelete}>
+              🗑️ Delete review
+            </button>
+          )}
+        </div>
+      ))}
+
+      {loading ? (
+        <p className="quiz-meta">Loading...</p>
+      ) : (
+        <ul className="quiz-list">
+          {reviews.map(review => (
+            <li key={review.id} className="quiz-list-item module-review">
+              <div>
+                <StarRating value={review.rating} label={`${review.reviewerName}'s rating`} />{' '}
+                <strong>{review.userId === myReview?.userId ? 'You' : review.reviewerName}</strong>
+                <span className="quiz-meta">
+                  {' · '}{new Date(review.updatedAt).toLocaleDateString()}{review.edited && ' (edited)'}
+                </span>
+              </div>
+              {review.body && <p>{review.body}</p>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {page < totalPages && (
+        <button type="button" className="cancel-btn" onClick={() => loadReviews(page + 1)}>
+          Show more reviews
+        </button>
+      )}
+    </section>
+  );
+}
+
+export default ModuleReviews;
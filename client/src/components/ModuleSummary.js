@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import {
+  SUMMARY_IN_PROGRESS,
+  fetchModuleSummaryApi,
+  regenerateModuleSummaryApi,
+  updateModuleSummaryApi,
+  getModuleSummary,
+} from '../utils/ModuleHelpers';
+
+const POLL_INTERVAL_MS = 5000;
+const COMPACT_CONCEPTS = 4;
+
+/**
+ * AI summary, key concepts and reading time of a module. While the background
+ * job is still running it polls until the summary is ready. With `canEdit`,
+ * the owner can regenerate or rewrite it.
+ */
+function ModuleSummary({ module, compact = false, canEdit = false, onChange }) {
+  const summary = getModuleSummary(module);
+  const [isEditing, setIsEditing] = useState(false);
+  const [isRegenerating, setIsRegenerating] = useState(false);
+  const [draft, setDraft] = useState({ summary: '', keyConcepts: '' });
+
+  const inProgress = SUMMARY_IN_PROGRESS.includes(summary.status);
+
+  useEffect(() => {
+    if (!inProgress || !onChange) return;
+
+    const timer = setInterval(async () => {
+      try {
+        const latest = await fetchModuleSummaryApi(module.id);
+        if (!SUMMARY_IN_PROGRESS.includes(latest.status)) onChange(latest);
+      } catch (err) {
+        console.warn('⚠️ Could not refresh module summary:', err.message);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [inProgress, module.id, onChange]);
+
+  const handleRegenerate = async () => {
+    setIsRegenerating(true);
+    try {
+      onChange?.(await regenerateModuleSummaryApi(module.id));
+      toast.success('Summary regenerated.');
+    } catch (err) {
+      toast.error(err.message || 'Failed to regenerate summary.');
+    } finally {
+      setIsRegenerating(false);
+    }
+  };
+
+  const startEditing = () => {
+    setDraft({ summary: summary.summary || '', keyConcepts: summary.keyConcepts.join('\n') });
+    setIsEditing(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      const updated = await updateModuleSummaryApi(module.id, {
+        summary: draft.summary,
+        keyConcepts: draft.keyConcepts.split('\n').map(line => line.trim()).filter(Boolean),
+      });
+      onChange?.(updated);
+      setIsEditing(false);
+      toast.success('Summary saved.');
+    } catch (err) {
+      toast.error(err.message || 'Failed to save summary.');
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <div className="module-summary editing">
+        <label>
+          Summary
+          <textarea
+            value={draft.summary}
+            onChange={(e) => setDraft(prev => ({ ...prev, summary: e.target.value }))}
+            rows={4}
+            maxLength={2000}
+          />
+        </label>
+        <label>
+          Key concepts (one per line)
+          <textarea
+            value={draft.keyConcepts}
+            onChange={(e) => setDraft(prev => ({ ...prev, keyConcepts: e.target.value }))}
+            rows={5}
+          />
+        </label>
+        <div className="module-summary-actions">
+          <button onClick={handleSave}>Save</button>
+          <button onClick={() => setIsEditing(false)}>Cancel</button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!summary.status && !summary.summary) {
+    return canEdit && !compact ? (
+      <div className="module-summary">
+        <button onClick={handleRegenerate} disabled={isRegenerating}>
+          {isRegenerating ? 'Generating...' : '✨ Generate summary'}
+        </button>
+      </div>
+    ) : null;
+  }
+
+  const concepts = compact ? summary.keyConcepts.slice(0, COMPACT_CONCEPTS) : summary.keyConcepts;
+
+  return (
+    <div className={`module-summary ${compact ? 'compact' : ''}`}>
+      <div className="module-summary-header">
+        <strong>Summary</strong>
+        {summary.readingTimeMinutes && (
+          <span className="module-reading-time">⏱ {summary.readingTimeMinutes} min read</span>
+        )}
+      </div>
+
+      {inProgress || isRegenerating ? (
+        <p className="module-summary-status">✨ Generating summary...</p>
+      ) : summary.summary ? (
+        <>
+          <p className="module-summary-text">{summary.summary}</p>
+          {concepts.length > 0 && (
+            <ul className="module-key-concepts">
+              {concepts.map((concept, i) => <li key={i}>{concept}</li>)}
+            </ul>
+          )}
+          {summary.edited && !compact && <span className="module-summary-status">Edited by the uploader</span>}
+        </>
+      ) : (
+        <p className="module-summary-status">
+          {summary.status === 'unavailable' ? 'No text to summarise in this file.' : 'Summary could not be generated.'}
+        </p>
+      )}
+
+      {canEdit && !compact && !inProgress && (
+        <div className="module-summary-actions">
+          <button onClick={handleRegenerate} disabled={isRegenerating}>🔄 Regenerate</button>
+          {summary.summary && <button onClick={startEditing}>✏️ Edit</button>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ModuleSummary;
@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { FaLink } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import { VISIBILITY_OPTIONS, updateModuleVisibilityApi, getModuleShareLink } from '../utils/ModuleHelpers';
+
+/**
+ * Uploader's control for who can see a module, with a button to copy its
+ * share link. `onChange` receives `{ id, visibility, share_token }`.
+ */
+function ModuleVisibilityControl({ module, onChange }) {
+  const [saving, setSaving] = useState(false);
+  const shareLink = getModuleShareLink(module);
+
+  const handleChange = async (visibility) => {
+    setSaving(true);
+    try {
+      const result = await updateModuleVisibilityApi(module.id, visibility);
+      onChange({ id: module.id, visibility: result.visibility, share_token: result.shareToken });
+      toast.success(`Module is now ${visibility}.`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to change visibility.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(shareLink);
+    toast.success('📋 Share link copied!');
+  };
+
+  return (
+    <div className="module-visibility">
+      <select
+        value={module.visibility || 'private'}
+        onChange={(e) => handleChange(e.target.value)}
+        disabled={saving}
+        aria-label={`Who can see ${module.title}`}
+      >
+        {VISIBILITY_OPTIONS.filter(option => option.value !== 'class' || module.class_id).map(option => (
+          <option key={option.value} value={option.value} title={option.hint}>{option.label}</option>
+        ))}
+      </select>
+      {shareLink && (
+        <button type="button" onClick={handleCopy} aria-label={`Copy share link for ${module.title}`}>
+          <FaLink aria-hidden="true" /> Share link
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ModuleVisibilityControl;
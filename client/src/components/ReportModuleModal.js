@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { FaTimes, FaFlag } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import { REPORT_REASON_OPTIONS, reportModuleApi } from '../utils/ModuleHelpers';
+
+/**
+ * Asks why a module breaks the rules and sends the report to the admins.
+ * `onReported` receives the API response once the report is filed.
+ */
+function ReportModuleModal({ module, shareToken, onClose, onReported }) {
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason) {
+      toast.error('Pick a reason for the report.');
+      return;
+    }
+    if (reason === 'other' && !details.trim()) {
+      toast.error('Tell us what is wrong with this module.');
+      return;
+    }
+
+    setSending(true);
+    try {
+      const result = await reportModuleApi(module.id, { reason, details: details.trim(), shareToken });
+      toast.success('Thanks, an admin will review this module.');
+      if (onReported) onReported(result);
+      onClose();
+    } catch (err) {
+      if (err.status === 409) {
+        toast.info('You have already reported this module.');
+        onClose();
+      } else {
+        toast.error(err.message || 'Failed to send report.');
+      }
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlays" onClick={onClose}>
+      <div className="modal-contents module-edit-modal" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose} aria-label="Close">
+          <FaTimes />
+        </button>
+        <h3>Report "{module.title}"</h3>
+
+        <form className="module-edit-form" onSubmit={handleSubmit}>
+          <fieldset className="report-reasons">
+            <legend>What's wrong with it?</legend>
+            {REPORT_REASON_OPTIONS.map(option => (
+              <label key={option.value}>
+                <input
+                  type="radio"
+                  name="report-reason"
+                  value={option.value}
+                  checked={reason === option.value}
+                  onChange={(e) => setReason(e.target.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </fieldset>
+          <label>
+            Details {reason !== 'other' && <span className="quiz-meta">(optional)</span>}
+            <textarea
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              rows={3}
+              maxLength={1000}
+              placeholder="e.g. where the original can be found"
+            />
+          </label>
+          <button type="submit" className="create-btn" disabled={sending}>
+            <FaFlag aria-hidden="true" /> {sending ? 'Sending...' : 'Send report'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default ReportModuleModal;
@@ -1,13 +1,20 @@
 import React, { useState, useEffect } from 'react';
-import { NavLink } from 'react-router-dom';
-import { FaHome, FaComments, FaBookmark, FaSignOutAlt, FaSearch, FaBars, FaUserCircle, FaChartBar } from 'react-icons/fa';
+import { NavLink, useLocation } from 'react-router-dom';
+import { FaHome, FaComments, FaBookmark, FaSignOutAlt, FaSearch, FaBars, FaUserCircle, FaChartBar, FaClipboardCheck, FaLayerGroup, FaUsers, FaShieldAlt, FaBell } from 'react-icons/fa';
 import ProfileModal from './ProfileModal';
+import apiRequest from '../utils/apiRequest';
+import { fetchUnreadNotificationCountApi } from '../utils/NotificationHelpers';
+
+const UNREAD_POLL_INTERVAL = 60000;
 
 function Sidebar({ onLogout, user }) {
   const [showModal, setShowModal] = useState(false);
   const [isOpen, setIsOpen] = useState(true); // ✅ control open/close sidebar
   const [isProfileModalOpen, setIsProfileModalOpen] = useState(false);
   const [currentTime, setCurrentTime] = useState(new Date());
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const location = useLocation();
 
   useEffect(() => {
     const timer = setInterval(() => {
@@ -17,6 +24,23 @@ function Sidebar({ onLogout, user }) {
     return () => clearInterval(timer);
   }, []);
 
+  // ✅ Only admins see the Admin link; the server enforces it regardless
+  useEffect(() => {
+    if (!user) return;
+    apiRequest('/get-user-profile')
+      .then(({ profile }) => setIsAdmin(profile?.role === 'admin'))
+      .catch(() => setIsAdmin(false));
+  }, [user]);
+
+  // ✅ Refresh the unread badge on navigation and every minute
+  useEffect(() => {
+    if (!user) return;
+    const refresh = () => fetchUnreadNotificationCountApi().then(setUnreadCount).catch(() => {});
+    refresh();
+    const timer = setInterval(refresh, UNREAD_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [user, location.pathname]);
+
   const handleLogout = () => {
     setShowModal(true);
   };
@@ -64,6 +88,24 @@ function Sidebar({ onLogout, user }) {
             <NavLink to="/dashboard/analytics" className={({ isActive }) => isActive ? 'sidebar-link active' : 'sidebar-link'}>
               <FaChartBar className="sidebar-icon" /> {isOpen && 'Analytics'}
             </NavLink>
+            <NavLink to="/dashboard/quizzes" className={({ isActive }) => isActive ? 'sidebar-link active' : 'sidebar-link'}>
+              <FaClipboardCheck className="sidebar-icon" /> {isOpen && 'Quizzes'}
+            </NavLink>
+            <NavLink to="/dashboard/flashcards" className={({ isActive }) => isActive ? 'sidebar-link active' : 'sidebar-link'}>
+              <FaLayerGroup className="sidebar-icon" /> {isOpen && 'Flashcards'}
+            </NavLink>
+            <NavLink to="/dashboard/classes" className={({ isActive }) => isActive ? 'sidebar-link active' : 'sidebar-link'}>
+              <FaUsers className="sidebar-icon" /> {isOpen && 'Classes'}
+            </NavLink>
+            <NavLink to="/dashboard/notifications" className={({ isActive }) => isActive ? 'sidebar-link active' : 'sidebar-link'}>
+              <FaBell className="sidebar-icon" /> {isOpen && 'Notifications'}
+              {unreadCount > 0 && <span className="sidebar-badge" aria-label={`${unreadCount} unread`}>{unreadCount}</span>}
+            </NavLink>
+            {isAdmin && (
+              <NavLink to="/dashboard/admin" className={({ isActive }) => isActive ? 'sidebar-link active' : 'sidebar-link'}>
+                <FaShieldAlt className="sidebar-icon" /> {isOpen && 'Admin'}
+              </NavLink>
+            )}
           </div>
 
           {/* Date and Time Display */}
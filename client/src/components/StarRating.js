@@ -0,0 +1,44 @@
+import React from 'react';
+import { FaStar, FaRegStar, FaStarHalfAlt } from 'react-icons/fa';
+
+const STARS = [1, 2, 3, 4, 5];
+
+/**
+ * Shows a 0–5 rating as stars, rounded to the nearest half. With `onChange`
+ * the stars become buttons for picking a rating.
+ */
+function StarRating({ value = 0, onChange, label = 'Rating' }) {
+  if (onChange) {
+    return (
+      <span className="star-rating input" role="radiogroup" aria-label={label}>
+        {STARS.map(star => (
+          <button
+            key={star}
+            type="button"
+            role="radio"
+            aria-checked={value === star}
+            aria-label={`${star} star${star === 1 ? '' : 's'}`}
+            onClick={() => onChange(star)}
+          >
+            {star <= value ? <FaStar aria-hidden="true" /> : <FaRegStar aria-hidden="true" />}
+          </button>
+        ))}
+      </span>
+    );
+  }
+
+  const rounded = Math.round((value || 0) * 2) / 2;
+  return (
+    <span className="star-rating" aria-label={`${label}: ${value ? Number(value).toFixed(1) : 'none'} out of 5`}>
+      {STARS.map(star => (
+        star <= rounded
+          ? <FaStar key={star} aria-hidden="true" />
+          : star - 0.5 === rounded
+            ? <FaStarHalfAlt key={star} aria-hidden="true" />
+            : <FaRegStar key={star} aria-hidden="true" />
+      ))}
+    </span>
+  );
+}
+
+export default StarRating;
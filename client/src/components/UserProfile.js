@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { FaUserCircle, FaCamera } from 'react-icons/fa';
 import { supabase } from '../supabaseClient';
 import API_BASE_URL from '../config';
+import { getErrorMessage } from '../utils/apiRequest';
 
 function UserProfile({ user }) {
   const [username, setUsername] = useState('');
@@ -37,7 +38,7 @@ function UserProfile({ user }) {
           setFullName(fullName || '');
           setPfpUrl(pfpUrl || '');
         } else {
-          console.warn('No profile found:', result.error);
+          console.warn('No profile found:', getErrorMessage(result));
         }
       } catch (err) {
         console.error('Error fetching profile:', err.message);
@@ -123,7 +124,7 @@ function UserProfile({ user }) {
       const result = await response.json();
       console.log('📥 Response body:', result);
 
-      if (!response.ok) throw new Error(result.error || 'Failed to update profile.');
+      if (!response.ok) throw new Error(getErrorMessage(result, 'Failed to update profile.'));
 
       // Update Supabase user metadata to sync with sidebar display
       console.log('🔄 Updating Supabase user metadata...');
@@ -0,0 +1,435 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import Skeleton from 'react-loading-skeleton';
+import 'react-loading-skeleton/dist/skeleton.css';
+import useAuthStatus from '../hooks/useAuthStatus';
+import {
+  USER_ROLE_OPTIONS,
+  AUDIT_ACTION_LABELS,
+  formatBytes,
+  fetchAdminOverviewApi,
+  fetchAdminUsersApi,
+  setUserRoleApi,
+  suspendUserApi,
+  unsuspendUserApi,
+  fetchAdminModulesApi,
+  removeModuleAsAdminApi,
+  fetchReportsApi,
+  resolveReportApi,
+  fetchAuditLogApi,
+} from '../utils/AdminHelpers';
+
+const TABS = [
+  { id: 'users', label: 'Users' },
+  { id: 'modules', label: 'Modules' },
+  { id: 'reports', label: 'Reports' },
+  { id: 'audit', label: 'Audit log' },
+];
+
+/**
+ * Loads one page of an admin list and reloads it when the params change.
+ * `fetcher` resolves to the API response; `key` names the list in it.
+ */
+function useAdminList(fetcher, key, params) {
+  const [result, setResult] = useState({ items: [], page: 1, totalPages: 1, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const paramsKey = JSON.stringify(params);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetcher(JSON.parse(paramsKey));
+      setResult({
+        items: response[key] || [],
+        page: response.page,
+        totalPages: Math.max(1, response.totalPages || 1),
+        total: response.total,
+      });
+    } catch (err) {
+      console.error(`❌ Failed to load ${key}:`, err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [fetcher, key, paramsKey]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { ...result, loading, error, reload };
+}
+
+function Pager({ page, totalPages, onChange }) {
+  if (totalPages <= 1) return null;
+  return (
+    <div className="admin-pager">
+      <button type="button" onClick={() => onChange(page - 1)} disabled={page <= 1}>Previous</button>
+      <span className="quiz-meta">Page {page} of {totalPages}</span>
+      <button type="button" onClick={() => onChange(page + 1)} disabled={page >= totalPages}>Next</button>
+    </div>
+  );
+}
+
+function ListState({ loading, error, empty, children }) {
+  if (loading) return <Skeleton count={5} height={48} style={{ marginBottom: 8 }} />;
+  if (error) return <p className="quiz-error" role="alert">{error}</p>;
+  if (empty) return <p className="quiz-empty">Nothing here.</p>;
+  return children;
+}
+
+function UsersTab({ currentUserId, onChange }) {
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const list = useAdminList(fetchAdminUsersApi, 'users', { q: search, status, page });
+
+  const handleRole = async (user, role) => {
+    try {
+      await setUserRoleApi(user.id, role);
+      toast.success(`${user.email} is now ${role === 'admin' ? 'an' : 'a'} ${role}.`);
+      list.reload();
+    } catch (err) {
+      toast.error(err.message || 'Failed to change role.');
+    }
+  };
+
+  const handleSuspend = async (user) => {
+    if (user.suspended) {
+      try {
+        await unsuspendUserApi(user.id);
+        toast.success(`${user.email} can sign in again.`);
+      } catch (err) {
+        toast.error(err.message || 'Failed to reinstate account.');
+      }
+    } else {
+      const reason = window.prompt(`Suspend ${user.email}? Give a reason (optional):`);
+      if (reason === null) return;
+      try {
+        await suspendUserApi(user.id, reason);
+        toast.success(`${user.email} is suspended.`);
+      } catch (err) {
+        toast.error(err.message || 'Failed to suspend account.');
+      }
+    }
+    list.reload();
+    onChange();
+  };
+
+  return (
+    <>
+      <div className="admin-filters">
+        <input
+          type="text"
+          className="search-bar"
+          value={search}
+          onChange={(e) => { setSearch(e.target.value); setPage(1); }}
+          placeholder="Search by email or name"
+          aria-label="Search users"
+        />
+        <select value={status} onChange={(e) => { setStatus(e.target.value); setPage(1); }} aria-label="Filter by status">
+          <option value="">All accounts</option>
+          <option value="active">Active</option>
+          <option value="suspended">Suspended</option>
+        </select>
+      </div>
+
+      <ListState loading={list.loading} error={list.error} empty={list.items.length === 0}>
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>User</th>
+              <th>Role</th>
+              <th>Modules</th>
+              <th>Storage</th>
+              <th>Status</th>
+              <th aria-label="Actions" />
+            </tr>
+          </thead>
+          <tbody>
+            {list.items.map(user => (
+              <tr key={user.id}>
+                <td>
+                  <strong>{user.fullName || user.username || '—'}</strong>
+                  <span className="quiz-meta">{user.email}</span>
+                </td>
+                <td>
+                  <select
+                    value={user.role}
+                    onChange={(e) => handleRole(user, e.target.value)}
+                    disabled={user.id === currentUserId}
+                    aria-label={`Role of ${user.email}`}
+                  >
+                    {USER_ROLE_OPTIONS.map(role => <option key={role} value={role}>{role}</option>)}
+                  </select>
+                </td>
+                <td>{user.moduleCount}</td>
+                <td>{formatBytes(user.storage?.bytes)} <span className="quiz-meta">{user.storage?.fileCount ?? 0} files</span></td>
+                <td>
+                  {user.suspended ? (
+                    <span className="admin-status suspended" title={user.suspendedReason || ''}>Suspended</span>
+                  ) : (
+                    <span className="admin-status">Active</span>
+                  )}
+                </td>
+                <td>
+                  {user.id !== currentUserId && user.role !== 'admin' && (
+                    <button type="button" onClick={() => handleSuspend(user)}>
+                      {user.suspended ? 'Reinstate' : 'Suspend'}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </ListState>
+      <Pager page={list.page} totalPages={list.totalPages} onChange={setPage} />
+    </>
+  );
+}
+
+function ModulesTab({ onChange }) {
+  const navigate = useNavigate();
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const list = useAdminList(fetchAdminModulesApi, 'modules', { q: search, page });
+
+  const handleRemove = async (module) => {
+    const reason = window.prompt(`Remove "${module.title}" for everyone? Give a reason (optional):`);
+    if (reason === null) return;
+    try {
+      await removeModuleAsAdminApi(module.id, reason);
+      toast.success('Module removed.');
+      list.reload();
+      onChange();
+    } catch (err) {
+      toast.error(err.message || 'Failed to remove module.');
+    }
+  };
+
+  return (
+    <>
+      <div className="admin-filters">
+        <input
+          type="text"
+          className="search-bar"
+          value={search}
+          onChange={(e) => { setSearch(e.target.value); setPage(1); }}
+          placeholder="Search by title or uploader"
+          aria-label="Search modules"
+        />
+      </div>
+
+      <ListState loading={list.loading} error={list.error} empty={list.items.length === 0}>
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Module</th>
+              <th>Uploader</th>
+              <th>Visibility</th>
+              <th>Uploaded</th>
+              <th aria-label="Actions" />
+            </tr>
+          </thead>
+          <tbody>
+            {list.items.map(module => (
+              <tr key={module.id}>
+                <td>
+                  <button type="button" className="admin-link" onClick={() => navigate(`/dashboard/modules/${module.id}`)}>
+                    {module.title}
+                  </button>
+                </td>
+                <td>{module.uploaded_by || '—'}</td>
+                <td>{module.visibility}</td>
+                <td>{new Date(module.created_at).toLocaleDateString()}</td>
+                <td>
+                  <button type="button" className="admin-danger" onClick={() => handleRemove(module)}>Remove</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </ListState>
+      <Pager page={list.page} totalPages={list.totalPages} onChange={setPage} />
+    </>
+  );
+}
+
+function ReportsTab({ onChange }) {
+  const [status, setStatus] = useState('open');
+  const [page, setPage] = useState(1);
+  const list = useAdminList(fetchReportsApi, 'reports', { status, page });
+
+  const handleResolve = async (report, action) => {
+    const question = action === 'dismiss'
+      ? 'Dismiss this report? Add a note (optional):'
+      : `Remove "${report.module?.title}"? Every open report on it is closed. Add a note (optional):`;
+    const note = window.prompt(question);
+    if (note === null) return;
+
+    try {
+      const { moduleRestored } = await resolveReportApi(report.id, action, note);
+      toast.success(action === 'dismiss'
+        ? `Report dismissed.${moduleRestored ? ' The module is visible again.' : ''}`
+        : 'Module removed.');
+      list.reload();
+      onChange();
+    } catch (err) {
+      toast.error(err.message || 'Failed to resolve report.');
+    }
+  };
+
+  return (
+    <>
+      <div className="admin-filters">
+        <select value={status} onChange={(e) => { setStatus(e.target.value); setPage(1); }} aria-label="Filter by status">
+          <option value="open">Open</option>
+          <option value="actioned">Actioned</option>
+          <option value="dismissed">Dismissed</option>
+        </select>
+      </div>
+
+      <ListState loading={list.loading} error={list.error} empty={list.items.length === 0}>
+        <ul className="quiz-list">
+          {list.items.map(report => (
+            <li key={report.id} className="quiz-list-item admin-report">
+              <div>
+                <strong>{report.module?.title || 'Removed module'}</strong>
+                {report.module?.hidden && <span className="admin-status suspended"> · Hidden</span>}
+                <span className="quiz-meta">
+                  {report.reason} · reported by {report.reporterName || 'a deleted user'} on {new Date(report.createdAt).toLocaleString()}
+                </span>
+                {report.details && <p>{report.details}</p>}
+                {report.resolutionNote && <p className="quiz-meta">Note: {report.resolutionNote}</p>}
+              </div>
+              {report.status === 'open' && (
+                <div className="class-row-actions">
+                  <button type="button" onClick={() => handleResolve(report, 'dismiss')}>Dismiss</button>
+                  {report.module && (
+                    <button type="button" className="admin-danger" onClick={() => handleResolve(report, 'remove_module')}>
+                      Remove module
+                    </button>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      </ListState>
+      <Pager page={list.page} totalPages={list.totalPages} onChange={setPage} />
+    </>
+  );
+}
+
+function AuditTab() {
+  const [page, setPage] = useState(1);
+  const list = useAdminList(fetchAuditLogApi, 'events', { page });
+
+  return (
+    <>
+      <ListState loading={list.loading} error={list.error} empty={list.items.length === 0}>
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>When</th>
+              <th>Admin</th>
+              <th>Action</th>
+              <th>Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            {list.items.map(event => (
+              <tr key={event.id}>
+                <td>{new Date(event.createdAt).toLocaleString()}</td>
+                <td>{event.actorId ? event.actorName || '—' : 'Automatic'}</td>
+                <td>{AUDIT_ACTION_LABELS[event.action] || event.action}</td>
+                <td className="admin-details">
+                  {Object.entries(event.details)
+                    .filter(([, value]) => value !== null && value !== '')
+                    .map(([field, value]) => `${field}: ${value}`)
+                    .join(' · ')}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </ListState>
+      <Pager page={list.page} totalPages={list.totalPages} onChange={setPage} />
+    </>
+  );
+}
+
+function AdminPage() {
+  const { user, authLoading } = useAuthStatus();
+  const [tab, setTab] = useState('users');
+  const [overview, setOverview] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadOverview = useCallback(async () => {
+    try {
+      setOverview(await fetchAdminOverviewApi());
+    } catch (err) {
+      setError(err.status === 403 ? 'Only administrators can open this page.' : err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!authLoading && user) loadOverview();
+  }, [authLoading, user, loadOverview]);
+
+  if (error) {
+    return (
+      <div className="quiz-page">
+        <h2>Admin</h2>
+        <p className="quiz-error" role="alert">{error}</p>
+      </div>
+    );
+  }
+
+  if (authLoading || !overview) {
+    return (
+      <div className="quiz-page">
+        <Skeleton height={36} width="40%" />
+        <Skeleton count={6} height={48} style={{ marginTop: 16 }} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="quiz-page admin-page">
+      <header className="quiz-header">
+        <h2>Admin</h2>
+        <p className="quiz-meta">
+          {overview.users} users ({overview.suspendedUsers} suspended) · {overview.modules} modules · {overview.openReports} open reports
+        </p>
+      </header>
+
+      <div className="admin-tabs" role="tablist">
+        {TABS.map(({ id, label }) => (
+          <button
+            key={id}
+            type="button"
+            role="tab"
+            aria-selected={tab === id}
+            className={tab === id ? 'active' : ''}
+            onClick={() => setTab(id)}
+          >
+            {label}
+            {id === 'reports' && overview.openReports > 0 && <span className="admin-badge">{overview.openReports}</span>}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'users' && <UsersTab currentUserId={user.id} onChange={loadOverview} />}
+      {tab === 'modules' && <ModulesTab onChange={loadOverview} />}
+      {tab === 'reports' && <ReportsTab onChange={loadOverview} />}
+      {tab === 'audit' && <AuditTab />}
+    </div>
+  );
+}
+
+export default AdminPage;
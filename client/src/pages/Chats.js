@@ -4,14 +4,20 @@ import ReactMarkdown from 'react-markdown';
 import { FaPaperPlane, FaStop, FaPlus, FaComments, FaTrash, FaFileUpload } from 'react-icons/fa';
 import Skeleton from 'react-loading-skeleton';
 import 'react-loading-skeleton/dist/skeleton.css';
+import FileViewer from '../components/FileViewer';
 import {
   formatFirebaseTimestamp,
   generateUniqueId,
+  generateMessageId,
   fetchChatHistoryApi,
+  syncChatSessionsApi,
+  mergeChatSessions,
+  mergeChatMessages,
   saveChatEntryApi,
   deleteChatSessionApi,
-  generateContentApi,
+  streamContentApi,
   processChatFileApi,
+  getCitedSources,
   getUserChatKey
 } from '../utils/ChatHelpers';
 
@@ -27,8 +33,12 @@ function Chats() {
   const [selectedFile, setSelectedFile] = useState(null);
   const [filePreview, setFilePreview] = useState(null);
   const [enlargedImage, setEnlargedImage] = useState(null);
+  const [viewerSource, setViewerSource] = useState(null);
+  const [isStreaming, setIsStreaming] = useState(false);
   const chatMessagesEndRef = useRef(null);
   const fileInputRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const activeSessionIdRef = useRef(null);
 
   const handleNewChat = useCallback(() => {
     if (activeChatMessages.length > 0 && activeSessionId) {
@@ -107,6 +117,51 @@ function Chats() {
   return () => { isMounted = false; };
 }, [user, authLoading]); // 👈 removed handleNewChat
 
+  // Pull chats from the server (and push local ones) on load and whenever the
+  // tab regains focus, so a chat started on another device shows up here
+  const syncSessions = useCallback(async () => {
+    if (!user) return;
+    try {
+      const { conversations, removedIds } = await syncChatSessionsApi(user);
+      if (conversations.length === 0 && removedIds.length === 0) return;
+
+      setChatHistorySessions(prev => mergeChatSessions(prev, conversations).filter(session => !removedIds.includes(session.id)));
+
+      if (removedIds.includes(activeSessionIdRef.current)) {
+        setActiveSessionId(null);
+        setActiveChatMessages([]);
+        return;
+      }
+
+      // Leave the open chat alone while a reply is still being generated
+      const activeConversation = conversations.find(conv => conv.id === activeSessionIdRef.current);
+      if (activeConversation && !abortControllerRef.current) {
+        setActiveChatMessages(prev => mergeChatMessages(prev, activeConversation.messages || []));
+      }
+    } catch (err) {
+      console.warn('Chat sync failed, using local copies:', err.message);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (!user || authLoading) return undefined;
+
+    syncSessions();
+    window.addEventListener('focus', syncSessions);
+    window.addEventListener('online', syncSessions);
+    return () => {
+      window.removeEventListener('focus', syncSessions);
+      window.removeEventListener('online', syncSessions);
+    };
+  }, [user, authLoading, syncSessions]);
+
+  useEffect(() => {
+    activeSessionIdRef.current = activeSessionId;
+  }, [activeSessionId]);
+
+
+  // Stop any response still streaming when leaving the page
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
 
   useEffect(() => {
     chatMessagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -151,6 +206,14 @@ function Chats() {
     setEnlargedImage(null);
   };
 
+  const handleOpenSource = (source) => {
+    if (!source.fileUrl) {
+      setError(`"${source.moduleTitle}" has no file to open.`);
+      return;
+    }
+    setViewerSource(source);
+  };
+
   const handleGenerateContent = async (e) => {
     e.preventDefault();
     if (!prompt.trim() && !selectedFile) return;
@@ -194,6 +257,7 @@ function Chats() {
         const fileData = await processChatFileApi(user, currentFile, currentConversationId, currentPrompt || null);
 
         const newUserMessage = {
+          id: generateMessageId(),
           type: 'user',
           text: currentPrompt
             ? `${currentPrompt}\n\n[${fileData.fileType === 'image' ? 'Image' : 'File'} uploaded] ${fileData.extractedText}`
@@ -207,6 +271,7 @@ function Chats() {
         setActiveChatMessages(prev => [...prev, newUserMessage]);
 
         const newAiMessage = {
+          id: generateMessageId(),
           type: 'ai',
           text: fileData.aiResponse,
           timestamp: {
@@ -246,6 +311,10 @@ function Chats() {
           timestamp: newTimestamp,
           conversationId: currentConversationId,
           filePreview: currentFilePreview,
+          userMessageId: newUserMessage.id,
+          aiMessageId: newAiMessage.id,
+          fileName: newUserMessage.fileName,
+          fileType: newUserMessage.fileType,
         });
 
       } catch (err) {
@@ -257,6 +326,7 @@ function Chats() {
     } else {
       // Handle text-only message
       const newUserMessage = {
+        id: generateMessageId(),
         type: 'user',
         text: currentPrompt,
         timestamp: newTimestamp,
@@ -264,25 +334,57 @@ function Chats() {
       };
       setActiveChatMessages(prev => [...prev, newUserMessage]);
 
+      // Placeholder AI message that fills in as tokens stream in
+      const streamingMessageId = generateMessageId();
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+      setIsStreaming(true);
+
       try {
-        console.log('Chats.js: Calling generateContentApi with:', {
+        console.log('Chats.js: Calling streamContentApi with:', {
           userId: user?.id,
           prompt: currentPrompt?.substring(0, 50) + '...',
           conversationId: currentConversationId
         });
-        const generateData = await generateContentApi(user, currentPrompt, currentConversationId);
+        const generateData = await streamContentApi(user, currentPrompt, currentConversationId, {
+          signal: controller.signal,
+          onToken: (token, textSoFar) => {
+            setActiveChatMessages(prev => {
+              if (!prev.some(msg => msg.id === streamingMessageId)) {
+                return [...prev, { id: streamingMessageId, type: 'ai', text: textSoFar, streaming: true, conversationId: currentConversationId }];
+              }
+              return prev.map(msg => (msg.id === streamingMessageId ? { ...msg, text: textSoFar } : msg));
+            });
+          }
+        });
         const newResponse = generateData.generatedContent;
+        const citedSources = getCitedSources(generateData.sources);
+        const interrupted = !!generateData.interrupted;
+
+        // Stopped before anything arrived: drop the exchange
+        if (interrupted && !newResponse) {
+          throw new Error(generateData.error || 'Response stopped.');
+        }
+        if (generateData.error) {
+          setError(`${generateData.error} The partial response was kept.`);
+        }
 
         const newAiMessage = {
+          id: streamingMessageId,
           type: 'ai',
           text: newResponse,
+          sources: citedSources,
+          ...(interrupted && { interrupted: true }),
           timestamp: {
             _seconds: Math.floor(Date.now() / 1000),
             _nanoseconds: (Date.now() % 1000) * 1_000_000
           },
           conversationId: currentConversationId,
         };
-        setActiveChatMessages(prev => [...prev, newAiMessage]);
+        setActiveChatMessages(prev => [
+          ...prev.filter(msg => msg.id !== streamingMessageId),
+          newAiMessage
+        ]);
 
         setChatHistorySessions(prevSessions => {
           const sessionToUpdateIndex = prevSessions.findIndex(session => session.id === currentConversationId);
@@ -315,6 +417,10 @@ function Chats() {
           response: newResponse,
           timestamp: newTimestamp,
           conversationId: currentConversationId,
+          sources: citedSources,
+          interrupted,
+          userMessageId: newUserMessage.id,
+          aiMessageId: newAiMessage.id,
         });
 
       } catch (err) {
@@ -335,12 +441,19 @@ function Chats() {
               return session;
           });
         });
+      } finally {
+        abortControllerRef.current = null;
+        setIsStreaming(false);
       }
     }
 
     setApiLoading(false);
   };
 
+  const handleStopGenerating = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const loadChatSession = (session) => {
     setActiveChatMessages(session.messages);
     setActiveSessionId(session.id);
@@ -482,7 +595,7 @@ function Chats() {
             </p>
           )}
           {activeChatMessages.map((msg, index) => (
-            <div key={index} className={`chat-message-card ${msg.type}-message`}>
+            <div key={msg.id || index} className={`chat-message-card ${msg.type}-message`}>
               <div className="message-content">
                 {msg.filePreview && (
                   <div className="message-image-container">
@@ -501,6 +614,26 @@ function Chats() {
                   </div>
                 )}
                 <ReactMarkdown>{msg.text}</ReactMarkdown>
+                {msg.interrupted && (
+                  <small className="message-interrupted">Response stopped</small>
+                )}
+                {msg.sources?.length > 0 && (
+                  <div className="message-sources">
+                    <span className="message-sources-label">Sources:</span>
+                    {msg.sources.map((source) => (
+                      <button
+                        key={source.ref}
+                        type="button"
+                        className="source-chip"
+                        title={source.excerpt}
+                        onClick={() => handleOpenSource(source)}
+                      >
+                        [{source.ref}] {source.moduleTitle}
+                        {source.location && ` · ${source.location}`}
+                      </button>
+                    ))}
+                  </div>
+                )}
                 {msg.timestamp && (
                   <small className="message-timestamp">
                     {formatFirebaseTimestamp(msg.timestamp)}
@@ -509,7 +642,7 @@ function Chats() {
               </div>
             </div>
           ))}
-          {apiLoading && (
+          {apiLoading && !activeChatMessages.some(msg => msg.streaming) && (
             <div className="chat-message-card ai-message">
               <div className="message-content">
                 <p>AI is thinking...</p>
@@ -610,9 +743,15 @@ function Chats() {
                 }
               }}
             ></textarea>
-            <button className="send-button" disabled={apiLoading || !user || !activeSessionId || (!prompt.trim() && !selectedFile)}>
-              {apiLoading ? <FaStop className="stop-icon" size="1.3em" /> : <FaPaperPlane className='send-icon' size="1.3em" />}
-            </button>
+            {isStreaming ? (
+              <button type="button" className="send-button" onClick={handleStopGenerating} title="Stop generating">
+                <FaStop className="stop-icon" size="1.3em" />
+              </button>
+            ) : (
+              <button className="send-button" disabled={apiLoading || !user || !activeSessionId || (!prompt.trim() && !selectedFile)}>
+                {apiLoading ? <FaStop className="stop-icon" size="1.3em" /> : <FaPaperPlane className='send-icon' size="1.3em" />}
+              </button>
+            )}
           </form>
           {error && <p className="error-message">{error}</p>}
           {!user && !error && <p className="info-message">Please sign in to start chatting.</p>}
@@ -620,6 +759,17 @@ function Chats() {
         </div>
       </div>
 
+      {viewerSource && (
+        <FileViewer
+          fileUrl={viewerSource.fileUrl}
+          fileName={viewerSource.fileName}
+          page={viewerSource.page}
+          pageLabel={viewerSource.location}
+          excerpt={viewerSource.excerpt}
+          onClose={() => setViewerSource(null)}
+        />
+      )}
+
       {enlargedImage && (
         <div className="image-modal-overlay" onClick={handleCloseEnlargedImage}>
           <div className="image-modal-content">
@@ -0,0 +1,330 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { FaArrowLeft, FaCopy, FaSyncAlt, FaTrash, FaUserMinus, FaEnvelope, FaSave } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import Skeleton from 'react-loading-skeleton';
+import 'react-loading-skeleton/dist/skeleton.css';
+import useAuthStatus from '../hooks/useAuthStatus';
+import {
+  CLASS_ROLE_LABELS,
+  canInvite,
+  canManage,
+  fetchClassApi,
+  updateClassApi,
+  deleteClassApi,
+  rotateJoinCodeApi,
+  inviteToClassApi,
+  revokeInviteApi,
+  updateMemberRoleApi,
+  removeMemberApi,
+} from '../utils/ClassHelpers';
+
+function ClassPage() {
+  const { classId } = useParams();
+  const navigate = useNavigate();
+  const { user, authLoading } = useAuthStatus();
+
+  const [classInfo, setClassInfo] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [inviteEmails, setInviteEmails] = useState('');
+  const [inviteRole, setInviteRole] = useState('student');
+  const [sending, setSending] = useState(false);
+
+  const loadClass = useCallback(async () => {
+    setError(null);
+    try {
+      const result = await fetchClassApi(classId);
+      setClassInfo(result.class);
+      setMembers(result.members);
+      setInvites(result.invites);
+      setDraft({
+        name: result.class.name,
+        description: result.class.description || '',
+        studentsCanPost: result.class.studentsCanPost,
+      });
+    } catch (err) {
+      console.error('❌ Failed to load class:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [classId]);
+
+  useEffect(() => {
+    if (!authLoading && user) loadClass();
+  }, [authLoading, user, loadClass]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      const updated = await updateClassApi(classId, draft);
+      setClassInfo(prev => ({ ...prev, ...updated }));
+      toast.success('Class updated.');
+    } catch (err) {
+      toast.error(err.message || 'Failed to update class.');
+    }
+  };
+
+  const handleCopyCode = () => {
+    navigator.clipboard.writeText(classInfo.joinCode);
+    toast.success('📋 Join code copied!');
+  };
+
+  const handleRotateCode = async () => {
+    if (!window.confirm('Make a new join code? The current one stops working.')) return;
+    try {
+      const joinCode = await rotateJoinCodeApi(classId);
+      setClassInfo(prev => ({ ...prev, joinCode }));
+    } catch (err) {
+      toast.error(err.message || 'Failed to change the join code.');
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!inviteEmails.trim()) return;
+
+    setSending(true);
+    try {
+      const { invites: sent, skipped, emailed } = await inviteToClassApi(classId, inviteEmails, inviteRole);
+      setInvites(prev => [...sent, ...prev.filter(i => !sent.some(s => s.id === i.id))]);
+      setInviteEmails('');
+      if (sent.length > 0) toast.success(`Invited ${sent.length} ${sent.length === 1 ? 'person' : 'people'}.`);
+      if (skipped.length > 0) toast.info(`Already in the class: ${skipped.join(', ')}`);
+      if (emailed < sent.length) {
+        toast.warning('Some invite emails could not be sent. Those people can still accept from their dashboard.');
+      }
+    } catch (err) {
+      toast.error(err.message || 'Failed to send invites.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleRevoke = async (invite) => {
+    try {
+      await revokeInviteApi(classId, invite.id);
+      setInvites(prev => prev.filter(i => i.id !== invite.id));
+    } catch (err) {
+      toast.error(err.message || 'Failed to revoke invite.');
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      await updateMemberRoleApi(classId, member.userId, role);
+      setMembers(prev => prev.map(m => (m.userId === member.userId ? { ...m, role } : m)));
+    } catch (err) {
+      toast.error(err.message || 'Failed to change role.');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const isSelf = member.userId === user.id;
+    if (!window.confirm(isSelf ? `Leave ${classInfo.name}?` : `Remove ${member.name} from the class?`)) return;
+
+    try {
+      await removeMemberApi(classId, member.userId);
+      if (isSelf) {
+        toast.success(`You left ${classInfo.name}.`);
+        navigate('/dashboard/classes');
+        return;
+      }
+      setMembers(prev => prev.filter(m => m.userId !== member.userId));
+    } catch (err) {
+      toast.error(err.message || 'Failed to remove member.');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${classInfo.name}? Modules posted to it stay with their uploaders.`)) return;
+    try {
+      await deleteClassApi(classId);
+      toast.success('Class deleted.');
+      navigate('/dashboard/classes');
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete class.');
+    }
+  };
+
+  if (loading || authLoading) {
+    return (
+      <div className="quiz-page">
+        <Skeleton height={36} width="60%" />
+        <Skeleton count={5} height={48} style={{ marginTop: 16 }} />
+      </div>
+    );
+  }
+
+  if (error || !classInfo) {
+    return (
+      <div className="quiz-page">
+        <button className="quiz-back-button" onClick={() => navigate('/dashboard/classes')}>
+          <FaArrowLeft aria-hidden="true" /> All classes
+        </button>
+        <p className="quiz-error" role="alert">{error || 'Class not found.'}</p>
+      </div>
+    );
+  }
+
+  const { role } = classInfo;
+  // Instructors can remove students; anyone but the owner can leave
+  const canRemove = (member) =>
+    member.role !== 'owner' && (member.userId === user.id || role === 'owner' || (role === 'instructor' && member.role === 'student'));
+
+  return (
+    <div className="quiz-page">
+      <button className="quiz-back-button" onClick={() => navigate('/dashboard/classes')}>
+        <FaArrowLeft aria-hidden="true" /> All classes
+      </button>
+
+      <header className="quiz-header">
+        <h2>{classInfo.name}</h2>
+        <p className="quiz-meta">
+          You're {role === 'owner' ? 'the owner' : `a ${CLASS_ROLE_LABELS[role].toLowerCase()}`} · {members.length} member{members.length === 1 ? '' : 's'}
+        </p>
+        {classInfo.description && <p>{classInfo.description}</p>}
+        <Link to={`/dashboard/home?class=${classId}`} className="class-library-link">
+          Open the class library
+        </Link>
+      </header>
+
+      {canManage(role) && draft && (
+        <form className="class-form" onSubmit={handleSave}>
+          <h3>Settings</h3>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+            aria-label="Class name"
+            maxLength={100}
+          />
+          <textarea
+            value={draft.description}
+            onChange={(e) => setDraft(prev => ({ ...prev, description: e.target.value }))}
+            placeholder="Description"
+            aria-label="Class description"
+            rows={2}
+            maxLength={2000}
+          />
+          <label className="class-checkbox">
+            <input
+              type="checkbox"
+              checked={draft.studentsCanPost}
+              onChange={(e) => setDraft(prev => ({ ...prev, studentsCanPost: e.target.checked }))}
+            />
+            Students can post modules
+          </label>
+          <button type="submit" className="create-btn">
+            <FaSave aria-hidden="true" /> Save
+          </button>
+        </form>
+      )}
+
+      {canInvite(role) && (
+        <section className="class-section">
+          <h3>Invite people</h3>
+          {classInfo.joinCode && (
+            <div className="class-join-code">
+              <span>Join code: <code>{classInfo.joinCode}</code></span>
+              <button type="button" onClick={handleCopyCode} aria-label="Copy join code">
+                <FaCopy aria-hidden="true" /> Copy
+              </button>
+              {canManage(role) && (
+                <button type="button" onClick={handleRotateCode} aria-label="Make a new join code">
+                  <FaSyncAlt aria-hidden="true" /> New code
+                </button>
+              )}
+            </div>
+          )}
+
+          <form className="class-form" onSubmit={handleInvite}>
+            <textarea
+              value={inviteEmails}
+              onChange={(e) => setInviteEmails(e.target.value)}
+              placeholder="Email addresses, separated by commas or new lines"
+              aria-label="Email addresses to invite"
+              rows={2}
+            />
+            {canManage(role) && (
+              <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} aria-label="Invite as">
+                <option value="student">As students</option>
+                <option value="instructor">As instructors</option>
+              </select>
+            )}
+            <button type="submit" className="create-btn" disabled={sending}>
+              <FaEnvelope aria-hidden="true" /> {sending ? 'Inviting...' : 'Invite'}
+            </button>
+          </form>
+
+          {invites.length > 0 && (
+            <ul className="quiz-list">
+              {invites.map(invite => (
+                <li key={invite.id} className="quiz-list-item class-row">
+                  <span>
+                    {invite.email}
+                    <span className="quiz-meta">Invited as {CLASS_ROLE_LABELS[invite.role].toLowerCase()}</span>
+                  </span>
+                  {(canManage(role) || invite.role === 'student') && (
+                    <button type="button" onClick={() => handleRevoke(invite)} aria-label={`Revoke invite for ${invite.email}`}>
+                      Revoke
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+
+      <section className="class-section">
+        <h3>Members</h3>
+        <ul className="quiz-list">
+          {members.map(member => (
+            <li key={member.userId} className="quiz-list-item class-row">
+              <span>
+                <strong>{member.userId === user.id ? 'You' : member.name}</strong>
+                {member.email && <span className="quiz-meta">{member.email}</span>}
+              </span>
+              <span className="class-row-actions">
+                {canManage(role) && member.role !== 'owner' ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => handleRoleChange(member, e.target.value)}
+                    aria-label={`Role of ${member.name}`}
+                  >
+                    <option value="student">{CLASS_ROLE_LABELS.student}</option>
+                    <option value="instructor">{CLASS_ROLE_LABELS.instructor}</option>
+                  </select>
+                ) : (
+                  <span className="quiz-meta">{CLASS_ROLE_LABELS[member.role]}</span>
+                )}
+                {canRemove(member) && (
+                  <button
+                    type="button"
+                    onClick={() => handleRemove(member)}
+                    aria-label={member.userId === user.id ? 'Leave class' : `Remove ${member.name}`}
+                  >
+                    <FaUserMinus aria-hidden="true" /> {member.userId === user.id ? 'Leave' : 'Remove'}
+                  </button>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      {canManage(role) && (
+        <button className="delete-folder-button" onClick={handleDelete} aria-label="Delete class">
+          <FaTrash aria-hidden="true" /> Delete class
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ClassPage;
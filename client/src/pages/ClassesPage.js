@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { FaPlus, FaSignInAlt, FaCheck, FaTimes } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import Skeleton from 'react-loading-skeleton';
+import 'react-loading-skeleton/dist/skeleton.css';
+import useAuthStatus from '../hooks/useAuthStatus';
+import {
+  CLASS_ROLE_LABELS,
+  fetchClassesApi,
+  createClassApi,
+  joinClassApi,
+  fetchMyInvitesApi,
+  acceptInviteApi,
+  declineInviteApi,
+} from '../utils/ClassHelpers';
+
+function ClassesPage() {
+  const { user, authLoading } = useAuthStatus();
+  const navigate = useNavigate();
+  const [classes, setClasses] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newClass, setNewClass] = useState({ name: '', description: '' });
+  const [joinCode, setJoinCode] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadClasses = useCallback(async () => {
+    try {
+      const [classList, inviteList] = await Promise.all([fetchClassesApi(), fetchMyInvitesApi()]);
+      setClasses(classList);
+      setInvites(inviteList);
+    } catch (err) {
+      console.error('❌ Failed to load classes:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!authLoading && user) loadClasses();
+  }, [authLoading, user, loadClasses]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newClass.name.trim()) {
+      toast.error('Give the class a name.');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const created = await createClassApi(newClass);
+      toast.success(`Created ${created.name}.`);
+      navigate(`/dashboard/classes/${created.id}`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to create class.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    if (!joinCode.trim()) return;
+
+    setBusy(true);
+    try {
+      const { class: joined, alreadyMember } = await joinClassApi(joinCode);
+      toast.success(alreadyMember ? `You're already in ${joined.name}.` : `Joined ${joined.name}.`);
+      navigate(`/dashboard/classes/${joined.id}`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to join class.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAccept = async (invite) => {
+    try {
+      const joined = await acceptInviteApi(invite.id);
+      toast.success(`Joined ${joined.name}.`);
+      loadClasses();
+    } catch (err) {
+      toast.error(err.message || 'Failed to accept invite.');
+    }
+  };
+
+  const handleDecline = async (invite) => {
+    try {
+      await declineInviteApi(invite.id);
+      setInvites(prev => prev.filter(i => i.id !== invite.id));
+    } catch (err) {
+      toast.error(err.message || 'Failed to decline invite.');
+    }
+  };
+
+  return (
+    <div className="quiz-page">
+      <header className="quiz-header">
+        <h2>Classes</h2>
+        <p className="quiz-meta">Share modules with a class or study group.</p>
+      </header>
+
+      {invites.length > 0 && (
+        <section className="class-section">
+          <h3>Invites</h3>
+          <ul className="quiz-list">
+            {invites.map(invite => (
+              <li key={invite.id} className="quiz-list-item class-row">
+                <span>
+                  <strong>{invite.className || 'A class'}</strong>
+                  <span className="quiz-meta">Join as {CLASS_ROLE_LABELS[invite.role].toLowerCase()}</span>
+                </span>
+                <span className="class-row-actions">
+                  <button type="button" onClick={() => handleAccept(invite)} aria-label={`Accept invite to ${invite.className}`}>
+                    <FaCheck aria-hidden="true" /> Accept
+                  </button>
+                  <button type="button" onClick={() => handleDecline(invite)} aria-label={`Decline invite to ${invite.className}`}>
+                    <FaTimes aria-hidden="true" /> Decline
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <div className="class-forms">
+        <form className="class-form" onSubmit={handleJoin}>
+          <h3>Join a class</h3>
+          <input
+            type="text"
+            value={joinCode}
+            onChange={(e) => setJoinCode(e.target.value)}
+            placeholder="Join code"
+            aria-label="Join code"
+            maxLength={20}
+          />
+          <button type="submit" className="create-btn" disabled={busy}>
+            <FaSignInAlt aria-hidden="true" /> Join
+          </button>
+        </form>
+
+        <form className="class-form" onSubmit={handleCreate}>
+          <h3>Create a class</h3>
+          <input
+            type="text"
+            value={newClass.name}
+            onChange={(e) => setNewClass(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Class name"
+            aria-label="Class name"
+            maxLength={100}
+          />
+          <textarea
+            value={newClass.description}
+            onChange={(e) => setNewClass(prev => ({ ...prev, description: e.target.value }))}
+            placeholder="Description (optional)"
+            aria-label="Class description"
+            rows={2}
+            maxLength={2000}
+          />
+          <button type="submit" className="create-btn" disabled={busy}>
+            <FaPlus aria-hidden="true" /> Create
+          </button>
+        </form>
+      </div>
+
+      <section className="class-section">
+        <h3>Your classes</h3>
+        {loading || authLoading ? (
+          <Skeleton count={3} height={64} style={{ marginBottom: 12 }} />
+        ) : error ? (
+          <p className="quiz-error" role="alert">{error}</p>
+        ) : classes.length === 0 ? (
+          <p className="quiz-empty">You're not in any classes yet.</p>
+        ) : (
+          <ul className="quiz-list">
+            {classes.map(c => (
+              <li key={c.id} className="quiz-list-item class-row">
+                <span>
+                  <Link to={`/dashboard/classes/${c.id}`}>
+                    <strong>{c.name}</strong>
+                  </Link>
+                  <span className="quiz-meta">
+                    {CLASS_ROLE_LABELS[c.role]} · {c.memberCount} member{c.memberCount === 1 ? '' : 's'} · {c.moduleCount} module{c.moduleCount === 1 ? '' : 's'}
+                  </span>
+                </span>
+                <Link to={`/dashboard/home?class=${c.id}`} className="class-library-link">
+                  Open library
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default ClassesPage;
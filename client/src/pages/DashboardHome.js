@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { supabase } from '../supabaseClient';
-import { FaRegBookmark, FaBookmark, FaDownload, FaEye} from 'react-icons/fa';
+import { FaRegBookmark, FaBookmark, FaDownload, FaEye, FaClipboardCheck, FaLayerGroup, FaUsers } from 'react-icons/fa';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import useAuthStatus from '../hooks/useAuthStatus';
 import { toast } from 'react-toastify';
 import FileViewer from "../components/FileViewer";
@@ -8,9 +9,34 @@ import { useDropzone } from 'react-dropzone';
 import Skeleton from 'react-loading-skeleton';
 import 'react-loading-skeleton/dist/skeleton.css';
 import API_BASE_URL from '../config';
+import { generateQuizApi } from '../utils/QuizHelpers';
+import { generateFlashcardsApi } from '../utils/FlashcardHelpers';
+import {
+  applyModuleSummary,
+  VISIBILITY_OPTIONS,
+  fetchModuleFileLinkApi,
+  downloadModuleFile,
+  getModuleFileExtension,
+} from '../utils/ModuleHelpers';
+import ModuleSummary from '../components/ModuleSummary';
+import ModuleEditModal from '../components/ModuleEditModal';
+import ReportModuleModal from '../components/ReportModuleModal';
+import StarRating from '../components/StarRating';
+import ModuleVisibilityControl from '../components/ModuleVisibilityControl';
+import {
+  fetchClassesApi,
+  canPostTo,
+  canPin,
+  postModuleToClassApi,
+  removeModuleFromClassApi,
+  setModulePinnedApi,
+} from '../utils/ClassHelpers';
+import { getErrorMessage } from '../utils/apiRequest';
 
 function Dashboard() {
   const { user, authLoading } = useAuthStatus();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [modules, setModules] = useState([]); 
   const [savedModuleIds, setSavedModuleIds] = useState(new Set());
   const [showDeleteModal, setShowDeleteModal] = useState(false);
@@ -19,12 +45,15 @@ function Dashboard() {
   const [loading, setLoading] = useState(true);
 
   const [searchTerm, setSearchTerm] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [searching, setSearching] = useState(false);
   const [sortOption, setSortOption] = useState('latest');
   const [dateFilter, setDateFilter] = useState('all');
 
   const [showUploadModal, setShowUploadModal] = useState(false);
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
+  const [visibility, setVisibility] = useState('private');
   const [file, setFile] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
@@ -33,6 +62,17 @@ function Dashboard() {
   const [showViewer, setShowViewer] = useState(false);
   const [currentFileUrl, setCurrentFileUrl] = useState(null);
   const [currentFileName, setCurrentFileName] = useState(null);
+  const [currentModuleId, setCurrentModuleId] = useState(null);
+  const [editingModuleId, setEditingModuleId] = useState(null);
+  const [reportingModule, setReportingModule] = useState(null);
+  const [generatingQuizId, setGeneratingQuizId] = useState(null);
+  const [generatingFlashcardsId, setGeneratingFlashcardsId] = useState(null);
+
+  // The class switcher picks between the user's own modules and a class library
+  const [classes, setClasses] = useState([]);
+  const selectedClassId = searchParams.get('class') || '';
+  const selectedClass = classes.find(c => c.id === selectedClassId) || null;
+  const postableClasses = classes.filter(canPostTo);
 
 
   // Store file info state (size, type, pages)
@@ -70,7 +110,10 @@ function Dashboard() {
 
         console.log('🔑 Using token for authentication');
 
-        const response = await fetch(`${API_BASE_URL}/api/get-modules?user_id=${user.id}`, {
+        const query = selectedClassId
+          ? `class_id=${encodeURIComponent(selectedClassId)}`
+          : `user_id=${user.id}`;
+        const response = await fetch(`${API_BASE_URL}/api/get-modules?${query}`, {
           method: 'GET',
           headers: {
             'Authorization': `Bearer ${token}`,
@@ -103,6 +146,12 @@ function Dashboard() {
       } catch (err) {
         console.error('❌ Error fetching modules:', err);
         toast.error('Failed to load modules: ' + err.message);
+
+        // The fallback only knows the user's own modules
+        if (selectedClassId) {
+          setModules([]);
+          return;
+        }
         
         // Fallback to direct Supabase query
         try {
@@ -139,8 +188,21 @@ function Dashboard() {
     } else if (!authLoading && !user) {
       setLoading(false);
     }
+  }, [user, authLoading, selectedClassId]);
+
+  useEffect(() => {
+    if (authLoading || !user) return;
+
+    fetchClassesApi()
+      .then(setClasses)
+      .catch(err => console.error('❌ Failed to load classes:', err));
   }, [user, authLoading]);
 
+  // Uploads made from a class library are shared with the class by default
+  useEffect(() => {
+    setVisibility(selectedClassId ? 'class' : 'private');
+  }, [selectedClassId]);
+
   useEffect(() => {
     if (!user) return;
 
@@ -164,6 +226,47 @@ function Dashboard() {
     fetchSaved();
   }, [user]);
 
+  // Server-side search over titles, descriptions and extracted file text
+  useEffect(() => {
+    const query = searchTerm.trim();
+    // Search covers the user's own and public modules, so a class library is filtered locally
+    if (!user || query.length < 2 || selectedClassId) {
+      setSearchResults(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setSearching(true);
+        const { data: { session } } = await supabase.auth.getSession();
+        const token = session?.access_token;
+        if (!token) return;
+
+        const params = new URLSearchParams({ q: query, limit: '50' });
+        const response = await fetch(`${API_BASE_URL}/api/modules/search?${params}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+
+        if (!response.ok) throw new Error(`HTTP ${response.status}: Search failed`);
+
+        const result = await response.json();
+        if (!cancelled) setSearchResults(result.results || []);
+      } catch (err) {
+        console.error('❌ Search error:', err);
+        // Fall back to filtering the already loaded modules
+        if (!cancelled) setSearchResults(null);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchTerm, user, selectedClassId]);
+
    const getFriendlyFileType = (mimeType, fileName = "") => {
     const ext = fileName.split(".").pop().toLowerCase();
     const map = {
@@ -281,13 +384,14 @@ function Dashboard() {
 
       if (!res.ok) {
         const result = await res.json();
-        throw new Error(result.error || `HTTP ${res.status}: Failed to delete`);
+        throw new Error(getErrorMessage(result, `HTTP ${res.status}: Failed to delete`));
       }
 
       const result = await res.json();
       console.log('Delete response:', result);
 
       setModules(prev => prev.filter(m => m.id !== moduleToDelete));
+      setSearchResults(prev => prev && prev.filter(m => m.id !== moduleToDelete));
       const updatedSaved = new Set(savedModuleIds);
       updatedSaved.delete(moduleToDelete);
       setSavedModuleIds(updatedSaved);
@@ -334,6 +438,10 @@ function Dashboard() {
           const formData = new FormData();
           formData.append('title', title);
           formData.append('description', description);
+          formData.append('visibility', visibility);
+          if (selectedClassId) {
+            formData.append('class_id', selectedClassId);
+          }
     
           if (file) {
             formData.append('file', file);
@@ -354,7 +462,7 @@ function Dashboard() {
     
           if (!res.ok) {
             const result = await res.json();
-            throw new Error(result.error || `HTTP ${res.status}: Upload failed`);
+            throw new Error(getErrorMessage(result, `HTTP ${res.status}: Upload failed`));
           }
     
           const result = await res.json();
@@ -370,11 +478,16 @@ function Dashboard() {
           setUploadProgress(100);
           setMessage('✅ Module uploaded successfully!');
           toast.success('✅ Module uploaded successfully!');
+          // Extraction runs in the background; only a file it can't read is known now
+          if (result.extraction && ['failed', 'unsupported'].includes(result.extraction.status)) {
+            toast.warning(`⚠️ File text could not be extracted: ${result.extraction.error || result.extraction.status}`);
+          }
     
           setTimeout(() => {
             setShowUploadModal(false);
             setTitle('');
             setDescription('');
+            setVisibility(selectedClassId ? 'class' : 'private');
             setFile(null);
             setMessage('');
           }, 1000);
@@ -392,42 +505,128 @@ function Dashboard() {
       };
 
 
-  const handleViewFile = (fileUrl, fileName) => {
+  const handleGenerateQuiz = async (module) => {
+    setGeneratingQuizId(module.id);
+    const toastId = toast.loading(`Generating a quiz for "${module.title}"...`);
+    try {
+      const quiz = await generateQuizApi(module.id);
+      toast.update(toastId, { render: '✅ Quiz ready!', type: 'success', isLoading: false, autoClose: 1500 });
+      navigate(`/dashboard/quizzes/${quiz.id}`);
+    } catch (err) {
+      console.error('❌ Quiz generation error:', err.message);
+      toast.update(toastId, { render: `❌ ${err.message}`, type: 'error', isLoading: false, autoClose: 4000 });
+    } finally {
+      setGeneratingQuizId(null);
+    }
+  };
+
+  const handleGenerateFlashcards = async (module) => {
+    setGeneratingFlashcardsId(module.id);
+    const toastId = toast.loading(`Generating flashcards for "${module.title}"...`);
+    try {
+      const { deck, cards } = await generateFlashcardsApi(module.id);
+      toast.update(toastId, { render: `✅ Added ${cards.length} flashcards!`, type: 'success', isLoading: false, autoClose: 1500 });
+      navigate(`/dashboard/flashcards/${deck.id}`);
+    } catch (err) {
+      console.error('❌ Flashcard generation error:', err.message);
+      toast.update(toastId, { render: `❌ ${err.message}`, type: 'error', isLoading: false, autoClose: 4000 });
+    } finally {
+      setGeneratingFlashcardsId(null);
+    }
+  };
+
+  // Keeps cards, search results and the viewer in step as summaries arrive or are edited
+  const handleSummaryChange = useCallback((summary) => {
+    const update = (list) => list.map(m => (m.id === summary.moduleId ? applyModuleSummary(m, summary) : m));
+    setModules(update);
+    setSearchResults(prev => (prev ? update(prev) : prev));
+  }, []);
+
+  const editingModule = editingModuleId && (searchResults ?? modules).find(m => m.id === editingModuleId);
+  const viewerModule = (searchResults ?? modules).find(m => m.id === currentModuleId);
+
+  const handleModuleUpdated = useCallback((updated) => {
+    const update = (list) => list.map(m => (m.id === updated.id ? { ...m, ...updated } : m));
+    setModules(update);
+    setSearchResults(prev => (prev ? update(prev) : prev));
+  }, []);
+
+  // A report that hides the module takes it out of everyone's list but the uploader's
+  const handleModuleReported = ({ hidden }) => {
+    if (!hidden) return;
+    const moduleId = reportingModule.id;
+    const remove = (list) => list.filter(m => m.id !== moduleId);
+    setModules(remove);
+    setSearchResults(prev => (prev ? remove(prev) : prev));
+  };
+
+  const openViewer = (fileUrl, fileName, moduleId = null) => {
     if (!fileUrl) {
       toast.error("No file available to view");
       return;
     }
     setCurrentFileUrl(fileUrl);
     setCurrentFileName(fileName);
+    setCurrentModuleId(moduleId);
     setShowViewer(true);
   };
 
-  const handleDownloadFile = async (fileUrl, fileName) => {
-    if (!fileUrl) {
-      toast.error('No file available for download');
-      return;
+  // File links expire, so ask for a fresh one each time the file is opened
+  const handleViewFile = async (module) => {
+    try {
+      const { url, fileName } = await fetchModuleFileLinkApi(module.id);
+      openViewer(url, fileName, module.id);
+    } catch (err) {
+      console.error('❌ Could not open file:', err);
+      toast.error(err.message || 'Could not open file');
     }
+  };
+
+  const handleClassChange = (classId) => {
+    setSearchParams(classId ? { class: classId } : {});
+    setCurrentPage(1);
+  };
 
+  const handlePostToClass = async (module, classId) => {
     try {
-      const response = await fetch(fileUrl);
-      if (!response.ok) throw new Error('Failed to fetch file');
+      const result = await postModuleToClassApi(classId, module.id);
+      handleModuleUpdated({ id: module.id, class_id: result.classId, visibility: result.visibility });
+      const target = classes.find(c => c.id === classId);
+      toast.success(`👥 Posted to ${target?.name || 'the class'}.`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to post module to class');
+    }
+  };
 
-      const blob = await response.blob();
-      const url = window.URL.createObjectURL(blob);
+  const handleRemoveFromClass = async (module) => {
+    if (!window.confirm(`Remove "${module.title}" from ${selectedClass?.name || 'this class'}? The uploader keeps it.`)) return;
 
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = fileName || 'module-file';
-      document.body.appendChild(link);
-      link.click();
+    try {
+      await removeModuleFromClassApi(module.class_id, module.id);
+      setModules(prev => prev.filter(m => m.id !== module.id));
+      toast.success('Module removed from the class.');
+    } catch (err) {
+      toast.error(err.message || 'Failed to remove module from class');
+    }
+  };
 
-      link.remove();
-      window.URL.revokeObjectURL(url);
+  const handleTogglePin = async (module) => {
+    try {
+      const { pinnedAt } = await setModulePinnedApi(module.class_id, module.id, !module.pinned_at);
+      handleModuleUpdated({ id: module.id, pinned_at: pinnedAt });
+    } catch (err) {
+      toast.error(err.message || 'Failed to pin module');
+    }
+  };
 
+  const handleDownloadFile = async (module) => {
+    try {
+      const downloadCount = await downloadModuleFile(module.id);
+      handleModuleUpdated({ id: module.id, download_count: downloadCount });
       toast.success('📥 Download started!');
     } catch (err) {
       console.error('❌ Download error:', err);
-      toast.error('Download failed');
+      toast.error(err.message || 'Download failed');
     }
   };
 
@@ -519,14 +718,20 @@ function Dashboard() {
     }
   };
 
-  const filteredModules = modules
+  const filteredModules = (searchResults ?? modules)
     .filter(m => {
-      const matchesSearch = m.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      // Server search results are already matched against the query
+      const matchesSearch = searchResults !== null ||
+                           m.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
                            m.description.toLowerCase().includes(searchTerm.toLowerCase());
       const matchesDate = getDateFilter(m.uploadedAt);
       return matchesSearch && matchesDate;
     })
     .sort((a, b) => {
+      // Pinned modules stay on top of a class library
+      if (selectedClassId && !!a.pinned_at !== !!b.pinned_at) {
+        return a.pinned_at ? -1 : 1;
+      }
       switch (sortOption) {
         case 'oldest':
           return new Date(a.uploadedAt) - new Date(b.uploadedAt);
@@ -544,6 +749,12 @@ function Dashboard() {
           const aType = fileInfo[a.id]?.type || '';
           const bType = fileInfo[b.id]?.type || '';
           return aType.localeCompare(bType);
+        case 'topRated':
+          return (b.rating_average || 0) - (a.rating_average || 0)
+            || (b.rating_count || 0) - (a.rating_count || 0)
+            || new Date(b.uploadedAt) - new Date(a.uploadedAt);
+        case 'relevance':
+          return (b.score || 0) - (a.score || 0);
         default: // 'latest'
           return new Date(b.uploadedAt) - new Date(a.uploadedAt);
       }
@@ -558,8 +769,21 @@ function Dashboard() {
     <div className="dashboard-page">
       <div className="dashboard-headerss-wrapper">
         <div className="dashboard-headerss">
-          <h2>📘 Available Modules</h2>
+          <h2>{selectedClass ? `👥 ${selectedClass.name}` : '📘 Available Modules'}</h2>
           <div className="module-controls">
+            {classes.length > 0 && (
+              <select
+                onChange={e => handleClassChange(e.target.value)}
+                className="sort-dropdown class-switcher"
+                value={selectedClassId}
+                aria-label="Show modules from"
+              >
+                <option value="">My Modules</option>
+                {classes.map(c => (
+                  <option key={c.id} value={c.id}>👥 {c.name}</option>
+                ))}
+              </select>
+            )}
             <input
               type="text"
               placeholder="Search modules..."
@@ -567,6 +791,11 @@ function Dashboard() {
               value={searchTerm}
               onChange={e => {
                 setSearchTerm(e.target.value);
+                if (e.target.value.trim() && sortOption === 'latest') {
+                  setSortOption('relevance'); // Rank search hits by relevance by default
+                } else if (!e.target.value.trim() && sortOption === 'relevance') {
+                  setSortOption('latest');
+                }
                 setCurrentPage(1); // Reset to first page when searching
               }}
               aria-label="Search modules by title or description"
@@ -580,8 +809,10 @@ function Dashboard() {
               value={sortOption}
               aria-label="Sort modules by"
             >
+              {searchTerm.trim() && <option value="relevance">Best Match</option>}
               <option value="latest">Newest First</option>
               <option value="oldest">Oldest First</option>
+              <option value="topRated">Top Rated</option>
               <option value="alphabetical">A–Z (Title)</option>
               <option value="fileSize">File Size (Smallest)</option>
               <option value="fileSizeDesc">File Size (Largest)</option>
@@ -600,16 +831,24 @@ function Dashboard() {
               <option value="30days">Last 30 Days</option>
               <option value="month">This Month</option>
             </select>
-            <button onClick={() => setShowUploadModal(true)} className="floating-upload-button">
-              Upload Module
-            </button>
+            {(!selectedClassId || canPostTo(selectedClass)) && (
+              <button onClick={() => setShowUploadModal(true)} className="floating-upload-button">
+                Upload Module
+              </button>
+            )}
           </div>
         </div>
         <div className="dashboard-divider"></div>
       </div>
     
-        {!loading && filteredModules.length === 0 && (
-          <div className="dashboard-empty">You haven't uploaded any modules yet.</div>
+        {!loading && !searching && filteredModules.length === 0 && (
+          <div className="dashboard-empty">
+            {searchTerm.trim()
+              ? `No modules match "${searchTerm.trim()}".`
+              : selectedClassId
+                ? 'No modules have been posted to this class yet.'
+                : "You haven't uploaded any modules yet."}
+          </div>
         )}
     
       <div className="module-list" style={{ transition: 'all 0.3s ease' }}>
@@ -617,14 +856,14 @@ function Dashboard() {
           <div key={module.id} className="module-card" style={{ transition: 'all 0.3s ease' }}>
             <div className="module-card-header">
               <h3
-                onClick={() => window.location.href = `/module/${module.id}`}
+                onClick={() => navigate(`/dashboard/modules/${module.id}`)}
                 className="module-title"
                 tabIndex={0}
                 role="button"
                 aria-label={`View module: ${module.title}`}
                 onKeyDown={(e) => {
                   if (e.key === 'Enter' || e.key === ' ') {
-                    window.location.href = `/module/${module.id}`;
+                    navigate(`/dashboard/modules/${module.id}`);
                   }
                 }}
               >
@@ -649,7 +888,7 @@ function Dashboard() {
       <div className="module-preview" style={{ transition: 'all 0.3s ease', display: 'flex', justifyContent: 'center', alignItems: 'center' }}>
   {module.file_url ? (
     <>
-      {module.file_url.toLowerCase().endsWith(".pdf") && (
+      {getModuleFileExtension(module) === "pdf" && (
         <iframe
           src={module.file_url}
           width="300"
@@ -665,7 +904,7 @@ function Dashboard() {
       )}
 
       {/* DOCX / PPTX via Office Viewer */}
-      {(module.file_url.endsWith(".docx") || module.file_url.endsWith(".pptx")) && (
+      {["docx", "pptx"].includes(getModuleFileExtension(module)) && (
         <iframe
           src={`https://view.officeapps.live.com/op/embed.aspx?src=${encodeURIComponent(module.file_url)}`}
           width="300"
@@ -676,7 +915,7 @@ function Dashboard() {
       )}
 
       {/* TXT preview */}
-      {module.file_url.endsWith(".txt") && (
+      {getModuleFileExtension(module) === "txt" && (
         <iframe
           src={module.file_url}
           width="300"
@@ -687,10 +926,7 @@ function Dashboard() {
       )}
 
       {/* Fallback for unsupported types */}
-      {!(module.file_url.endsWith(".pdf") ||
-         module.file_url.endsWith(".docx") ||
-         module.file_url.endsWith(".pptx") ||
-         module.file_url.endsWith(".txt")) && (
+      {!["pdf", "docx", "pptx", "txt"].includes(getModuleFileExtension(module)) && (
         <div
           style={{
             width: "300px",
@@ -734,23 +970,51 @@ function Dashboard() {
               <p><strong>Outline:</strong></p>
               <p>{module.description}</p>
 
+              <ModuleSummary module={module} compact onChange={handleSummaryChange} />
+
+              {module.user_id === user.id && (
+                <ModuleVisibilityControl module={module} onChange={handleModuleUpdated} />
+              )}
+
+              {module.snippet && module.snippet.source !== 'title' && (
+                <p className="module-search-snippet" style={{ fontSize: '14px', color: '#555' }}>
+                  <HighlightedSnippet snippet={module.snippet} />
+                </p>
+              )}
+
               <div className="file-actions">
                 {module.file_url ? (
                   <>
                     <button
                       className="view-file-button"
-                      onClick={() => handleViewFile(module.file_url, module.file_name)}
+                      onClick={() => handleViewFile(module)}
                       aria-label={`View file: ${module.file_name || module.title}`}
                     >
                       <FaEye aria-hidden="true" /> View File
                     </button>
                     <button
                       className="download-file-button"
-                      onClick={() => handleDownloadFile(module.file_url, module.file_name || `${module.title}.pdf`)}
+                      onClick={() => handleDownloadFile(module)}
                       aria-label={`Download file: ${module.file_name || module.title}`}
                     >
                       <FaDownload aria-hidden="true" /> Download
                     </button>
+                    <button
+                      className="quiz-module-button"
+                      onClick={() => handleGenerateQuiz(module)}
+                      disabled={generatingQuizId === module.id}
+                      aria-label={`Generate a quiz from: ${module.title}`}
+                    >
+                      <FaClipboardCheck aria-hidden="true" /> {generatingQuizId === module.id ? 'Generating...' : 'Quiz'}
+                    </button>
+                    <button
+                      className="quiz-module-button"
+                      onClick={() => handleGenerateFlashcards(module)}
+                      disabled={generatingFlashcardsId === module.id}
+                      aria-label={`Generate flashcards from: ${module.title}`}
+                    >
+                      <FaLayerGroup aria-hidden="true" /> {generatingFlashcardsId === module.id ? 'Generating...' : 'Flashcards'}
+                    </button>
                   </>
                 ) : (
                   <div className="no-file-message" aria-label="No file attached to this module">
@@ -762,18 +1026,100 @@ function Dashboard() {
               <p>
                 Uploaded by: <strong>{module.uploadedBy}</strong> <br />
                 on {formatDate(module.uploadedAt)}
+                {module.file_url && <><br />📥 {module.download_count ?? 0} download{module.download_count === 1 ? '' : 's'}</>}
               </p>
-            </div>
-
-            <div className="module-card-footer">
               <button
-                onClick={() => handleDeleteClick(module.id)}
-                className="delete-module-button"
-                aria-label={`Delete module: ${module.title}`}
+                className="module-rating-summary"
+                onClick={() => navigate(`/dashboard/modules/${module.id}#reviews`)}
+                aria-label={`Reviews of ${module.title}`}
               >
-                🗑️ Delete Module
+                <StarRating value={module.rating_average} label="Average rating" />{' '}
+                {module.rating_count > 0
+                  ? `${Number(module.rating_average).toFixed(1)} (${module.rating_count})`
+                  : module.user_id === user.id ? 'No reviews yet' : 'Be the first to review'}
+              </button>
+              <button
+                className="module-rating-summary"
+                onClick={() => navigate(`/dashboard/modules/${module.id}#comments`)}
+                aria-label={`Discussion on ${module.title}`}
+              >
+                💬 {module.comment_count ?? 0} comment{module.comment_count === 1 ? '' : 's'}
               </button>
             </div>
+
+            <div className="module-card-footer">
+              {!selectedClassId && module.class_id && (
+                <span className="module-class-badge">
+                  <FaUsers aria-hidden="true" /> {classes.find(c => c.id === module.class_id)?.name || 'Class'}
+                </span>
+              )}
+              {!selectedClassId && !module.class_id && postableClasses.length > 0 && (
+                <select
+                  className="post-to-class-select"
+                  value=""
+                  onChange={e => e.target.value && handlePostToClass(module, e.target.value)}
+                  aria-label={`Post ${module.title} to a class`}
+                >
+                  <option value="">👥 Post to class…</option>
+                  {postableClasses.map(c => (
+                    <option key={c.id} value={c.id}>{c.name}</option>
+                  ))}
+                </select>
+              )}
+              {selectedClass && module.pinned_at && (
+                <span className="module-class-badge">📌 Pinned</span>
+              )}
+              {canPin(selectedClass?.role) && (
+                <button
+                  onClick={() => handleTogglePin(module)}
+                  className="edit-module-button"
+                  aria-label={`${module.pinned_at ? 'Unpin' : 'Pin'} ${module.title}`}
+                >
+                  📌 {module.pinned_at ? 'Unpin' : 'Pin'}
+                </button>
+              )}
+              {selectedClass && (selectedClass.role !== 'student' || module.user_id === user.id) && (
+                <button
+                  onClick={() => handleRemoveFromClass(module)}
+                  className="edit-module-button"
+                  aria-label={`Remove ${module.title} from the class`}
+                >
+                  ➖ Remove from class
+                </button>
+              )}
+              {module.user_id === user.id && module.hidden_at && (
+                <span className="module-hidden-badge" title="Several people reported this module. Only you can see it until an admin reviews it.">
+                  🚩 Hidden pending review
+                </span>
+              )}
+              {module.user_id !== user.id && (
+                <button
+                  onClick={() => setReportingModule(module)}
+                  className="edit-module-button"
+                  aria-label={`Report module: ${module.title}`}
+                >
+                  🚩 Report
+                </button>
+              )}
+              {module.user_id === user.id && (
+                <>
+                  <button
+                    onClick={() => setEditingModuleId(module.id)}
+                    className="edit-module-button"
+                    aria-label={`Edit module: ${module.title}`}
+                  >
+                    ✏️ Edit
+                  </button>
+                  <button
+                    onClick={() => handleDeleteClick(module.id)}
+                    className="delete-module-button"
+                    aria-label={`Delete module: ${module.title}`}
+                  >
+                    🗑️ Delete Module
+                  </button>
+                </>
+              )}
+            </div>
           </div>
         ))}
       </div>
@@ -828,6 +1174,14 @@ function Dashboard() {
               
               <label>Attach a file:</label>
               <DropzoneComponent setFile={setFile} file={file} />
+
+              <label>Who can see it:</label>
+              {selectedClass && <p className="quiz-meta">Posting to 👥 {selectedClass.name}</p>}
+              <select value={visibility} onChange={e => setVisibility(e.target.value)}>
+                {VISIBILITY_OPTIONS.filter(option => option.value !== 'class' || selectedClassId).map(option => (
+                  <option key={option.value} value={option.value}>{option.label} – {option.hint}</option>
+                ))}
+              </select>
               
               {isSubmitting && (
                 <div className="upload-progress">
@@ -903,10 +1257,30 @@ function Dashboard() {
 
 
 
+      {editingModule && (
+        <ModuleEditModal
+          module={editingModule}
+          onClose={() => setEditingModuleId(null)}
+          onUpdated={handleModuleUpdated}
+          onViewFile={openViewer}
+        />
+      )}
+
+      {reportingModule && (
+        <ReportModuleModal
+          module={reportingModule}
+          onClose={() => setReportingModule(null)}
+          onReported={handleModuleReported}
+        />
+      )}
+
       {showViewer && (
         <FileViewer
           fileUrl={currentFileUrl}
           fileName={currentFileName}
+          module={viewerModule}
+          canEditSummary={viewerModule?.user_id === user.id}
+          onModuleSummaryChange={handleSummaryChange}
           onClose={() => setShowViewer(false)}
         />
       )}
@@ -914,6 +1288,20 @@ function Dashboard() {
       </div>
 )}
 
+function HighlightedSnippet({ snippet }) {
+  const parts = [];
+  let cursor = 0;
+
+  snippet.highlights.forEach(([start, end]) => {
+    if (start > cursor) parts.push(snippet.text.slice(cursor, start));
+    parts.push(<mark key={start}>{snippet.text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(snippet.text.slice(cursor));
+
+  return <>{parts}</>;
+}
+
 function DropzoneComponent({ setFile, file }) {
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop: (acceptedFiles) => {
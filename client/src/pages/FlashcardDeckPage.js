@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { FaArrowLeft, FaEdit, FaTrash, FaPlus, FaSave, FaTimes } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import Skeleton from 'react-loading-skeleton';
+import 'react-loading-skeleton/dist/skeleton.css';
+import useAuthStatus from '../hooks/useAuthStatus';
+import FlashcardReview from '../components/FlashcardReview';
+import {
+  CARD_KIND_LABELS,
+  fetchDeckApi,
+  deleteDeckApi,
+  addCardApi,
+  updateCardApi,
+  deleteCardApi,
+  formatDueIn,
+} from '../utils/FlashcardHelpers';
+
+const EMPTY_CARD = { kind: 'qa', front: '', back: '' };
+
+function FlashcardDeckPage() {
+  const { deckId } = useParams();
+  const navigate = useNavigate();
+  const { user, authLoading } = useAuthStatus();
+
+  const [deck, setDeck] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reviewing, setReviewing] = useState(false);
+  const [newCard, setNewCard] = useState(EMPTY_CARD);
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState(EMPTY_CARD);
+
+  const loadDeck = useCallback(async () => {
+    setError(null);
+    try {
+      setDeck(await fetchDeckApi(deckId));
+    } catch (err) {
+      console.error('❌ Failed to load deck:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [deckId]);
+
+  useEffect(() => {
+    if (!authLoading && user) loadDeck();
+  }, [authLoading, user, loadDeck]);
+
+  const replaceCard = (card) => {
+    setDeck(prev => ({ ...prev, cards: prev.cards.map(c => (c.id === card.id ? card : c)) }));
+  };
+
+  const handleAddCard = async (e) => {
+    e.preventDefault();
+    if (!newCard.front.trim() || !newCard.back.trim()) {
+      toast.error('Both sides of the card are required.');
+      return;
+    }
+    try {
+      const card = await addCardApi(deckId, newCard);
+      setDeck(prev => ({
+        ...prev,
+        cards: [...prev.cards, card],
+        cardCount: prev.cardCount + 1,
+        dueCount: prev.dueCount + 1,
+      }));
+      setNewCard(prev => ({ ...EMPTY_CARD, kind: prev.kind }));
+    } catch (err) {
+      toast.error(err.message || 'Failed to add card.');
+    }
+  };
+
+  const startEditing = (card) => {
+    setEditingId(card.id);
+    setEditDraft({ kind: card.kind, front: card.front, back: card.back });
+  };
+
+  const handleSaveEdit = async () => {
+    try {
+      replaceCard(await updateCardApi(editingId, editDraft));
+      setEditingId(null);
+    } catch (err) {
+      toast.error(err.message || 'Failed to update card.');
+    }
+  };
+
+  const handleDeleteCard = async (cardId) => {
+    if (!window.confirm('Delete this card?')) return;
+    try {
+      await deleteCardApi(cardId);
+      await loadDeck();
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete card.');
+    }
+  };
+
+  const handleDeleteDeck = async () => {
+    if (!window.confirm(`Delete the deck "${deck.title}" and all its cards?`)) return;
+    try {
+      await deleteDeckApi(deckId);
+      toast.success('Deck deleted.');
+      navigate('/dashboard/flashcards');
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete deck.');
+    }
+  };
+
+  const handleFinishReview = (reviewedCount) => {
+    setReviewing(false);
+    if (reviewedCount > 0) toast.success(`Reviewed ${reviewedCount} card${reviewedCount === 1 ? '' : 's'}.`);
+    loadDeck();
+  };
+
+  if (loading || authLoading) {
+    return (
+      <div className="quiz-page">
+        <Skeleton height={36} width="60%" />
+        <Skeleton count={6} height={60} style={{ marginTop: 16 }} />
+      </div>
+    );
+  }
+
+  if (error || !deck) {
+    return (
+      <div className="quiz-page">
+        <button className="quiz-back-button" onClick={() => navigate('/dashboard/flashcards')}>
+          <FaArrowLeft aria-hidden="true" /> All decks
+        </button>
+        <p className="quiz-error" role="alert">{error || 'Deck not found.'}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="quiz-page">
+      <button className="quiz-back-button" onClick={() => navigate('/dashboard/flashcards')}>
+        <FaArrowLeft aria-hidden="true" /> All decks
+      </button>
+
+      <header className="quiz-header">
+        <h2>{deck.title}</h2>
+        <p className="quiz-meta">{deck.cardCount} cards · {deck.dueCount} due now</p>
+      </header>
+
+      {reviewing ? (
+        <FlashcardReview deckId={deckId} onFinish={handleFinishReview} />
+      ) : (
+        <>
+          <div className="flashcard-deck-actions">
+            <button
+              className="quiz-submit-button"
+              onClick={() => setReviewing(true)}
+              disabled={deck.dueCount === 0}
+            >
+              {deck.dueCount > 0 ? `Review ${deck.dueCount} due card${deck.dueCount === 1 ? '' : 's'}` : 'Nothing due'}
+            </button>
+            <button className="delete-folder-button" onClick={handleDeleteDeck} aria-label="Delete deck">
+              <FaTrash aria-hidden="true" /> Delete deck
+            </button>
+          </div>
+
+          <form className="flashcard-edit-form" onSubmit={handleAddCard}>
+            <select
+              value={newCard.kind}
+              onChange={(e) => setNewCard(prev => ({ ...prev, kind: e.target.value }))}
+              aria-label="Card type"
+            >
+              {Object.entries(CARD_KIND_LABELS).map(([kind, label]) => (
+                <option key={kind} value={kind}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={newCard.front}
+              onChange={(e) => setNewCard(prev => ({ ...prev, front: e.target.value }))}
+              placeholder={newCard.kind === 'term' ? 'Term' : 'Question'}
+              maxLength={1000}
+            />
+            <input
+              type="text"
+              value={newCard.back}
+              onChange={(e) => setNewCard(prev => ({ ...prev, back: e.target.value }))}
+              placeholder={newCard.kind === 'term' ? 'Definition' : 'Answer'}
+              maxLength={1000}
+            />
+            <button type="submit" className="quiz-submit-button">
+              <FaPlus aria-hidden="true" /> Add
+            </button>
+          </form>
+
+          <ul className="flashcard-list">
+            {deck.cards.map(card => (
+              <li key={card.id} className="quiz-list-item flashcard-list-item">
+                {editingId === card.id ? (
+                  <div className="flashcard-edit-form">
+                    <textarea
+                      value={editDraft.front}
+                      onChange={(e) => setEditDraft(prev => ({ ...prev, front: e.target.value }))}
+                      maxLength={1000}
+                      aria-label="Front"
+                    />
+                    <textarea
+                      value={editDraft.back}
+                      onChange={(e) => setEditDraft(prev => ({ ...prev, back: e.target.value }))}
+                      maxLength={1000}
+                      aria-label="Back"
+                    />
+                    <button type="button" onClick={handleSaveEdit} aria-label="Save card">
+                      <FaSave aria-hidden="true" />
+                    </button>
+                    <button type="button" onClick={() => setEditingId(null)} aria-label="Cancel editing">
+                      <FaTimes aria-hidden="true" />
+                    </button>
+                  </div>
+                ) : (
+                  <>
+                    <div className="flashcard-list-text">
+                      <span className="quiz-question-type">{CARD_KIND_LABELS[card.kind]}</span>
+                      <strong>{card.front}</strong>
+                      <span>{card.back}</span>
+                      <span className="quiz-meta">
+                        {card.lastReviewedAt ? `Next review ${formatDueIn(card.dueAt)}` : 'New'}
+                      </span>
+                    </div>
+                    <div className="flashcard-list-actions">
+                      <button onClick={() => startEditing(card)} aria-label="Edit card">
+                        <FaEdit aria-hidden="true" />
+                      </button>
+                      <button onClick={() => handleDeleteCard(card.id)} aria-label="Delete card">
+                        <FaTrash aria-hidden="true" />
+                      </button>
+                    </div>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default FlashcardDeckPage;
@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Skeleton from 'react-loading-skeleton';
+import 'react-loading-skeleton/dist/skeleton.css';
+import useAuthStatus from '../hooks/useAuthStatus';
+import { fetchDecksApi } from '../utils/FlashcardHelpers';
+
+function FlashcardsPage() {
+  const { user, authLoading } = useAuthStatus();
+  const [decks, setDecks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (authLoading || !user) return;
+
+    const loadDecks = async () => {
+      try {
+        setDecks(await fetchDecksApi());
+      } catch (err) {
+        console.error('❌ Failed to load flashcard decks:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadDecks();
+  }, [user, authLoading]);
+
+  const totalDue = decks.reduce((sum, deck) => sum + deck.dueCount, 0);
+
+  return (
+    <div className="quiz-page">
+      <header className="quiz-header">
+        <h2>Flashcards</h2>
+        <p className="quiz-meta">
+          {totalDue > 0
+            ? `${totalDue} card${totalDue === 1 ? '' : 's'} due for review.`
+            : 'Generate a deck from any module on the Home page with the Flashcards button.'}
+        </p>
+      </header>
+
+      {loading || authLoading ? (
+        <Skeleton count={4} height={64} style={{ marginBottom: 12 }} />
+      ) : error ? (
+        <p className="quiz-error" role="alert">{error}</p>
+      ) : decks.length === 0 ? (
+        <p className="quiz-empty">No flashcard decks yet.</p>
+      ) : (
+        <ul className="quiz-list">
+          {decks.map(deck => (
+            <li key={deck.id} className="quiz-list-item">
+              <Link to={`/dashboard/flashcards/${deck.id}`}>
+                <strong>{deck.title}</strong>
+              </Link>
+              <span className="quiz-meta">
+                {deck.cardCount} card{deck.cardCount === 1 ? '' : 's'} · {deck.dueCount} due
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default FlashcardsPage;
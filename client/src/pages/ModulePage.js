@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useSearchParams, useNavigate, useLocation } from 'react-router-dom';
+import { FaArrowLeft, FaEye, FaDownload, FaBookmark } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import Skeleton from 'react-loading-skeleton';
+import 'react-loading-skeleton/dist/skeleton.css';
+import useAuthStatus from '../hooks/useAuthStatus';
+import FileViewer from '../components/FileViewer';
+import ModuleSummary from '../components/ModuleSummary';
+import ModuleVisibilityControl from '../components/ModuleVisibilityControl';
+import ModuleReviews from '../components/ModuleReviews';
+import ModuleComments from '../components/ModuleComments';
+import StarRating from '../components/StarRating';
+import {
+  VISIBILITY_OPTIONS,
+  fetchModuleApi,
+  fetchModuleFileLinkApi,
+  downloadModuleFile,
+  saveModuleApi,
+  applyModuleSummary,
+  applyModuleRating,
+} from '../utils/ModuleHelpers';
+
+// Landing page for a module's share link
+function ModulePage() {
+  const { moduleId } = useParams();
+  const [searchParams] = useSearchParams();
+  const shareToken = searchParams.get('share');
+  const navigate = useNavigate();
+  const { hash } = useLocation();
+  const { user, authLoading } = useAuthStatus();
+
+  const [module, setModule] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [viewerUrl, setViewerUrl] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (authLoading || !user) return;
+
+    const loadModule = async () => {
+      try {
+        setModule(await fetchModuleApi(moduleId, shareToken));
+      } catch (err) {
+        console.error('❌ Failed to load module:', err);
+        setError(err.status === 404 ? 'This module does not exist or is not shared with you.' : err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadModule();
+  }, [moduleId, shareToken, user, authLoading]);
+
+  // Links to #reviews or #comments land before the module has loaded, so scroll once it has
+  const moduleLoaded = !!module;
+  useEffect(() => {
+    if (moduleLoaded && (hash === '#reviews' || hash === '#comments')) {
+      document.getElementById(hash.slice(1))?.scrollIntoView();
+    }
+  }, [moduleLoaded, hash]);
+
+  const handleSummaryChange = useCallback((summary) => {
+    setModule(prev => applyModuleSummary(prev, summary));
+  }, []);
+
+  const handleViewFile = async () => {
+    try {
+      const { url } = await fetchModuleFileLinkApi(module.id, { shareToken });
+      setViewerUrl(url);
+    } catch (err) {
+      toast.error(err.message || 'Could not open file');
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      const downloadCount = await downloadModuleFile(module.id, shareToken);
+      setModule(prev => ({ ...prev, download_count: downloadCount }));
+    } catch (err) {
+      toast.error(err.message || 'Download failed');
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await saveModuleApi(module.id, shareToken);
+      window.dispatchEvent(new Event('saved-modules-updated'));
+      toast.success(`"${module.title}" saved to your bookmarks.`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to save module.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (loading || authLoading) {
+    return (
+      <div className="quiz-page">
+        <Skeleton height={36} width="60%" />
+        <Skeleton count={5} height={24} style={{ marginTop: 12 }} />
+      </div>
+    );
+  }
+
+  if (error || !module) {
+    return (
+      <div className="quiz-page">
+        <button className="quiz-back-button" onClick={() => navigate('/dashboard/home')}>
+          <FaArrowLeft aria-hidden="true" /> Home
+        </button>
+        <p className="quiz-error" role="alert">{error || 'Module not found.'}</p>
+      </div>
+    );
+  }
+
+  const visibilityLabel = VISIBILITY_OPTIONS.find(option => option.value === module.visibility)?.label;
+
+  return (
+    <div className="quiz-page">
+      <button className="quiz-back-button" onClick={() => navigate(-1)}>
+        <FaArrowLeft aria-hidden="true" /> Back
+      </button>
+
+      <header className="quiz-header">
+        <h2>{module.title}</h2>
+        <p className="quiz-meta">
+          Uploaded by {module.uploadedBy} on {new Date(module.uploadedAt).toLocaleDateString()}
+          {visibilityLabel && ` · ${visibilityLabel}`}
+          {module.file_url && ` · ${module.download_count ?? 0} downloads`}
+        </p>
+        {module.rating_count > 0 && (
+          <a href="#reviews" className="module-rating-summary">
+            <StarRating value={module.rating_average} label="Average rating" /> {module.rating_count}
+          </a>
+        )}
+      </header>
+
+      <p><strong>Outline:</strong></p>
+      <p className="module-description">{module.description}</p>
+
+      <ModuleSummary module={module} canEdit={module.isOwn} onChange={handleSummaryChange} />
+
+      <div className="file-actions">
+        {module.file_url && (
+          <>
+            <button className="view-file-button" onClick={handleViewFile}>
+              <FaEye aria-hidden="true" /> View File
+            </button>
+            <button className="download-file-button" onClick={handleDownload}>
+              <FaDownload aria-hidden="true" /> Download
+            </button>
+          </>
+        )}
+        {!module.isOwn && (
+          <button className="quiz-module-button" onClick={handleSave} disabled={isSaving}>
+            <FaBookmark aria-hidden="true" /> {isSaving ? 'Saving...' : 'Save'}
+          </button>
+        )}
+      </div>
+
+      {module.isOwn && (
+        <ModuleVisibilityControl module={module} onChange={(updated) => setModule(prev => ({ ...prev, ...updated }))} />
+      )}
+
+      <ModuleReviews
+        module={module}
+        shareToken={shareToken}
+        canReview={!module.isOwn}
+        onRatingChange={(rating) => setModule(prev => applyModuleRating(prev, rating))}
+      />
+
+      <ModuleComments
+        module={module}
+        shareToken={shareToken}
+        currentUserId={user.id}
+        onCountChange={(change) => setModule(prev => ({ ...prev, comment_count: (prev.comment_count || 0) + change }))}
+      />
+
+      {viewerUrl && (
+        <FileViewer
+          fileUrl={viewerUrl}
+          fileName={module.file_name}
+          module={module}
+          canEditSummary={module.isOwn}
+          onModuleSummaryChange={handleSummaryChange}
+          onClose={() => setViewerUrl(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default ModulePage;
@@ -0,0 +1,106 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FaCheckDouble } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import Skeleton from 'react-loading-skeleton';
+import 'react-loading-skeleton/dist/skeleton.css';
+import useAuthStatus from '../hooks/useAuthStatus';
+import { fetchNotificationsApi, markNotificationsReadApi } from '../utils/NotificationHelpers';
+
+function NotificationsPage() {
+  const { user, authLoading } = useAuthStatus();
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadNotifications = useCallback(async () => {
+    setError(null);
+    try {
+      const result = await fetchNotificationsApi({ page });
+      setNotifications(result.notifications);
+      setUnreadCount(result.unreadCount);
+      setTotalPages(Math.max(1, result.totalPages));
+    } catch (err) {
+      console.error('❌ Failed to load notifications:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    if (!authLoading && user) loadNotifications();
+  }, [authLoading, user, loadNotifications]);
+
+  const markRead = async (ids) => {
+    try {
+      const result = await markNotificationsReadApi(ids);
+      const updated = new Set(result.updatedIds);
+      setNotifications(prev => prev.map(n => (updated.has(n.id) ? { ...n, read: true } : n)));
+      setUnreadCount(result.unreadCount);
+    } catch (err) {
+      toast.error(err.message || 'Failed to update notifications.');
+    }
+  };
+
+  const handleOpen = async (notification) => {
+    if (!notification.read) await markRead([notification.id]);
+    if (notification.link) navigate(notification.link);
+  };
+
+  return (
+    <div className="quiz-page">
+      <header className="quiz-header">
+        <h2>Notifications</h2>
+        <p className="quiz-meta">{unreadCount > 0 ? `${unreadCount} unread` : 'You are all caught up.'}</p>
+        {unreadCount > 0 && (
+          <button type="button" className="create-btn" onClick={() => markRead()}>
+            <FaCheckDouble aria-hidden="true" /> Mark all read
+          </button>
+        )}
+      </header>
+
+      {loading || authLoading ? (
+        <Skeleton count={4} height={64} style={{ marginBottom: 12 }} />
+      ) : error ? (
+        <p className="quiz-error" role="alert">{error}</p>
+      ) : notifications.length === 0 ? (
+        <p className="quiz-empty">No notifications yet.</p>
+      ) : (
+        <ul className="quiz-list">
+          {notifications.map(notification => (
+            <li
+              key={notification.id}
+              className={`quiz-list-item notification-item${notification.read ? '' : ' unread'}`}
+            >
+              <div>
+                <strong>{notification.title}</strong>
+                {notification.body && <p>{notification.body}</p>}
+                <span className="quiz-meta">{new Date(notification.createdAt).toLocaleString()}</span>
+              </div>
+              {(notification.link || !notification.read) && (
+                <button type="button" onClick={() => handleOpen(notification)}>
+                  {notification.link ? 'Open' : 'Mark read'}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {totalPages > 1 && (
+        <div className="admin-pager">
+          <button type="button" onClick={() => setPage(page - 1)} disabled={page <= 1}>Previous</button>
+          <span className="quiz-meta">Page {page} of {totalPages}</span>
+          <button type="button" onClick={() => setPage(page + 1)} disabled={page >= totalPages}>Next</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationsPage;
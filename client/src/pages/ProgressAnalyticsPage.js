@@ -35,6 +35,8 @@ function ProgressAnalyticsPage() {
   const [studyStreak, setStudyStreak] = useState(0)
   const [folderStats, setFolderStats] = useState([])
   const [timeSeriesData, setTimeSeriesData] = useState([])
+  const [reviewTime, setReviewTime] = useState({ total: 0, weekly: 0 })
+  const [cardsReviewed, setCardsReviewed] = useState({ total: 0, weekly: 0 })
   const sessionTimerRef = useRef(null)
   const lastRefreshTimeRef = useRef(0)
 
@@ -65,7 +67,7 @@ function ProgressAnalyticsPage() {
       ] = await Promise.all([
         supabase.from("modules").select("*", { count: "exact", head: true }).eq("user_id", user.id),
         supabase.from("save_modules").select("*", { count: "exact", head: true }).eq("user_id", user.id),
-        supabase.from("usage_time").select("seconds_spent, date").eq("user_id", user.id),
+        supabase.from("usage_time").select("seconds_spent, review_seconds, cards_reviewed, date").eq("user_id", user.id),
         supabase.from("profiles").select("*", { count: "exact", head: true }),
         supabase.from("save_modules").select("folder_id").eq("user_id", user.id),
       ])
@@ -116,6 +118,9 @@ function ProgressAnalyticsPage() {
         dailyTotal = 0,
         weeklyTotal = 0,
         monthlyTotal = 0
+      // Flashcard review sessions are part of seconds_spent; these track their share
+      const reviewTotals = { total: 0, weekly: 0 }
+      const cardTotals = { total: 0, weekly: 0 }
 
       const timeSeriesMap = {}
       usageRows.forEach((row) => {
@@ -129,6 +134,13 @@ function ProgressAnalyticsPage() {
         if (rowDate.toDateString() === today.toDateString()) dailyTotal += seconds
         if (rowDate >= startOfWeek) weeklyTotal += seconds
         if (rowDate >= startOfMonth) monthlyTotal += seconds
+
+        reviewTotals.total += row.review_seconds || 0
+        cardTotals.total += row.cards_reviewed || 0
+        if (rowDate >= startOfWeek) {
+          reviewTotals.weekly += row.review_seconds || 0
+          cardTotals.weekly += row.cards_reviewed || 0
+        }
       })
 
       const timeSeriesArray = Object.entries(timeSeriesMap)
@@ -144,6 +156,8 @@ function ProgressAnalyticsPage() {
       setDaily(dailyTotal)
       setWeekly(weeklyTotal)
       setMonthly(monthlyTotal)
+      setReviewTime(reviewTotals)
+      setCardsReviewed(cardTotals)
 
       // <CHANGE> Calculate study streak
       const usageDates = timeRows?.map((row) => new Date(row.date).toDateString()) || []
@@ -525,6 +539,15 @@ function ProgressAnalyticsPage() {
                 {studyStreak} {studyStreak === 1 ? "day" : "days"}
               </p>
             </div>
+
+            <div className="analytics-time-card">
+              <div className="analytics-time-card-icon">🃏</div>
+              <h4 className="analytics-time-card-label">Flashcard Review</h4>
+              <p className="analytics-time-card-value">{formatTime(reviewTime.weekly)}</p>
+              <p className="analytics-card-meta">
+                {cardsReviewed.weekly} cards this week · {formatTime(reviewTime.total)} total
+              </p>
+            </div>
           </div>
 
           {/* Charts Row */}
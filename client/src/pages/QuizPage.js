@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { FaArrowLeft, FaCheckCircle, FaTimesCircle, FaRedo } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import Skeleton from 'react-loading-skeleton';
+import 'react-loading-skeleton/dist/skeleton.css';
+import useAuthStatus from '../hooks/useAuthStatus';
+import {
+  QUESTION_TYPE_LABELS,
+  fetchQuizApi,
+  fetchQuizAttemptsApi,
+  submitQuizAttemptApi,
+  formatQuizAnswer,
+} from '../utils/QuizHelpers';
+
+function QuizPage() {
+  const { quizId } = useParams();
+  const navigate = useNavigate();
+  const { user, authLoading } = useAuthStatus();
+
+  const [quiz, setQuiz] = useState(null);
+  const [attempts, setAttempts] = useState([]);
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadQuiz = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [loadedQuiz, loadedAttempts] = await Promise.all([
+        fetchQuizApi(quizId),
+        fetchQuizAttemptsApi(quizId),
+      ]);
+      setQuiz(loadedQuiz);
+      setAttempts(loadedAttempts);
+    } catch (err) {
+      console.error('❌ Failed to load quiz:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [quizId]);
+
+  useEffect(() => {
+    if (!authLoading && user) loadQuiz();
+  }, [authLoading, user, loadQuiz]);
+
+  const setAnswer = (questionId, value) => {
+    setAnswers(prev => ({ ...prev, [questionId]: value }));
+  };
+
+  const unanswered = quiz
+    ? quiz.questions.filter(q => answers[q.id] === undefined || answers[q.id] === '').length
+    : 0;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (unanswered > 0 && !window.confirm(`You left ${unanswered} question(s) unanswered. Submit anyway?`)) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const graded = await submitQuizAttemptApi(quizId, answers);
+      setResult(graded);
+      setAttempts(prev => [graded.attempt, ...prev]);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    } catch (err) {
+      console.error('❌ Failed to submit quiz:', err);
+      toast.error(err.message || 'Failed to submit quiz.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRetake = () => {
+    setAnswers({});
+    setResult(null);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  if (loading || authLoading) {
+    return (
+      <div className="quiz-page">
+        <Skeleton height={36} width="60%" />
+        <Skeleton count={6} height={60} style={{ marginTop: 16 }} />
+      </div>
+    );
+  }
+
+  if (error || !quiz) {
+    return (
+      <div className="quiz-page">
+        <button className="quiz-back-button" onClick={() => navigate('/dashboard/quizzes')}>
+          <FaArrowLeft aria-hidden="true" /> All quizzes
+        </button>
+        <p className="quiz-error" role="alert">{error || 'Quiz not found.'}</p>
+      </div>
+    );
+  }
+
+  const resultsById = new Map((result?.attempt.results || []).map(r => [r.questionId, r]));
+  const gradedQuestions = new Map((result?.questions || []).map(q => [q.id, q]));
+
+  return (
+    <div className="quiz-page">
+      <button className="quiz-back-button" onClick={() => navigate('/dashboard/quizzes')}>
+        <FaArrowLeft aria-hidden="true" /> All quizzes
+      </button>
+
+      <header className="quiz-header">
+        <h2>{quiz.title}</h2>
+        <p className="quiz-meta">
+          {quiz.questionCount} questions · {quiz.difficulty}
+          {attempts.length > 0 && ` · Best score: ${Math.max(...attempts.map(a => a.score))}/${quiz.questionCount}`}
+        </p>
+      </header>
+
+      {result && (
+        <div className="quiz-score" role="status">
+          <h3>
+            You scored {result.attempt.score} / {result.attempt.maxScore}
+            {' '}({Math.round((result.attempt.score / result.attempt.maxScore) * 100)}%)
+          </h3>
+          <button className="quiz-retake-button" onClick={handleRetake}>
+            <FaRedo aria-hidden="true" /> Retake quiz
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <ol className="quiz-questions">
+          {quiz.questions.map(question => {
+            const graded = resultsById.get(question.id);
+            const keyed = gradedQuestions.get(question.id);
+
+            return (
+              <li
+                key={question.id}
+                className={`quiz-question ${graded ? (graded.correct ? 'correct' : 'incorrect') : ''}`}
+              >
+                <span className="quiz-question-type">{QUESTION_TYPE_LABELS[question.type]}</span>
+                <p className="quiz-question-text">{question.question}</p>
+
+                {question.type === 'multiple_choice' && (
+                  <div className="quiz-options" role="radiogroup">
+                    {question.options.map((option, index) => (
+                      <label key={index} className="quiz-option">
+                        <input
+                          type="radio"
+                          name={question.id}
+                          checked={answers[question.id] === index}
+                          onChange={() => setAnswer(question.id, index)}
+                          disabled={!!result}
+                        />
+                        {option}
+                      </label>
+                    ))}
+                  </div>
+                )}
+
+                {question.type === 'true_false' && (
+                  <div className="quiz-options" role="radiogroup">
+                    {[true, false].map(value => (
+                      <label key={String(value)} className="quiz-option">
+                        <input
+                          type="radio"
+                          name={question.id}
+                          checked={answers[question.id] === value}
+                          onChange={() => setAnswer(question.id, value)}
+                          disabled={!!result}
+                        />
+                        {value ? 'True' : 'False'}
+                      </label>
+                    ))}
+                  </div>
+                )}
+
+                {question.type === 'short_answer' && (
+                  <input
+                    type="text"
+                    className="quiz-short-answer"
+                    value={answers[question.id] || ''}
+                    onChange={(e) => setAnswer(question.id, e.target.value)}
+                    placeholder="Type your answer"
+                    maxLength={1000}
+                    disabled={!!result}
+                    aria-label={`Answer to question ${question.id}`}
+                  />
+                )}
+
+                {graded && keyed && (
+                  <div className="quiz-feedback">
+                    <p>
+                      {graded.correct
+                        ? <><FaCheckCircle className="quiz-correct-icon" aria-hidden="true" /> Correct</>
+                        : <><FaTimesCircle className="quiz-incorrect-icon" aria-hidden="true" /> Your answer: {formatQuizAnswer(keyed, graded.given)}</>}
+                    </p>
+                    {!graded.correct && (
+                      <p><strong>Correct answer:</strong> {formatQuizAnswer(keyed, keyed.answer)}</p>
+                    )}
+                    {keyed.explanation && <p className="quiz-explanation">{keyed.explanation}</p>}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+
+        {!result && (
+          <button type="submit" className="quiz-submit-button" disabled={isSubmitting}>
+            {isSubmitting ? 'Scoring...' : 'Submit answers'}
+          </button>
+        )}
+      </form>
+
+      {attempts.length > 0 && (
+        <section className="quiz-attempts">
+          <h3>Your attempts</h3>
+          <ul>
+            {attempts.map(attempt => (
+              <li key={attempt.id}>
+                {new Date(attempt.createdAt).toLocaleString()} — {attempt.score}/{attempt.maxScore}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default QuizPage;
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Skeleton from 'react-loading-skeleton';
+import 'react-loading-skeleton/dist/skeleton.css';
+import useAuthStatus from '../hooks/useAuthStatus';
+import { fetchQuizzesApi } from '../utils/QuizHelpers';
+
+function QuizzesPage() {
+  const { user, authLoading } = useAuthStatus();
+  const [quizzes, setQuizzes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (authLoading || !user) return;
+
+    const loadQuizzes = async () => {
+      try {
+        setQuizzes(await fetchQuizzesApi());
+      } catch (err) {
+        console.error('❌ Failed to load quizzes:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadQuizzes();
+  }, [user, authLoading]);
+
+  return (
+    <div className="quiz-page">
+      <header className="quiz-header">
+        <h2>My Quizzes</h2>
+        <p className="quiz-meta">Generate a quiz from any module on the Home page with the Quiz button.</p>
+      </header>
+
+      {loading || authLoading ? (
+        <Skeleton count={4} height={64} style={{ marginBottom: 12 }} />
+      ) : error ? (
+        <p className="quiz-error" role="alert">{error}</p>
+      ) : quizzes.length === 0 ? (
+        <p className="quiz-empty">No quizzes yet.</p>
+      ) : (
+        <ul className="quiz-list">
+          {quizzes.map(quiz => (
+            <li key={quiz.id} className="quiz-list-item">
+              <Link to={`/dashboard/quizzes/${quiz.id}`}>
+                <strong>{quiz.title}</strong>
+              </Link>
+              <span className="quiz-meta">
+                {quiz.questionCount} questions · {quiz.difficulty} · created {new Date(quiz.createdAt).toLocaleDateString()}
+              </span>
+              <span className="quiz-meta">
+                {quiz.attemptCount > 0
+                  ? `Best score ${quiz.bestScore}/${quiz.questionCount} · ${quiz.attemptCount} attempt${quiz.attemptCount === 1 ? '' : 's'}`
+                  : 'Not attempted yet'}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default QuizzesPage;
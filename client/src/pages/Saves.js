@@ -4,6 +4,16 @@ import useAuthStatus from '../hooks/useAuthStatus';
 import { FaBookmark, FaDownload, FaEye, FaLink, FaFolder, FaPlus, FaTimes, FaTrash } from 'react-icons/fa';
 import { toast } from 'react-toastify';
 import FileViewer from "../components/FileViewer";
+import ModuleSummary from "../components/ModuleSummary";
+import ReportModuleModal from "../components/ReportModuleModal";
+import {
+  applyModuleSummary,
+  getModuleShareLink,
+  fetchModuleFileLinkApi,
+  downloadModuleFile,
+  getModuleFileExtension,
+} from "../utils/ModuleHelpers";
+import apiRequest from "../utils/apiRequest";
 import Skeleton from 'react-loading-skeleton';
 import 'react-loading-skeleton/dist/skeleton.css';
 
@@ -20,6 +30,7 @@ function Saves() {
   const [showViewer, setShowViewer] = useState(false);
   const [currentFileUrl, setCurrentFileUrl] = useState(null);
   const [currentFileName, setCurrentFileName] = useState(null);
+  const [reportingModule, setReportingModule] = useState(null);
 
   const [fileInfo, setFileInfo] = useState({});
   const [folders, setFolders] = useState([
@@ -157,61 +168,9 @@ function Saves() {
       try {
         setLoading(true);
 
-        const { data, error } = await supabase
-          .from('save_modules')
-          .select(`
-            module_id,
-            saved_at,
-            folder_id,
-            modules:module_id (
-              id,
-              title,
-              description,
-              file_url,
-              file_name,
-              created_at,
-              user_id,
-              uploaded_by
-            )
-          `)
-          .eq('user_id', user.id)
-          .order('saved_at', { ascending: false });
-
-        if (error) throw new Error(error.message);
-
-        if (!data || data.length === 0) {
-          setSavedModules([]);
-          setError(null);
-          return;
-        }
-
-        const moduleItems = data.filter(item => item.modules); 
-        const userIds = [...new Set(moduleItems.map(item => item.modules.user_id))];
-        
-        const { data: profilesData } = await supabase
-          .from('profiles')
-          .select('id, username, fullName')
-          .in('id', userIds);
-
-        const profilesMap = new Map();
-        profilesData?.forEach(profile => {
-          profilesMap.set(profile.id, profile);
-        });
-
-        const modules = moduleItems.map(item => {
-          const module = item.modules;
-          const profile = profilesMap.get(module.user_id);
-
-          let uploaderName = module.uploaded_by || profile?.fullName || profile?.username || 'Unknown User';
-
-          return {
-            ...module,
-            savedAt: item.saved_at,
-            uploadedAt: module.created_at,
-            uploadedBy: uploaderName,
-            folder_id: item.folder_id || null
-          };
-        });
+        // The server leaves out modules that are no longer shared and signs the file links
+        const { modules } = await apiRequest('/get-saved-modules');
+        modules.sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
 
         setSavedModules(modules);
         setError(null);
@@ -332,41 +291,29 @@ useEffect(() => {
     }
   };
 
-  const handleViewFile = (fileUrl, fileName) => {
-    if (!fileUrl) {
-      toast.error("No file available to view");
-      return;
-    }
-    setCurrentFileUrl(fileUrl);
-    setCurrentFileName(fileName);
-    setShowViewer(true);
-  };
+  const handleSummaryChange = useCallback((summary) => {
+    setSavedModules(prev => prev.map(m => (m.id === summary.moduleId ? applyModuleSummary(m, summary) : m)));
+  }, []);
 
-  const handleDownloadFile = async (fileUrl, fileName) => {
-    if (!fileUrl) {
-      toast.error('No file available for download');
-      return;
+  // File links expire, so ask for a fresh one each time the file is opened
+  const handleViewFile = async (module) => {
+    try {
+      const { url, fileName } = await fetchModuleFileLinkApi(module.id);
+      setCurrentFileUrl(url);
+      setCurrentFileName(fileName);
+      setShowViewer(true);
+    } catch (err) {
+      toast.error(err.message || 'Could not open file');
     }
+  };
 
+  const handleDownloadFile = async (module) => {
     try {
-      const response = await fetch(fileUrl);
-      if (!response.ok) throw new Error('Failed to fetch file');
-
-      const blob = await response.blob();
-      const url = window.URL.createObjectURL(blob);
-
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = fileName || 'module-file';
-      document.body.appendChild(link);
-      link.click();
-
-      link.remove();
-      window.URL.revokeObjectURL(url);
-
+      const downloadCount = await downloadModuleFile(module.id);
+      setSavedModules(prev => prev.map(m => (m.id === module.id ? { ...m, download_count: downloadCount } : m)));
       toast.success('📥 Download started!');
     } catch (err) {
-      toast.error('Download failed');
+      toast.error(err.message || 'Download failed');
     }
   };
 
@@ -639,7 +586,7 @@ useEffect(() => {
   <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center' }}>
   {module.file_url ? (
     <>
-      {module.file_url.toLowerCase().endsWith(".pdf") && (
+      {getModuleFileExtension(module) === "pdf" && (
         <iframe
           src={module.file_url}
           width="300"
@@ -650,7 +597,7 @@ useEffect(() => {
       )}
 
       {/* DOCX / PPTX via Office Viewer */}
-      {(module.file_url.endsWith(".docx") || module.file_url.endsWith(".pptx")) && (
+      {["docx", "pptx"].includes(getModuleFileExtension(module)) && (
         <iframe
           src={`https://view.officeapps.live.com/op/embed.aspx?src=${encodeURIComponent(module.file_url)}`}
           width="300"
@@ -661,7 +608,7 @@ useEffect(() => {
       )}
 
       {/* TXT preview */}
-      {module.file_url.endsWith(".txt") && (
+      {getModuleFileExtension(module) === "txt" && (
         <iframe
           src={module.file_url}
           width="300"
@@ -672,10 +619,7 @@ useEffect(() => {
       )}
 
       {/* Fallback for unsupported types */}
-      {!(module.file_url.endsWith(".pdf") ||
-         module.file_url.endsWith(".docx") ||
-         module.file_url.endsWith(".pptx") ||
-         module.file_url.endsWith(".txt")) && (
+      {!["pdf", "docx", "pptx", "txt"].includes(getModuleFileExtension(module)) && (
         <div
           style={{
             width: "300px",
@@ -719,27 +663,31 @@ useEffect(() => {
               <p><strong>Outline:</strong></p>
               <p className="module-description">{module.description}</p>
 
+              <ModuleSummary module={module} compact onChange={handleSummaryChange} />
+
               {module.file_url && (
                 <div className="file-actions">
           
                   <button
                     className="view-file-button"
-                    onClick={() => handleViewFile(module.file_url, module.file_name)}
+                    onClick={() => handleViewFile(module)}
                   >
                     <FaEye /> View File
                   </button>
                   <button
                     className="download-file-button"
-                    onClick={() => handleDownloadFile(module.file_url, module.file_name || `${module.title}.pdf`)}
+                    onClick={() => handleDownloadFile(module)}
                   >
                     <FaDownload /> Download
                   </button>
-                  <button
-                    className="copy-link-button"
-                    onClick={() => {navigator.clipboard.writeText(module.file_url); toast.success("📋 Link copied!")}}
-                  >
-                    <FaLink /> Copy Link
-                  </button>
+                  {getModuleShareLink(module) && (
+                    <button
+                      className="copy-link-button"
+                      onClick={() => {navigator.clipboard.writeText(getModuleShareLink(module)); toast.success("📋 Link copied!")}}
+                    >
+                      <FaLink /> Copy Link
+                    </button>
+                  )}
                 </div>
               )}
 
@@ -757,10 +705,21 @@ useEffect(() => {
                 </select>
               </div>
 
+              {module.user_id !== user?.id && (
+                <button
+                  className="report-module-button"
+                  onClick={() => setReportingModule(module)}
+                  aria-label={`Report module: ${module.title}`}
+                >
+                  🚩 Report
+                </button>
+              )}
+
               <p className="module-meta">
                 Uploaded by: {module.uploadedBy}<br />
                 at {module.uploadedAt ? new Date(module.uploadedAt).toLocaleString() : 'N/A'}<br />
                 Saved: {module.savedAt ? new Date(module.savedAt).toLocaleString() : 'N/A'}
+                {module.file_url && <><br />📥 {module.download_count ?? 0} download{module.download_count === 1 ? '' : 's'}</>}
               </p>
             </div>
             
@@ -777,6 +736,14 @@ useEffect(() => {
           </div>
         )}
 
+        {reportingModule && (
+          <ReportModuleModal
+            module={reportingModule}
+            onClose={() => setReportingModule(null)}
+            onReported={({ hidden }) => hidden && setSavedModules(prev => prev.filter(m => m.id !== reportingModule.id))}
+          />
+        )}
+
         {/* Pagination */}
         {totalPages > 1 && (
           <div className="pagination" style={{display: 'flex', justifyContent: 'center', alignItems: 'center', margin: '20px 0' }}>
@@ -0,0 +1,70 @@
+import apiRequest from './apiRequest';
+
+// ------------------------
+// 🛡️ Admin
+// ------------------------
+
+export const USER_ROLE_OPTIONS = ['student', 'instructor', 'admin'];
+
+export const AUDIT_ACTION_LABELS = {
+  'user.role_changed': 'Changed role',
+  'user.suspended': 'Suspended account',
+  'user.unsuspended': 'Reinstated account',
+  'module.removed': 'Removed module',
+  'module.auto_hidden': 'Hid reported module',
+  'report.dismissed': 'Dismissed report',
+  'report.module_removed': 'Removed reported module',
+};
+
+/**
+ * Human-readable file size, e.g. 1.4 MB.
+ */
+export const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${(bytes / 1024 ** exponent).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+};
+
+const withQuery = (path, params) => {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== '' && value != null));
+  return query.toString() ? `${path}?${query}` : path;
+};
+
+export const fetchAdminOverviewApi = () => apiRequest('/admin/overview');
+
+/**
+ * @param {Object} params - { q, role, status, page }
+ * @returns {Promise<{ users: Array<Object>, page: number, totalPages: number, total: number }>}
+ */
+export const fetchAdminUsersApi = (params = {}) => apiRequest(withQuery('/admin/users', params));
+
+export const setUserRoleApi = (userId, role) =>
+  apiRequest(`/admin/users/${encodeURIComponent(userId)}/role`, { method: 'PATCH', body: { role } });
+
+export const suspendUserApi = (userId, reason) =>
+  apiRequest(`/admin/users/${encodeURIComponent(userId)}/suspend`, { method: 'POST', body: { reason } });
+
+export const unsuspendUserApi = (userId) =>
+  apiRequest(`/admin/users/${encodeURIComponent(userId)}/unsuspend`, { method: 'POST' });
+
+/**
+ * @param {Object} params - { q, user_id, page }
+ */
+export const fetchAdminModulesApi = (params = {}) => apiRequest(withQuery('/admin/modules', params));
+
+export const removeModuleAsAdminApi = (moduleId, reason) =>
+  apiRequest(`/admin/modules/${encodeURIComponent(moduleId)}`, { method: 'DELETE', body: { reason } });
+
+/**
+ * @param {Object} params - { status, page }
+ */
+export const fetchReportsApi = (params = {}) => apiRequest(withQuery('/admin/reports', params));
+
+/**
+ * @param {'dismiss'|'remove_module'} action
+ */
+export const resolveReportApi = (reportId, action, note) =>
+  apiRequest(`/admin/reports/${encodeURIComponent(reportId)}/resolve`, { method: 'POST', body: { action, note } });
+
+export const fetchAuditLogApi = (params = {}) => apiRequest(withQuery('/admin/audit-log', params));
@@ -1,5 +1,6 @@
 import { supabase } from '../supabaseClient';
 import API_BASE_URL from '../config';
+import { getErrorMessage } from './apiRequest';
 
 // ------------------------
 // 📅 Format Timestamp
@@ -52,30 +53,64 @@ export const formatFirebaseTimestamp = (timestamp) => {
 export const generateUniqueId = () =>
   `conv_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
 
+export const generateMessageId = () =>
+  `msg_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+
 // ------------------------
 // 💾 LocalStorage Constants
 // ------------------------
 
+// Sessions are cached locally so chats open instantly and keep working offline;
+// the server copy (/api/conversations) is the one shared between devices.
 export const getUserChatKey = (userId) => `eduretrieve_chat_sessions_${userId}`;
+const getChatOutboxKey = (userId) => `eduretrieve_chat_outbox_${userId}`;
+const getChatDeletionsKey = (userId) => `eduretrieve_chat_deletions_${userId}`;
+const getChatSyncKey = (userId) => `eduretrieve_chat_sync_${userId}`;
+
+const readJson = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (err) {
+    console.warn(`⚠️ Failed to parse ${key} from localStorage:`, err);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => localStorage.setItem(key, JSON.stringify(value));
+
+// ------------------------
+// 🏷️ Chat Titles
+// ------------------------
+
+const isPlaceholderTitle = (title) =>
+  !title || title === 'New Chat' || title === 'Untitled Chat' || title.startsWith('Chat from');
+
+/**
+ * Names a chat after its first prompt.
+ */
+export const deriveChatTitle = (text) => {
+  if (!text) return 'Untitled Chat';
+  return text.length > 30 ? text.slice(0, 30) + '...' : text;
+};
 
 // ------------------------
 // 📂 Load Chat Sessions
 // ------------------------
 
 /**
- * Loads chat history sessions from localStorage.
+ * Loads chat history sessions from localStorage. Messages saved before they
+ * had ids get one derived from their position, so every device (and the
+ * one-time upload) agrees on it.
  */
 export const fetchChatHistoryApi = async (user) => {
-  try {
-    const raw = localStorage.getItem(getUserChatKey(user.id));
-    const parsed = raw ? JSON.parse(raw) : [];
-    return Array.isArray(parsed)
-      ? parsed.map((s) => ({ ...s, messages: s.messages || [] }))
-      : [];
-  } catch (err) {
-    console.warn('⚠️ Failed to parse chat history from localStorage:', err);
-    return [];
-  }
+  const parsed = readJson(getUserChatKey(user.id), []);
+  return Array.isArray(parsed)
+    ? parsed.map((s) => ({
+        ...s,
+        messages: (s.messages || []).map((msg, index) => (msg.id ? msg : { ...msg, id: `${s.id}_${index}` })),
+      }))
+    : [];
 };
 
 // ------------------------
@@ -83,29 +118,56 @@ export const fetchChatHistoryApi = async (user) => {
 // ------------------------
 
 /**
- * Saves a new prompt-response pair to localStorage under the given session.
+ * Saves a new prompt-response pair to localStorage under the given session and
+ * queues it for upload to the server. Pass the ids of the messages shown in the
+ * UI so the saved copies match them.
  */
-export const saveChatEntryApi = async (user, { prompt, response, conversationId, timestamp, imagePreview }) => {
+export const saveChatEntryApi = async (user, {
+  prompt, response, conversationId, timestamp, imagePreview, sources, interrupted,
+  userMessageId, aiMessageId, fileName, fileType,
+}) => {
   let sessions = await fetchChatHistoryApi(user);
 
   const newMessages = [
-    { type: 'user', text: prompt, timestamp, imagePreview },
-    { type: 'ai', text: response, timestamp },
+    {
+      id: userMessageId || generateMessageId(),
+      type: 'user',
+      text: prompt,
+      timestamp,
+      imagePreview,
+      ...(fileName && { fileName, fileType }),
+    },
+    {
+      id: aiMessageId || generateMessageId(),
+      type: 'ai',
+      text: response,
+      timestamp,
+      sources,
+      ...(interrupted && { interrupted: true }),
+    },
   ];
 
-  const existing = sessions.find((s) => s.id === conversationId);
+  let session = sessions.find((s) => s.id === conversationId);
 
-  if (existing) {
-    existing.messages.push(...newMessages);
+  if (session) {
+    const knownIds = new Set(session.messages.map((msg) => msg.id));
+    session.messages.push(...newMessages.filter((msg) => !knownIds.has(msg.id)));
+    if (isPlaceholderTitle(session.title)) {
+      session.title = deriveChatTitle(session.messages.find((msg) => msg.type === 'user')?.text);
+    }
   } else {
-    sessions.unshift({
+    session = {
       id: conversationId,
-      title: `Chat from ${formatFirebaseTimestamp(timestamp).split(',')[0]}`,
+      title: deriveChatTitle(prompt),
       messages: newMessages,
-    });
+    };
+    sessions.unshift(session);
   }
 
-  localStorage.setItem(getUserChatKey(user.id), JSON.stringify(sessions));
+  writeJson(getUserChatKey(user.id), sessions);
+
+  queueChatMessages(user, conversationId, session.title, newMessages);
+  flushChatOutboxApi(user).catch((err) => console.warn('⚠️ Chat upload postponed:', err.message));
 };
 
 // ------------------------
@@ -113,13 +175,250 @@ export const saveChatEntryApi = async (user, { prompt, response, conversationId,
 // ------------------------
 
 /**
- * Deletes a chat session by its ID from localStorage.
+ * Deletes a chat session locally and on the server (retried on the next sync
+ * when offline).
  */
 export const deleteChatSessionApi = async (user, sessionId) => {
   const sessions = await fetchChatHistoryApi(user);
   const updated = sessions.filter((s) => s.id !== sessionId);
-  localStorage.setItem(getUserChatKey(user.id), JSON.stringify(updated));
-  return { message: 'Session deleted locally' };
+  writeJson(getUserChatKey(user.id), updated);
+
+  writeJson(
+    getChatOutboxKey(user.id),
+    readJson(getChatOutboxKey(user.id), []).filter((entry) => entry.conversationId !== sessionId)
+  );
+  const deletions = readJson(getChatDeletionsKey(user.id), []);
+  if (!deletions.includes(sessionId)) {
+    writeJson(getChatDeletionsKey(user.id), [...deletions, sessionId]);
+  }
+
+  try {
+    await flushChatOutboxApi(user);
+    return { message: 'Session deleted' };
+  } catch (err) {
+    console.warn('⚠️ Chat deletion will be retried on the next sync:', err.message);
+    return { message: 'Session deleted locally' };
+  }
+};
+
+// ------------------------
+// 🔄 Server Sync
+// ------------------------
+
+/**
+ * Calls one of the /api/conversations endpoints with the user's token.
+ * Errors carry the HTTP `status` so callers can tell "deleted" (410) from "offline".
+ */
+const conversationsRequest = async (path, { method = 'GET', body } = {}) => {
+  const { data, error } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+
+  if (error || !token) {
+    throw new Error('Missing or invalid Supabase token');
+  }
+
+  const res = await fetch(`${API_BASE_URL}/api/conversations${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+
+  const result = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const requestError = new Error(getErrorMessage(result, `Conversation request failed (${res.status})`));
+    requestError.status = res.status;
+    requestError.result = result;
+    throw requestError;
+  }
+
+  return result;
+};
+
+const messageTime = (msg) => {
+  const ts = msg?.timestamp;
+  if (ts?._seconds !== undefined) return ts._seconds * 1000 + Math.floor((ts._nanoseconds || 0) / 1_000_000);
+  if (ts?.seconds !== undefined) return ts.seconds * 1000;
+  return new Date(ts || 0).getTime() || 0;
+};
+
+/**
+ * Adds messages to the outbox uploaded by flushChatOutboxApi.
+ */
+const queueChatMessages = (user, conversationId, title, messages) => {
+  const outbox = readJson(getChatOutboxKey(user.id), []);
+  const entry = outbox.find((item) => item.conversationId === conversationId);
+
+  if (entry) {
+    const knownIds = new Set(entry.messages.map((msg) => msg.id));
+    entry.messages.push(...messages.filter((msg) => !knownIds.has(msg.id)));
+    entry.title = title;
+  } else {
+    outbox.push({ conversationId, title, messages });
+  }
+
+  writeJson(getChatOutboxKey(user.id), outbox);
+};
+
+/**
+ * Uploads queued deletions and messages. Entries are removed once the server
+ * has them, so an interrupted flush simply resumes next time.
+ * @returns {Promise<string[]>} Ids of sessions the server reports as deleted elsewhere
+ */
+export const flushChatOutboxApi = async (user) => {
+  const removedIds = [];
+
+  for (const sessionId of readJson(getChatDeletionsKey(user.id), [])) {
+    await conversationsRequest(`/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+    writeJson(
+      getChatDeletionsKey(user.id),
+      readJson(getChatDeletionsKey(user.id), []).filter((id) => id !== sessionId)
+    );
+  }
+
+  for (const entry of readJson(getChatOutboxKey(user.id), [])) {
+    try {
+      await conversationsRequest(`/${encodeURIComponent(entry.conversationId)}/messages`, {
+        method: 'POST',
+        body: {
+          title: entry.title,
+          // Image previews are local-only and can be large
+          messages: entry.messages.map(({ imagePreview, filePreview, ...msg }) => msg),
+        },
+      });
+    } catch (err) {
+      if (err.status !== 410) throw err;
+      // Deleted on another device: deletion wins
+      removedIds.push(entry.conversationId);
+    }
+
+    // Drop only what was sent; messages queued meanwhile stay
+    const sentIds = new Set(entry.messages.map((msg) => msg.id));
+    const outbox = readJson(getChatOutboxKey(user.id), [])
+      .map((item) =>
+        item.conversationId === entry.conversationId
+          ? { ...item, messages: item.messages.filter((msg) => !sentIds.has(msg.id)) }
+          : item
+      )
+      .filter((item) => item.messages.length > 0);
+    writeJson(getChatOutboxKey(user.id), outbox);
+  }
+
+  if (removedIds.length > 0) {
+    const sessions = await fetchChatHistoryApi(user);
+    writeJson(getUserChatKey(user.id), sessions.filter((s) => !removedIds.includes(s.id)));
+  }
+
+  return removedIds;
+};
+
+/**
+ * One-time upload of the sessions this browser kept only in localStorage.
+ * Safe to repeat: the server skips sessions and messages it already has.
+ */
+const migrateLocalChatSessions = async (user) => {
+  const syncState = readJson(getChatSyncKey(user.id), {});
+  if (syncState.migrated) return;
+
+  const sessions = (await fetchChatHistoryApi(user)).filter((s) => s.messages.length > 0);
+  // Persist the derived message ids so later uploads match the migrated copies
+  writeJson(getUserChatKey(user.id), await fetchChatHistoryApi(user));
+
+  // The server accepts up to 200 sessions and 500 messages each per request
+  const uploads = sessions.flatMap((s) => {
+    const parts = [];
+    for (let i = 0; i < s.messages.length; i += 500) {
+      parts.push({
+        id: s.id,
+        title: s.title,
+        messages: s.messages.slice(i, i + 500).map(({ imagePreview, filePreview, ...msg }) => msg),
+      });
+    }
+    return parts;
+  });
+
+  const deletedIds = [];
+  for (let i = 0; i < uploads.length; i += 200) {
+    const result = await conversationsRequest('/import', {
+      method: 'POST',
+      body: { sessions: uploads.slice(i, i + 200) },
+    });
+    deletedIds.push(...(result.deleted || []));
+  }
+
+  if (deletedIds.length > 0) {
+    const current = await fetchChatHistoryApi(user);
+    writeJson(getUserChatKey(user.id), current.filter((s) => !deletedIds.includes(s.id)));
+  }
+
+  writeJson(getChatSyncKey(user.id), { ...syncState, migrated: true });
+};
+
+/**
+ * Union of two copies of a conversation's messages, matched by id, oldest first.
+ * Local copies win so local-only fields (image previews) are kept.
+ */
+export const mergeChatMessages = (localMessages = [], remoteMessages = []) => {
+  const byId = new Map();
+  remoteMessages.forEach((msg) => byId.set(msg.id, msg));
+  localMessages.forEach((msg) => byId.set(msg.id, msg));
+  return [...byId.values()].sort((a, b) => messageTime(a) - messageTime(b));
+};
+
+/**
+ * Applies conversations fetched from the server to a list of local sessions:
+ * deletions remove them, everything else is merged message by message.
+ * Sessions are ordered by latest activity, with empty new chats first.
+ */
+export const mergeChatSessions = (localSessions, conversations) => {
+  const byId = new Map(localSessions.map((s) => [s.id, s]));
+
+  conversations.forEach((conv) => {
+    if (conv.deletedAt) {
+      byId.delete(conv.id);
+      return;
+    }
+
+    const local = byId.get(conv.id);
+    byId.set(conv.id, {
+      ...local,
+      id: conv.id,
+      title: local && !isPlaceholderTitle(local.title) && isPlaceholderTitle(conv.title) ? local.title : conv.title,
+      messages: mergeChatMessages(local?.messages, conv.messages || []),
+    });
+  });
+
+  const lastActivity = (s) => (s.messages.length ? messageTime(s.messages[s.messages.length - 1]) : Infinity);
+  return [...byId.values()].sort((a, b) => lastActivity(b) - lastActivity(a));
+};
+
+/**
+ * Brings this device and the server in line: uploads localStorage sessions the
+ * first time, flushes queued changes, then downloads what changed elsewhere
+ * since the last sync and merges it into the local cache.
+ * @returns {Promise<{ conversations: Array, removedIds: string[] }>} Server
+ *   changes to merge into on-screen state with mergeChatSessions
+ */
+export const syncChatSessionsApi = async (user) => {
+  await migrateLocalChatSessions(user);
+  const removedIds = await flushChatOutboxApi(user);
+
+  const syncState = readJson(getChatSyncKey(user.id), {});
+  const query = new URLSearchParams({ include: 'messages' });
+  if (syncState.syncedAt) query.set('since', syncState.syncedAt);
+
+  const { conversations, syncedAt } = await conversationsRequest(`?${query}`);
+
+  const sessions = await fetchChatHistoryApi(user);
+  writeJson(getUserChatKey(user.id), mergeChatSessions(sessions, conversations));
+  writeJson(getChatSyncKey(user.id), { ...readJson(getChatSyncKey(user.id), {}), syncedAt });
+
+  return {
+    conversations,
+    removedIds: [...removedIds, ...conversations.filter((conv) => conv.deletedAt).map((conv) => conv.id)],
+  };
 };
 
 // ------------------------
@@ -127,7 +426,8 @@ export const deleteChatSessionApi = async (user, sessionId) => {
 // ------------------------
 
 /**
- * Sends a prompt to the backend AI API and returns the generated response.
+ * Sends a prompt to the backend AI API and returns the generated response
+ * along with the module `sources` it was grounded in.
  */
 export const generateContentApi = async (user, prompt, conversationId) => {
   console.log('ChatHelpers.js: generateContentApi called with:', {
@@ -166,14 +466,141 @@ export const generateContentApi = async (user, prompt, conversationId) => {
 
   const result = await res.json();
   if (!res.ok) {
-    throw new Error(result.error || 'Failed to generate content');
+    throw new Error(getErrorMessage(result, 'Failed to generate content'));
   }
 
   return result;
 };
 
 /**
- * Processes an uploaded file through text extraction and AI analysis, then saves to localStorage
+ * Splits a buffer of Server-Sent Events text into complete events, returning
+ * them along with the unfinished remainder to prepend to the next read.
+ */
+const parseEventStream = (buffer) => {
+  const frames = buffer.replace(/\r\n/g, '\n').split('\n\n');
+  const rest = frames.pop();
+
+  const events = frames
+    .map((frame) => {
+      let event = 'message';
+      const dataLines = [];
+      frame.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      });
+      if (dataLines.length === 0) return null; // heartbeat comment
+      try {
+        return { event, data: JSON.parse(dataLines.join('\n')) };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  return { events, rest };
+};
+
+/**
+ * Streams the AI response token by token over Server-Sent Events, calling
+ * `onToken(token, textSoFar)` as they arrive. Aborting `signal` stops the stream
+ * and resolves with the partial text and `interrupted: true`; a failure after
+ * some text has arrived does the same with `error` set. Falls back to the
+ * regular JSON response when the browser or server can't stream.
+ */
+export const streamContentApi = async (user, prompt, conversationId, { signal, onToken = () => {} } = {}) => {
+  if (!prompt || typeof prompt !== 'string') {
+    throw new Error('Invalid prompt');
+  }
+
+  if (!conversationId) {
+    throw new Error('conversationId is required');
+  }
+
+  const canStream = typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+  if (!canStream) {
+    return generateContentApi(user, prompt, conversationId);
+  }
+
+  const { data, error } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+
+  if (error || !token) {
+    throw new Error('Missing or invalid Supabase token');
+  }
+
+  let text = '';
+
+  try {
+    const res = await fetch(`${API_BASE_URL}/api/generate-content?stream=true`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        prompt,
+        userId: user.id,
+        conversationId,
+      }),
+      signal,
+    });
+
+    // Validation errors, or a server that answered with plain JSON
+    if (!(res.headers.get('content-type') || '').includes('text/event-stream') || !res.body) {
+      const result = await res.json();
+      if (!res.ok) {
+        throw new Error(getErrorMessage(result, 'Failed to generate content'));
+      }
+      return result;
+    }
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      const parsed = parseEventStream(buffer + decoder.decode(value, { stream: true }));
+      buffer = parsed.rest;
+
+      for (const { event, data: payload } of parsed.events) {
+        if (event === 'token') {
+          text += payload.text;
+          onToken(payload.text, text);
+        } else if (event === 'done') {
+          return { generatedContent: payload.generatedContent, sources: payload.sources || [] };
+        } else if (event === 'error') {
+          text = text || payload.partialContent || '';
+          throw new Error(payload.error || 'Failed to generate content');
+        }
+      }
+    }
+
+    // The connection ended without a final event
+    throw new Error('The response stream ended unexpectedly');
+  } catch (err) {
+    if (signal?.aborted) {
+      return { generatedContent: text, sources: [], interrupted: true };
+    }
+    if (text) {
+      return { generatedContent: text, sources: [], interrupted: true, error: err.message };
+    }
+    throw err;
+  }
+};
+
+/**
+ * Keeps only the sources an answer actually cites, for display as citation chips.
+ */
+export const getCitedSources = (sources) =>
+  Array.isArray(sources) ? sources.filter((source) => source.cited) : [];
+
+/**
+ * Processes an uploaded file through text extraction and AI analysis. The
+ * caller saves the resulting messages with saveChatEntryApi.
  */
 export const processChatFileApi = async (user, file, conversationId, customPrompt = null) => {
   console.log('ChatHelpers.js: processChatFileApi called with:', {
@@ -199,52 +626,23 @@ export const processChatFileApi = async (user, file, conversationId, customPromp
     formData.append('prompt', customPrompt);
   }
 
+  const { data, error } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+
+  if (error || !token) {
+    throw new Error('Missing or invalid Supabase token');
+  }
+
   const res = await fetch(`${API_BASE_URL}/api/chat/process-file`, {
     method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
     body: formData,
   });
 
   const result = await res.json();
   if (!res.ok) {
-    throw new Error(result.error || 'Failed to process file');
+    throw new Error(getErrorMessage(result, 'Failed to process file'));
   }
 
-  // Create file preview URL for display (only for images)
-  const isImage = file.type.startsWith('image/');
-  const filePreview = isImage ? URL.createObjectURL(file) : null;
-
-  // Create message objects
-  const fileMessage = {
-    type: 'user',
-    text: `[${result.fileType === 'image' ? 'Image' : 'File'} uploaded] ${result.extractedText}`,
-    timestamp: {
-      _seconds: Math.floor(Date.now() / 1000),
-      _nanoseconds: (Date.now() % 1000) * 1_000_000
-    },
-    conversationId,
-    filePreview,
-    fileName: result.fileName,
-    fileType: result.fileType
-  };
-
-  const aiMessage = {
-    type: 'ai',
-    text: result.aiResponse,
-    timestamp: {
-      _seconds: Math.floor(Date.now() / 1000),
-      _nanoseconds: (Date.now() % 1000) * 1_000_000
-    },
-    conversationId
-  };
-
-  // Save to localStorage like regular chat messages
-  await saveChatEntryApi(user, {
-    prompt: fileMessage.text,
-    response: aiMessage.text,
-    timestamp: fileMessage.timestamp,
-    conversationId,
-    filePreview
-  });
-
   return result;
 };
@@ -0,0 +1,133 @@
+import apiRequest from './apiRequest';
+
+// ------------------------
+// 👥 Classes
+// ------------------------
+
+export const CLASS_ROLE_LABELS = {
+  owner: 'Owner',
+  instructor: 'Instructor',
+  student: 'Student',
+};
+
+/**
+ * Mirrors the server's rules so the UI only offers what the member may do.
+ */
+export const canInvite = (role) => role === 'owner' || role === 'instructor';
+export const canManage = (role) => role === 'owner';
+export const canPin = (role) => role === 'owner' || role === 'instructor';
+export const canPostTo = (classInfo) =>
+  !!classInfo && (classInfo.role === 'owner' || classInfo.role === 'instructor' || (classInfo.role === 'student' && classInfo.studentsCanPost));
+
+export const fetchClassesApi = async () => {
+  const { classes } = await apiRequest('/classes');
+  return classes || [];
+};
+
+/**
+ * @returns {Promise<{ class: Object, members: Array<Object>, invites: Array<Object> }>}
+ */
+export const fetchClassApi = (classId) => apiRequest(`/classes/${encodeURIComponent(classId)}`);
+
+export const createClassApi = async (fields) => {
+  const { class: created } = await apiRequest('/classes', { method: 'POST', body: fields });
+  return created;
+};
+
+export const updateClassApi = async (classId, fields) => {
+  const { class: updated } = await apiRequest(`/classes/${encodeURIComponent(classId)}`, {
+    method: 'PATCH',
+    body: fields,
+  });
+  return updated;
+};
+
+export const deleteClassApi = (classId) =>
+  apiRequest(`/classes/${encodeURIComponent(classId)}`, { method: 'DELETE' });
+
+/**
+ * @returns {Promise<{ class: Object, alreadyMember: boolean }>}
+ */
+export const joinClassApi = (code) => apiRequest('/classes/join', { method: 'POST', body: { code } });
+
+export const rotateJoinCodeApi = async (classId) => {
+  const { joinCode } = await apiRequest(`/classes/${encodeURIComponent(classId)}/join-code`, { method: 'POST' });
+  return joinCode;
+};
+
+// ------------------------
+// ✉️ Invites & Members
+// ------------------------
+
+/**
+ * Invites email addresses to a class and emails them. Addresses of current
+ * members come back in `skipped`; `emailed` counts the invite emails sent.
+ * @returns {Promise<{ invites: Array<Object>, skipped: string[], emailed: number }>}
+ */
+export const inviteToClassApi = (classId, emails, role = 'student') =>
+  apiRequest(`/classes/${encodeURIComponent(classId)}/invites`, {
+    method: 'POST',
+    body: { emails, role },
+  });
+
+export const revokeInviteApi = (classId, inviteId) =>
+  apiRequest(`/classes/${encodeURIComponent(classId)}/invites/${encodeURIComponent(inviteId)}`, { method: 'DELETE' });
+
+export const fetchMyInvitesApi = async () => {
+  const { invites } = await apiRequest('/classes/invites');
+  return invites || [];
+};
+
+export const acceptInviteApi = async (inviteId) => {
+  const { class: joined } = await apiRequest(`/classes/invites/${encodeURIComponent(inviteId)}/accept`, { method: 'POST' });
+  return joined;
+};
+
+export const declineInviteApi = (inviteId) =>
+  apiRequest(`/classes/invites/${encodeURIComponent(inviteId)}/decline`, { method: 'POST' });
+
+export const updateMemberRoleApi = (classId, userId, role) =>
+  apiRequest(`/classes/${encodeURIComponent(classId)}/members/${encodeURIComponent(userId)}`, {
+    method: 'PATCH',
+    body: { role },
+  });
+
+/**
+ * Removes a member, or leaves the class when `userId` is the current user.
+ */
+export const removeMemberApi = (classId, userId) =>
+  apiRequest(`/classes/${encodeURIComponent(classId)}/members/${encodeURIComponent(userId)}`, { method: 'DELETE' });
+
+// ------------------------
+// 📚 Class Library
+// ------------------------
+
+export const fetchClassModulesApi = async (classId) => {
+  const { modules } = await apiRequest(`/get-modules?class_id=${encodeURIComponent(classId)}`);
+  return modules || [];
+};
+
+/**
+ * Posts one of the user's modules to a class.
+ * @returns {Promise<{ moduleId: string, classId: string, visibility: string }>}
+ */
+export const postModuleToClassApi = (classId, moduleId) =>
+  apiRequest(`/classes/${encodeURIComponent(classId)}/modules`, {
+    method: 'POST',
+    body: { moduleId },
+  });
+
+/**
+ * @returns {Promise<{ moduleId: string, classId: null, visibility: string }>}
+ */
+export const removeModuleFromClassApi = (classId, moduleId) =>
+  apiRequest(`/classes/${encodeURIComponent(classId)}/modules/${encodeURIComponent(moduleId)}`, { method: 'DELETE' });
+
+/**
+ * Pins a module to the top of a class library, or unpins it.
+ * @returns {Promise<{ moduleId: string, pinnedAt: string|null }>}
+ */
+export const setModulePinnedApi = (classId, moduleId, pinned) =>
+  apiRequest(`/classes/${encodeURIComponent(classId)}/modules/${encodeURIComponent(moduleId)}/pin`, {
+    method: pinned ? 'POST' : 'DELETE',
+  });
@@ -0,0 +1,108 @@
+import apiRequest from './apiRequest';
+
+// ------------------------
+// 🃏 Decks & Cards
+// ------------------------
+
+export const CARD_KIND_LABELS = {
+  term: 'Term / Definition',
+  qa: 'Question / Answer',
+};
+
+/**
+ * SM-2 recall grades offered after a card is flipped.
+ */
+export const REVIEW_GRADES = [
+  { label: 'Again', quality: 1, className: 'again' },
+  { label: 'Hard', quality: 3, className: 'hard' },
+  { label: 'Good', quality: 4, className: 'good' },
+  { label: 'Easy', quality: 5, className: 'easy' },
+];
+
+/**
+ * Generates flashcards from a module's extracted text into the user's deck for it.
+ * @param {string} moduleId
+ * @param {Object} options - { count, kinds }
+ * @returns {Promise<{ deck: Object, cards: Array<Object> }>}
+ */
+export const generateFlashcardsApi = (moduleId, options = {}) =>
+  apiRequest(`/modules/${encodeURIComponent(moduleId)}/flashcards`, {
+    method: 'POST',
+    body: options,
+  });
+
+export const fetchDecksApi = async () => {
+  const { decks } = await apiRequest('/flashcards/decks');
+  return decks || [];
+};
+
+export const fetchDeckApi = async (deckId) => {
+  const { deck } = await apiRequest(`/flashcards/decks/${encodeURIComponent(deckId)}`);
+  return deck;
+};
+
+export const deleteDeckApi = (deckId) =>
+  apiRequest(`/flashcards/decks/${encodeURIComponent(deckId)}`, { method: 'DELETE' });
+
+export const addCardApi = async (deckId, card) => {
+  const { card: added } = await apiRequest(`/flashcards/decks/${encodeURIComponent(deckId)}/cards`, {
+    method: 'POST',
+    body: card,
+  });
+  return added;
+};
+
+export const updateCardApi = async (cardId, updates) => {
+  const { card } = await apiRequest(`/flashcards/cards/${encodeURIComponent(cardId)}`, {
+    method: 'PATCH',
+    body: updates,
+  });
+  return card;
+};
+
+export const deleteCardApi = (cardId) =>
+  apiRequest(`/flashcards/cards/${encodeURIComponent(cardId)}`, { method: 'DELETE' });
+
+// ------------------------
+// 🔁 Review
+// ------------------------
+
+export const fetchDueCardsApi = async (deckId, limit = 20) => {
+  const { cards } = await apiRequest(`/flashcards/decks/${encodeURIComponent(deckId)}/review?limit=${limit}`);
+  return cards || [];
+};
+
+/**
+ * Grades a card and returns it with its next review date.
+ * @param {string} cardId
+ * @param {number} quality - 0 (forgot) to 5 (perfect recall)
+ */
+export const reviewCardApi = async (cardId, quality) => {
+  const { card } = await apiRequest(`/flashcards/cards/${encodeURIComponent(cardId)}/review`, {
+    method: 'POST',
+    body: { quality },
+  });
+  return card;
+};
+
+/**
+ * Adds a finished review session to today's usage time.
+ */
+export const recordReviewSessionApi = (seconds, cardsReviewed) =>
+  apiRequest('/flashcards/review-sessions', {
+    method: 'POST',
+    body: { seconds: Math.round(seconds), cardsReviewed },
+  });
+
+/**
+ * "in 6 days", "in 10 min" - when a card will be shown again.
+ */
+export const formatDueIn = (dueAt) => {
+  const minutes = Math.round((new Date(dueAt).getTime() - Date.now()) / 60000);
+  if (minutes <= 0) return 'now';
+  if (minutes < 60) return `in ${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `in ${hours} h`;
+  const days = Math.round(hours / 24);
+  return `in ${days} day${days === 1 ? '' : 's'}`;
+};
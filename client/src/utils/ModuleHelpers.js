@@ -0,0 +1,310 @@
+import apiRequest from './apiRequest';
+
+// ------------------------
+// 🔒 Module Visibility
+// ------------------------
+
+export const VISIBILITY_OPTIONS = [
+  { value: 'private', label: '🔒 Private', hint: 'Only you can see it' },
+  { value: 'class', label: '👥 Class', hint: 'Members of its class' },
+  { value: 'unlisted', label: '🔗 Unlisted', hint: 'Anyone with the link' },
+  { value: 'public', label: '🌐 Public', hint: 'Everyone can find it' },
+];
+
+/**
+ * Gets one module. Unlisted modules need the token from their share link.
+ */
+export const fetchModuleApi = async (moduleId, shareToken) => {
+  const query = shareToken ? `?share_token=${encodeURIComponent(shareToken)}` : '';
+  const { module } = await apiRequest(`/modules/${encodeURIComponent(moduleId)}${query}`);
+  return module;
+};
+
+/**
+ * Saves a module to the user's bookmarks. The share token lets users save an
+ * unlisted module they opened from its link.
+ */
+export const saveModuleApi = (moduleId, shareToken) =>
+  apiRequest('/save-module', {
+    method: 'POST',
+    body: { module_id: moduleId, ...(shareToken && { share_token: shareToken }) },
+  });
+
+/**
+ * Gets a short-lived signed link to a module's file. Download links make the
+ * browser save the file and count towards the module's downloads.
+ * @returns {Promise<{ url: string, fileName: string, expiresAt: string, downloadCount: number }>}
+ */
+export const fetchModuleFileLinkApi = (moduleId, { download = false, shareToken } = {}) => {
+  const params = new URLSearchParams({ disposition: download ? 'attachment' : 'inline' });
+  if (shareToken) params.set('share_token', shareToken);
+  return apiRequest(`/modules/${encodeURIComponent(moduleId)}/download?${params}`);
+};
+
+/**
+ * Starts the download of a module's file.
+ * @returns {Promise<number>} The module's new download count
+ */
+export const downloadModuleFile = async (moduleId, shareToken) => {
+  const { url, fileName, downloadCount } = await fetchModuleFileLinkApi(moduleId, { download: true, shareToken });
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName || 'module-file';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  return downloadCount;
+};
+
+/**
+ * Lower-case extension of a module's file, e.g. "pdf", or '' when unknown.
+ * File links are signed and end in a token, so the stored file name is used,
+ * falling back to the link's path without its query string.
+ */
+export const getModuleFileExtension = (module) => {
+  let name = module?.file_name || '';
+  if (!name && module?.file_url) {
+    try {
+      name = new URL(module.file_url).pathname;
+    } catch {
+      name = '';
+    }
+  }
+  const match = /\.([a-z0-9]+)$/i.exec(name);
+  return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * Changes who can see a module.
+ * @returns {Promise<{ moduleId: string, visibility: string, shareToken: string|null }>}
+ */
+export const updateModuleVisibilityApi = (moduleId, visibility, { rotateShareToken = false } = {}) =>
+  apiRequest(`/modules/${encodeURIComponent(moduleId)}/visibility`, {
+    method: 'PATCH',
+    body: { visibility, rotateShareToken },
+  });
+
+/**
+ * Link to a module's page, with the share token for unlisted modules. Class
+ * modules get the plain link, which works for the class's members. Returns
+ * null when there is nothing to share: private modules, and unlisted ones
+ * whose token only the uploader has.
+ */
+export const getModuleShareLink = (module) => {
+  const base = `${window.location.origin}/dashboard/modules/${module.id}`;
+  if (module.visibility === 'public' || module.visibility === 'class') return base;
+  if (module.visibility === 'unlisted' && module.share_token) {
+    return `${base}?share=${encodeURIComponent(module.share_token)}`;
+  }
+  return null;
+};
+
+// ------------------------
+// ✏️ Module Editing & Versions
+// ------------------------
+
+export const VERSION_CHANGE_LABELS = {
+  created: 'Original upload',
+  metadata: 'Details edited',
+  file: 'File replaced',
+  restore: 'Restored',
+};
+
+export const VERSION_FIELD_LABELS = {
+  title: 'Title',
+  description: 'Outline',
+  file_url: 'File link',
+  file_name: 'File',
+};
+
+/**
+ * Updates a module's title and/or description.
+ * @returns {Promise<{ module: Object, version: Object|null }>}
+ */
+export const updateModuleApi = (moduleId, updates) =>
+  apiRequest(`/modules/${encodeURIComponent(moduleId)}`, { method: 'PATCH', body: updates });
+
+/**
+ * Replaces a module's file. The old file is kept in the version history.
+ * @returns {Promise<{ module: Object, version: Object, extraction: Object }>}
+ */
+export const replaceModuleFileApi = (moduleId, file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  return apiRequest(`/modules/${encodeURIComponent(moduleId)}/file`, { method: 'PUT', body: formData });
+};
+
+export const fetchModuleVersionsApi = async (moduleId) => {
+  const { versions } = await apiRequest(`/modules/${encodeURIComponent(moduleId)}/versions`);
+  return versions;
+};
+
+export const restoreModuleVersionApi = (moduleId, versionNumber) =>
+  apiRequest(`/modules/${encodeURIComponent(moduleId)}/versions/${versionNumber}/restore`, { method: 'POST' });
+
+// ------------------------
+// 📝 Module Summaries
+// ------------------------
+
+export const SUMMARY_IN_PROGRESS = ['pending', 'processing'];
+
+export const fetchModuleSummaryApi = (moduleId) =>
+  apiRequest(`/modules/${encodeURIComponent(moduleId)}/summary`);
+
+/**
+ * Regenerates a module's summary now, replacing an edited one.
+ */
+export const regenerateModuleSummaryApi = (moduleId) =>
+  apiRequest(`/modules/${encodeURIComponent(moduleId)}/summary`, { method: 'POST' });
+
+/**
+ * Saves the owner's own summary and key concepts.
+ * @param {string} moduleId
+ * @param {{ summary: string, keyConcepts: string[] }} updates
+ */
+export const updateModuleSummaryApi = (moduleId, updates) =>
+  apiRequest(`/modules/${encodeURIComponent(moduleId)}/summary`, {
+    method: 'PATCH',
+    body: updates,
+  });
+
+/**
+ * The summary fields of a module (as returned by /api/get-modules) in the
+ * shape the summary endpoints use.
+ */
+export const getModuleSummary = (module) => ({
+  moduleId: module.id,
+  status: module.summary_status || null,
+  summary: module.summary || null,
+  keyConcepts: module.key_concepts || [],
+  readingTimeMinutes: module.reading_time_minutes ?? null,
+  edited: !!module.summary_edited,
+  error: module.summary_error || null,
+});
+
+/**
+ * Copies a summary from the summary endpoints back onto a module object.
+ */
+export const applyModuleSummary = (module, summary) => ({
+  ...module,
+  summary: summary.summary,
+  key_concepts: summary.keyConcepts,
+  reading_time_minutes: summary.readingTimeMinutes,
+  summary_status: summary.status,
+  summary_error: summary.error,
+  summary_edited: summary.edited,
+});
+
+// ------------------------
+// 🚩 Module Reports
+// ------------------------
+
+export const REPORT_REASON_OPTIONS = [
+  { value: 'copyright', label: 'Copyright infringement' },
+  { value: 'inappropriate', label: 'Inappropriate content' },
+  { value: 'spam', label: 'Spam or misleading' },
+  { value: 'other', label: 'Something else' },
+];
+
+/**
+ * Reports a module to the admins. The uploader is told, but not by whom.
+ * @returns {Promise<{ reportId: string, hidden: boolean }>}
+ */
+export const reportModuleApi = (moduleId, { reason, details, shareToken } = {}) =>
+  apiRequest(`/modules/${encodeURIComponent(moduleId)}/report`, {
+    method: 'POST',
+    body: { reason, details, ...(shareToken && { share_token: shareToken }) },
+  });
+
+// ------------------------
+// ⭐ Module Reviews
+// ------------------------
+
+/**
+ * @returns {Promise<{ reviews: Array<Object>, myReview: Object|null, averageRating: number|null, ratingCount: number, page: number, totalPages: number }>}
+ */
+export const fetchModuleReviewsApi = (moduleId, { page = 1, shareToken } = {}) => {
+  const params = new URLSearchParams({ page });
+  if (shareToken) params.set('share_token', shareToken);
+  return apiRequest(`/modules/${encodeURIComponent(moduleId)}/reviews?${params}`);
+};
+
+/**
+ * Writes the user's review of a module, or edits it if they already left one.
+ * @returns {Promise<{ review: Object, averageRating: number, ratingCount: number }>}
+ */
+export const saveModuleReviewApi = (moduleId, { rating, body, shareToken }) =>
+  apiRequest(`/modules/${encodeURIComponent(moduleId)}/reviews`, {
+    method: 'PUT',
+    body: { rating, body, ...(shareToken && { share_token: shareToken }) },
+  });
+
+export const deleteModuleReviewApi = (moduleId) =>
+  apiRequest(`/modules/${encodeURIComponent(moduleId)}/reviews`, { method: 'DELETE' });
+
+/**
+ * Copies a module's new average rating and review count onto it.
+ */
+export const applyModuleRating = (module, { averageRating, ratingCount }) => ({
+  ...module,
+  rating_average: averageRating,
+  rating_count: ratingCount,
+});
+
+// ------------------------
+// 💬 Module Comments
+// ------------------------
+
+const commentsPath = (moduleId, commentId = '') =>
+  `/modules/${encodeURIComponent(moduleId)}/comments${commentId && `/${encodeURIComponent(commentId)}`}`;
+
+const MENTION_PATTERN = /@\[([^\]\n]{1,100})\]\(mention:([0-9a-f-]{36})\)/gi;
+
+/**
+ * Mention token stored in comment text; shows as @Name once rendered.
+ */
+export const toMentionToken = (name, userId) => `@[${name.replace(/[[\]]/g, '')}](mention:${userId})`;
+
+/**
+ * Comment markdown with mention tokens turned into bold @Name for display.
+ */
+export const renderMentions = (body) => body.replace(MENTION_PATTERN, '**@$1**');
+
+/**
+ * @returns {Promise<{ comments: Array<Object>, commentCount: number, page: number, totalPages: number }>}
+ */
+export const fetchModuleCommentsApi = (moduleId, { page = 1, shareToken } = {}) => {
+  const params = new URLSearchParams({ page });
+  if (shareToken) params.set('share_token', shareToken);
+  return apiRequest(`${commentsPath(moduleId)}?${params}`);
+};
+
+export const postModuleCommentApi = async (moduleId, { body, parentId, shareToken }) => {
+  const { comment } = await apiRequest(commentsPath(moduleId), {
+    method: 'POST',
+    body: { body, ...(parentId && { parentId }), ...(shareToken && { share_token: shareToken }) },
+  });
+  return comment;
+};
+
+export const updateModuleCommentApi = async (moduleId, commentId, body, shareToken) => {
+  const { comment } = await apiRequest(commentsPath(moduleId, commentId), {
+    method: 'PATCH',
+    body: { body, ...(shareToken && { share_token: shareToken }) },
+  });
+  return comment;
+};
+
+/**
+ * @returns {Promise<{ commentId: string, kept: boolean }>} `kept` when the
+ * comment stays as "deleted" because it has replies
+ */
+export const deleteModuleCommentApi = (moduleId, commentId, shareToken) => {
+  const query = shareToken ? `?share_token=${encodeURIComponent(shareToken)}` : '';
+  return apiRequest(`${commentsPath(moduleId, commentId)}${query}`, { method: 'DELETE' });
+};
+
+export const setAcceptedAnswerApi = (moduleId, commentId, accepted) =>
+  apiRequest(`${commentsPath(moduleId, commentId)}/accept`, { method: accepted ? 'POST' : 'DELETE' });
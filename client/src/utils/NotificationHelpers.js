@@ -0,0 +1,27 @@
+import apiRequest from './apiRequest';
+
+// ------------------------
+// 🔔 Notifications
+// ------------------------
+
+/**
+ * @param {Object} params - { unread, page }
+ * @returns {Promise<{ notifications: Array<Object>, unreadCount: number, page: number, totalPages: number }>}
+ */
+export const fetchNotificationsApi = ({ unread = false, page = 1 } = {}) => {
+  const params = new URLSearchParams({ page });
+  if (unread) params.set('unread', 'true');
+  return apiRequest(`/notifications?${params}`);
+};
+
+export const fetchUnreadNotificationCountApi = async () => {
+  const { unreadCount } = await apiRequest('/notifications/unread-count');
+  return unreadCount;
+};
+
+/**
+ * Marks the given notifications read, or all of them without ids.
+ * @returns {Promise<{ updatedIds: string[], unreadCount: number }>}
+ */
+export const markNotificationsReadApi = (ids) =>
+  apiRequest('/notifications/read', { method: 'POST', body: ids ? { ids } : {} });
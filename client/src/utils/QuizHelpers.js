@@ -0,0 +1,67 @@
+import apiRequest from './apiRequest';
+
+// ------------------------
+// 📝 Quizzes
+// ------------------------
+
+export const QUESTION_TYPE_LABELS = {
+  multiple_choice: 'Multiple choice',
+  true_false: 'True / False',
+  short_answer: 'Short answer',
+};
+
+/**
+ * Generates a new quiz from a module's extracted text.
+ * @param {string} moduleId
+ * @param {Object} options - { count, types, difficulty }
+ * @returns {Promise<Object>} The quiz, without answers
+ */
+export const generateQuizApi = async (moduleId, options = {}) => {
+  const { quiz } = await apiRequest(`/modules/${encodeURIComponent(moduleId)}/quiz`, {
+    method: 'POST',
+    body: options,
+  });
+  return quiz;
+};
+
+/**
+ * Lists the quizzes the user generated, or all quizzes of one module.
+ */
+export const fetchQuizzesApi = async (moduleId = null) => {
+  const query = moduleId ? `?module_id=${encodeURIComponent(moduleId)}` : '';
+  const { quizzes } = await apiRequest(`/quizzes${query}`);
+  return quizzes || [];
+};
+
+export const fetchQuizApi = async (quizId) => {
+  const { quiz } = await apiRequest(`/quizzes/${encodeURIComponent(quizId)}`);
+  return quiz;
+};
+
+/**
+ * Submits answers for scoring.
+ * @param {string} quizId
+ * @param {Object} answers - Question id -> option index, true/false or text
+ * @returns {Promise<{ attempt: Object, questions: Array<Object> }>} The scored
+ *   attempt and the questions with their answers and explanations
+ */
+export const submitQuizAttemptApi = (quizId, answers) =>
+  apiRequest(`/quizzes/${encodeURIComponent(quizId)}/attempts`, {
+    method: 'POST',
+    body: { answers },
+  });
+
+export const fetchQuizAttemptsApi = async (quizId) => {
+  const { attempts } = await apiRequest(`/quizzes/${encodeURIComponent(quizId)}/attempts`);
+  return attempts || [];
+};
+
+/**
+ * Text shown for an answer when reviewing results.
+ */
+export const formatQuizAnswer = (question, answer) => {
+  if (answer === null || answer === undefined || answer === '') return 'No answer';
+  if (question.type === 'multiple_choice') return question.options?.[Number(answer)] ?? 'No answer';
+  if (question.type === 'true_false') return String(answer) === 'true' ? 'True' : 'False';
+  return String(answer);
+};
@@ -0,0 +1,50 @@
+import { supabase } from '../supabaseClient';
+import API_BASE_URL from '../config';
+
+/**
+ * Message of an error response from the API, which look like
+ * { error: { code, message, details } }
+ * @param {Object} result - Parsed response body
+ * @param {string} fallback - Used when the body has no message
+ */
+export const getErrorMessage = (result, fallback) => result?.error?.message || fallback;
+
+/**
+ * Calls a JSON endpoint under /api with the user's token. A FormData body is
+ * sent as multipart, anything else as JSON.
+ * Errors carry the HTTP `status` and the API's error `code` and `details` so
+ * callers can react to specific failures.
+ * @param {string} path - Path after /api, e.g. "/quizzes"
+ * @param {Object} options - { method = 'GET', body }
+ */
+const apiRequest = async (path, { method = 'GET', body } = {}) => {
+  const { data, error } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+
+  if (error || !token) {
+    throw new Error('Missing or invalid Supabase token');
+  }
+
+  const isFormData = body instanceof FormData;
+  const res = await fetch(`${API_BASE_URL}/api${path}`, {
+    method,
+    headers: {
+      ...(!isFormData && { 'Content-Type': 'application/json' }),
+      Authorization: `Bearer ${token}`,
+    },
+    ...(body && { body: isFormData ? body : JSON.stringify(body) }),
+  });
+
+  const result = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const requestError = new Error(getErrorMessage(result, `Request failed (${res.status})`));
+    requestError.status = res.status;
+    requestError.code = result.error?.code;
+    requestError.details = result.error?.details;
+    throw requestError;
+  }
+
+  return result;
+};
+
+export default apiRequest;
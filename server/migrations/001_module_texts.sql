@@ -0,0 +1,18 @@
+-- Extracted document text for modules, kept out of the `modules` table so
+-- listings do not ship whole documents to the client.
+create extension if not exists pg_trgm;
+
+create table if not exists module_texts (
+  module_id uuid primary key references modules(id) on delete cascade,
+  content text not null default '',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Trigram indexes keep the ILIKE matching used by /api/modules/search fast.
+create index if not exists module_texts_content_trgm_idx
+  on module_texts using gin (content gin_trgm_ops);
+create index if not exists modules_title_trgm_idx
+  on modules using gin (title gin_trgm_ops);
+create index if not exists modules_description_trgm_idx
+  on modules using gin (description gin_trgm_ops);
@@ -0,0 +1,11 @@
+-- Extraction bookkeeping for module_texts, filled in by the upload and
+-- re-extract routes.
+alter table module_texts
+  add column if not exists status text not null default 'pending'
+    check (status in ('pending', 'processing', 'completed', 'failed', 'unsupported')),
+  add column if not exists pages jsonb,
+  add column if not exists page_count integer,
+  add column if not exists word_count integer not null default 0,
+  add column if not exists mime_type text,
+  add column if not exists error text,
+  add column if not exists extracted_at timestamptz;
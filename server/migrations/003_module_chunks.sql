@@ -0,0 +1,16 @@
+-- Overlapping text chunks of each module's extracted text with their
+-- embeddings, used to ground /api/generate-content answers.
+create table if not exists module_chunks (
+  id uuid primary key default gen_random_uuid(),
+  module_id uuid not null references modules(id) on delete cascade,
+  chunk_index integer not null,
+  page integer,
+  content text not null,
+  embedding double precision[] not null,
+  embedding_model text not null,
+  created_at timestamptz not null default now(),
+  unique (module_id, embedding_model, chunk_index)
+);
+
+create index if not exists module_chunks_module_model_idx
+  on module_chunks (module_id, embedding_model);
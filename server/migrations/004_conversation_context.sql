@@ -0,0 +1,24 @@
+-- Prompt/response pairs of each conversation, read back by
+-- /api/generate-content to give the model the earlier turns.
+create table if not exists chat_history (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  "conversationId" text not null,
+  prompt text not null,
+  response text not null,
+  timestamp timestamptz not null default now()
+);
+
+create index if not exists chat_history_user_conversation_idx
+  on chat_history (user_id, "conversationId", timestamp);
+
+-- Rolling summary of the turns that no longer fit in the model's context.
+-- summarized_turns is how many of the oldest turns the summary covers.
+create table if not exists conversation_summaries (
+  user_id uuid not null references auth.users(id) on delete cascade,
+  conversation_id text not null,
+  summary text not null,
+  summarized_turns integer not null default 0,
+  updated_at timestamptz not null default now(),
+  primary key (user_id, conversation_id)
+);
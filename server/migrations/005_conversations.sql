@@ -0,0 +1,41 @@
+-- Chat conversations stored server-side so they follow the user across
+-- devices. Ids are generated by the client (conv_...) so sessions created
+-- offline or in localStorage keep their identity when uploaded.
+create table if not exists conversations (
+  id text not null,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  title text not null default 'New Chat',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  -- Set when the conversation is deleted; kept as a tombstone so other
+  -- devices remove their copy instead of uploading it again
+  deleted_at timestamptz,
+  primary key (user_id, id)
+);
+
+create index if not exists conversations_user_updated_idx
+  on conversations (user_id, updated_at desc);
+
+-- Messages are append-only and keyed by a client-generated id, so uploading
+-- the same message twice (retries, two devices syncing) is a no-op.
+create table if not exists conversation_messages (
+  id text not null,
+  user_id uuid not null,
+  conversation_id text not null,
+  role text not null check (role in ('user', 'ai')),
+  content text not null default '',
+  sources jsonb,
+  file_name text,
+  file_type text,
+  interrupted boolean not null default false,
+  created_at timestamptz not null default now(),
+  primary key (user_id, id),
+  foreign key (user_id, conversation_id)
+    references conversations (user_id, id) on delete cascade
+);
+
+create index if not exists conversation_messages_conversation_idx
+  on conversation_messages (user_id, conversation_id, created_at);
+
+-- chat_history (004) is superseded by conversation_messages and no longer
+-- written to; it is left in place so existing rows are not lost.
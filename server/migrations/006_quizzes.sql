@@ -0,0 +1,38 @@
+-- Quizzes generated from a module's extracted text. Questions are stored with
+-- their answer keys and explanations; the API strips those before a quiz is
+-- taken and only returns them with a graded attempt.
+create table if not exists quizzes (
+  id uuid primary key default gen_random_uuid(),
+  module_id uuid not null references modules(id) on delete cascade,
+  created_by uuid not null references auth.users(id) on delete cascade,
+  title text not null,
+  difficulty text not null default 'medium' check (difficulty in ('easy', 'medium', 'hard')),
+  -- [{ id, type: 'multiple_choice'|'true_false'|'short_answer', question,
+  --    options?, answer, acceptedAnswers?, explanation }]
+  questions jsonb not null,
+  question_count integer not null,
+  model text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists quizzes_module_idx
+  on quizzes (module_id, created_at desc);
+
+-- One row per submitted attempt, scored when it is submitted
+create table if not exists quiz_attempts (
+  id uuid primary key default gen_random_uuid(),
+  quiz_id uuid not null references quizzes(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  answers jsonb not null,
+  -- [{ questionId, correct, given, correctAnswer }]
+  results jsonb not null,
+  score integer not null,
+  max_score integer not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists quiz_attempts_user_idx
+  on quiz_attempts (user_id, created_at desc);
+
+create index if not exists quiz_attempts_quiz_user_idx
+  on quiz_attempts (quiz_id, user_id, created_at desc);
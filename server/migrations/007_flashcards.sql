@@ -0,0 +1,50 @@
+-- Flashcard decks generated from a module (one per user and module) and
+-- edited by their owner. Each card carries its SM-2 scheduling state.
+create table if not exists flashcard_decks (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  module_id uuid references modules(id) on delete set null,
+  title text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, module_id)
+);
+
+create table if not exists flashcards (
+  id uuid primary key default gen_random_uuid(),
+  deck_id uuid not null references flashcard_decks(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  kind text not null default 'qa' check (kind in ('term', 'qa')),
+  front text not null,
+  back text not null,
+  -- SM-2 state: ease factor, days until the next review, successful reviews in a row
+  ease_factor double precision not null default 2.5,
+  interval_days integer not null default 0,
+  repetitions integer not null default 0,
+  lapses integer not null default 0,
+  due_at timestamptz not null default now(),
+  last_reviewed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists flashcards_deck_due_idx
+  on flashcards (deck_id, due_at);
+
+create table if not exists flashcard_reviews (
+  id uuid primary key default gen_random_uuid(),
+  card_id uuid not null references flashcards(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  -- SM-2 response quality, 0 (blackout) to 5 (perfect recall)
+  quality smallint not null check (quality between 0 and 5),
+  interval_days integer not null,
+  reviewed_at timestamptz not null default now()
+);
+
+create index if not exists flashcard_reviews_user_idx
+  on flashcard_reviews (user_id, reviewed_at desc);
+
+-- Review sessions are added to the daily usage_time row; these columns keep
+-- the flashcard share of it for the analytics page.
+alter table usage_time add column if not exists review_seconds integer not null default 0;
+alter table usage_time add column if not exists cards_reviewed integer not null default 0;
@@ -0,0 +1,11 @@
+-- AI-generated overview of each module, produced by a background job after
+-- the module's text is extracted. Owners can regenerate or edit it; an edited
+-- summary is not overwritten by later automatic runs.
+alter table modules add column if not exists summary text;
+alter table modules add column if not exists key_concepts jsonb;
+alter table modules add column if not exists reading_time_minutes integer;
+alter table modules add column if not exists summary_status text
+  check (summary_status in ('pending', 'processing', 'completed', 'failed', 'unavailable'));
+alter table modules add column if not exists summary_error text;
+alter table modules add column if not exists summary_generated_at timestamptz;
+alter table modules add column if not exists summary_edited boolean not null default false;
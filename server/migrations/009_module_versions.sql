@@ -0,0 +1,28 @@
+-- Every edit to a module's title, description or file is kept as a version so
+-- the uploader can see what changed and restore an older state. Each row is a
+-- snapshot of the module after the change; replaced files stay in storage
+-- until the module is deleted so they can be restored.
+create table if not exists module_versions (
+  id uuid primary key default gen_random_uuid(),
+  module_id uuid not null references modules(id) on delete cascade,
+  version_number integer not null,
+  changed_by uuid references auth.users(id) on delete set null,
+  -- 'created' is the state before the first edit, recorded with it
+  change_type text not null check (change_type in ('created', 'metadata', 'file', 'restore')),
+  -- { field: { from, to } } for each field that changed
+  changes jsonb not null default '{}'::jsonb,
+  title text not null,
+  description text,
+  file_url text,
+  file_name text,
+  previous_file_url text,
+  previous_file_name text,
+  restored_from integer,
+  created_at timestamptz not null default now(),
+  unique (module_id, version_number)
+);
+
+create index if not exists module_versions_module_idx
+  on module_versions (module_id, version_number desc);
+
+alter table modules add column if not exists updated_at timestamptz;
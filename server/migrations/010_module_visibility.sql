@@ -0,0 +1,12 @@
+-- Who can see a module: only the uploader (private), anyone holding its share
+-- link (unlisted) or every user (public). Modules uploaded before this were
+-- listed to everyone, so they start out public; new uploads default to private.
+alter table modules add column if not exists visibility text not null default 'public'
+  check (visibility in ('private', 'unlisted', 'public'));
+alter table modules alter column visibility set default 'private';
+alter table modules add column if not exists share_token text unique;
+
+create index if not exists modules_visibility_idx on modules (visibility, created_at desc);
+
+-- Files are handed out as signed, expiring links from now on
+update storage.buckets set public = false where id = 'module-files';
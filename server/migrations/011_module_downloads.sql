@@ -0,0 +1,14 @@
+-- How many times each module's file has been downloaded through
+-- GET /api/modules/:id/download. Views in the app are not counted.
+alter table modules add column if not exists download_count integer not null default 0;
+
+-- Atomic increment so concurrent downloads are all counted
+create or replace function increment_module_downloads(target_module_id uuid)
+returns integer
+language sql
+as $$
+  update modules
+     set download_count = download_count + 1
+   where id = target_module_id
+  returning download_count;
+$$;
@@ -0,0 +1,60 @@
+-- Classes (course sections or study groups) with a shared module library.
+-- Members join with the class's join code or by accepting an email invite.
+create table if not exists classes (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  description text,
+  owner_id uuid not null references auth.users(id) on delete cascade,
+  join_code text not null unique,
+  -- Study groups let everyone post; course sections can keep posting to instructors
+  students_can_post boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists class_members (
+  class_id uuid not null references classes(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  role text not null default 'student' check (role in ('owner', 'instructor', 'student')),
+  joined_at timestamptz not null default now(),
+  primary key (class_id, user_id)
+);
+
+create index if not exists class_members_user_idx on class_members (user_id);
+
+create table if not exists class_invites (
+  id uuid primary key default gen_random_uuid(),
+  class_id uuid not null references classes(id) on delete cascade,
+  email text not null,
+  role text not null default 'student' check (role in ('instructor', 'student')),
+  invited_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (class_id, email)
+);
+
+create index if not exists class_invites_email_idx on class_invites (lower(email));
+
+-- A module posted to a class shows up in its library. 'class' visibility
+-- limits it to the class's members.
+alter table modules add column if not exists class_id uuid references classes(id) on delete set null;
+create index if not exists modules_class_idx on modules (class_id, created_at desc);
+
+alter table modules drop constraint if exists modules_visibility_check;
+alter table modules add constraint modules_visibility_check
+  check (visibility in ('private', 'unlisted', 'public', 'class'));
+
+-- Deleting a class leaves its class-only modules with their uploaders
+create or replace function reset_class_module_visibility()
+returns trigger
+language plpgsql
+as $$
+begin
+  update modules set visibility = 'private' where class_id = old.id and visibility = 'class';
+  return old;
+end;
+$$;
+
+drop trigger if exists classes_reset_module_visibility on classes;
+create trigger classes_reset_module_visibility
+  before delete on classes
+  for each row execute function reset_class_module_visibility();
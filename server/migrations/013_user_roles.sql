@@ -0,0 +1,32 @@
+-- Account roles. Instructors can be made instructors of the classes they join;
+-- admins can use the maintenance routes and moderate every class.
+alter table profiles add column if not exists role text not null default 'student';
+
+alter table profiles drop constraint if exists profiles_role_check;
+alter table profiles add constraint profiles_role_check
+  check (role in ('student', 'instructor', 'admin'));
+
+create index if not exists profiles_role_idx on profiles (role) where role <> 'student';
+
+-- Roles are handed out by admins through the API (service role). Stop users
+-- from promoting themselves with a direct profile update.
+create or replace function protect_profile_role()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.role is distinct from old.role and coalesce(auth.role(), '') <> 'service_role' then
+    raise exception 'Only administrators can change account roles';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_protect_role on profiles;
+create trigger profiles_protect_role
+  before update on profiles
+  for each row execute function protect_profile_role();
+
+-- Class instructors can pin modules to the top of the class library
+alter table modules add column if not exists pinned_at timestamptz;
+alter table modules add column if not exists pinned_by uuid references auth.users(id) on delete set null;
@@ -0,0 +1,37 @@
+-- Moderation: suspended accounts, abuse reports on modules and an audit log
+-- of what admins did.
+
+-- The auth middleware refuses requests from suspended accounts
+alter table profiles add column if not exists suspended_at timestamptz;
+alter table profiles add column if not exists suspended_reason text;
+alter table profiles add column if not exists suspended_by uuid references auth.users(id) on delete set null;
+
+create table if not exists module_reports (
+  id uuid primary key default gen_random_uuid(),
+  -- Kept after the module is removed so resolved reports stay in the history
+  module_id uuid references modules(id) on delete set null,
+  reporter_id uuid references auth.users(id) on delete set null,
+  reason text not null,
+  details text,
+  status text not null default 'open' check (status in ('open', 'dismissed', 'actioned')),
+  resolved_by uuid references auth.users(id) on delete set null,
+  resolved_at timestamptz,
+  resolution_note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists module_reports_status_idx on module_reports (status, created_at desc);
+create index if not exists module_reports_module_idx on module_reports (module_id);
+
+create table if not exists audit_log (
+  id uuid primary key default gen_random_uuid(),
+  actor_id uuid references auth.users(id) on delete set null,
+  action text not null,
+  target_type text not null,
+  target_id text,
+  details jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_idx on audit_log (created_at desc);
+create index if not exists audit_log_actor_idx on audit_log (actor_id, created_at desc);
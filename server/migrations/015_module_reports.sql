@@ -0,0 +1,32 @@
+-- Reporting modules: users flag a module with a reason, and once enough
+-- different people report it the module is hidden until an admin reviews it.
+-- Uploaders hear about it through in-app notifications.
+
+-- Hidden modules only show up for their uploader and in the admin dashboard
+alter table modules add column if not exists hidden_at timestamptz;
+
+alter table module_reports drop constraint if exists module_reports_reason_check;
+alter table module_reports add constraint module_reports_reason_check
+  check (reason in ('copyright', 'inappropriate', 'spam', 'other'));
+
+-- One open report per person per module, so the count that hides a module
+-- is a count of distinct reporters
+create unique index if not exists module_reports_open_reporter_idx
+  on module_reports (module_id, reporter_id)
+  where status = 'open';
+
+create table if not exists notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  type text not null,
+  title text not null,
+  body text,
+  -- Client route the notification opens, e.g. /dashboard/modules/<id>
+  link text,
+  data jsonb not null default '{}'::jsonb,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_user_idx on notifications (user_id, created_at desc);
+create index if not exists notifications_unread_idx on notifications (user_id) where read_at is null;
@@ -0,0 +1,42 @@
+-- Star ratings and written reviews on modules, one per user per module
+create table if not exists module_reviews (
+  id uuid primary key default gen_random_uuid(),
+  module_id uuid not null references modules(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  rating smallint not null check (rating between 1 and 5),
+  body text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (module_id, user_id)
+);
+
+create index if not exists module_reviews_module_idx on module_reviews (module_id, updated_at desc);
+
+-- Kept on the module so listings can show and sort by rating without a join
+alter table modules add column if not exists rating_average numeric(3, 2);
+alter table modules add column if not exists rating_count integer not null default 0;
+
+create or replace function refresh_module_rating()
+returns trigger
+language plpgsql
+as $$
+declare
+  target uuid := coalesce(new.module_id, old.module_id);
+begin
+  update modules
+     set rating_average = stats.average,
+         rating_count = stats.total
+    from (
+      select round(avg(rating)::numeric, 2) as average, count(*)::integer as total
+        from module_reviews
+       where module_id = target
+    ) as stats
+   where modules.id = target;
+  return null;
+end;
+$$;
+
+drop trigger if exists module_reviews_refresh_rating on module_reviews;
+create trigger module_reviews_refresh_rating
+  after insert or update of rating or delete on module_reviews
+  for each row execute function refresh_module_rating();
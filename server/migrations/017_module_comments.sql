@@ -0,0 +1,50 @@
+-- Discussion under each module. Top-level comments start a thread and replies
+-- sit one level below them; the uploader can accept one reply per thread as
+-- the answer. Comments are markdown, and mentions are written as
+-- @[Name](mention:<user id>).
+create table if not exists module_comments (
+  id uuid primary key default gen_random_uuid(),
+  module_id uuid not null references modules(id) on delete cascade,
+  user_id uuid references auth.users(id) on delete set null,
+  parent_id uuid references module_comments(id) on delete cascade,
+  -- Null once the comment is deleted but kept for the replies under it
+  body text,
+  mentions uuid[] not null default '{}',
+  accepted_at timestamptz,
+  deleted_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists module_comments_thread_idx on module_comments (module_id, parent_id, created_at);
+create index if not exists module_comments_parent_idx on module_comments (parent_id);
+
+-- One accepted answer per thread
+create unique index if not exists module_comments_accepted_idx
+  on module_comments (parent_id)
+  where accepted_at is not null;
+
+-- Shown on module cards, so kept on the module
+alter table modules add column if not exists comment_count integer not null default 0;
+
+create or replace function refresh_module_comment_count()
+returns trigger
+language plpgsql
+as $$
+declare
+  target uuid := coalesce(new.module_id, old.module_id);
+begin
+  update modules
+     set comment_count = (
+       select count(*) from module_comments
+        where module_id = target and deleted_at is null
+     )
+   where id = target;
+  return null;
+end;
+$$;
+
+drop trigger if exists module_comments_refresh_count on module_comments;
+create trigger module_comments_refresh_count
+  after insert or update of deleted_at or delete on module_comments
+  for each row execute function refresh_module_comment_count();
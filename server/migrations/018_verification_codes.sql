@@ -0,0 +1,52 @@
+-- Signup verification codes, kept in the database so they survive restarts
+-- and work across serverless instances. Only a salted hash of each code is
+-- stored. The server reaches these tables with the service role; nobody
+-- else can read them.
+create table if not exists verification_codes (
+  email text primary key,
+  code_hash text not null,
+  salt text not null,
+  -- What the code unlocks, e.g. the verified Google profile for a signup
+  payload jsonb not null default '{}'::jsonb,
+  attempts integer not null default 0,
+  send_count integer not null default 1,
+  expires_at timestamptz not null,
+  last_sent_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists verification_codes_expires_idx on verification_codes (expires_at);
+
+-- Sliding-window rate limits per email and per IP
+create table if not exists verification_rate_events (
+  id bigint generated always as identity primary key,
+  key text not null,
+  action text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists verification_rate_events_lookup_idx
+  on verification_rate_events (key, action, created_at desc);
+
+alter table verification_codes enable row level security;
+alter table verification_rate_events enable row level security;
+
+-- Atomic attempt counter so parallel guesses are all counted
+create or replace function increment_verification_attempts(target_email text)
+returns integer
+language sql
+as $$
+  update verification_codes
+     set attempts = attempts + 1
+   where email = target_email
+  returning attempts;
+$$;
+
+-- Drop expired codes and rate-limit events older than a day
+create or replace function prune_verification_codes()
+returns void
+language sql
+as $$
+  delete from verification_codes where expires_at < now();
+  delete from verification_rate_events where created_at < now() - interval '1 day';
+$$;
@@ -0,0 +1,5 @@
+-- When a module's summary job was last queued or started. Jobs run inside the
+-- server process, so a restart, or a serverless function ending after its
+-- response, can lose one. A summary still pending or processing long after
+-- this is generated again the next time it is read.
+alter table modules add column if not exists summary_queued_at timestamptz;
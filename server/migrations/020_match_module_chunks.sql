@@ -0,0 +1,50 @@
+-- Chunk search for chat answers, done in the database: only the best matches
+-- leave it, rather than every chunk of every module a user can draw on (which
+-- PostgREST's row cap would also cut short). Scores are cosine similarities,
+-- 0 for embeddings of another length or with no magnitude.
+create or replace function match_module_chunks(
+  query_embedding double precision[],
+  target_module_ids uuid[],
+  target_embedding_model text,
+  match_count integer,
+  min_score double precision default 0
+)
+returns table (
+  id uuid,
+  module_id uuid,
+  chunk_index integer,
+  page integer,
+  content text,
+  score double precision
+)
+language sql
+stable
+as $$
+  with scored as (
+    select
+      c.id,
+      c.module_id,
+      c.chunk_index,
+      c.page,
+      c.content,
+      case when cardinality(c.embedding) = cardinality(query_embedding) then
+        coalesce(
+          (select sum(x * q) from unnest(c.embedding, query_embedding) as pairs(x, q))
+            / nullif(
+              sqrt((select sum(x * x) from unnest(c.embedding) as v(x)))
+                * sqrt((select sum(q * q) from unnest(query_embedding) as v(q))),
+              0
+            ),
+          0
+        )
+      else 0 end as score
+    from module_chunks c
+    where c.module_id = any(target_module_ids)
+      and c.embedding_model = target_embedding_model
+  )
+  select s.id, s.module_id, s.chunk_index, s.page, s.content, s.score
+  from scored s
+  where s.score >= min_score
+  order by s.score desc
+  limit match_count;
+$$;
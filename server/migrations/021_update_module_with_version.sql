@@ -0,0 +1,77 @@
+-- Applies an edit to a module and records it as a version in one
+-- transaction. The module row is locked first, so concurrent edits of the
+-- same module take turns instead of both claiming the next version number.
+-- `updates` holds any of title, description, file_url and file_name.
+-- Returns { module, version }, with version null when nothing changed.
+create or replace function update_module_with_version(
+  target_module_id uuid,
+  updates jsonb,
+  editor_id uuid,
+  edit_type text,
+  restored_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  before_row modules%rowtype;
+  after_row modules%rowtype;
+  new_version module_versions%rowtype;
+  changes jsonb := '{}'::jsonb;
+  field text;
+  latest integer;
+begin
+  select * into before_row from modules where id = target_module_id for update;
+  if not found then
+    raise exception 'Module % not found', target_module_id using errcode = 'P0002';
+  end if;
+
+  foreach field in array array['title', 'description', 'file_url', 'file_name'] loop
+    if updates ? field and (updates ->> field) is distinct from (to_jsonb(before_row) ->> field) then
+      changes := changes || jsonb_build_object(
+        field,
+        jsonb_build_object('from', to_jsonb(before_row) -> field, 'to', updates -> field)
+      );
+    end if;
+  end loop;
+
+  if changes = '{}'::jsonb then
+    return jsonb_build_object('module', to_jsonb(before_row), 'version', null);
+  end if;
+
+  select coalesce(max(version_number), 0) into latest
+    from module_versions where module_id = target_module_id;
+
+  -- The first edit also stores the module as uploaded, as version 1
+  if latest = 0 then
+    insert into module_versions
+      (module_id, version_number, changed_by, change_type, title, description, file_url, file_name, created_at)
+    values
+      (before_row.id, 1, before_row.user_id, 'created', before_row.title, before_row.description,
+       before_row.file_url, before_row.file_name, coalesce(before_row.created_at, now()));
+    latest := 1;
+  end if;
+
+  update modules set
+    title = case when updates ? 'title' then updates ->> 'title' else title end,
+    description = case when updates ? 'description' then updates ->> 'description' else description end,
+    file_url = case when updates ? 'file_url' then updates ->> 'file_url' else file_url end,
+    file_name = case when updates ? 'file_name' then updates ->> 'file_name' else file_name end,
+    updated_at = now()
+  where id = target_module_id
+  returning * into after_row;
+
+  insert into module_versions
+    (module_id, version_number, changed_by, change_type, changes, title, description, file_url, file_name,
+     previous_file_url, previous_file_name, restored_from)
+  values
+    (after_row.id, latest + 1, editor_id, edit_type, changes, after_row.title, after_row.description,
+     after_row.file_url, after_row.file_name,
+     case when changes ? 'file_url' then before_row.file_url end,
+     case when changes ? 'file_url' then before_row.file_name end,
+     restored_version)
+  returning * into new_version;
+
+  return jsonb_build_object('module', to_jsonb(after_row), 'version', to_jsonb(new_version));
+end;
+$$;
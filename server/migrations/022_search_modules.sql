@@ -0,0 +1,73 @@
+-- Full-text module search, done in the database: titles, descriptions and
+-- extracted text are indexed as tsvectors, and the search ranks, filters and
+-- pages the matches itself, so a page of results and its total are exact.
+-- Title words weigh most (A), then the description (B), then the text (D).
+alter table modules add column if not exists search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A')
+      || setweight(to_tsvector('english', coalesce(description, '')), 'B')
+  ) stored;
+
+-- Only the start of very long documents is indexed: a tsvector holds at most 1MB
+alter table module_texts add column if not exists search_vector tsvector
+  generated always as (setweight(to_tsvector('english', left(content, 250000)), 'D')) stored;
+
+create index if not exists modules_search_vector_idx on modules using gin (search_vector);
+create index if not exists module_texts_search_vector_idx on module_texts using gin (search_vector);
+
+-- Modules matching `search_query` (websearch syntax: quoted phrases, "or",
+-- -excluded) that `viewer_id` may find: their own, plus, with `include_others`,
+-- public ones and class-only ones of classes they belong to. Hidden modules
+-- only match for their uploader. Page with limit/offset; PostgREST's exact
+-- count gives the total.
+create or replace function search_modules(
+  search_query text,
+  viewer_id uuid,
+  include_others boolean default false,
+  uploader_id uuid default null,
+  uploader_name text default null,
+  file_extension text default null,
+  created_from timestamptz default null,
+  created_to timestamptz default null
+)
+returns table (
+  id uuid,
+  score real,
+  created_at timestamptz,
+  module jsonb
+)
+language sql
+stable
+as $$
+  with query as (
+    select websearch_to_tsquery('english', search_query) as tsquery
+  )
+  select
+    m.id,
+    ts_rank(m.search_vector || coalesce(t.search_vector, ''::tsvector), query.tsquery) as score,
+    m.created_at,
+    to_jsonb(m) - 'search_vector' as module
+  from modules m
+  cross join query
+  left join module_texts t on t.module_id = m.id
+  where (m.search_vector || coalesce(t.search_vector, ''::tsvector)) @@ query.tsquery
+    and (
+      m.user_id = viewer_id
+      or (include_others and m.hidden_at is null and (
+        m.visibility = 'public'
+        or (m.visibility = 'class' and exists (
+          select 1 from class_members cm where cm.class_id = m.class_id and cm.user_id = viewer_id
+        ))
+      ))
+    )
+    and (uploader_id is null or m.user_id = uploader_id)
+    and (uploader_name is null or m.uploaded_by ilike '%' || uploader_name || '%')
+    and (file_extension is null or m.file_name ilike '%.' || file_extension)
+    and (created_from is null or m.created_at >= created_from)
+    and (created_to is null or m.created_at <= created_to)
+  order by score desc, m.created_at desc;
+$$;
+
+-- It answers for any viewer id it is given, so only the server may call it
+revoke execute on function search_modules(text, uuid, boolean, uuid, text, text, timestamptz, timestamptz)
+  from public, anon, authenticated;
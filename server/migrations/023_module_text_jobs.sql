@@ -0,0 +1,7 @@
+-- Text extraction and chunk indexing run as a background job after an upload
+-- instead of inside the request. `queued_at` is when the job was last queued
+-- or started: a job holds it as its claim, and one still pending or processing
+-- long after it is run again the next time the text is read. `chunk_count`
+-- is how many chunks the job indexed for chat.
+alter table module_texts add column if not exists queued_at timestamptz;
+alter table module_texts add column if not exists chunk_count integer not null default 0;
@@ -0,0 +1,29 @@
+-- Like roles (see 013_user_roles.sql), suspensions are only set and lifted by
+-- admins through the API (service role). Users can't lift their own with a
+-- direct profile update, and profile rows they create start out active.
+create or replace function protect_profile_suspension()
+returns trigger
+language plpgsql
+as $$
+begin
+  if coalesce(auth.role(), '') = 'service_role' then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    new.suspended_at := null;
+    new.suspended_reason := null;
+    new.suspended_by := null;
+  elsif new.suspended_at is distinct from old.suspended_at
+    or new.suspended_reason is distinct from old.suspended_reason
+    or new.suspended_by is distinct from old.suspended_by then
+    raise exception 'Only administrators can suspend or reinstate accounts';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_protect_suspension on profiles;
+create trigger profiles_protect_suspension
+  before insert or update on profiles
+  for each row execute function protect_profile_suspension();
@@ -0,0 +1,25 @@
+-- 013_user_roles.sql only checked updates, so a user could still create their
+-- own profile row with a role already set. Profile rows users create now get
+-- the default role; admins (service role) set roles as before.
+create or replace function protect_profile_role()
+returns trigger
+language plpgsql
+as $$
+begin
+  if coalesce(auth.role(), '') = 'service_role' then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    new.role := 'student';
+  elsif new.role is distinct from old.role then
+    raise exception 'Only administrators can change account roles';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_protect_role on profiles;
+create trigger profiles_protect_role
+  before insert or update on profiles
+  for each row execute function protect_profile_role();
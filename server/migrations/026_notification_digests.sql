@@ -0,0 +1,6 @@
+-- Unread notifications are also sent by email in a digest (npm run digests).
+-- `emailed_at` marks the ones a digest already carried, so each goes out once.
+alter table notifications add column if not exists emailed_at timestamptz;
+
+create index if not exists notifications_digest_idx on notifications (created_at)
+  where read_at is null and emailed_at is null;
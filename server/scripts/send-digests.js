@@ -0,0 +1,12 @@
+// Emails users a digest of their unread notifications. Run it once a day,
+// e.g. from cron: 0 7 * * * cd /path/to/server && npm run digests
+import { sendNotificationDigests } from '../src/utils/notificationEmails.js';
+
+try {
+  const { sent, failed, skipped } = await sendNotificationDigests();
+  console.log(`[digests] Sent ${sent}, failed ${failed}, skipped ${skipped}`);
+  process.exitCode = failed > 0 ? 1 : 0;
+} catch (error) {
+  console.error('[digests] ❌', error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,177 @@
+import express from 'express';
+import cors from 'cors';
+
+import config from './config/config.js';
+
+import authRoutes from './routes/authRoutes.js';
+import profileRoutes from './routes/profileRoutes.js';
+import moduleRoutes from './routes/moduleRoutes.js';
+import commentRoutes from './routes/commentRoutes.js';
+import saveRoutes from './routes/saveRoutes.js';
+import chatRoutes from './routes/chatRoutes.js';
+import analyticsRoutes from './routes/analyticsRoutes.js';
+import conversationRoutes from './routes/conversationRoutes.js';
+import quizRoutes from './routes/quizRoutes.js';
+import flashcardRoutes from './routes/flashcardRoutes.js';
+import classRoutes from './routes/classRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import { notFoundHandler, errorHandler } from './middleware/errorHandler.js';
+
+// The one Express app behind every deployment: index.js serves it locally
+// and vercel.js hands it Vercel's requests.
+const app = express();
+
+const allowedOrigins = [
+  'http://localhost:3000', // For development
+  config.server.vercelUrl ? `https://${config.server.vercelUrl}` : undefined,
+  config.server.frontendUrl, // Add this env var in Vercel if needed
+  config.server.clientUrl, // For separate client deployment
+  'https://eduretrieve.vercel.app' // Your deployed client URL
+].filter(Boolean);
+
+// Behind Vercel's proxy; makes req.ip the client's address for rate limits
+app.set('trust proxy', 1);
+
+app.use(cors({
+  origin: allowedOrigins,
+  credentials: true
+}));
+app.use(express.json({ limit: '50mb' }));
+app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+
+// Routers mounted at /api carry their full paths, e.g. /api/upload-module
+app.use('/api/auth', authRoutes);
+app.use('/api', profileRoutes);
+app.use('/api', moduleRoutes);
+app.use('/api/modules/:id/comments', commentRoutes);
+app.use('/api', saveRoutes);
+app.use('/api', chatRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/quizzes', quizRoutes);
+app.use('/api/flashcards', flashcardRoutes);
+app.use('/api/classes', classRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
+
+app.get('/', (req, res) => {
+  res.json({
+    message: 'EduRetrieve backend is running!',
+    version: '2.3.1-column-names-fixed',
+    timestamp: new Date().toISOString(),
+    status: 'Column name mismatches resolved - fullName->fullname, pfpUrl->pfpurl',
+    endpoints: [
+      'POST /api/auth/google/signup - Initiate Google OAuth signup',
+      'GET /api/auth/google/callback - Handle Google OAuth callback',
+      'POST /api/auth/verify-signup-code - Complete signup with verification code',
+      'POST /api/auth/check-verification-status - Check verification status',
+      'POST /api/auth/resend-signup-code - Resend the signup verification code',
+      'POST /api/auth/check-user-status - Check user status',
+      'POST /api/auth/sync-profile-on-login - Sync profile on login',
+      'POST /api/generate-content - Generate AI content (use ?stream=true or Accept: text/event-stream for SSE)',
+      'GET /api/protected-data - Test protected route',
+      'POST /api/upload-module - Upload module (send class_id to post it to a class)',
+      'GET /api/get-modules - Get user\'s own modules with their average rating, review count and comment count (use ?show_all=true to include public ones, ?class_id=<id> for a class library)',
+      'GET /api/get-my-modules - Get user\'s own modules (dedicated endpoint)',
+      'GET /api/modules/search - Ranked full-text module search (use ?show_all=true to include public ones)',
+      'GET /api/modules/:id/text - Get extracted module text and extraction status',
+      'POST /api/modules/:id/extract - Re-run text extraction for a module file',
+      'GET /api/modules/:id - Get a module you can see (use ?share_token=<token> for unlisted modules)',
+      'GET /api/modules/:id/download - Get a short-lived signed link to a module\'s file (counts downloads; use ?disposition=inline to view, ?redirect=true to be redirected)',
+      'POST /api/modules/:id/report - Report a module for copyright, inappropriate content or spam (hidden after several reports)',
+      'GET /api/modules/:id/reviews - List a module\'s reviews with its average rating and your own review',
+      'PUT /api/modules/:id/reviews - Rate (1-5) and review a module, or edit your review',
+      'DELETE /api/modules/:id/reviews - Delete your review of a module',
+      'GET /api/modules/:id/comments - List a module\'s discussion threads with their replies (paginated)',
+      'POST /api/modules/:id/comments - Comment on a module or reply to a comment (markdown, @mentions)',
+      'PATCH /api/modules/:id/comments/:commentId - Edit your comment',
+      'DELETE /api/modules/:id/comments/:commentId - Delete your comment',
+      'POST /api/modules/:id/comments/:commentId/accept - Accept a reply as the answer (uploader only)',
+      'DELETE /api/modules/:id/comments/:commentId/accept - Unaccept an answer (uploader only)',
+      'PATCH /api/modules/:id/visibility - Make a module private, class-only, unlisted (share link) or public',
+      'PATCH /api/modules/:id - Edit a module\'s title and description',
+      'PUT /api/modules/:id/file - Replace a module\'s file',
+      'GET /api/modules/:id/versions - List a module\'s version history',
+      'GET /api/modules/:id/versions/:version - Get one version of a module',
+      'POST /api/modules/:id/versions/:version/restore - Restore an older version',
+      'GET /api/modules/:id/summary - Get a module\'s summary, key concepts and reading time',
+      'POST /api/modules/:id/summary - Regenerate a module\'s summary',
+      'PATCH /api/modules/:id/summary - Edit a module\'s summary and key concepts',
+      'POST /api/modules/:id/quiz - Generate a quiz from a module\'s extracted text',
+      'GET /api/quizzes - List your quizzes (use ?module_id=<id> for a module\'s quizzes)',
+      'GET /api/quizzes/:id - Get a quiz to take (without answers)',
+      'POST /api/quizzes/:id/attempts - Submit answers and get the scored results',
+      'GET /api/quizzes/:id/attempts - List your attempts at a quiz',
+      'POST /api/modules/:id/flashcards - Generate flashcards from a module into your deck for it',
+      'GET /api/flashcards/decks - List your flashcard decks with due counts',
+      'GET /api/flashcards/decks/:deckId - Get a deck with its cards',
+      'DELETE /api/flashcards/decks/:deckId - Delete a deck',
+      'POST /api/flashcards/decks/:deckId/cards - Add a card to a deck',
+      'GET /api/flashcards/decks/:deckId/review - Get the cards due for review',
+      'PATCH /api/flashcards/cards/:cardId - Edit a card',
+      'DELETE /api/flashcards/cards/:cardId - Delete a card',
+      'POST /api/flashcards/cards/:cardId/review - Grade a card (0-5) and reschedule it',
+      'POST /api/flashcards/review-sessions - Record the time spent reviewing',
+      'GET /api/classes - List your classes',
+      'POST /api/classes - Create a class',
+      'POST /api/classes/join - Join a class with its join code',
+      'GET /api/classes/invites - List your pending class invites',
+      'POST /api/classes/invites/:inviteId/accept - Accept a class invite',
+      'POST /api/classes/invites/:inviteId/decline - Decline a class invite',
+      'GET /api/classes/:classId - Get a class with its members (and invites for instructors)',
+      'PATCH /api/classes/:classId - Edit a class (owner)',
+      'DELETE /api/classes/:classId - Delete a class (owner)',
+      'POST /api/classes/:classId/join-code - Replace a class\'s join code',
+      'POST /api/classes/:classId/invites - Invite people to a class by email',
+      'DELETE /api/classes/:classId/invites/:inviteId - Revoke a class invite',
+      'PATCH /api/classes/:classId/members/:userId - Change a member\'s role (owner)',
+      'DELETE /api/classes/:classId/members/:userId - Remove a member or leave a class',
+      'POST /api/classes/:classId/modules - Post one of your modules to a class',
+      'DELETE /api/classes/:classId/modules/:moduleId - Take a module out of a class',
+      'POST /api/classes/:classId/modules/:moduleId/pin - Pin a module to the top of a class library (instructors)',
+      'DELETE /api/classes/:classId/modules/:moduleId/pin - Unpin a class module (instructors)',
+      'GET /api/conversations - List chat conversations (use ?since=<iso> to sync changes, ?include=messages for messages)',
+      'GET /api/conversations/:id - Get a conversation with its messages',
+      'POST /api/conversations/:id/messages - Append messages to a conversation',
+      'POST /api/conversations/import - Upload chat sessions saved in the browser',
+      'DELETE /api/conversations/:id - Delete a conversation',
+      'GET /api/get-saved-modules - Get saved modules',
+      'POST /api/save-module - Save a module',
+      'POST /api/unsave-module - Unsave a module',
+      'GET /api/get-user-profile - Get user profile',
+      'POST /api/sync-user-profile - Update user profile',
+      'DELETE /api/delete-module/:id - Delete module',
+      'GET /api/analytics/:userId - Get user analytics',
+      'POST /api/debug/user-info - Look up a user\'s auth and profile records (admin)',
+      'POST /api/fix-null-profiles - Fill in missing profile names (admin)',
+      'GET /api/admin/overview - User, module and open report counts (admin)',
+      'GET /api/admin/users - Search users with their module counts and storage usage (admin)',
+      'GET /api/admin/users/:userId - Get one user (admin)',
+      'PATCH /api/admin/users/:userId/role - Make a user a student, instructor or admin (admin)',
+      'POST /api/admin/users/:userId/suspend - Suspend an account (admin)',
+      'POST /api/admin/users/:userId/unsuspend - Reinstate a suspended account (admin)',
+      'GET /api/admin/modules - Browse every module regardless of visibility (admin)',
+      'DELETE /api/admin/modules/:moduleId - Remove any module (admin)',
+      'GET /api/admin/reports - List abuse reports (use ?status=open|dismissed|actioned) (admin)',
+      'POST /api/admin/reports/:reportId/resolve - Dismiss a report or remove the reported module (admin)',
+      'GET /api/admin/audit-log - List admin actions, newest first (admin)',
+      'GET /api/notifications - List your notifications (use ?unread=true for unread only)',
+      'GET /api/notifications/unread-count - Count your unread notifications',
+      'POST /api/notifications/read - Mark notifications read (all of them without ids)',
+      'GET /api/debug/table-structure - Debug table structure (admin)'
+    ],
+    fixes_applied: [
+      'All fullName references changed to fullname',
+      'All pfpUrl references changed to pfpurl',
+      'Database column names now match code references',
+      'Profile creation and updates should work correctly'
+    ]
+  });
+});
+
+// Anything unmatched under /api, then errors from every route above
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
+export default app;
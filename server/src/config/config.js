@@ -0,0 +1,200 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Every setting the server reads from the environment. Each entry names its
+// variable (the first one set wins when there are several), how to parse it,
+// and its default. `required: 'production'` settings may be missing in
+// development, with a warning; production refuses to start without them.
+// `secret` values are never printed.
+const SCHEMA = {
+  server: {
+    env: { env: 'NODE_ENV', type: 'enum', values: ['development', 'production', 'test'], default: 'development' },
+    port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 5000 },
+    // Set by Vercel to the deployment's host name, without the scheme
+    vercelUrl: { env: 'VERCEL_URL', type: 'string' },
+    frontendUrl: { env: 'FRONTEND_URL', type: 'url' },
+    clientUrl: { env: 'CLIENT_URL', type: 'url' }
+  },
+  supabase: {
+    url: { env: ['SUPABASE_URL', 'NEXT_PUBLIC_SUPABASE_URL'], type: 'url', required: 'production' },
+    serviceRoleKey: { env: 'SUPABASE_SERVICE_ROLE_KEY', type: 'string', secret: true, required: 'production' }
+  },
+  google: {
+    clientId: { env: 'GOOGLE_CLIENT_ID', type: 'string', required: 'production' },
+    clientSecret: { env: 'GOOGLE_CLIENT_SECRET', type: 'string', secret: true, required: 'production' },
+    redirectUri: { env: 'GOOGLE_OAUTH_REDIRECT_URI', type: 'url' }
+  },
+  email: {
+    transport: { env: 'EMAIL_TRANSPORT', type: 'enum', values: ['smtp', 'resend', 'capture'] },
+    from: { env: 'EMAIL_FROM', type: 'string' },
+    smtpHost: { env: 'SMTP_HOST', type: 'string' },
+    smtpPort: { env: 'SMTP_PORT', type: 'integer', min: 1, max: 65535, default: 587 },
+    smtpUser: { env: ['SMTP_USER', 'GMAIL_USER'], type: 'string' },
+    smtpPass: { env: ['SMTP_PASS', 'GMAIL_APP_PASSWORD'], type: 'string', secret: true },
+    resendApiKey: { env: 'RESEND_API_KEY', type: 'string', secret: true },
+    captureDir: { env: 'EMAIL_CAPTURE_DIR', type: 'string' },
+    maxAttempts: { env: 'EMAIL_MAX_ATTEMPTS', type: 'integer', min: 1, max: 10, default: 3 },
+    retryBaseDelayMs: { env: 'EMAIL_RETRY_BASE_DELAY_MS', type: 'integer', min: 0, default: 1000 }
+  },
+  llm: {
+    provider: { env: 'LLM_PROVIDER', type: 'enum', values: ['groq', 'gemini', 'mock'] },
+    model: { env: 'LLM_MODEL', type: 'string' },
+    temperature: { env: 'LLM_TEMPERATURE', type: 'number', min: 0, max: 2 },
+    maxTokens: { env: 'LLM_MAX_TOKENS', type: 'integer', min: 1 },
+    timeoutMs: { env: 'LLM_TIMEOUT_MS', type: 'integer', min: 0, default: 30000 },
+    maxRetries: { env: 'LLM_MAX_RETRIES', type: 'integer', min: 0, max: 10, default: 2 },
+    retryBaseDelayMs: { env: 'LLM_RETRY_BASE_DELAY_MS', type: 'integer', min: 0, default: 1000 },
+    groqApiKey: { env: 'GROQ_API_KEY', type: 'string', secret: true },
+    geminiApiKey: { env: 'GEMINI_API_KEY', type: 'string', secret: true }
+  },
+  embeddings: {
+    provider: { env: 'EMBEDDING_PROVIDER', type: 'enum', values: ['gemini', 'local'] },
+    geminiModel: { env: 'GEMINI_EMBEDDING_MODEL', type: 'string', default: 'text-embedding-004' }
+  },
+  chat: {
+    historyTokenBudget: { env: 'CHAT_HISTORY_TOKEN_BUDGET', type: 'integer', min: 1, default: 2000 }
+  },
+  moderation: {
+    // Open reports that hide a module until an admin reviews it; 0 turns hiding off
+    reportHideThreshold: { env: 'MODULE_REPORT_HIDE_THRESHOLD', type: 'integer', min: 0, default: 3 }
+  }
+};
+
+// ✅ Parse one raw value by its type. Returns { value } or { error }.
+function parseSetting(raw, setting) {
+  switch (setting.type) {
+    case 'integer':
+    case 'number': {
+      const value = Number(raw);
+      const wholeNumber = setting.type === 'integer';
+      if (Number.isNaN(value) || (wholeNumber && !Number.isInteger(value))
+        || (setting.min !== undefined && value < setting.min)
+        || (setting.max !== undefined && value > setting.max)) {
+        const range = [
+          setting.min !== undefined && `at least ${setting.min}`,
+          setting.max !== undefined && `at most ${setting.max}`
+        ].filter(Boolean).join(' and ');
+        return { error: `must be ${wholeNumber ? 'a whole number' : 'a number'}${range ? ` ${range}` : ''}` };
+      }
+      return { value };
+    }
+    case 'enum':
+      return setting.values.includes(raw)
+        ? { value: raw }
+        : { error: `must be one of ${setting.values.join(', ')}` };
+    case 'url':
+      try {
+        const url = new URL(raw);
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error('not http');
+        return { value: raw.replace(/\/+$/, '') };
+      } catch {
+        return { error: 'must be an http(s) URL' };
+      }
+    default:
+      return { value: raw };
+  }
+}
+
+// ✅ Checks between settings that the per-setting schema can't express
+function checkCombinations(config, production) {
+  const problems = [];
+  const { email, llm, embeddings } = config;
+
+  if (email.transport === 'smtp' && !(email.smtpUser && email.smtpPass)) {
+    problems.push('EMAIL_TRANSPORT is smtp, so SMTP_USER and SMTP_PASS (or GMAIL_USER and GMAIL_APP_PASSWORD) are required');
+  }
+  if (email.transport === 'resend' && !email.resendApiKey) {
+    problems.push('EMAIL_TRANSPORT is resend, so RESEND_API_KEY is required');
+  }
+  // Signup codes go out by email, so production has to be able to send it
+  if (production && !email.transport && !email.resendApiKey && !(email.smtpUser && email.smtpPass)) {
+    problems.push('No email delivery configured: set RESEND_API_KEY or SMTP credentials (or EMAIL_TRANSPORT=capture to keep emails unsent)');
+  }
+  if (llm.provider === 'groq' && !llm.groqApiKey) {
+    problems.push('LLM_PROVIDER is groq, so GROQ_API_KEY is required');
+  }
+  if (llm.provider === 'gemini' && !llm.geminiApiKey) {
+    problems.push('LLM_PROVIDER is gemini, so GEMINI_API_KEY is required');
+  }
+  // Without a key the mock provider answers, which real users must not get
+  if (production && !llm.provider && !llm.groqApiKey && !llm.geminiApiKey) {
+    problems.push('No LLM configured: set GROQ_API_KEY or GEMINI_API_KEY (or LLM_PROVIDER=mock to use canned answers)');
+  }
+  if (embeddings.provider === 'gemini' && !llm.geminiApiKey) {
+    problems.push('EMBEDDING_PROVIDER is gemini, so GEMINI_API_KEY is required');
+  }
+
+  return problems;
+}
+
+/**
+ * Reads and validates every setting in SCHEMA. Throws one error listing all
+ * problems when a value is invalid, or when a required setting is missing in
+ * production. In development missing settings are only warned about.
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {Object} Frozen settings grouped like SCHEMA, e.g. config.supabase.url
+ */
+function loadConfig(env = process.env) {
+  const errors = [];
+  const missing = [];
+  const production = env.NODE_ENV === 'production';
+  const config = {};
+
+  for (const [group, settings] of Object.entries(SCHEMA)) {
+    config[group] = {};
+
+    for (const [key, setting] of Object.entries(settings)) {
+      const names = [].concat(setting.env);
+      const name = names.find(n => env[n] !== undefined && env[n].trim() !== '');
+      let value = setting.default;
+
+      if (name) {
+        const parsed = parseSetting(env[name].trim(), setting);
+        if (parsed.error) {
+          // Secrets stay out of the message even when they are wrong
+          errors.push(`${name} ${parsed.error}${setting.secret ? '' : ` (got "${env[name]}")`}`);
+        } else {
+          value = parsed.value;
+        }
+      } else if (setting.required) {
+        missing.push(names.join(' or '));
+      }
+
+      config[group][key] = value;
+    }
+  }
+
+  // Google sends users back to the client, wherever it is deployed
+  if (!config.google.redirectUri) {
+    config.google.redirectUri = config.server.vercelUrl
+      ? `https://${config.server.vercelUrl}/auth/callback`
+      : 'http://localhost:3000/auth/callback';
+  }
+
+  const combinationProblems = checkCombinations(config, production);
+
+  if (production) {
+    errors.push(...missing.map(name => `${name} is required in production`), ...combinationProblems);
+  } else {
+    errors.push(...combinationProblems);
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    error.problems = errors;
+    throw error;
+  }
+
+  if (missing.length > 0 && env.NODE_ENV !== 'test') {
+    console.warn(`[config] ⚠️ Not set (required in production): ${missing.join(', ')}`);
+  }
+
+  Object.values(config).forEach(Object.freeze);
+  config.isProduction = production;
+  return Object.freeze(config);
+}
+
+const config = loadConfig();
+
+export { SCHEMA, loadConfig };
+export default config;
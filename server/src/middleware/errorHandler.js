@@ -0,0 +1,63 @@
+import config from '../config/config.js';
+import { errorCodeForStatus } from '../utils/httpErrors.js';
+
+// Every error response has the shape { error: { code, message, details } }.
+// Routes pass createHttpError errors to next(); anything else they throw is
+// unexpected and only says something went wrong. Its message and stack trace
+// stay in the logs, and reach the response in development only.
+
+const GENERIC_MESSAGE = 'Something went wrong. Please try again later.';
+
+// ✅ Status, code and message to answer a thrown error with
+function describeError(err) {
+  if (err.name === 'MulterError') {
+    const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+    return {
+      status: tooLarge ? 413 : 400,
+      code: tooLarge ? 'file_too_large' : 'invalid_upload',
+      message: tooLarge ? 'The file is too large.' : err.message
+    };
+  }
+  if (err.type === 'entity.parse.failed') {
+    return { status: 400, code: 'invalid_json', message: 'The request body is not valid JSON.' };
+  }
+  if (err.type === 'entity.too.large') {
+    return { status: 413, code: 'payload_too_large', message: 'The request body is too large.' };
+  }
+
+  const status = Number.isInteger(err.status) && err.status >= 400 && err.status < 600 ? err.status : 500;
+  // Only errors made for clients (createHttpError, body parsing) show their message
+  if (status < 500 || err.expose) {
+    return { status, code: err.code || errorCodeForStatus(status), message: err.message, details: err.details };
+  }
+  return {
+    status,
+    code: errorCodeForStatus(status),
+    message: GENERIC_MESSAGE,
+    details: config.isProduction ? undefined : { message: err.message, stack: err.stack }
+  };
+}
+
+// Middleware for /api requests no route handled
+const notFoundHandler = (req, res) => {
+  res.status(404).json({
+    error: { code: 'not_found', message: `No endpoint for ${req.method} ${req.baseUrl}${req.path}` }
+  });
+};
+
+// Error middleware for anything routes throw or pass to next()
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const { status, code, message, details } = describeError(err);
+  // Routes log the cause before answering with a createHttpError 5xx
+  if (status >= 500 && !err.expose) {
+    console.error(`[${req.method} ${req.originalUrl}] ❌`, err);
+  }
+
+  res.status(status).json({ error: { code, message, details } });
+};
+
+export { notFoundHandler, errorHandler };
@@ -0,0 +1,14 @@
+import { createHttpError } from '../utils/httpErrors.js';
+
+// Middleware factory that only lets the given account roles through. Runs
+// after authenticateToken, which puts the account role on req.user.role.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    console.warn(`🚫 ${req.user.id} (${req.user.role}) tried ${req.method} ${req.originalUrl}`);
+    return next(createHttpError(403, 'You do not have permission to do this'));
+  }
+
+  next();
+};
+
+export { requireRole };
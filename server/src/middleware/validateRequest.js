@@ -0,0 +1,26 @@
+import { validateFields } from '../utils/validation.js';
+import { createHttpError } from '../utils/httpErrors.js';
+
+// Middleware factory that checks the request against field schemas for its
+// body, params and query (see utils/validation.js for the rules). A request
+// that doesn't match gets a 400 listing every problem, e.g.
+// details: [{ location: 'body', field: 'rating', message: 'must be at most 5' }]
+const validateRequest = (schemas) => (req, res, next) => {
+  const problems = ['params', 'query', 'body'].flatMap(location => (
+    schemas[location]
+      ? validateFields(req[location], schemas[location]).map(problem => ({ location, ...problem }))
+      : []
+  ));
+
+  if (problems.length > 0) {
+    const [first] = problems;
+    return next(createHttpError(400, `${first.field} ${first.message}`, {
+      code: 'validation_failed',
+      details: problems
+    }));
+  }
+
+  next();
+};
+
+export default validateRequest;
@@ -1,80 +1,116 @@
-import Groq from "groq-sdk";
+import { getLLMProvider } from "../utils/llmProviders.js";
+import { retrieveRelevantChunks, buildGroundedPrompt, buildSources } from "../utils/moduleRetrieval.js";
+import {
+  SUMMARY_TOKEN_BUDGET,
+  assembleConversationContext,
+  buildChatMessages,
+  buildSummaryMessages
+} from "../utils/conversationContext.js";
 
-// Use GROQ_API_KEY from environment variables
-const apiKey = process.env.GROQ_API_KEY;
+// Retrieves the most relevant chunks of the user's modules and builds the
+// prompt that cites them. Falls back to the bare prompt without a userId.
+const prepareGroundedPrompt = async (prompt, userId = null) => {
+  if (!userId) return { enhancedPrompt: prompt, chunks: [] };
 
-if (!apiKey) {
-  throw new Error("❌ Missing Groq API Key in environment variables.");
-}
+  try {
+    const chunks = await retrieveRelevantChunks(userId, prompt);
 
-// ✅ Initialize Groq client
-const groq = new Groq({
-  apiKey,
-});
+    if (chunks.length > 0) {
+      return { enhancedPrompt: buildGroundedPrompt(prompt, chunks), chunks };
+    }
+  } catch (error) {
+    console.warn("⚠️ Failed to retrieve module chunks for RAG:", error.message);
+    // Continue without RAG if retrieval fails
+  }
+
+  return { enhancedPrompt: prompt, chunks: [] };
+};
+
+// Folds older conversation turns into the running summary
+const summarizeConversation = async (previousSummary, turns) => {
+  const summary = (await getLLMProvider().complete(buildSummaryMessages(previousSummary, turns), {
+    maxTokens: SUMMARY_TOKEN_BUDGET,
+    temperature: 0.2,
+  })).trim();
 
-// Main content generation function with RAG support
-const generateContent = async (prompt, userId = null, retries = 3) => {
-  let enhancedPrompt = prompt;
+  if (!summary) throw new Error("Empty summary from AI");
+  return summary;
+};
+
+// Builds the messages for a chat request: system prompt, the earlier turns of
+// the conversation (summarised when they don't fit) and the grounded prompt
+const prepareMessages = async (enhancedPrompt, userId, conversationId) => {
+  let history = { summary: null, turns: [] };
 
-  // If userId is provided, fetch user's modules for RAG
-  if (userId) {
+  if (userId && conversationId) {
     try {
-      const { getModulesByUserId } = require('./moduleModel');
-      const userModules = await getModulesByUserId(userId);
-
-      if (userModules && userModules.length > 0) {
-        // Simple relevance filtering: find modules that contain keywords from the prompt
-        const promptWords = prompt.toLowerCase().split(/\s+/);
-        const relevantModules = userModules.filter(module => {
-          const titleWords = module.title.toLowerCase().split(/\s+/);
-          const descWords = module.description.toLowerCase().split(/\s+/);
-
-          // Check if any prompt word appears in title or description
-          return promptWords.some(word =>
-            word.length > 2 && (titleWords.includes(word) || descWords.includes(word))
-          );
-        });
-
-        // If no modules are highly relevant, include all modules but limit to top 3
-        const modulesToUse = relevantModules.length > 0 ? relevantModules : userModules.slice(0, 3);
-
-        // Extract content from relevant modules
-        const moduleContent = modulesToUse.map(module =>
-          `Module: ${module.title}\nContent: ${module.description.substring(0, 1000)}${module.description.length > 1000 ? '...' : ''}\n`
-        ).join('\n');
-
-        enhancedPrompt = `Context from your uploaded modules:\n${moduleContent}\n\nUser question: ${prompt}\n\nPlease answer based on the provided context when relevant, or use your general knowledge if the context doesn't contain the information.`;
-      }
+      history = await assembleConversationContext(userId, conversationId, {
+        summarize: summarizeConversation
+      });
     } catch (error) {
-      console.warn("⚠️ Failed to fetch user modules for RAG:", error.message);
-      // Continue without RAG if module fetching fails
+      console.warn("⚠️ Failed to load conversation history:", error.message);
+      // Continue with just the current prompt
     }
   }
 
-  for (let attempt = 0; attempt < retries; attempt++) {
-    try {
-      const chatCompletion = await groq.chat.completions.create({
-        messages: [
-          {
-            role: "user",
-            content: enhancedPrompt,
-          },
-        ],
-        model: "llama-3.1-8b-instant", // Fast and free model
-      });
+  return buildChatMessages({ ...history, prompt: enhancedPrompt });
+};
 
-      return chatCompletion.choices[0]?.message?.content || "";
-    } catch (error) {
-      if (error.status === 503 && attempt < retries - 1) {
-        console.warn(`🔁 Groq 503 - retrying (${attempt + 1})...`);
-        await new Promise((resolve) => setTimeout(resolve, 1500));
-      } else {
-        console.error("❌ Groq API error:", error.message || error);
-        throw new Error("Failed to generate content from AI.");
+// Content generation grounded in the user's modules: retrieves the most
+// relevant chunks, cites them in the prompt and returns them as `sources`.
+// With a conversationId the earlier turns of that conversation are included.
+const generateGroundedContent = async (prompt, userId = null, { conversationId = null } = {}) => {
+  const { enhancedPrompt, chunks } = await prepareGroundedPrompt(prompt, userId);
+  const messages = await prepareMessages(enhancedPrompt, userId, conversationId);
+
+  try {
+    const text = await getLLMProvider().complete(messages);
+    return {
+      text,
+      sources: buildSources(chunks, prompt, text)
+    };
+  } catch (error) {
+    console.error("❌ LLM API error:", error.message || error);
+    throw new Error("Failed to generate content from AI.");
+  }
+};
+
+// Streaming variant of generateGroundedContent: calls onToken for each piece
+// of the answer as it arrives. Aborting `signal` stops the completion early and
+// resolves with the partial text and `interrupted: true` instead of throwing.
+const streamGroundedContent = async (prompt, userId = null, { conversationId = null, signal, onToken = () => {} } = {}) => {
+  const { enhancedPrompt, chunks } = await prepareGroundedPrompt(prompt, userId);
+  const messages = await prepareMessages(enhancedPrompt, userId, conversationId);
+  let text = "";
+
+  try {
+    text = await getLLMProvider().stream(messages, {
+      signal,
+      onToken: (token) => {
+        text += token;
+        onToken(token);
       }
+    });
+  } catch (error) {
+    if (!signal?.aborted) {
+      console.error("❌ LLM streaming error:", error.message || error);
+      const streamError = new Error("Failed to generate content from AI.");
+      streamError.partialText = text;
+      throw streamError;
     }
   }
+
+  return {
+    text,
+    sources: buildSources(chunks, prompt, text),
+    interrupted: !!signal?.aborted
+  };
 };
 
-export { generateContent };
+// Plain text generation, optionally grounded in the user's modules
+const generateContent = async (prompt, userId = null) => {
+  const { text } = await generateGroundedContent(prompt, userId);
+  return text;
+};
 
+export { generateContent, generateGroundedContent, streamGroundedContent };
@@ -0,0 +1,61 @@
+import { supabase } from '../config/supabaseClient.js';
+
+const AUDIT_COLUMNS = 'id, actor_id, action, target_type, target_id, details, created_at';
+
+function toClientAuditEvent(row, actorsById = new Map()) {
+  const actor = actorsById.get(row.actor_id);
+  return {
+    id: row.id,
+    actorId: row.actor_id,
+    actorName: actor?.fullname || actor?.username || actor?.email || null,
+    action: row.action,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    details: row.details || {},
+    createdAt: row.created_at
+  };
+}
+
+// ✅ Record an admin action. A failed write is logged, not thrown, so it never
+// undoes the action it describes.
+async function recordAuditEvent({ actorId, action, targetType, targetId = null, details = {} }) {
+  const { error } = await supabase
+    .from('audit_log')
+    .insert([{ actor_id: actorId, action, target_type: targetType, target_id: targetId, details }]);
+
+  if (error) {
+    console.error('[recordAuditEvent] ❌', error.message, { actorId, action, targetType, targetId });
+  }
+}
+
+// ✅ List audit events, newest first, with the names of the admins who acted
+async function listAuditEvents({ action = null, actorId = null, page = 1, pageSize = 50 } = {}) {
+  let query = supabase
+    .from('audit_log')
+    .select(AUDIT_COLUMNS, { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range((page - 1) * pageSize, page * pageSize - 1);
+
+  if (action) query = query.eq('action', action);
+  if (actorId) query = query.eq('actor_id', actorId);
+
+  const { data, count, error } = await query;
+
+  if (error) {
+    console.error('[listAuditEvents] ❌', error.message);
+    throw new Error('Failed to retrieve audit log.');
+  }
+
+  const actorIds = [...new Set(data.map(row => row.actor_id).filter(Boolean))];
+  const { data: actors } = actorIds.length > 0
+    ? await supabase.from('profiles').select('id, username, fullname, email').in('id', actorIds)
+    : { data: [] };
+  const actorsById = new Map((actors || []).map(actor => [actor.id, actor]));
+
+  return { events: data.map(row => toClientAuditEvent(row, actorsById)), total: count ?? data.length };
+}
+
+export {
+  recordAuditEvent,
+  listAuditEvents
+};
@@ -0,0 +1,104 @@
+import { supabase } from '../config/supabaseClient.js';
+import { getUserClassIds } from './classModel.js';
+import { applySavedModulesFilter } from '../utils/moduleAccess.js';
+
+const INSERT_BATCH_SIZE = 100;
+
+// ✅ Replace all chunks of a module for one embedding model
+async function replaceModuleChunks(moduleId, embeddingModel, chunks) {
+  if (!moduleId) throw new Error('Module ID is required');
+
+  const { error: deleteError } = await supabase
+    .from('module_chunks')
+    .delete()
+    .eq('module_id', moduleId)
+    .eq('embedding_model', embeddingModel);
+
+  if (deleteError) {
+    console.error('[replaceModuleChunks] ❌', deleteError.message);
+    throw new Error('Failed to clear module chunks.');
+  }
+
+  const rows = chunks.map(chunk => ({
+    module_id: moduleId,
+    chunk_index: chunk.chunkIndex,
+    page: chunk.page,
+    content: chunk.content,
+    embedding: chunk.embedding,
+    embedding_model: embeddingModel
+  }));
+
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('module_chunks')
+      .insert(rows.slice(i, i + INSERT_BATCH_SIZE));
+
+    if (error) {
+      console.error('[replaceModuleChunks] ❌', error.message);
+      throw new Error('Failed to save module chunks.');
+    }
+  }
+}
+
+// ✅ Get the chunks of the given modules most similar to a query embedding,
+// best first. The database scores them, so only the matches are fetched.
+async function matchModuleChunks(moduleIds, embeddingModel, queryEmbedding, { topK, minScore }) {
+  if (!moduleIds.length) return [];
+
+  const { data, error } = await supabase.rpc('match_module_chunks', {
+    query_embedding: queryEmbedding,
+    target_module_ids: moduleIds,
+    target_embedding_model: embeddingModel,
+    match_count: topK,
+    min_score: minScore
+  });
+
+  if (error) {
+    console.error('[matchModuleChunks] ❌', error.message);
+    throw new Error('Failed to search module chunks.');
+  }
+
+  return data;
+}
+
+// ✅ Get the modules a user's chat can draw on: their uploads and the saved modules they can still see
+async function getRetrievableModules(userId) {
+  if (!userId) throw new Error('User ID is required');
+
+  const [ownRes, savedRes] = await Promise.all([
+    supabase.from('modules').select('id, title, file_name, file_url').eq('user_id', userId),
+    supabase.from('save_modules').select('module_id').eq('user_id', userId)
+  ]);
+
+  if (ownRes.error) {
+    console.error('[getRetrievableModules] ❌', ownRes.error.message);
+    throw new Error('Failed to fetch user modules.');
+  }
+
+  const modules = new Map(ownRes.data.map(module => [module.id, module]));
+  const savedIds = (savedRes.data || [])
+    .map(row => row.module_id)
+    .filter(id => !modules.has(id));
+
+  if (savedIds.length > 0) {
+    const classIds = await getUserClassIds(userId);
+    const { data } = await applySavedModulesFilter(
+      supabase
+        .from('modules')
+        .select('id, title, file_name, file_url')
+        .in('id', savedIds),
+      userId,
+      classIds
+    );
+
+    data?.forEach(module => modules.set(module.id, module));
+  }
+
+  return [...modules.values()];
+}
+
+export {
+  replaceModuleChunks,
+  matchModuleChunks,
+  getRetrievableModules
+};
@@ -0,0 +1,398 @@
+import { supabase } from '../config/supabaseClient.js';
+import { createJoinCode } from '../utils/classPermissions.js';
+
+const CLASS_COLUMNS = 'id, name, description, owner_id, join_code, students_can_post, created_at, updated_at';
+const INVITE_COLUMNS = 'id, class_id, email, role, invited_by, created_at';
+// Attempts at finding an unused join code before giving up
+const JOIN_CODE_ATTEMPTS = 5;
+
+// ✅ Row -> class in the shape the API returns. The join code is only shown to
+// members who can invite.
+function toClientClass(row, { role = null, includeJoinCode = false, ...stats } = {}) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    ownerId: row.owner_id,
+    studentsCanPost: row.students_can_post,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    role,
+    ...(includeJoinCode && { joinCode: row.join_code }),
+    ...stats
+  };
+}
+
+function toClientInvite(row) {
+  return {
+    id: row.id,
+    classId: row.class_id,
+    className: row.classes?.name || null,
+    email: row.email,
+    role: row.role,
+    invitedBy: row.invited_by,
+    createdAt: row.created_at
+  };
+}
+
+// ✅ Create a class with its creator as owner
+async function createClass({ name, description, ownerId, studentsCanPost = true }) {
+  if (!ownerId) throw new Error('Owner ID is required.');
+
+  let created = null;
+  for (let attempt = 0; attempt < JOIN_CODE_ATTEMPTS && !created; attempt++) {
+    const { data, error } = await supabase
+      .from('classes')
+      .insert([{
+        name,
+        description,
+        owner_id: ownerId,
+        join_code: createJoinCode(),
+        students_can_post: studentsCanPost
+      }])
+      .select(CLASS_COLUMNS)
+      .single();
+
+    // 23505: the join code is taken, try another one
+    if (error && error.code !== '23505') {
+      console.error('[createClass] ❌', error.message);
+      throw new Error('Failed to create class.');
+    }
+    created = data;
+  }
+
+  if (!created) throw new Error('Failed to create class.');
+
+  await addClassMember(created.id, ownerId, 'owner');
+  return created;
+}
+
+// ✅ Get one class row (null when it doesn't exist)
+async function getClass(classId) {
+  const { data, error } = await supabase
+    .from('classes')
+    .select(CLASS_COLUMNS)
+    .eq('id', classId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getClass] ❌', error.message);
+    throw new Error('Failed to retrieve class.');
+  }
+
+  return data;
+}
+
+// ✅ Get a class by its join code (null when no class uses it)
+async function getClassByJoinCode(joinCode) {
+  const { data, error } = await supabase
+    .from('classes')
+    .select(CLASS_COLUMNS)
+    .eq('join_code', joinCode)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getClassByJoinCode] ❌', error.message);
+    throw new Error('Failed to retrieve class.');
+  }
+
+  return data;
+}
+
+// ✅ Update a class's name, description or posting rule
+async function updateClass(classId, fields) {
+  const { data, error } = await supabase
+    .from('classes')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', classId)
+    .select(CLASS_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('[updateClass] ❌', error.message);
+    throw new Error('Failed to update class.');
+  }
+
+  return data;
+}
+
+// ✅ Give a class a new join code, so the old one stops working
+async function rotateJoinCode(classId) {
+  for (let attempt = 0; attempt < JOIN_CODE_ATTEMPTS; attempt++) {
+    const { data, error } = await supabase
+      .from('classes')
+      .update({ join_code: createJoinCode(), updated_at: new Date().toISOString() })
+      .eq('id', classId)
+      .select(CLASS_COLUMNS)
+      .single();
+
+    if (!error) return data;
+    if (error.code !== '23505') {
+      console.error('[rotateJoinCode] ❌', error.message);
+      break;
+    }
+  }
+  throw new Error('Failed to create a new join code.');
+}
+
+// ✅ Delete a class. Posted modules stay with their uploaders.
+async function deleteClass(classId) {
+  const { error } = await supabase
+    .from('classes')
+    .delete()
+    .eq('id', classId);
+
+  if (error) {
+    console.error('[deleteClass] ❌', error.message);
+    throw new Error('Failed to delete class.');
+  }
+}
+
+// ✅ A user's role in a class (null when they are not a member)
+async function getClassRole(classId, userId) {
+  if (!classId || !userId) return null;
+
+  const { data, error } = await supabase
+    .from('class_members')
+    .select('role')
+    .eq('class_id', classId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getClassRole] ❌', error.message);
+    throw new Error('Failed to check class membership.');
+  }
+
+  return data?.role || null;
+}
+
+// ✅ IDs of the classes a user belongs to
+async function getUserClassIds(userId) {
+  const { data, error } = await supabase
+    .from('class_members')
+    .select('class_id')
+    .eq('user_id', userId);
+
+  if (error) {
+    console.error('[getUserClassIds] ❌', error.message);
+    throw new Error('Failed to retrieve classes.');
+  }
+
+  return data.map(row => row.class_id);
+}
+
+// ✅ List the classes a user belongs to, with their role and member/module counts
+async function listUserClasses(userId) {
+  const { data, error } = await supabase
+    .from('class_members')
+    .select(`role, classes (${CLASS_COLUMNS})`)
+    .eq('user_id', userId);
+
+  if (error) {
+    console.error('[listUserClasses] ❌', error.message);
+    throw new Error('Failed to retrieve classes.');
+  }
+
+  const rows = data.filter(row => row.classes);
+  if (rows.length === 0) return [];
+
+  const classIds = rows.map(row => row.classes.id);
+  const [membersRes, modulesRes] = await Promise.all([
+    supabase.from('class_members').select('class_id').in('class_id', classIds),
+    supabase.from('modules').select('class_id').in('class_id', classIds)
+  ]);
+
+  const countBy = (list) => (list || []).reduce((counts, row) => {
+    counts.set(row.class_id, (counts.get(row.class_id) || 0) + 1);
+    return counts;
+  }, new Map());
+  const memberCounts = countBy(membersRes.data);
+  const moduleCounts = countBy(modulesRes.data);
+
+  return rows
+    .map(({ role, classes: row }) => toClientClass(row, {
+      role,
+      includeJoinCode: role !== 'student',
+      memberCount: memberCounts.get(row.id) || 0,
+      moduleCount: moduleCounts.get(row.id) || 0
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// ✅ Add a member, keeping the existing role when they already belong to the class
+async function addClassMember(classId, userId, role = 'student') {
+  const { error } = await supabase
+    .from('class_members')
+    .upsert({ class_id: classId, user_id: userId, role }, { onConflict: 'class_id,user_id', ignoreDuplicates: true });
+
+  if (error) {
+    console.error('[addClassMember] ❌', error.message);
+    throw new Error('Failed to add class member.');
+  }
+}
+
+// ✅ List a class's members with their profile names, owners and instructors first
+async function listClassMembers(classId) {
+  const { data, error } = await supabase
+    .from('class_members')
+    .select('user_id, role, joined_at')
+    .eq('class_id', classId);
+
+  if (error) {
+    console.error('[listClassMembers] ❌', error.message);
+    throw new Error('Failed to retrieve class members.');
+  }
+
+  const { data: profiles } = await supabase
+    .from('profiles')
+    .select('id, username, fullname, email')
+    .in('id', data.map(member => member.user_id));
+
+  const profilesById = new Map((profiles || []).map(profile => [profile.id, profile]));
+  const roleOrder = { owner: 0, instructor: 1, student: 2 };
+
+  return data
+    .map(member => {
+      const profile = profilesById.get(member.user_id);
+      return {
+        userId: member.user_id,
+        role: member.role,
+        joinedAt: member.joined_at,
+        name: profile?.fullname || profile?.username || 'Unknown User',
+        email: profile?.email || null
+      };
+    })
+    .sort((a, b) => roleOrder[a.role] - roleOrder[b.role] || a.name.localeCompare(b.name));
+}
+
+// ✅ Change a member's role
+async function updateClassMemberRole(classId, userId, role) {
+  const { error } = await supabase
+    .from('class_members')
+    .update({ role })
+    .eq('class_id', classId)
+    .eq('user_id', userId);
+
+  if (error) {
+    console.error('[updateClassMemberRole] ❌', error.message);
+    throw new Error('Failed to update member role.');
+  }
+}
+
+// ✅ Remove a member from a class
+async function removeClassMember(classId, userId) {
+  const { error } = await supabase
+    .from('class_members')
+    .delete()
+    .eq('class_id', classId)
+    .eq('user_id', userId);
+
+  if (error) {
+    console.error('[removeClassMember] ❌', error.message);
+    throw new Error('Failed to remove class member.');
+  }
+}
+
+// ✅ Invite email addresses to a class. Inviting an address again updates its role.
+async function createClassInvites(classId, emails, role, invitedBy) {
+  const { data, error } = await supabase
+    .from('class_invites')
+    .upsert(
+      emails.map(email => ({ class_id: classId, email, role, invited_by: invitedBy })),
+      { onConflict: 'class_id,email' }
+    )
+    .select(INVITE_COLUMNS);
+
+  if (error) {
+    console.error('[createClassInvites] ❌', error.message);
+    throw new Error('Failed to create invites.');
+  }
+
+  return data.map(toClientInvite);
+}
+
+// ✅ List the open invites of a class
+async function listClassInvites(classId) {
+  const { data, error } = await supabase
+    .from('class_invites')
+    .select(INVITE_COLUMNS)
+    .eq('class_id', classId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('[listClassInvites] ❌', error.message);
+    throw new Error('Failed to retrieve invites.');
+  }
+
+  return data.map(toClientInvite);
+}
+
+// ✅ List the open invites sent to an email address, with the class names
+async function listInvitesForEmail(email) {
+  if (!email) return [];
+
+  const { data, error } = await supabase
+    .from('class_invites')
+    .select(`${INVITE_COLUMNS}, classes (name)`)
+    .eq('email', email.toLowerCase())
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('[listInvitesForEmail] ❌', error.message);
+    throw new Error('Failed to retrieve invites.');
+  }
+
+  return data.map(toClientInvite);
+}
+
+// ✅ Get one invite (null when it doesn't exist)
+async function getClassInvite(inviteId) {
+  const { data, error } = await supabase
+    .from('class_invites')
+    .select(INVITE_COLUMNS)
+    .eq('id', inviteId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getClassInvite] ❌', error.message);
+    throw new Error('Failed to retrieve invite.');
+  }
+
+  return data;
+}
+
+// ✅ Delete an invite once it is accepted, declined or revoked
+async function deleteClassInvite(inviteId) {
+  const { error } = await supabase
+    .from('class_invites')
+    .delete()
+    .eq('id', inviteId);
+
+  if (error) {
+    console.error('[deleteClassInvite] ❌', error.message);
+    throw new Error('Failed to delete invite.');
+  }
+}
+
+export {
+  toClientClass,
+  createClass,
+  getClass,
+  getClassByJoinCode,
+  updateClass,
+  rotateJoinCode,
+  deleteClass,
+  getClassRole,
+  getUserClassIds,
+  listUserClasses,
+  addClassMember,
+  listClassMembers,
+  updateClassMemberRole,
+  removeClassMember,
+  createClassInvites,
+  listClassInvites,
+  listInvitesForEmail,
+  getClassInvite,
+  deleteClassInvite
+};
@@ -0,0 +1,193 @@
+import { supabase } from '../config/supabaseClient.js';
+
+const COMMENT_COLUMNS = 'id, module_id, user_id, parent_id, body, mentions, accepted_at, deleted_at, created_at, updated_at';
+
+function toClientComment(row, profilesById = new Map()) {
+  const author = profilesById.get(row.user_id);
+  const deleted = !!row.deleted_at;
+  return {
+    id: row.id,
+    moduleId: row.module_id,
+    parentId: row.parent_id,
+    userId: deleted ? null : row.user_id,
+    authorName: deleted ? null : author?.fullname || author?.username || 'Unknown User',
+    body: deleted ? null : row.body,
+    mentions: deleted ? [] : row.mentions || [],
+    accepted: !!row.accepted_at,
+    deleted,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    edited: row.updated_at !== row.created_at
+  };
+}
+
+async function getAuthorProfiles(rows) {
+  const userIds = [...new Set(rows.map(row => row.user_id).filter(Boolean))];
+  if (userIds.length === 0) return new Map();
+
+  const { data } = await supabase
+    .from('profiles')
+    .select('id, username, fullname')
+    .in('id', userIds);
+
+  return new Map((data || []).map(profile => [profile.id, profile]));
+}
+
+// ✅ One page of a module's threads, newest first, each with all its replies
+// oldest first
+async function listModuleComments(moduleId, { page = 1, pageSize = 20 } = {}) {
+  const { data: threads, count, error } = await supabase
+    .from('module_comments')
+    .select(COMMENT_COLUMNS, { count: 'exact' })
+    .eq('module_id', moduleId)
+    .is('parent_id', null)
+    .order('created_at', { ascending: false })
+    .range((page - 1) * pageSize, page * pageSize - 1);
+
+  if (error) {
+    console.error('[listModuleComments] ❌', error.message);
+    throw new Error('Failed to retrieve comments.');
+  }
+
+  const { data: replies, error: repliesError } = threads.length > 0
+    ? await supabase
+      .from('module_comments')
+      .select(COMMENT_COLUMNS)
+      .in('parent_id', threads.map(thread => thread.id))
+      .order('created_at', { ascending: true })
+    : { data: [] };
+
+  if (repliesError) {
+    console.error('[listModuleComments] ❌', repliesError.message);
+    throw new Error('Failed to retrieve comments.');
+  }
+
+  const profilesById = await getAuthorProfiles([...threads, ...replies]);
+
+  return {
+    comments: threads.map(thread => ({
+      ...toClientComment(thread, profilesById),
+      replies: replies
+        .filter(reply => reply.parent_id === thread.id)
+        .map(reply => toClientComment(reply, profilesById))
+    })),
+    total: count ?? threads.length
+  };
+}
+
+// ✅ Get one comment row (null when it doesn't exist)
+async function getComment(commentId) {
+  const { data, error } = await supabase
+    .from('module_comments')
+    .select(COMMENT_COLUMNS)
+    .eq('id', commentId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getComment] ❌', error.message);
+    throw new Error('Failed to retrieve comment.');
+  }
+
+  return data;
+}
+
+// ✅ Post a comment, or a reply when `parentId` is set
+async function createComment({ moduleId, userId, parentId = null, body, mentions = [] }) {
+  const { data, error } = await supabase
+    .from('module_comments')
+    .insert([{ module_id: moduleId, user_id: userId, parent_id: parentId, body, mentions }])
+    .select(COMMENT_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('[createComment] ❌', error.message);
+    throw new Error('Failed to post comment.');
+  }
+
+  return toClientComment(data, await getAuthorProfiles([data]));
+}
+
+// ✅ Change a comment's text
+async function updateComment(commentId, { body, mentions = [] }) {
+  const { data, error } = await supabase
+    .from('module_comments')
+    .update({ body, mentions, updated_at: new Date().toISOString() })
+    .eq('id', commentId)
+    .select(COMMENT_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('[updateComment] ❌', error.message);
+    throw new Error('Failed to update comment.');
+  }
+
+  return toClientComment(data, await getAuthorProfiles([data]));
+}
+
+// ✅ Delete a comment. A thread that has replies keeps its place with the text
+// removed, so the replies still make sense. Returns whether it was kept.
+async function deleteComment(comment) {
+  const { count, error: countError } = await supabase
+    .from('module_comments')
+    .select('id', { count: 'exact', head: true })
+    .eq('parent_id', comment.id);
+
+  if (countError) {
+    console.error('[deleteComment] ❌', countError.message);
+    throw new Error('Failed to delete comment.');
+  }
+
+  const keep = count > 0;
+  const { error } = keep
+    ? await supabase
+      .from('module_comments')
+      .update({ body: null, mentions: [], deleted_at: new Date().toISOString() })
+      .eq('id', comment.id)
+    : await supabase
+      .from('module_comments')
+      .delete()
+      .eq('id', comment.id);
+
+  if (error) {
+    console.error('[deleteComment] ❌', error.message);
+    throw new Error('Failed to delete comment.');
+  }
+
+  return keep;
+}
+
+// ✅ Mark a reply as its thread's accepted answer, replacing the one accepted
+// before, or take the mark away
+async function setCommentAccepted(comment, accepted) {
+  if (accepted) {
+    const { error: clearError } = await supabase
+      .from('module_comments')
+      .update({ accepted_at: null })
+      .eq('parent_id', comment.parent_id)
+      .not('accepted_at', 'is', null);
+
+    if (clearError) {
+      console.error('[setCommentAccepted] ❌', clearError.message);
+      throw new Error('Failed to accept answer.');
+    }
+  }
+
+  const { error } = await supabase
+    .from('module_comments')
+    .update({ accepted_at: accepted ? new Date().toISOString() : null })
+    .eq('id', comment.id);
+
+  if (error) {
+    console.error('[setCommentAccepted] ❌', error.message);
+    throw new Error('Failed to accept answer.');
+  }
+}
+
+export {
+  listModuleComments,
+  getComment,
+  createComment,
+  updateComment,
+  deleteComment,
+  setCommentAccepted
+};
@@ -0,0 +1,336 @@
+import { supabase } from '../config/supabaseClient.js';
+
+const INSERT_BATCH_SIZE = 100;
+const DEFAULT_TITLE = 'New Chat';
+const MESSAGE_COLUMNS = 'id, conversation_id, role, content, sources, file_name, file_type, interrupted, created_at';
+const CONVERSATION_COLUMNS = 'id, title, created_at, updated_at, deleted_at';
+
+// ✅ Titles the client gives a chat before it knows what it is about
+function isPlaceholderTitle(title) {
+  return !title || title === DEFAULT_TITLE || title === 'Untitled Chat' || title.startsWith('Chat from');
+}
+
+// ✅ Accepts the client's { _seconds, _nanoseconds } timestamps as well as ISO strings and epoch millis
+function toDate(timestamp) {
+  if (timestamp?._seconds !== undefined) {
+    return new Date(timestamp._seconds * 1000 + Math.floor((timestamp._nanoseconds || 0) / 1_000_000));
+  }
+  if (timestamp?.seconds !== undefined) {
+    return new Date(timestamp.seconds * 1000 + Math.floor((timestamp.nanoseconds || 0) / 1_000_000));
+  }
+  const date = new Date(timestamp ?? Date.now());
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+}
+
+function toClientTimestamp(value) {
+  const millis = new Date(value).getTime();
+  return {
+    _seconds: Math.floor(millis / 1000),
+    _nanoseconds: (millis % 1000) * 1_000_000
+  };
+}
+
+// ✅ Row -> message in the shape the chat page uses
+function toClientMessage(row) {
+  return {
+    id: row.id,
+    type: row.role,
+    text: row.content,
+    timestamp: toClientTimestamp(row.created_at),
+    conversationId: row.conversation_id,
+    ...(row.sources && { sources: row.sources }),
+    ...(row.file_name && { fileName: row.file_name }),
+    ...(row.file_type && { fileType: row.file_type }),
+    ...(row.interrupted && { interrupted: true })
+  };
+}
+
+// ✅ Message from the chat page -> row. Image previews are local object/data
+// URLs and are not uploaded.
+function toMessageRow(userId, conversationId, message) {
+  return {
+    id: message.id,
+    user_id: userId,
+    conversation_id: conversationId,
+    role: message.type === 'ai' ? 'ai' : 'user',
+    content: message.text || '',
+    sources: Array.isArray(message.sources) && message.sources.length > 0 ? message.sources : null,
+    file_name: message.fileName || null,
+    file_type: message.fileType || null,
+    interrupted: !!message.interrupted,
+    created_at: toDate(message.timestamp).toISOString()
+  };
+}
+
+function toClientConversation(row, messages) {
+  return {
+    id: row.id,
+    title: row.title,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(row.deleted_at && { deletedAt: row.deleted_at }),
+    ...(messages && { messages })
+  };
+}
+
+// ✅ Get the messages of the given conversations, grouped by conversation and oldest first
+async function getMessagesByConversation(userId, conversationIds) {
+  const grouped = new Map(conversationIds.map(id => [id, []]));
+  if (conversationIds.length === 0) return grouped;
+
+  const { data, error } = await supabase
+    .from('conversation_messages')
+    .select(MESSAGE_COLUMNS)
+    .eq('user_id', userId)
+    .in('conversation_id', conversationIds)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('[getMessagesByConversation] ❌', error.message);
+    throw new Error('Failed to retrieve conversation messages.');
+  }
+
+  data.forEach(row => grouped.get(row.conversation_id)?.push(toClientMessage(row)));
+  return grouped;
+}
+
+// ✅ List a user's conversations, newest first. With `since`, only those changed
+// after it are returned, including deleted ones so devices can drop their copy.
+async function listConversations(userId, { since = null, includeMessages = false } = {}) {
+  if (!userId) throw new Error('User ID is required');
+
+  let query = supabase
+    .from('conversations')
+    .select(CONVERSATION_COLUMNS)
+    .eq('user_id', userId)
+    .order('updated_at', { ascending: false });
+
+  query = since ? query.gt('updated_at', since) : query.is('deleted_at', null);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('[listConversations] ❌', error.message);
+    throw new Error('Failed to retrieve conversations.');
+  }
+
+  if (!includeMessages) return data.map(row => toClientConversation(row));
+
+  const live = data.filter(row => !row.deleted_at).map(row => row.id);
+  const messages = await getMessagesByConversation(userId, live);
+  return data.map(row => toClientConversation(row, row.deleted_at ? [] : messages.get(row.id)));
+}
+
+// ✅ Get one conversation with its messages (null when it doesn't exist)
+async function getConversation(userId, conversationId) {
+  if (!userId || !conversationId) throw new Error('User ID and conversation ID are required.');
+
+  const { data, error } = await supabase
+    .from('conversations')
+    .select(CONVERSATION_COLUMNS)
+    .eq('user_id', userId)
+    .eq('id', conversationId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getConversation] ❌', error.message);
+    throw new Error('Failed to retrieve conversation.');
+  }
+
+  if (!data) return null;
+  if (data.deleted_at) return toClientConversation(data, []);
+
+  const messages = await getMessagesByConversation(userId, [conversationId]);
+  return toClientConversation(data, messages.get(conversationId));
+}
+
+// ✅ Add messages to a conversation, creating it if needed. Messages already
+// stored (same id) are skipped, so retries and syncs from several devices merge
+// instead of overwriting each other. Deleted conversations are not revived.
+async function appendConversationMessages(userId, conversationId, { title = null, createdAt = null, messages = [] } = {}) {
+  if (!userId || !conversationId) throw new Error('User ID and conversation ID are required.');
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('conversations')
+    .select(CONVERSATION_COLUMNS)
+    .eq('user_id', userId)
+    .eq('id', conversationId)
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error('[appendConversationMessages] ❌', fetchError.message);
+    throw new Error('Failed to retrieve conversation.');
+  }
+
+  if (existing?.deleted_at) {
+    return { deleted: true, conversation: toClientConversation(existing) };
+  }
+
+  const firstTimestamp = messages.length > 0 ? toDate(messages[0].timestamp).toISOString() : null;
+
+  if (!existing) {
+    const { error: createError } = await supabase
+      .from('conversations')
+      .upsert({
+        id: conversationId,
+        user_id: userId,
+        title: title || DEFAULT_TITLE,
+        created_at: createdAt ? toDate(createdAt).toISOString() : firstTimestamp || new Date().toISOString()
+      }, { onConflict: 'user_id,id', ignoreDuplicates: true });
+
+    if (createError) {
+      console.error('[appendConversationMessages] ❌', createError.message);
+      throw new Error('Failed to create conversation.');
+    }
+  }
+
+  const rows = messages
+    .filter(message => message?.id)
+    .map(message => toMessageRow(userId, conversationId, message));
+
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('conversation_messages')
+      .upsert(rows.slice(i, i + INSERT_BATCH_SIZE), { onConflict: 'user_id,id', ignoreDuplicates: true });
+
+    if (error) {
+      console.error('[appendConversationMessages] ❌', error.message);
+      throw new Error('Failed to save conversation messages.');
+    }
+  }
+
+  // A real title wins over a placeholder, whichever device sends it first
+  const updates = { updated_at: new Date().toISOString() };
+  if (existing && title && !isPlaceholderTitle(title) && isPlaceholderTitle(existing.title)) {
+    updates.title = title;
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('conversations')
+    .update(updates)
+    .eq('user_id', userId)
+    .eq('id', conversationId)
+    .select(CONVERSATION_COLUMNS)
+    .single();
+
+  if (updateError) {
+    console.error('[appendConversationMessages] ❌', updateError.message);
+    throw new Error('Failed to update conversation.');
+  }
+
+  return { deleted: false, conversation: toClientConversation(updated), savedMessages: rows.length };
+}
+
+// ✅ Delete a conversation's messages and leave a tombstone for other devices
+async function deleteConversation(userId, conversationId) {
+  if (!userId || !conversationId) throw new Error('User ID and conversation ID are required.');
+
+  const now = new Date().toISOString();
+
+  const { error: messagesError } = await supabase
+    .from('conversation_messages')
+    .delete()
+    .eq('user_id', userId)
+    .eq('conversation_id', conversationId);
+
+  if (messagesError) {
+    console.error('[deleteConversation] ❌', messagesError.message);
+    throw new Error('Failed to delete conversation messages.');
+  }
+
+  // Upsert so a chat deleted before it was ever uploaded still gets a tombstone
+  const { error } = await supabase
+    .from('conversations')
+    .upsert({
+      id: conversationId,
+      user_id: userId,
+      deleted_at: now,
+      updated_at: now
+    }, { onConflict: 'user_id,id' });
+
+  if (error) {
+    console.error('[deleteConversation] ❌', error.message);
+    throw new Error('Failed to delete conversation.');
+  }
+
+  const { error: summaryError } = await supabase
+    .from('conversation_summaries')
+    .delete()
+    .eq('user_id', userId)
+    .eq('conversation_id', conversationId);
+
+  if (summaryError) {
+    console.warn('[deleteConversation] ⚠️ Could not delete summary:', summaryError.message);
+  }
+}
+
+// ✅ Get the prompt/response turns of one conversation, oldest first
+async function getConversationTurns(userId, conversationId) {
+  if (!userId || !conversationId) throw new Error('User ID and conversation ID are required.');
+
+  const messages = (await getMessagesByConversation(userId, [conversationId])).get(conversationId);
+
+  // Pair each user message with the AI reply that follows it
+  const turns = [];
+  messages.forEach((message, i) => {
+    const next = messages[i + 1];
+    if (message.type === 'user' && next?.type === 'ai' && next.text) {
+      turns.push({ prompt: message.text, response: next.text, timestamp: message.timestamp });
+    }
+  });
+
+  return turns;
+}
+
+// ✅ Get the rolling summary of a conversation's older turns
+async function getConversationSummary(userId, conversationId) {
+  if (!userId || !conversationId) {
+    throw new Error('User ID and conversation ID are required.');
+  }
+
+  const { data, error } = await supabase
+    .from('conversation_summaries')
+    .select('summary, summarized_turns')
+    .eq('user_id', userId)
+    .eq('conversation_id', conversationId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getConversationSummary] ❌', error.message);
+    throw new Error('Failed to retrieve conversation summary.');
+  }
+
+  return data ? { summary: data.summary, summarizedTurns: data.summarized_turns } : null;
+}
+
+// ✅ Save the rolling summary of a conversation's older turns
+async function saveConversationSummary(userId, conversationId, summary, summarizedTurns) {
+  if (!userId || !conversationId) {
+    throw new Error('User ID and conversation ID are required.');
+  }
+
+  const { error } = await supabase
+    .from('conversation_summaries')
+    .upsert({
+      user_id: userId,
+      conversation_id: conversationId,
+      summary,
+      summarized_turns: summarizedTurns,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id,conversation_id' });
+
+  if (error) {
+    console.error('[saveConversationSummary] ❌', error.message);
+    throw new Error('Failed to save conversation summary.');
+  }
+}
+
+export {
+  listConversations,
+  getConversation,
+  appendConversationMessages,
+  deleteConversation,
+  getConversationTurns,
+  getConversationSummary,
+  saveConversationSummary
+};
@@ -0,0 +1,372 @@
+import { supabase } from '../config/supabaseClient.js';
+
+const DECK_COLUMNS = 'id, user_id, module_id, title, created_at, updated_at';
+const CARD_COLUMNS = 'id, deck_id, kind, front, back, ease_factor, interval_days, repetitions, lapses, due_at, last_reviewed_at, created_at, updated_at';
+
+function toClientDeck(row, stats) {
+  return {
+    id: row.id,
+    moduleId: row.module_id,
+    moduleTitle: row.modules?.title || null,
+    title: row.title,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...stats
+  };
+}
+
+// ✅ Row -> card in the shape the API returns
+function toClientCard(row) {
+  return {
+    id: row.id,
+    deckId: row.deck_id,
+    kind: row.kind,
+    front: row.front,
+    back: row.back,
+    easeFactor: row.ease_factor,
+    intervalDays: row.interval_days,
+    repetitions: row.repetitions,
+    lapses: row.lapses,
+    dueAt: row.due_at,
+    lastReviewedAt: row.last_reviewed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function touchDeck(userId, deckId) {
+  const { error } = await supabase
+    .from('flashcard_decks')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('id', deckId);
+
+  if (error) {
+    console.warn('[touchDeck] ⚠️ Could not update deck timestamp:', error.message);
+  }
+}
+
+// ✅ Get the user's deck for a module, creating it on first use
+async function getOrCreateDeck(userId, moduleId, title) {
+  if (!userId || !moduleId) throw new Error('User ID and module ID are required.');
+
+  const { error: createError } = await supabase
+    .from('flashcard_decks')
+    .upsert({ user_id: userId, module_id: moduleId, title }, { onConflict: 'user_id,module_id', ignoreDuplicates: true });
+
+  if (createError) {
+    console.error('[getOrCreateDeck] ❌', createError.message);
+    throw new Error('Failed to create flashcard deck.');
+  }
+
+  const { data, error } = await supabase
+    .from('flashcard_decks')
+    .select(`${DECK_COLUMNS}, modules (title)`)
+    .eq('user_id', userId)
+    .eq('module_id', moduleId)
+    .single();
+
+  if (error) {
+    console.error('[getOrCreateDeck] ❌', error.message);
+    throw new Error('Failed to retrieve flashcard deck.');
+  }
+
+  return toClientDeck(data);
+}
+
+// ✅ List a user's decks, most recently changed first, with card and due counts
+async function listDecks(userId, { moduleId = null } = {}) {
+  if (!userId) throw new Error('User ID is required');
+
+  let query = supabase
+    .from('flashcard_decks')
+    .select(`${DECK_COLUMNS}, modules (title)`)
+    .eq('user_id', userId)
+    .order('updated_at', { ascending: false });
+
+  if (moduleId) query = query.eq('module_id', moduleId);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('[listDecks] ❌', error.message);
+    throw new Error('Failed to retrieve flashcard decks.');
+  }
+
+  if (data.length === 0) return [];
+
+  const { data: cards, error: cardsError } = await supabase
+    .from('flashcards')
+    .select('deck_id, due_at')
+    .eq('user_id', userId)
+    .in('deck_id', data.map(deck => deck.id));
+
+  if (cardsError) {
+    console.error('[listDecks] ❌', cardsError.message);
+    throw new Error('Failed to retrieve flashcards.');
+  }
+
+  const now = new Date().toISOString();
+  const stats = new Map(data.map(deck => [deck.id, { cardCount: 0, dueCount: 0 }]));
+  cards.forEach(card => {
+    const deckStats = stats.get(card.deck_id);
+    deckStats.cardCount += 1;
+    if (card.due_at <= now) deckStats.dueCount += 1;
+  });
+
+  return data.map(deck => toClientDeck(deck, stats.get(deck.id)));
+}
+
+// ✅ Get one of the user's decks with all its cards (null when it doesn't exist)
+async function getDeck(userId, deckId) {
+  if (!userId || !deckId) throw new Error('User ID and deck ID are required.');
+
+  const { data, error } = await supabase
+    .from('flashcard_decks')
+    .select(`${DECK_COLUMNS}, modules (title)`)
+    .eq('user_id', userId)
+    .eq('id', deckId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getDeck] ❌', error.message);
+    throw new Error('Failed to retrieve flashcard deck.');
+  }
+
+  if (!data) return null;
+
+  const { data: cards, error: cardsError } = await supabase
+    .from('flashcards')
+    .select(CARD_COLUMNS)
+    .eq('user_id', userId)
+    .eq('deck_id', deckId)
+    .order('created_at', { ascending: true });
+
+  if (cardsError) {
+    console.error('[getDeck] ❌', cardsError.message);
+    throw new Error('Failed to retrieve flashcards.');
+  }
+
+  const now = new Date().toISOString();
+  return {
+    ...toClientDeck(data, {
+      cardCount: cards.length,
+      dueCount: cards.filter(card => card.due_at <= now).length
+    }),
+    cards: cards.map(toClientCard)
+  };
+}
+
+// ✅ Delete a deck and its cards
+async function deleteDeck(userId, deckId) {
+  if (!userId || !deckId) throw new Error('User ID and deck ID are required.');
+
+  const { data, error } = await supabase
+    .from('flashcard_decks')
+    .delete()
+    .eq('user_id', userId)
+    .eq('id', deckId)
+    .select('id');
+
+  if (error) {
+    console.error('[deleteDeck] ❌', error.message);
+    throw new Error('Failed to delete flashcard deck.');
+  }
+
+  return data.length > 0;
+}
+
+// ✅ Add cards to a deck; new cards are due straight away
+async function addCards(userId, deckId, cards) {
+  if (!userId || !deckId) throw new Error('User ID and deck ID are required.');
+  if (cards.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('flashcards')
+    .insert(cards.map(card => ({
+      deck_id: deckId,
+      user_id: userId,
+      kind: card.kind,
+      front: card.front,
+      back: card.back
+    })))
+    .select(CARD_COLUMNS);
+
+  if (error) {
+    console.error('[addCards] ❌', error.message);
+    throw new Error('Failed to save flashcards.');
+  }
+
+  await touchDeck(userId, deckId);
+  return data.map(toClientCard);
+}
+
+// ✅ Get one of the user's cards (null when it doesn't exist)
+async function getCard(userId, cardId) {
+  if (!userId || !cardId) throw new Error('User ID and card ID are required.');
+
+  const { data, error } = await supabase
+    .from('flashcards')
+    .select(CARD_COLUMNS)
+    .eq('user_id', userId)
+    .eq('id', cardId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getCard] ❌', error.message);
+    throw new Error('Failed to retrieve flashcard.');
+  }
+
+  return data ? toClientCard(data) : null;
+}
+
+// ✅ Edit a card's text; its review schedule is kept
+async function updateCard(userId, cardId, updates) {
+  if (!userId || !cardId) throw new Error('User ID and card ID are required.');
+
+  const { data, error } = await supabase
+    .from('flashcards')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('id', cardId)
+    .select(CARD_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[updateCard] ❌', error.message);
+    throw new Error('Failed to update flashcard.');
+  }
+
+  if (data) await touchDeck(userId, data.deck_id);
+  return data ? toClientCard(data) : null;
+}
+
+// ✅ Delete one card
+async function deleteCard(userId, cardId) {
+  if (!userId || !cardId) throw new Error('User ID and card ID are required.');
+
+  const { data, error } = await supabase
+    .from('flashcards')
+    .delete()
+    .eq('user_id', userId)
+    .eq('id', cardId)
+    .select('id, deck_id');
+
+  if (error) {
+    console.error('[deleteCard] ❌', error.message);
+    throw new Error('Failed to delete flashcard.');
+  }
+
+  if (data.length > 0) await touchDeck(userId, data[0].deck_id);
+  return data.length > 0;
+}
+
+// ✅ Get the cards of a deck that are due for review, most overdue first
+async function getDueCards(userId, deckId, { limit = 20 } = {}) {
+  if (!userId || !deckId) throw new Error('User ID and deck ID are required.');
+
+  const { data, error } = await supabase
+    .from('flashcards')
+    .select(CARD_COLUMNS)
+    .eq('user_id', userId)
+    .eq('deck_id', deckId)
+    .lte('due_at', new Date().toISOString())
+    .order('due_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    console.error('[getDueCards] ❌', error.message);
+    throw new Error('Failed to retrieve due flashcards.');
+  }
+
+  return data.map(toClientCard);
+}
+
+// ✅ Store the new schedule of a reviewed card and log the review
+async function saveCardReview(userId, cardId, quality, schedule) {
+  if (!userId || !cardId) throw new Error('User ID and card ID are required.');
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('flashcards')
+    .update({
+      ease_factor: schedule.easeFactor,
+      interval_days: schedule.intervalDays,
+      repetitions: schedule.repetitions,
+      lapses: schedule.lapses,
+      due_at: schedule.dueAt,
+      last_reviewed_at: now
+    })
+    .eq('user_id', userId)
+    .eq('id', cardId)
+    .select(CARD_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('[saveCardReview] ❌', error.message);
+    throw new Error('Failed to save flashcard review.');
+  }
+
+  const { error: logError } = await supabase
+    .from('flashcard_reviews')
+    .insert([{ card_id: cardId, user_id: userId, quality, interval_days: schedule.intervalDays, reviewed_at: now }]);
+
+  if (logError) {
+    console.warn('[saveCardReview] ⚠️ Could not log review:', logError.message);
+  }
+
+  return toClientCard(data);
+}
+
+// ✅ Add a review session to the user's usage_time row for the day. The time
+// counts towards the total time on the platform and is also kept separately.
+async function recordReviewTime(userId, seconds, cardsReviewed) {
+  if (!userId) throw new Error('User ID is required');
+
+  const today = new Date().toISOString().slice(0, 10);
+
+  const { data, error: selectError } = await supabase
+    .from('usage_time')
+    .select('seconds_spent, review_seconds, cards_reviewed')
+    .eq('user_id', userId)
+    .eq('date', today)
+    .maybeSingle();
+
+  if (selectError) {
+    console.error('[recordReviewTime] ❌', selectError.message);
+    throw new Error('Failed to retrieve usage time.');
+  }
+
+  const row = {
+    user_id: userId,
+    date: today,
+    seconds_spent: (data?.seconds_spent || 0) + seconds,
+    review_seconds: (data?.review_seconds || 0) + seconds,
+    cards_reviewed: (data?.cards_reviewed || 0) + cardsReviewed
+  };
+
+  const { error } = await supabase
+    .from('usage_time')
+    .upsert(row, { onConflict: 'user_id,date' });
+
+  if (error) {
+    console.error('[recordReviewTime] ❌', error.message);
+    throw new Error('Failed to record review time.');
+  }
+
+  return { date: today, reviewSeconds: row.review_seconds, cardsReviewed: row.cards_reviewed };
+}
+
+export {
+  getOrCreateDeck,
+  listDecks,
+  getDeck,
+  deleteDeck,
+  addCards,
+  getCard,
+  updateCard,
+  deleteCard,
+  getDueCards,
+  saveCardReview,
+  recordReviewTime
+};
@@ -1,14 +1,22 @@
-const { supabase } = require('../config/supabaseClient');
+import { supabase } from '../config/supabaseClient.js';
+
 /**
  * Creates a new module record in Supabase.
- * @param {Object} moduleData The data for the new module (title, description, uploadedBy).
+ * @param {Object} moduleData The data for the new module (title, description, userId, uploadedBy, fileUrl, fileName).
  * @returns {Promise<Object>} The created module record including its ID.
  */
 async function createModule(moduleData) {
-  const { title, description, uploadedBy } = moduleData;
+  const { title, description, userId, uploadedBy, fileUrl, fileName } = moduleData;
   const { data, error } = await supabase
     .from('modules')
-    .insert([{ title, description, uploadedBy }])
+    .insert([{
+      title,
+      description,
+      user_id: userId,
+      uploaded_by: uploadedBy,
+      ...(fileUrl && { file_url: fileUrl, file_name: fileName }),
+      created_at: new Date().toISOString()
+    }])
     .select()
     .single();
 
@@ -21,14 +29,14 @@ async function createModule(moduleData) {
 }
 
 /**
- * Fetches all modules from Supabase, ordered by uploadedAt descending.
+ * Fetches all modules from Supabase, newest first.
  * @returns {Promise<Array<Object>>} Array of module records.
  */
 async function getAllModules() {
   const { data, error } = await supabase
     .from('modules')
     .select('*')
-    .order('uploadedAt', { ascending: false });
+    .order('created_at', { ascending: false });
 
   if (error) {
     console.error('Error fetching all modules:', error);
@@ -47,8 +55,8 @@ async function getModulesByUserId(userId) {
   const { data, error } = await supabase
     .from('modules')
     .select('*')
-    .eq('uploadedBy', userId)
-    .order('uploadedAt', { ascending: false });
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
 
   if (error) {
     console.error('Error fetching modules by user ID:', error);
@@ -95,6 +103,73 @@ async function updateModule(moduleId, updateData) {
   }
 }
 
+/**
+ * Marks a module's summary as processing, unless it is no longer pending or
+ * processing, or another run claimed it since it was queued at `queuedAt`.
+ * @param {string} moduleId
+ * @param {string|null} queuedAt - summary_queued_at of the job to claim
+ * @returns {Promise<string|null>} The claim's timestamp, or null when another run has the job
+ */
+async function claimModuleSummary(moduleId, queuedAt) {
+  const claimedAt = new Date().toISOString();
+  let query = supabase
+    .from('modules')
+    .update({ summary_status: 'processing', summary_error: null, summary_queued_at: claimedAt })
+    .eq('id', moduleId)
+    .in('summary_status', ['pending', 'processing']);
+  query = queuedAt ? query.eq('summary_queued_at', queuedAt) : query.is('summary_queued_at', null);
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    console.error('Error claiming module summary:', error);
+    throw new Error('Could not update module.');
+  }
+
+  return data.length > 0 ? claimedAt : null;
+}
+
+/**
+ * Stores a summary run's result, only while the run still holds its claim.
+ * @param {string} moduleId
+ * @param {string} claimedAt - Timestamp returned by claimModuleSummary
+ * @param {Object} updateData
+ * @returns {Promise<boolean>} Whether the result was stored
+ */
+async function updateClaimedModuleSummary(moduleId, claimedAt, updateData) {
+  const { data, error } = await supabase
+    .from('modules')
+    .update(updateData)
+    .eq('id', moduleId)
+    .eq('summary_status', 'processing')
+    .eq('summary_queued_at', claimedAt)
+    .select('id');
+
+  if (error) {
+    console.error('Error storing module summary:', error);
+    throw new Error('Could not update module.');
+  }
+
+  return data.length > 0;
+}
+
+/**
+ * Adds one to a module's download counter.
+ * @param {string} moduleId
+ * @returns {Promise<number>} The new download count.
+ */
+async function incrementModuleDownloads(moduleId) {
+  const { data, error } = await supabase
+    .rpc('increment_module_downloads', { target_module_id: moduleId });
+
+  if (error) {
+    console.error('Error counting module download:', error);
+    throw new Error('Could not count module download.');
+  }
+
+  return data;
+}
+
 /**
  * Deletes a module by ID.
  * @param {string} moduleId
@@ -111,11 +186,68 @@ async function deleteModule(moduleId) {
   }
 }
 
-module.exports = {
+/**
+ * Pages through every module regardless of visibility, newest first. Only for
+ * moderation.
+ * @param {Object} options - { search, userId, page, pageSize }. `search` matches
+ *   titles and uploader names, `userId` narrows to one uploader.
+ * @returns {Promise<{ modules: Array<Object>, total: number }>}
+ */
+async function searchAllModules({ search = '', userId = null, page = 1, pageSize = 25 } = {}) {
+  let query = supabase
+    .from('modules')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range((page - 1) * pageSize, page * pageSize - 1);
+
+  // Commas and parentheses would break the `or` filter
+  const term = search.replace(/[%,()*]/g, ' ').trim();
+  if (term) query = query.or(`title.ilike.%${term}%,uploaded_by.ilike.%${term}%`);
+  if (userId) query = query.eq('user_id', userId);
+
+  const { data, count, error } = await query;
+
+  if (error) {
+    console.error('Error searching modules:', error);
+    throw new Error('Could not fetch modules.');
+  }
+
+  return { modules: data, total: count ?? data.length };
+}
+
+/**
+ * Counts the modules each of the given users uploaded.
+ * @param {string[]} userIds
+ * @returns {Promise<Map<string, number>>} User ID → module count
+ */
+async function countModulesByUser(userIds) {
+  const counts = new Map(userIds.map(id => [id, 0]));
+  if (userIds.length === 0) return counts;
+
+  const { data, error } = await supabase
+    .from('modules')
+    .select('user_id')
+    .in('user_id', userIds);
+
+  if (error) {
+    console.error('Error counting modules:', error);
+    return counts;
+  }
+
+  data.forEach(row => counts.set(row.user_id, (counts.get(row.user_id) || 0) + 1));
+  return counts;
+}
+
+export {
   createModule,
   getAllModules,
   getModuleById,
   getModulesByUserId,
   updateModule,
-  deleteModule,
+  claimModuleSummary,
+  updateClaimedModuleSummary,
+  incrementModuleDownloads,
+  searchAllModules,
+  countModulesByUser,
+  deleteModule
 };
\ No newline at end of file
@@ -0,0 +1,94 @@
+import { supabase } from '../config/supabaseClient.js';
+
+// Everything but the text itself
+const STATUS_COLUMNS = 'module_id, status, page_count, word_count, chunk_count, mime_type, error, extracted_at, queued_at, updated_at';
+
+// ✅ Create or update the extracted text row for a module
+async function upsertModuleText(moduleId, fields) {
+  if (!moduleId) throw new Error('Module ID is required');
+
+  const { data, error } = await supabase
+    .from('module_texts')
+    .upsert({
+      module_id: moduleId,
+      ...fields,
+      updated_at: new Date().toISOString()
+    })
+    .select(STATUS_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('[upsertModuleText] ❌', error.message);
+    throw new Error('Failed to save extracted module text.');
+  }
+
+  return data;
+}
+
+// ✅ Get the extracted text row for a module (null when never extracted)
+async function getModuleText(moduleId, { includeContent = true } = {}) {
+  if (!moduleId) throw new Error('Module ID is required');
+
+  const columns = includeContent ? '*' : STATUS_COLUMNS;
+
+  const { data, error } = await supabase
+    .from('module_texts')
+    .select(columns)
+    .eq('module_id', moduleId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getModuleText] ❌', error.message);
+    throw new Error('Failed to fetch extracted module text.');
+  }
+
+  return data;
+}
+
+// ✅ Start an extraction job: move a pending or processing row still queued at
+// `queuedAt` to processing under a new queued_at, which is the job's claim.
+// Returns the claim, or null when another run took the job first.
+async function claimModuleText(moduleId, queuedAt) {
+  const claimedAt = new Date().toISOString();
+  let query = supabase
+    .from('module_texts')
+    .update({ status: 'processing', error: null, queued_at: claimedAt, updated_at: claimedAt })
+    .eq('module_id', moduleId)
+    .in('status', ['pending', 'processing']);
+  query = queuedAt ? query.eq('queued_at', queuedAt) : query.is('queued_at', null);
+
+  const { data, error } = await query.select('module_id');
+
+  if (error) {
+    console.error('[claimModuleText] ❌', error.message);
+    throw new Error('Failed to save extracted module text.');
+  }
+
+  return data.length > 0 ? claimedAt : null;
+}
+
+// ✅ Store a job's result, only while the job still holds its claim.
+// Returns the stored row (without the text), or null when the claim was lost.
+async function updateClaimedModuleText(moduleId, claimedAt, fields) {
+  const { data, error } = await supabase
+    .from('module_texts')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('module_id', moduleId)
+    .eq('status', 'processing')
+    .eq('queued_at', claimedAt)
+    .select(STATUS_COLUMNS);
+
+  if (error) {
+    console.error('[updateClaimedModuleText] ❌', error.message);
+    throw new Error('Failed to save extracted module text.');
+  }
+
+  return data[0] || null;
+}
+
+export {
+  upsertModuleText,
+  getModuleText,
+  claimModuleText,
+  updateClaimedModuleText
+};
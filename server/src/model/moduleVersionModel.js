@@ -0,0 +1,128 @@
+import { supabase } from '../config/supabaseClient.js';
+
+// Module columns that are versioned
+const VERSIONED_FIELDS = ['title', 'description', 'file_url', 'file_name'];
+
+const VERSION_COLUMNS = 'id, module_id, version_number, changed_by, change_type, changes, title, description, file_url, file_name, previous_file_url, previous_file_name, restored_from, created_at';
+
+function toClientVersion(row) {
+  return {
+    id: row.id,
+    moduleId: row.module_id,
+    versionNumber: row.version_number,
+    changedBy: row.changed_by,
+    changeType: row.change_type,
+    changes: row.changes || {},
+    title: row.title,
+    description: row.description,
+    fileUrl: row.file_url,
+    fileName: row.file_name,
+    previousFileUrl: row.previous_file_url,
+    previousFileName: row.previous_file_name,
+    restoredFrom: row.restored_from,
+    createdAt: row.created_at
+  };
+}
+
+// ✅ { field: { from, to } } for each versioned field the update changes
+function diffModuleFields(module, updates) {
+  const changes = {};
+  VERSIONED_FIELDS.forEach(field => {
+    if (field in updates && (updates[field] ?? null) !== (module[field] ?? null)) {
+      changes[field] = { from: module[field] ?? null, to: updates[field] ?? null };
+    }
+  });
+  return changes;
+}
+
+// ✅ Apply an update to a module and keep it as a new version. The first edit
+// also stores the module as uploaded, as version 1. The database does both in
+// one transaction, locking the module so concurrent edits can't collide.
+// Returns { module, version }, with version null when nothing changed.
+async function updateModuleWithVersion(module, updates, { changedBy, changeType, restoredFrom = null }) {
+  if (!module?.id || !changedBy) throw new Error('Module and user ID are required.');
+
+  if (Object.keys(diffModuleFields(module, updates)).length === 0) {
+    return { module, version: null };
+  }
+
+  const versionedUpdates = Object.fromEntries(VERSIONED_FIELDS
+    .filter(field => field in updates)
+    .map(field => [field, updates[field] ?? null]));
+
+  const { data, error } = await supabase.rpc('update_module_with_version', {
+    target_module_id: module.id,
+    updates: versionedUpdates,
+    editor_id: changedBy,
+    edit_type: changeType,
+    restored_version: restoredFrom
+  });
+
+  if (error) {
+    console.error('[updateModuleWithVersion] ❌', error.message);
+    throw new Error('Failed to update module.');
+  }
+
+  return { module: data.module, version: data.version && toClientVersion(data.version) };
+}
+
+// ✅ List a module's versions, newest first
+async function listModuleVersions(moduleId) {
+  if (!moduleId) throw new Error('Module ID is required.');
+
+  const { data, error } = await supabase
+    .from('module_versions')
+    .select(VERSION_COLUMNS)
+    .eq('module_id', moduleId)
+    .order('version_number', { ascending: false });
+
+  if (error) {
+    console.error('[listModuleVersions] ❌', error.message);
+    throw new Error('Failed to retrieve module versions.');
+  }
+
+  return data.map(toClientVersion);
+}
+
+// ✅ Get one version of a module (null when it doesn't exist)
+async function getModuleVersion(moduleId, versionNumber) {
+  if (!moduleId) throw new Error('Module ID is required.');
+
+  const { data, error } = await supabase
+    .from('module_versions')
+    .select(VERSION_COLUMNS)
+    .eq('module_id', moduleId)
+    .eq('version_number', versionNumber)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getModuleVersion] ❌', error.message);
+    throw new Error('Failed to retrieve module version.');
+  }
+
+  return data ? toClientVersion(data) : null;
+}
+
+// ✅ Every file URL a module has had, so deleting it can clean up storage
+async function getModuleVersionFileUrls(moduleId) {
+  const { data, error } = await supabase
+    .from('module_versions')
+    .select('file_url, previous_file_url')
+    .eq('module_id', moduleId);
+
+  if (error) {
+    console.error('[getModuleVersionFileUrls] ❌', error.message);
+    return [];
+  }
+
+  return data.flatMap(row => [row.file_url, row.previous_file_url]).filter(Boolean);
+}
+
+export {
+  VERSIONED_FIELDS,
+  diffModuleFields,
+  updateModuleWithVersion,
+  listModuleVersions,
+  getModuleVersion,
+  getModuleVersionFileUrls
+};
@@ -0,0 +1,131 @@
+import { supabase } from '../config/supabaseClient.js';
+
+const NOTIFICATION_COLUMNS = 'id, user_id, type, title, body, link, data, read_at, created_at';
+
+function toClientNotification(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    title: row.title,
+    body: row.body,
+    link: row.link,
+    data: row.data || {},
+    read: !!row.read_at,
+    createdAt: row.created_at
+  };
+}
+
+// ✅ Notify a user. A failed write is logged, not thrown, so it never undoes
+// the action that triggered it.
+async function createNotification({ userId, type, title, body = null, link = null, data = {} }) {
+  if (!userId) return;
+
+  const { error } = await supabase
+    .from('notifications')
+    .insert([{ user_id: userId, type, title, body, link, data }]);
+
+  if (error) {
+    console.error('[createNotification] ❌', error.message, { userId, type });
+  }
+}
+
+// ✅ A user's notifications, newest first, with how many are unread
+async function listNotifications(userId, { unreadOnly = false, page = 1, pageSize = 20 } = {}) {
+  let query = supabase
+    .from('notifications')
+    .select(NOTIFICATION_COLUMNS, { count: 'exact' })
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range((page - 1) * pageSize, page * pageSize - 1);
+
+  if (unreadOnly) query = query.is('read_at', null);
+
+  const [{ data, count, error }, unreadCount] = await Promise.all([query, countUnreadNotifications(userId)]);
+
+  if (error) {
+    console.error('[listNotifications] ❌', error.message);
+    throw new Error('Failed to retrieve notifications.');
+  }
+
+  return { notifications: data.map(toClientNotification), total: count ?? data.length, unreadCount };
+}
+
+// ✅ Number of unread notifications, for the badge in the sidebar
+async function countUnreadNotifications(userId) {
+  const { count, error } = await supabase
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('read_at', null);
+
+  if (error) {
+    console.error('[countUnreadNotifications] ❌', error.message);
+    return 0;
+  }
+
+  return count || 0;
+}
+
+// ✅ Mark some of a user's notifications read, or all of them without `ids`
+async function markNotificationsRead(userId, ids = null) {
+  let query = supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('read_at', null);
+
+  if (ids) query = query.in('id', ids);
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    console.error('[markNotificationsRead] ❌', error.message);
+    throw new Error('Failed to update notifications.');
+  }
+
+  return data.map(row => row.id);
+}
+
+// ✅ Unread notifications no digest has carried yet, oldest first, created
+// before `createdBefore` so ones the user may still see in the app are left out
+async function listUndigestedNotifications({ createdBefore, limit = 1000 }) {
+  const { data, error } = await supabase
+    .from('notifications')
+    .select(NOTIFICATION_COLUMNS)
+    .is('read_at', null)
+    .is('emailed_at', null)
+    .lt('created_at', createdBefore)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    console.error('[listUndigestedNotifications] ❌', error.message);
+    throw new Error('Failed to retrieve notifications.');
+  }
+
+  return data;
+}
+
+// ✅ Record that a digest carried these notifications
+async function markNotificationsEmailed(ids) {
+  if (ids.length === 0) return;
+
+  const { error } = await supabase
+    .from('notifications')
+    .update({ emailed_at: new Date().toISOString() })
+    .in('id', ids);
+
+  if (error) {
+    console.error('[markNotificationsEmailed] ❌', error.message);
+    throw new Error('Failed to update notifications.');
+  }
+}
+
+export {
+  createNotification,
+  listNotifications,
+  countUnreadNotifications,
+  markNotificationsRead,
+  listUndigestedNotifications,
+  markNotificationsEmailed
+};
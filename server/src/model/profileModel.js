@@ -0,0 +1,159 @@
+import { supabase } from '../config/supabaseClient.js';
+import { DEFAULT_USER_ROLE } from '../utils/userRoles.js';
+
+const PROFILE_COLUMNS = 'id, email, username, fullname, pfpurl, role, created_at, suspended_at, suspended_reason, suspended_by';
+
+function toClientProfile(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    username: row.username,
+    fullName: row.fullname,
+    pfpUrl: row.pfpurl,
+    role: row.role || DEFAULT_USER_ROLE,
+    createdAt: row.created_at,
+    suspended: !!row.suspended_at,
+    suspendedAt: row.suspended_at,
+    suspendedReason: row.suspended_reason,
+    suspendedBy: row.suspended_by
+  };
+}
+
+// ✅ Account role of a user. Users without a profile yet are students.
+async function getUserRole(userId) {
+  if (!userId) throw new Error('User ID is required.');
+
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('role')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getUserRole] ❌', error.message);
+    throw new Error('Failed to retrieve user role.');
+  }
+
+  return data?.role || DEFAULT_USER_ROLE;
+}
+
+// ✅ Account role and suspension of a user, in one lookup for every request.
+// Users without a profile yet are active students.
+async function getAccountStatus(userId) {
+  if (!userId) throw new Error('User ID is required.');
+
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('role, suspended_at')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getAccountStatus] ❌', error.message);
+    throw new Error('Failed to retrieve account status.');
+  }
+
+  return { role: data?.role || DEFAULT_USER_ROLE, suspended: !!data?.suspended_at };
+}
+
+// ✅ Change a user's account role. Returns false when the user has no profile.
+async function setUserRole(userId, role) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .update({ role, updated_at: new Date().toISOString() })
+    .eq('id', userId)
+    .select('id');
+
+  if (error) {
+    console.error('[setUserRole] ❌', error.message);
+    throw new Error('Failed to update user role.');
+  }
+
+  return data.length > 0;
+}
+
+// ✅ Search profiles by email, username or name. `status` narrows the list to
+// suspended or active accounts, `role` to one account role.
+async function listProfiles({ search = '', role = null, status = null, page = 1, pageSize = 25 } = {}) {
+  let query = supabase
+    .from('profiles')
+    .select(PROFILE_COLUMNS, { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range((page - 1) * pageSize, page * pageSize - 1);
+
+  // Commas and parentheses would break the `or` filter
+  const term = search.replace(/[%,()*]/g, ' ').trim();
+  if (term) {
+    query = query.or(['email', 'username', 'fullname'].map(column => `${column}.ilike.%${term}%`).join(','));
+  }
+  if (role) query = query.eq('role', role);
+  if (status === 'suspended') query = query.not('suspended_at', 'is', null);
+  if (status === 'active') query = query.is('suspended_at', null);
+
+  const { data, count, error } = await query;
+
+  if (error) {
+    console.error('[listProfiles] ❌', error.message);
+    throw new Error('Failed to retrieve users.');
+  }
+
+  return { users: data.map(toClientProfile), total: count ?? data.length };
+}
+
+// ✅ Get one profile in its API shape (null when it doesn't exist)
+async function getProfile(userId) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select(PROFILE_COLUMNS)
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getProfile] ❌', error.message);
+    throw new Error('Failed to retrieve user.');
+  }
+
+  return data ? toClientProfile(data) : null;
+}
+
+// ✅ Profiles of the given users in their API shape. Users without one are left out.
+async function listProfilesByIds(userIds) {
+  if (userIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('profiles')
+    .select(PROFILE_COLUMNS)
+    .in('id', userIds);
+
+  if (error) {
+    console.error('[listProfilesByIds] ❌', error.message);
+    throw new Error('Failed to retrieve users.');
+  }
+
+  return data.map(toClientProfile);
+}
+
+// ✅ Record that an account was suspended or reinstated
+async function setProfileSuspension(userId, { suspended, reason = null, suspendedBy = null }) {
+  const { error } = await supabase
+    .from('profiles')
+    .update(suspended
+      ? { suspended_at: new Date().toISOString(), suspended_reason: reason, suspended_by: suspendedBy }
+      : { suspended_at: null, suspended_reason: null, suspended_by: null })
+    .eq('id', userId);
+
+  if (error) {
+    console.error('[setProfileSuspension] ❌', error.message);
+    throw new Error('Failed to update suspension.');
+  }
+}
+
+export {
+  getUserRole,
+  getAccountStatus,
+  setUserRole,
+  listProfiles,
+  getProfile,
+  listProfilesByIds,
+  setProfileSuspension
+};
@@ -0,0 +1,176 @@
+import { supabase } from '../config/supabaseClient.js';
+
+const QUIZ_COLUMNS = 'id, module_id, created_by, title, difficulty, question_count, model, created_at';
+const ATTEMPT_COLUMNS = 'id, quiz_id, user_id, score, max_score, created_at';
+
+// ✅ Row -> quiz in the shape the API returns. Questions still carry their answer keys.
+function toClientQuiz(row, moduleTitle = row.modules?.title) {
+  return {
+    id: row.id,
+    moduleId: row.module_id,
+    moduleTitle: moduleTitle || null,
+    title: row.title,
+    difficulty: row.difficulty,
+    questionCount: row.question_count,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    ...(row.questions && { questions: row.questions })
+  };
+}
+
+function toClientAttempt(row) {
+  return {
+    id: row.id,
+    quizId: row.quiz_id,
+    score: row.score,
+    maxScore: row.max_score,
+    createdAt: row.created_at,
+    ...(row.answers && { answers: row.answers }),
+    ...(row.results && { results: row.results })
+  };
+}
+
+// ✅ Store a generated quiz with its answer keys
+async function createQuiz({ moduleId, moduleTitle, createdBy, title, difficulty, questions, model }) {
+  if (!moduleId || !createdBy) throw new Error('Module ID and user ID are required.');
+
+  const { data, error } = await supabase
+    .from('quizzes')
+    .insert([{
+      module_id: moduleId,
+      created_by: createdBy,
+      title,
+      difficulty,
+      questions,
+      question_count: questions.length,
+      model
+    }])
+    .select(`${QUIZ_COLUMNS}, questions`)
+    .single();
+
+  if (error) {
+    console.error('[createQuiz] ❌', error.message);
+    throw new Error('Failed to save quiz.');
+  }
+
+  return toClientQuiz(data, moduleTitle);
+}
+
+// ✅ Get one quiz including its questions and answer keys (null when it doesn't exist)
+async function getQuiz(quizId) {
+  if (!quizId) throw new Error('Quiz ID is required.');
+
+  const { data, error } = await supabase
+    .from('quizzes')
+    .select(`${QUIZ_COLUMNS}, questions, modules (title)`)
+    .eq('id', quizId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getQuiz] ❌', error.message);
+    throw new Error('Failed to retrieve quiz.');
+  }
+
+  return data ? toClientQuiz(data) : null;
+}
+
+// ✅ List quizzes a user generated, or every quiz of one module, newest first.
+// Each quiz carries the user's best score so far.
+async function listQuizzes(userId, { moduleId = null } = {}) {
+  if (!userId) throw new Error('User ID is required');
+
+  let query = supabase
+    .from('quizzes')
+    .select(`${QUIZ_COLUMNS}, modules (title)`)
+    .order('created_at', { ascending: false });
+
+  query = moduleId ? query.eq('module_id', moduleId) : query.eq('created_by', userId);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('[listQuizzes] ❌', error.message);
+    throw new Error('Failed to retrieve quizzes.');
+  }
+
+  if (data.length === 0) return [];
+
+  const { data: attempts, error: attemptsError } = await supabase
+    .from('quiz_attempts')
+    .select('quiz_id, score, max_score, created_at')
+    .eq('user_id', userId)
+    .in('quiz_id', data.map(quiz => quiz.id));
+
+  if (attemptsError) {
+    console.error('[listQuizzes] ❌', attemptsError.message);
+    throw new Error('Failed to retrieve quiz attempts.');
+  }
+
+  const stats = new Map();
+  attempts.forEach(attempt => {
+    const current = stats.get(attempt.quiz_id) || { attemptCount: 0, bestScore: 0, lastAttemptAt: null };
+    current.attemptCount += 1;
+    current.bestScore = Math.max(current.bestScore, attempt.score);
+    if (!current.lastAttemptAt || attempt.created_at > current.lastAttemptAt) {
+      current.lastAttemptAt = attempt.created_at;
+    }
+    stats.set(attempt.quiz_id, current);
+  });
+
+  return data.map(quiz => ({
+    ...toClientQuiz(quiz),
+    ...(stats.get(quiz.id) || { attemptCount: 0, bestScore: null, lastAttemptAt: null })
+  }));
+}
+
+// ✅ Store a scored attempt
+async function createQuizAttempt({ quizId, userId, answers, results, score, maxScore }) {
+  if (!quizId || !userId) throw new Error('Quiz ID and user ID are required.');
+
+  const { data, error } = await supabase
+    .from('quiz_attempts')
+    .insert([{
+      quiz_id: quizId,
+      user_id: userId,
+      answers,
+      results,
+      score,
+      max_score: maxScore
+    }])
+    .select(ATTEMPT_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('[createQuizAttempt] ❌', error.message);
+    throw new Error('Failed to save quiz attempt.');
+  }
+
+  return toClientAttempt(data);
+}
+
+// ✅ List a user's attempts at one quiz, newest first
+async function listQuizAttempts(userId, quizId) {
+  if (!userId || !quizId) throw new Error('User ID and quiz ID are required.');
+
+  const { data, error } = await supabase
+    .from('quiz_attempts')
+    .select(`${ATTEMPT_COLUMNS}, answers, results`)
+    .eq('user_id', userId)
+    .eq('quiz_id', quizId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('[listQuizAttempts] ❌', error.message);
+    throw new Error('Failed to retrieve quiz attempts.');
+  }
+
+  return data.map(toClientAttempt);
+}
+
+export {
+  createQuiz,
+  getQuiz,
+  listQuizzes,
+  createQuizAttempt,
+  listQuizAttempts
+};
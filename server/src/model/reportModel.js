@@ -0,0 +1,171 @@
+import { supabase } from '../config/supabaseClient.js';
+
+const REPORT_COLUMNS = 'id, module_id, reporter_id, reason, details, status, resolved_by, resolved_at, resolution_note, created_at';
+const REPORT_STATUSES = ['open', 'dismissed', 'actioned'];
+
+function toClientReport(row, modulesById = new Map(), profilesById = new Map()) {
+  const module = modulesById.get(row.module_id);
+  const reporter = profilesById.get(row.reporter_id);
+  return {
+    id: row.id,
+    moduleId: row.module_id,
+    module: module
+      ? {
+        id: module.id,
+        title: module.title,
+        userId: module.user_id,
+        uploadedBy: module.uploaded_by,
+        visibility: module.visibility,
+        hidden: !!module.hidden_at
+      }
+      : null,
+    reporterId: row.reporter_id,
+    reporterName: reporter?.fullname || reporter?.username || reporter?.email || null,
+    reason: row.reason,
+    details: row.details,
+    status: row.status,
+    resolvedBy: row.resolved_by,
+    resolvedAt: row.resolved_at,
+    resolutionNote: row.resolution_note,
+    createdAt: row.created_at
+  };
+}
+
+// ✅ File a report. Returns null when the user already has an open report on
+// the module.
+async function createReport({ moduleId, reporterId, reason, details = null }) {
+  const { data, error } = await supabase
+    .from('module_reports')
+    .insert([{ module_id: moduleId, reporter_id: reporterId, reason, details }])
+    .select(REPORT_COLUMNS)
+    .single();
+
+  if (error) {
+    if (error.code === '23505') return null;
+    console.error('[createReport] ❌', error.message);
+    throw new Error('Failed to submit report.');
+  }
+
+  return data;
+}
+
+// ✅ List reports with their module and reporter, newest first
+async function listReports({ status = 'open', page = 1, pageSize = 50 } = {}) {
+  let query = supabase
+    .from('module_reports')
+    .select(REPORT_COLUMNS, { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range((page - 1) * pageSize, page * pageSize - 1);
+
+  if (status) query = query.eq('status', status);
+
+  const { data, count, error } = await query;
+
+  if (error) {
+    console.error('[listReports] ❌', error.message);
+    throw new Error('Failed to retrieve reports.');
+  }
+
+  const moduleIds = [...new Set(data.map(row => row.module_id).filter(Boolean))];
+  const reporterIds = [...new Set(data.map(row => row.reporter_id).filter(Boolean))];
+  const [modulesRes, profilesRes] = await Promise.all([
+    moduleIds.length > 0
+      ? supabase.from('modules').select('id, title, user_id, uploaded_by, visibility, hidden_at').in('id', moduleIds)
+      : { data: [] },
+    reporterIds.length > 0
+      ? supabase.from('profiles').select('id, username, fullname, email').in('id', reporterIds)
+      : { data: [] }
+  ]);
+
+  const modulesById = new Map((modulesRes.data || []).map(module => [module.id, module]));
+  const profilesById = new Map((profilesRes.data || []).map(profile => [profile.id, profile]));
+
+  return {
+    reports: data.map(row => toClientReport(row, modulesById, profilesById)),
+    total: count ?? data.length
+  };
+}
+
+// ✅ Get one report row (null when it doesn't exist)
+async function getReport(reportId) {
+  const { data, error } = await supabase
+    .from('module_reports')
+    .select(REPORT_COLUMNS)
+    .eq('id', reportId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getReport] ❌', error.message);
+    throw new Error('Failed to retrieve report.');
+  }
+
+  return data;
+}
+
+// ✅ Close a report, and with `includeOpenForModule` every other open report on
+// the same module, since they are about the same content
+async function resolveReports(report, { status, resolvedBy, note = null, includeOpenForModule = false }) {
+  let query = supabase
+    .from('module_reports')
+    .update({
+      status,
+      resolved_by: resolvedBy,
+      resolved_at: new Date().toISOString(),
+      resolution_note: note
+    });
+
+  query = includeOpenForModule && report.module_id
+    ? query.eq('module_id', report.module_id).eq('status', 'open')
+    : query.eq('id', report.id);
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    console.error('[resolveReports] ❌', error.message);
+    throw new Error('Failed to resolve report.');
+  }
+
+  return data.map(row => row.id);
+}
+
+// ✅ Number of open reports, for the admin overview
+async function countOpenReports() {
+  const { count, error } = await supabase
+    .from('module_reports')
+    .select('id', { count: 'exact', head: true })
+    .eq('status', 'open');
+
+  if (error) {
+    console.error('[countOpenReports] ❌', error.message);
+    return 0;
+  }
+
+  return count || 0;
+}
+
+// ✅ Open reports on one module. There is at most one per reporter, so this is
+// also the number of people waiting on a review.
+async function countOpenReportsForModule(moduleId) {
+  const { count, error } = await supabase
+    .from('module_reports')
+    .select('id', { count: 'exact', head: true })
+    .eq('module_id', moduleId)
+    .eq('status', 'open');
+
+  if (error) {
+    console.error('[countOpenReportsForModule] ❌', error.message);
+    throw new Error('Failed to count reports.');
+  }
+
+  return count || 0;
+}
+
+export {
+  REPORT_STATUSES,
+  createReport,
+  listReports,
+  getReport,
+  resolveReports,
+  countOpenReports,
+  countOpenReportsForModule
+};
@@ -0,0 +1,127 @@
+import { supabase } from '../config/supabaseClient.js';
+
+const REVIEW_COLUMNS = 'id, module_id, user_id, rating, body, created_at, updated_at';
+
+function toClientReview(row, profile = null) {
+  return {
+    id: row.id,
+    moduleId: row.module_id,
+    userId: row.user_id,
+    reviewerName: profile?.fullname || profile?.username || 'Unknown User',
+    rating: row.rating,
+    body: row.body,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    edited: row.updated_at !== row.created_at
+  };
+}
+
+// ✅ A module's reviews, most recently written or edited first, with reviewer names
+async function listModuleReviews(moduleId, { page = 1, pageSize = 20 } = {}) {
+  const { data, count, error } = await supabase
+    .from('module_reviews')
+    .select(REVIEW_COLUMNS, { count: 'exact' })
+    .eq('module_id', moduleId)
+    .order('updated_at', { ascending: false })
+    .range((page - 1) * pageSize, page * pageSize - 1);
+
+  if (error) {
+    console.error('[listModuleReviews] ❌', error.message);
+    throw new Error('Failed to retrieve reviews.');
+  }
+
+  const userIds = [...new Set(data.map(row => row.user_id))];
+  const { data: profiles } = userIds.length > 0
+    ? await supabase.from('profiles').select('id, username, fullname').in('id', userIds)
+    : { data: [] };
+  const profilesById = new Map((profiles || []).map(profile => [profile.id, profile]));
+
+  return {
+    reviews: data.map(row => toClientReview(row, profilesById.get(row.user_id))),
+    total: count ?? data.length
+  };
+}
+
+// ✅ The review a user left on a module (null when they haven't)
+async function getUserReview(moduleId, userId) {
+  const { data, error } = await supabase
+    .from('module_reviews')
+    .select(REVIEW_COLUMNS)
+    .eq('module_id', moduleId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getUserReview] ❌', error.message);
+    throw new Error('Failed to retrieve review.');
+  }
+
+  return data ? toClientReview(data) : null;
+}
+
+// ✅ Write or edit a user's review. `created` tells a new review from an edit.
+async function saveReview({ moduleId, userId, rating, body = null }) {
+  const existing = await getUserReview(moduleId, userId);
+
+  const query = existing
+    ? supabase
+      .from('module_reviews')
+      .update({ rating, body, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+    : supabase
+      .from('module_reviews')
+      .insert([{ module_id: moduleId, user_id: userId, rating, body }]);
+
+  const { data, error } = await query.select(REVIEW_COLUMNS).single();
+
+  if (error) {
+    console.error('[saveReview] ❌', error.message);
+    throw new Error('Failed to save review.');
+  }
+
+  return { review: toClientReview(data), created: !existing };
+}
+
+// ✅ Delete a user's review. Returns whether there was one.
+async function deleteReview(moduleId, userId) {
+  const { data, error } = await supabase
+    .from('module_reviews')
+    .delete()
+    .eq('module_id', moduleId)
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) {
+    console.error('[deleteReview] ❌', error.message);
+    throw new Error('Failed to delete review.');
+  }
+
+  return data.length > 0;
+}
+
+// ✅ Average rating and review count kept on the module by the database
+async function getModuleRating(moduleId) {
+  const { data, error } = await supabase
+    .from('modules')
+    .select('rating_average, rating_count')
+    .eq('id', moduleId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[getModuleRating] ❌', error.message);
+    throw new Error('Failed to retrieve rating.');
+  }
+
+  return {
+    average: data && data.rating_average !== null ? Number(data.rating_average) : null,
+    count: data?.rating_count ?? 0
+  };
+}
+
+export {
+  listModuleReviews,
+  getUserReview,
+  saveReview,
+  deleteReview,
+  getModuleRating
+};
@@ -0,0 +1,75 @@
+import { supabase } from '../config/supabaseClient.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ✅ Find one page of modules matching a search query, best match first.
+// The database ranks and filters them (see search_modules), so `total`
+// counts every match the user may see, not just the ones fetched.
+async function searchModules(query, filters, { page = 1, pageSize = 20 } = {}) {
+  const { userId, showAll, uploader, fileType, from, to } = filters;
+  const uploaderIsId = uploader && UUID_PATTERN.test(uploader);
+
+  const { data, count, error } = await supabase
+    .rpc('search_modules', {
+      search_query: query,
+      viewer_id: userId,
+      include_others: !!showAll,
+      uploader_id: uploaderIsId ? uploader : null,
+      uploader_name: uploader && !uploaderIsId ? uploader : null,
+      file_extension: fileType || null,
+      created_from: from || null,
+      created_to: to || null
+    }, { count: 'exact' })
+    .order('score', { ascending: false })
+    .order('created_at', { ascending: false })
+    .range((page - 1) * pageSize, page * pageSize - 1);
+
+  if (error) {
+    console.error('[searchModules] ❌', error.message);
+    throw new Error('Failed to search modules.');
+  }
+
+  return {
+    results: (data || []).map(row => ({ module: row.module, score: Number(row.score.toFixed(4)) })),
+    total: count || 0
+  };
+}
+
+// ✅ Get extracted text for a set of modules as a Map of module_id → content
+async function getModuleTexts(moduleIds) {
+  const texts = new Map();
+  if (!moduleIds.length) return texts;
+
+  const { data, error } = await supabase
+    .from('module_texts')
+    .select('module_id, content')
+    .in('module_id', moduleIds);
+
+  if (error) {
+    console.warn('[getModuleTexts] ⚠️', error.message);
+    return texts;
+  }
+
+  data.forEach(row => texts.set(row.module_id, row.content || ''));
+  return texts;
+}
+
+// ✅ Get uploader profiles as a Map of user id → profile
+async function getUploaderProfiles(userIds) {
+  const profiles = new Map();
+  if (!userIds.length) return profiles;
+
+  const { data } = await supabase
+    .from('profiles')
+    .select('id, username, fullname')
+    .in('id', userIds);
+
+  data?.forEach(profile => profiles.set(profile.id, profile));
+  return profiles;
+}
+
+export {
+  searchModules,
+  getModuleTexts,
+  getUploaderProfiles
+};
@@ -0,0 +1,437 @@
+import express from 'express';
+const router = express.Router();
+import authenticateToken from '../middleware/authMiddleware.js';
+import { requireRole } from '../middleware/roleMiddleware.js';
+import validateRequest from '../middleware/validateRequest.js';
+import {
+  getUserRole,
+  setUserRole,
+  listProfiles,
+  getProfile,
+  setProfileSuspension
+} from '../model/profileModel.js';
+import { getModuleById, updateModule, searchAllModules, countModulesByUser, deleteModule } from '../model/moduleModel.js';
+import { getModuleVersionFileUrls } from '../model/moduleVersionModel.js';
+import {
+  REPORT_STATUSES,
+  listReports,
+  getReport,
+  resolveReports,
+  countOpenReports,
+  countOpenReportsForModule
+} from '../model/reportModel.js';
+import { createNotification } from '../model/notificationModel.js';
+import { recordAuditEvent, listAuditEvents } from '../model/auditLogModel.js';
+import { getUserStorageUsage, removeModuleFiles } from '../utils/moduleFiles.js';
+import { toClientModules } from '../utils/moduleAccess.js';
+import { USER_ROLES, isAdmin } from '../utils/userRoles.js';
+import { createHttpError } from '../utils/httpErrors.js';
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_REASON_LENGTH = 500;
+const REPORT_ACTIONS = ['dismiss', 'remove_module'];
+
+const pagingQuery = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1 }
+};
+const userIdSchema = { params: { userId: { type: 'uuid', required: true } } };
+const reasonBody = { reason: { type: 'string', maxLength: MAX_REASON_LENGTH } };
+
+// ✅ page and pageSize from ?page= and ?limit=
+function parsePaging(query) {
+  return {
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+    pageSize: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE))
+  };
+}
+
+// ✅ Optional free-text reason from the body, trimmed and capped
+function parseReason(body) {
+  const reason = typeof body?.reason === 'string' ? body.reason.trim() : '';
+  return reason ? reason.slice(0, MAX_REASON_LENGTH) : null;
+}
+
+// ✅ Delete a module with its files and the files of its older versions, and
+// tell the uploader
+async function removeModule(module, reason = null) {
+  const versionFileUrls = await getModuleVersionFileUrls(module.id);
+  await deleteModule(module.id);
+  await removeModuleFiles([module.file_url, ...versionFileUrls].filter(Boolean));
+  await createNotification({
+    userId: module.user_id,
+    type: 'module_removed',
+    title: `"${module.title}" was removed by an admin`,
+    body: reason,
+    data: { moduleId: module.id }
+  });
+}
+
+// Every admin route needs an admin account
+router.use(authenticateToken, requireRole('admin'));
+
+// GET /api/admin/overview
+router.get('/overview', async (req, res, next) => {
+  try {
+    const [allUsers, suspendedUsers, modules, openReports] = await Promise.all([
+      listProfiles({ pageSize: 1 }),
+      listProfiles({ status: 'suspended', pageSize: 1 }),
+      searchAllModules({ pageSize: 1 }),
+      countOpenReports()
+    ]);
+
+    res.status(200).json({
+      users: allUsers.total,
+      suspendedUsers: suspendedUsers.total,
+      modules: modules.total,
+      openReports
+    });
+  } catch (error) {
+    console.error('Error in GET /api/admin/overview:', error);
+    next(createHttpError(500, 'Failed to load the overview.'));
+  }
+});
+
+// GET /api/admin/users?q=...&role=...&status=active|suspended&page=1&limit=25
+// Each user comes with their module count and storage usage.
+router.get('/users', validateRequest({
+  query: {
+    ...pagingQuery,
+    q: { type: 'string', maxLength: 200 },
+    role: { type: 'string', values: USER_ROLES },
+    status: { type: 'string', values: ['active', 'suspended'] }
+  }
+}), async (req, res, next) => {
+  const { q = '', role = null, status = null } = req.query;
+  const { page, pageSize } = parsePaging(req.query);
+
+  try {
+    const { users, total } = await listProfiles({ search: String(q), role, status, page, pageSize });
+    const userIds = users.map(user => user.id);
+    const [moduleCounts, usage] = await Promise.all([
+      countModulesByUser(userIds),
+      Promise.all(userIds.map(getUserStorageUsage))
+    ]);
+
+    res.status(200).json({
+      users: users.map((user, index) => ({
+        ...user,
+        moduleCount: moduleCounts.get(user.id) || 0,
+        storage: usage[index]
+      })),
+      page,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    });
+  } catch (error) {
+    console.error('Error in GET /api/admin/users:', error);
+    next(createHttpError(500, 'Failed to retrieve users.'));
+  }
+});
+
+// GET /api/admin/users/:userId
+router.get('/users/:userId', validateRequest(userIdSchema), async (req, res, next) => {
+  try {
+    const user = await getProfile(req.params.userId);
+    if (!user) {
+      return next(createHttpError(404, 'User not found.'));
+    }
+
+    const [moduleCounts, storage] = await Promise.all([
+      countModulesByUser([user.id]),
+      getUserStorageUsage(user.id)
+    ]);
+
+    res.status(200).json({ user: { ...user, moduleCount: moduleCounts.get(user.id) || 0, storage } });
+  } catch (error) {
+    console.error('Error in GET /api/admin/users/:userId:', error);
+    next(createHttpError(500, 'Failed to retrieve user.'));
+  }
+});
+
+// PATCH /api/admin/users/:userId/role
+// Body: { role }
+router.patch('/users/:userId/role', validateRequest({
+  ...userIdSchema,
+  body: { role: { type: 'string', required: true, values: USER_ROLES } }
+}), async (req, res, next) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+  // Keeps at least the admin making the change, so the last admin can't lock everyone out
+  if (userId === req.user.id && role !== 'admin') {
+    return next(createHttpError(400, 'You can\'t remove your own admin role.'));
+  }
+
+  try {
+    const previousRole = await getUserRole(userId);
+    const updated = await setUserRole(userId, role);
+    if (!updated) {
+      return next(createHttpError(404, 'User not found.'));
+    }
+
+    await recordAuditEvent({
+      actorId: req.user.id,
+      action: 'user.role_changed',
+      targetType: 'user',
+      targetId: userId,
+      details: { from: previousRole, to: role }
+    });
+    res.status(200).json({ userId, role });
+  } catch (error) {
+    console.error('Error in PATCH /api/admin/users/:userId/role:', error);
+    next(createHttpError(500, 'Failed to update user role.'));
+  }
+});
+
+// POST /api/admin/users/:userId/suspend
+// Body: { reason? }
+router.post('/users/:userId/suspend', validateRequest({ ...userIdSchema, body: reasonBody }), async (req, res, next) => {
+  const { userId } = req.params;
+  const reason = parseReason(req.body);
+
+  if (userId === req.user.id) {
+    return next(createHttpError(400, 'You can\'t suspend your own account.'));
+  }
+
+  try {
+    const user = await getProfile(userId);
+    if (!user) {
+      return next(createHttpError(404, 'User not found.'));
+    }
+    if (isAdmin(user.role)) {
+      return next(createHttpError(400, 'Remove the admin role before suspending this account.'));
+    }
+    if (user.suspended) {
+      return next(createHttpError(409, 'This account is already suspended.'));
+    }
+
+    await setProfileSuspension(userId, { suspended: true, reason, suspendedBy: req.user.id });
+    await recordAuditEvent({
+      actorId: req.user.id,
+      action: 'user.suspended',
+      targetType: 'user',
+      targetId: userId,
+      details: { email: user.email, reason }
+    });
+    res.status(200).json({ userId, suspended: true });
+  } catch (error) {
+    console.error('Error in POST /api/admin/users/:userId/suspend:', error);
+    next(createHttpError(500, 'Failed to suspend user.'));
+  }
+});
+
+// POST /api/admin/users/:userId/unsuspend
+router.post('/users/:userId/unsuspend', validateRequest(userIdSchema), async (req, res, next) => {
+  const { userId } = req.params;
+
+  try {
+    const user = await getProfile(userId);
+    if (!user) {
+      return next(createHttpError(404, 'User not found.'));
+    }
+    if (!user.suspended) {
+      return next(createHttpError(409, 'This account is not suspended.'));
+    }
+
+    await setProfileSuspension(userId, { suspended: false });
+    await recordAuditEvent({
+      actorId: req.user.id,
+      action: 'user.unsuspended',
+      targetType: 'user',
+      targetId: userId,
+      details: { email: user.email }
+    });
+    res.status(200).json({ userId, suspended: false });
+  } catch (error) {
+    console.error('Error in POST /api/admin/users/:userId/unsuspend:', error);
+    next(createHttpError(500, 'Failed to reinstate user.'));
+  }
+});
+
+// GET /api/admin/modules?q=...&user_id=...&page=1&limit=25
+// Every module regardless of visibility
+router.get('/modules', validateRequest({
+  query: {
+    ...pagingQuery,
+    q: { type: 'string', maxLength: 200 },
+    user_id: { type: 'uuid' }
+  }
+}), async (req, res, next) => {
+  const { q = '', user_id: userId = null } = req.query;
+  const { page, pageSize } = parsePaging(req.query);
+
+  try {
+    const { modules, total } = await searchAllModules({ search: String(q), userId, page, pageSize });
+
+    res.status(200).json({
+      modules: await toClientModules(modules, req.user.id),
+      page,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    });
+  } catch (error) {
+    console.error('Error in GET /api/admin/modules:', error);
+    next(createHttpError(500, 'Failed to retrieve modules.'));
+  }
+});
+
+// DELETE /api/admin/modules/:moduleId
+// Body: { reason? }
+router.delete('/modules/:moduleId', validateRequest({
+  params: { moduleId: { type: 'uuid', required: true } },
+  body: reasonBody
+}), async (req, res, next) => {
+  const { moduleId } = req.params;
+  const reason = parseReason(req.body);
+
+  try {
+    const module = await getModuleById(moduleId);
+    if (!module) {
+      return next(createHttpError(404, 'Module not found.'));
+    }
+
+    await removeModule(module, reason);
+    await recordAuditEvent({
+      actorId: req.user.id,
+      action: 'module.removed',
+      targetType: 'module',
+      targetId: moduleId,
+      details: { title: module.title, ownerId: module.user_id, reason }
+    });
+    res.status(200).json({ message: 'Module removed.' });
+  } catch (error) {
+    console.error('Error in DELETE /api/admin/modules/:moduleId:', error);
+    next(createHttpError(500, 'Failed to remove module.'));
+  }
+});
+
+// GET /api/admin/reports?status=open|dismissed|actioned&page=1&limit=25
+router.get('/reports', validateRequest({
+  query: { ...pagingQuery, status: { type: 'string', values: REPORT_STATUSES } }
+}), async (req, res, next) => {
+  const { status = 'open' } = req.query;
+  const { page, pageSize } = parsePaging(req.query);
+
+  try {
+    const { reports, total } = await listReports({ status, page, pageSize });
+    res.status(200).json({
+      reports,
+      page,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    });
+  } catch (error) {
+    console.error('Error in GET /api/admin/reports:', error);
+    next(createHttpError(500, 'Failed to retrieve reports.'));
+  }
+});
+
+// POST /api/admin/reports/:reportId/resolve
+// Body: { action: 'dismiss' | 'remove_module', note? }. Removing the module
+// closes every open report on it. A module hidden after being reported comes
+// back once its last open report is dismissed.
+router.post('/reports/:reportId/resolve', validateRequest({
+  params: { reportId: { type: 'uuid', required: true } },
+  body: {
+    action: { type: 'string', required: true, values: REPORT_ACTIONS },
+    note: { type: 'string', maxLength: MAX_REASON_LENGTH }
+  }
+}), async (req, res, next) => {
+  const { action } = req.body;
+  const note = req.body.note?.trim() || null;
+
+  try {
+    const report = await getReport(req.params.reportId);
+    if (!report) {
+      return next(createHttpError(404, 'Report not found.'));
+    }
+    if (report.status !== 'open') {
+      return next(createHttpError(409, 'This report has already been resolved.'));
+    }
+
+    let module = null;
+    if (action === 'remove_module') {
+      module = report.module_id && await getModuleById(report.module_id);
+      if (!module) {
+        return next(createHttpError(404, 'The reported module no longer exists.'));
+      }
+    }
+
+    // Resolve first: removing the module clears the reports' module link
+    const resolvedIds = await resolveReports(report, {
+      status: action === 'dismiss' ? 'dismissed' : 'actioned',
+      resolvedBy: req.user.id,
+      note,
+      includeOpenForModule: action === 'remove_module'
+    });
+
+    let restored = false;
+    if (module) {
+      await removeModule(module, note);
+    } else if (report.module_id) {
+      const reported = await getModuleById(report.module_id);
+      if (reported?.hidden_at && await countOpenReportsForModule(reported.id) === 0) {
+        await updateModule(reported.id, { hidden_at: null });
+        await createNotification({
+          userId: reported.user_id,
+          type: 'module_restored',
+          title: `"${reported.title}" is visible again`,
+          body: 'An admin reviewed the reports on this module and found nothing wrong.',
+          link: `/dashboard/modules/${reported.id}`,
+          data: { moduleId: reported.id }
+        });
+        restored = true;
+      }
+    }
+
+    await recordAuditEvent({
+      actorId: req.user.id,
+      action: action === 'dismiss' ? 'report.dismissed' : 'report.module_removed',
+      targetType: 'report',
+      targetId: report.id,
+      details: {
+        moduleId: report.module_id,
+        ...(module && { title: module.title, ownerId: module.user_id }),
+        resolvedReports: resolvedIds.length,
+        ...(restored && { moduleRestored: true }),
+        note
+      }
+    });
+    res.status(200).json({ resolvedReportIds: resolvedIds, moduleRemoved: !!module, moduleRestored: restored });
+  } catch (error) {
+    console.error('Error in POST /api/admin/reports/:reportId/resolve:', error);
+    next(createHttpError(500, 'Failed to resolve report.'));
+  }
+});
+
+// GET /api/admin/audit-log?action=...&actor_id=...&page=1&limit=25
+router.get('/audit-log', validateRequest({
+  query: {
+    ...pagingQuery,
+    action: { type: 'string', maxLength: 100 },
+    actor_id: { type: 'uuid' }
+  }
+}), async (req, res, next) => {
+  const { action = null, actor_id: actorId = null } = req.query;
+  const { page, pageSize } = parsePaging(req.query);
+
+  try {
+    const { events, total } = await listAuditEvents({ action, actorId, page, pageSize });
+    res.status(200).json({
+      events,
+      page,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    });
+  } catch (error) {
+    console.error('Error in GET /api/admin/audit-log:', error);
+    next(createHttpError(500, 'Failed to retrieve the audit log.'));
+  }
+});
+
+export default router;
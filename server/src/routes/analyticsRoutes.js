@@ -0,0 +1,43 @@
+import express from 'express';
+import { supabase } from '../config/supabaseClient.js';
+import authenticateToken from '../middleware/authMiddleware.js';
+import validateRequest from '../middleware/validateRequest.js';
+import { createHttpError } from '../utils/httpErrors.js';
+
+const router = express.Router();
+
+// GET /api/analytics/:userId
+router.get('/:userId', authenticateToken, validateRequest({
+  params: { userId: { type: 'uuid', required: true } }
+}), async (req, res, next) => {
+  if (!supabase) {
+    return next(createHttpError(500, 'Database service not initialized'));
+  }
+
+  try {
+    const { userId } = req.params;
+
+    if (userId !== req.user.id) {
+      return next(createHttpError(403, 'Access denied'));
+    }
+
+    const [uploadedRes, savedRes] = await Promise.all([
+      supabase.from('modules').select('*', { count: 'exact', head: true }).eq('user_id', userId),
+      supabase.from('save_modules').select('*', { count: 'exact', head: true }).eq('user_id', userId)
+    ]);
+
+    if (uploadedRes.error || savedRes.error) {
+      throw new Error(uploadedRes.error?.message || savedRes.error?.message);
+    }
+
+    res.status(200).json({
+      modulesUploaded: uploadedRes.count || 0,
+      modulesSaved: savedRes.count || 0
+    });
+  } catch (error) {
+    console.error('[getAnalytics] ❌', error.message);
+    next(createHttpError(500, 'Failed to get analytics'));
+  }
+});
+
+export default router;
@@ -1,19 +1,542 @@
-const express = require('express');
+import express from 'express';
+import { OAuth2Client } from 'google-auth-library';
+import config from '../config/config.js';
+import { supabase, createSessionClient } from '../config/supabaseClient.js';
+import {
+  CODE_TTL_MS,
+  createMemoryVerificationStore,
+  createSupabaseVerificationStore,
+  createVerificationCodeService
+} from '../utils/verificationCodes.js';
+import { sendTemplateEmail } from '../utils/emailService.js';
+import validateRequest from '../middleware/validateRequest.js';
+import { createHttpError } from '../utils/httpErrors.js';
+
 const router = express.Router();
-const { checkEmail } = require('../model/userModel');
 
-router.post('/email-check', async (req, res) => {
+const emailSchema = { body: { email: { type: 'email', required: true } } };
+
+let googleClient;
+
+try {
+  googleClient = new OAuth2Client(
+    config.google.clientId,
+    config.google.clientSecret,
+    config.google.redirectUri
+  );
+} catch (error) {
+  console.warn('Failed to initialize Google OAuth client:', error.message);
+}
+
+// Signup codes are kept in the database so they survive restarts and are
+// shared between serverless instances
+const verificationCodes = createVerificationCodeService({
+  store: supabase ? createSupabaseVerificationStore(supabase) : createMemoryVerificationStore()
+});
+
+const VERIFICATION_FAILURES = {
+  not_found: [400, 'Verification code expired or not found. Please restart the signup process.'],
+  expired: [400, 'Verification code has expired. Please restart the signup process.'],
+  too_many_attempts: [400, 'Too many incorrect attempts. Request a new code or restart the signup process.'],
+  invalid: [400, 'Invalid verification code. Please check and try again.'],
+  cooldown: [429, 'Please wait before requesting another code.'],
+  rate_limited: [429, 'Too many verification requests. Please try again later.']
+};
+
+// ✅ Error for a failed verification-code result from the service. Limited
+// results also set Retry-After on the response.
+const verificationError = (res, result) => {
+  const [status, message] = VERIFICATION_FAILURES[result.reason] || [400, 'Verification failed.'];
+  if (result.retryAfterSeconds) {
+    res.set('Retry-After', String(result.retryAfterSeconds));
+  }
+  return createHttpError(status, message, {
+    code: result.reason,
+    details: {
+      retryAfterSeconds: result.retryAfterSeconds,
+      attemptsRemaining: result.attemptsRemaining
+    }
+  });
+};
+
+// ✅ Email the final signup code to a Google-verified user. Returns whether it was sent.
+const sendSignupCodeEmail = async (googleUserInfo, verificationCode) => {
+  const { ok } = await sendTemplateEmail('signup-code', {
+    to: googleUserInfo.email,
+    data: {
+      name: googleUserInfo.name || googleUserInfo.email,
+      email: googleUserInfo.email,
+      code: verificationCode,
+      expiresInMinutes: Math.round(CODE_TTL_MS / 60000)
+    }
+  });
+  return ok;
+};
+
+// POST /api/auth/google/signup
+router.post('/google/signup', validateRequest(emailSchema), async (req, res, next) => {
+  if (!googleClient) {
+    return next(createHttpError(500, 'Google OAuth service not initialized'));
+  }
+
+  const { email } = req.body;
+
+  try {
+    console.log('Vercel URL:', config.server.vercelUrl);
+    console.log('Redirect URI for OAuth:', config.google.redirectUri);
+
+    const authUrl = googleClient.generateAuthUrl({
+      access_type: 'offline',
+      scope: [
+        'https://www.googleapis.com/auth/userinfo.email',
+        'https://www.googleapis.com/auth/userinfo.profile'
+      ],
+      state: JSON.stringify({ email, action: 'signup' }),
+      prompt: 'consent'
+    });
+
+    res.status(200).json({
+      message: 'Redirect to Google for authorization',
+      authUrl,
+      email
+    });
+  } catch (error) {
+    next(createHttpError(500, 'Failed to generate Google auth URL'));
+  }
+});
+
+
+// POST /api/auth/google/callback
+router.post('/google/callback', validateRequest({
+  body: {
+    code: { type: 'string', required: true },
+    state: { type: 'string', required: true }
+  }
+}), async (req, res, next) => {
+  console.log('Google callback POST received:', {
+    body: req.body,
+    headers: req.headers
+  });
+
+  if (!googleClient) {
+    return next(createHttpError(500, 'Google OAuth service not initialized'));
+  }
+
+  const { code, state } = req.body;
+
+  try {
+    let parsedState;
+    try {
+      parsedState = JSON.parse(state);
+    } catch (parseError) {
+      return next(createHttpError(400, 'Invalid state parameter', { details: 'Could not parse state JSON' }));
+    }
+
+    const { email: originalEmail, action } = parsedState;
+
+    if (!originalEmail) {
+      return next(createHttpError(400, 'Invalid state: missing email', {
+        details: 'State parameter must contain email'
+      }));
+    }
+
+    let tokens;
+    try {
+      const redirectUri = config.google.redirectUri;
+      console.log('Using redirect_uri for token exchange:', redirectUri);
+
+      const tokenResponse = await googleClient.getToken({
+        code,
+        redirect_uri: redirectUri
+      });
+      tokens = tokenResponse.tokens;
+    } catch (tokenError) {
+      console.error('[googleCallback] ❌ Token exchange failed:', tokenError.message);
+      return next(createHttpError(400, 'Failed to exchange authorization code'));
+    }
+
+    googleClient.setCredentials(tokens);
+
+    let googleUserInfo;
+    try {
+      const response = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
+        headers: {
+          Authorization: `Bearer ${tokens.access_token}`,
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error(`Google API responded with status ${response.status}`);
+      }
+
+      googleUserInfo = await response.json();
+    } catch (fetchError) {
+      console.error('[googleCallback] ❌ User info request failed:', fetchError.message);
+      return next(createHttpError(502, 'Failed to fetch user info from Google'));
+    }
+
+    if (googleUserInfo.email !== originalEmail) {
+      return next(createHttpError(400, 'Email mismatch. Please use the same email address.', {
+        details: `Expected ${originalEmail}, got ${googleUserInfo.email}`
+      }));
+    }
+
+    if (!googleUserInfo.verified_email) {
+      return next(createHttpError(400, 'Google email is not verified. Please verify your email with Google first.'));
+    }
+
+    const issued = await verificationCodes.issue(originalEmail, {
+      ip: req.ip,
+      payload: { googleUserInfo, action }
+    });
+
+    if (!issued.ok) {
+      return next(verificationError(res, issued));
+    }
+
+    // Without the email the code is useless, so drop it rather than make the
+    // user wait out the resend cooldown before trying again
+    if (!(await sendSignupCodeEmail(googleUserInfo, issued.code))) {
+      await verificationCodes.consume(originalEmail);
+      return next(createHttpError(502, 'Failed to send the verification email. Please try again.', {
+        details: { retryable: true }
+      }));
+    }
+
+    res.status(200).json({
+      message: 'Google verification successful. Check your email for the final verification code.',
+      email: originalEmail,
+      name: googleUserInfo.name,
+      googleVerified: true,
+      codeExpires: new Date(issued.expiresAt).toISOString(),
+      resendAvailableAt: new Date(issued.resendAvailableAt).toISOString()
+    });
+
+  } catch (error) {
+    console.error('[googleCallback] ❌', error);
+    next(createHttpError(500, 'Failed to process Google authentication'));
+  }
+});
+
+// POST /api/auth/verify-signup-code
+router.post('/verify-signup-code', validateRequest({
+  body: {
+    email: { type: 'email', required: true },
+    code: { type: 'string', required: true, pattern: /^\s*\d{6}\s*$/ },
+    password: { type: 'string', required: true, minLength: 6, maxLength: 72 }
+  }
+}), async (req, res, next) => {
+  if (!supabase) {
+    return next(createHttpError(500, 'Database service not initialized'));
+  }
+
+  const { email, code, password } = req.body;
+
+  try {
+    const verification = await verificationCodes.verify(email, code, { ip: req.ip });
+
+    if (!verification.ok) {
+      return next(verificationError(res, verification));
+    }
+
+    const userMeta = verification.payload.googleUserInfo || {};
+
+    const { data: authData, error: authError } = await supabase.auth.admin.createUser({
+      email,
+      password,
+      email_confirm: true,
+      user_metadata: {
+        full_name: userMeta.name || '',
+        first_name: userMeta.given_name || '',
+        last_name: userMeta.family_name || '',
+        avatar_url: userMeta.picture || '',
+        google_verified: true,
+        google_id: userMeta.id || ''
+      }
+    });
+
+    if (authError) {
+      console.error('Auth Error Details:', {
+        code: authError.code,
+        message: authError.message,
+        details: authError.details
+      });
+
+      if (authError.message.includes('duplicate key value') ||
+          authError.message.includes('already registered') ||
+          authError.code === 'user_already_exists') {
+        return next(createHttpError(400, 'User already exists. Please log in instead.'));
+      }
+
+      return next(createHttpError(500, 'Database error creating new user'));
+    }
+
+    // ✅ FIXED: Changed fullName to fullname, pfpUrl to pfpurl
+    const profileData = {
+      id: authData.user.id,
+      email,
+      username: userMeta.given_name || email.split('@')[0],
+      fullname: userMeta.name || '',
+      pfpurl: userMeta.picture || '',
+      google_verified: true,
+      google_id: userMeta.id || '',
+      created_at: new Date().toISOString()
+    };
+
+    const { error: profileError } = await supabase
+      .from('profiles')
+      .insert([profileData]);
+
+    if (profileError) {
+      console.error('Profile Error Details:', {
+        code: profileError.code,
+        message: profileError.message,
+        details: profileError.details
+      });
+
+      if (profileError.code === '23505' || profileError.message.includes('duplicate key')) {
+        const { error: updateError } = await supabase
+          .from('profiles')
+          .update({
+            email,
+            username: userMeta.given_name || email.split('@')[0],
+            fullname: userMeta.name || '',
+            pfpurl: userMeta.picture || '',
+            google_verified: true,
+            google_id: userMeta.id || '',
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', authData.user.id);
+
+        if (updateError) {
+          console.error('Profile Update Error:', updateError);
+          return next(createHttpError(500, 'Database error creating new user'));
+        }
+      } else {
+        return next(createHttpError(500, 'Database error creating new user'));
+      }
+    }
+
+    const { data: signInData, error: signInError } = await createSessionClient().auth.signInWithPassword({
+      email,
+      password
+    });
+
+    if (signInError) {
+      return next(createHttpError(400, signInError.message));
+    }
+
+    await verificationCodes.consume(email);
+
+    res.status(200).json({
+      message: 'Signup completed successfully!',
+      user: {
+        id: authData.user.id,
+        email: authData.user.email,
+        fullName: userMeta.name || '', // This is just response data, not database
+        avatar: userMeta.picture || '',
+        googleVerified: true
+      },
+      session: signInData.session
+    });
+
+  } catch (error) {
+    console.error('[verifySignupCode] ❌', error);
+    next(createHttpError(500, 'Failed to complete signup'));
+  }
+});
+
+// POST /api/auth/check-user-status
+router.post('/check-user-status', validateRequest(emailSchema), async (req, res, next) => {
+  if (!supabase) {
+    return next(createHttpError(500, 'Database service not initialized'));
+  }
+
+  const { email } = req.body;
+
+  try {
+    const { data: { users }, error } = await supabase.auth.admin.listUsers();
+
+    if (error) {
+      return next(createHttpError(500, 'Failed to check user status'));
+    }
+
+    const user = users.find(u => u.email === email.trim().toLowerCase());
+
+    if (!user) {
+      return next(createHttpError(404, 'No account found with this email', { details: { exists: false } }));
+    }
+
+    const isEmailConfirmed = !!user.email_confirmed_at;
+
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('*')
+      .eq('id', user.id)
+      .single();
+
+    res.status(200).json({
+      exists: true,
+      emailConfirmed: isEmailConfirmed,
+      hasProfile: !!profile,
+      user: {
+        id: user.id,
+        email: user.email,
+        emailConfirmedAt: user.email_confirmed_at,
+        createdAt: user.created_at,
+        lastSignInAt: user.last_sign_in_at
+      }
+    });
+
+  } catch (error) {
+    next(createHttpError(500, 'Failed to check user status'));
+  }
+});
+
+// POST /api/auth/sync-profile-on-login
+router.post('/sync-profile-on-login', validateRequest({
+  body: {
+    userId: { type: 'uuid', required: true },
+    email: { type: 'email', required: true },
+    userData: { type: 'object' }
+  }
+}), async (req, res, next) => {
+  if (!supabase) {
+    return next(createHttpError(500, 'Database service not initialized'));
+  }
+
+  const { userId, email, userData } = req.body;
+
+  try {
+    const { data: { users }, error: usersError } = await supabase.auth.admin.listUsers();
+    if (usersError) throw usersError;
+
+    const authUser = users.find(u => u.id === userId);
+    const userMetadata = authUser?.user_metadata || {};
+
+    const { data: existingProfile, error: selectError } = await supabase
+      .from('profiles')
+      .select('*')
+      .eq('id', userId)
+      .single();
+
+    if (selectError && selectError.code !== 'PGRST116') {
+      throw selectError;
+    }
+
+    // ✅ FIXED: Changed existingProfile?.fullName to existingProfile?.fullname
+    const fullname = userMetadata.full_name ||
+                    userData?.full_name ||
+                    userData?.name ||
+                    existingProfile?.fullname ||
+                    email.split('@')[0].split('.').map(part =>
+                      part.charAt(0).toUpperCase() + part.slice(1).toLowerCase()
+                    ).join(' ');
+
+    const username = userMetadata.first_name ||
+                    userData?.first_name ||
+                    fullname.split(' ')[0] ||
+                    email.split('@')[0];
+
+    // ✅ FIXED: Changed existingProfile?.pfpUrl to existingProfile?.pfpurl
+    const pfpurl = userMetadata.avatar_url ||
+                  userData?.avatar_url ||
+                  userData?.picture ||
+                  existingProfile?.pfpurl ||
+                  '';
+
+    // ✅ FIXED: Changed fullName to fullname, pfpUrl to pfpurl
+    const profileData = {
+      id: userId,
+      email: email,
+      username: username,
+      fullname: fullname,
+      pfpurl: pfpurl,
+      google_verified: userMetadata.google_verified || userData?.google_verified || false,
+      google_id: userMetadata.google_id || userData?.google_id || null,
+      updated_at: new Date().toISOString()
+    };
+
+    if (!existingProfile) {
+      profileData.created_at = new Date().toISOString();
+    }
+
+    const { data: upsertedProfile, error: upsertError } = await supabase
+      .from('profiles')
+      .upsert([profileData])
+      .select()
+      .single();
+
+    if (upsertError) {
+      throw upsertError;
+    }
+
+    res.status(200).json({
+      message: existingProfile ? 'Profile updated successfully' : 'Profile created successfully',
+      profile: upsertedProfile
+    });
+
+  } catch (error) {
+    console.error('[syncProfileOnLogin] ❌', error);
+    next(createHttpError(500, 'Failed to sync profile'));
+  }
+});
+
+// POST /api/auth/check-verification-status
+router.post('/check-verification-status', validateRequest(emailSchema), async (req, res, next) => {
   const { email } = req.body;
 
-  if (!email) return res.status(400).json({ error: 'Missing email.' });
+  try {
+    const verification = await verificationCodes.status(email);
+
+    if (!verification.ok) {
+      const expired = verification.reason === 'expired';
+      return next(createHttpError(
+        expired ? 410 : 404,
+        expired ? 'Verification expired' : 'No pending verification found',
+        { details: { hasVerification: false } }
+      ));
+    }
+
+    res.status(200).json({
+      hasVerification: true,
+      email,
+      name: verification.payload.googleUserInfo?.name,
+      expiresAt: new Date(verification.expiresAt).toISOString(),
+      timeRemaining: Math.max(0, verification.expiresAt - Date.now()),
+      resendAvailableAt: new Date(verification.resendAvailableAt).toISOString(),
+      attemptsRemaining: verification.attemptsRemaining
+    });
+  } catch (error) {
+    next(createHttpError(500, 'Failed to check verification status'));
+  }
+});
+
+// Body: { email }. Emails a fresh code for a pending Google signup, after a
+// cooldown and within the per-email and per-IP limits.
+router.post('/resend-signup-code', validateRequest(emailSchema), async (req, res, next) => {
+  const { email } = req.body;
 
   try {
-    const exists = await checkEmail(email);
-    res.status(200).json({ exists });
+    const resent = await verificationCodes.resend(email, { ip: req.ip });
+
+    if (!resent.ok) {
+      return next(verificationError(res, resent));
+    }
+
+    const sent = await sendSignupCodeEmail(resent.payload.googleUserInfo || { email }, resent.code);
+    if (!sent) {
+      return next(createHttpError(502, 'Failed to send the verification email. Please try again.'));
+    }
+
+    res.status(200).json({
+      message: 'A new verification code has been sent.',
+      codeExpires: new Date(resent.expiresAt).toISOString(),
+      resendAvailableAt: new Date(resent.resendAvailableAt).toISOString()
+    });
   } catch (error) {
-    console.error('Error in /api/reset-password/email-check', error);
-    res.status(500).json({ error: 'Failed to retrieve email' });
+    next(createHttpError(500, 'Failed to resend verification code'));
   }
 });
 
-module.exports = router;
\ No newline at end of file
+export default router;
@@ -1,10 +1,17 @@
 import express from 'express';
 const router = express.Router();
 import multer from 'multer';
-import { saveChatEntry, getChatHistory, deleteChatEntriesByConversationId } from '../model/userModel.js';
+import crypto from 'crypto';
+import { listConversations, appendConversationMessages, deleteConversation } from '../model/conversationModel.js';
 import { extractFromImage, extractTextFromFile } from '../utils/textExtractor.js';
 import authenticateToken from '../middleware/authMiddleware.js';
-import { generateContent } from '../model/Model.js';
+import validateRequest from '../middleware/validateRequest.js';
+import { generateContent, generateGroundedContent, streamGroundedContent } from '../model/Model.js';
+import { wantsEventStream, openEventStream } from '../utils/sse.js';
+import { createHttpError } from '../utils/httpErrors.js';
+
+const MAX_PROMPT_LENGTH = 20000;
+const conversationIdRule = { type: 'string', required: true, maxLength: 200 };
 
 // Configure multer for file uploads (images and documents) - MEMORY STORAGE for serverless
 const chatFileUpload = multer({
@@ -20,79 +27,103 @@ const chatFileUpload = multer({
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only images, PDFs, DOCX, TXT, and PPTX files are allowed'), false);
+      cb(createHttpError(415, 'Only images, PDFs, DOCX, TXT, and PPTX files are allowed'), false);
     }
   },
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit for chat files
 });
 
+// The /save, /history and /delete endpoints below predate /api/conversations
+// and are kept for older clients; they read and write the same conversations.
+
 // POST /api/chat/save
-router.post('/save', authenticateToken, async (req, res) => {
+router.post('/chat/save', authenticateToken, validateRequest({
+  body: {
+    prompt: { type: 'string', required: true },
+    response: { type: 'string', required: true },
+    conversationId: conversationIdRule,
+    timestamp: { type: 'any', required: true }
+  }
+}), async (req, res, next) => {
   const { prompt, response, conversationId, timestamp } = req.body;
   const userId = req.user.id; // ✅ FIXED
 
-  if (!userId || !prompt || !response || !conversationId || !timestamp) {
-    return res.status(400).json({ error: 'Missing userId, prompt, response, conversationId, or timestamp.' });
-  }
-
   try {
-    await saveChatEntry(userId, prompt, response, conversationId, timestamp);
+    const result = await appendConversationMessages(userId, conversationId, {
+      messages: [
+        { id: `msg_${crypto.randomUUID()}`, type: 'user', text: prompt, timestamp },
+        { id: `msg_${crypto.randomUUID()}`, type: 'ai', text: response, timestamp }
+      ]
+    });
+    if (result.deleted) {
+      return next(createHttpError(410, 'This conversation was deleted.'));
+    }
     res.status(200).json({ message: 'Chat entry saved successfully.' });
   } catch (error) {
     console.error('Error in /api/chat/save:', error);
-    res.status(500).json({ error: 'Failed to save chat entry.' });
+    next(createHttpError(500, 'Failed to save chat entry.'));
   }
 });
 
 // GET /api/chat/history
-router.get('/history', authenticateToken, async (req, res) => {
+router.get('/chat/history', authenticateToken, async (req, res, next) => {
   const userId = req.user.id; // ✅ FIXED
 
-  if (!userId) return res.status(400).json({ error: 'Missing userId.' });
-
   try {
-    const history = await getChatHistory(userId);
+    const conversations = await listConversations(userId, { includeMessages: true });
+
+    // Flatten into the prompt/response entries this endpoint always returned, newest first
+    const history = conversations.flatMap(conversation =>
+      conversation.messages
+        .map((message, i) => ({ message, reply: conversation.messages[i + 1] }))
+        .filter(({ message, reply }) => message.type === 'user' && reply?.type === 'ai')
+        .map(({ message, reply }) => ({
+          user_id: userId,
+          conversationId: conversation.id,
+          prompt: message.text,
+          response: reply.text,
+          timestamp: message.timestamp
+        }))
+    );
+    history.sort((a, b) => b.timestamp._seconds - a.timestamp._seconds);
+
     res.status(200).json({ chatHistory: history });
   } catch (error) {
     console.error('Error in /api/chat/history:', error);
-    res.status(500).json({ error: 'Failed to retrieve chat history.' });
+    next(createHttpError(500, 'Failed to retrieve chat history.'));
   }
 });
 
 // DELETE /api/chat/delete/:conversationId
-router.delete('/delete/:conversationId', authenticateToken, async (req, res) => {
+router.delete('/chat/delete/:conversationId', authenticateToken, validateRequest({
+  params: { conversationId: conversationIdRule }
+}), async (req, res, next) => {
   const { conversationId } = req.params;
   const userId = req.user.id; // ✅ FIXED
 
-  if (!userId || !conversationId) {
-    return res.status(400).json({ error: 'Missing userId or conversationId.' });
-  }
-
   try {
-    const deletedCount = await deleteChatEntriesByConversationId(userId, conversationId);
-    if (deletedCount === 0) {
-      return res.status(404).json({ message: `No chat messages found for conversation ID: ${conversationId}.` });
-    }
-    res.status(200).json({ message: `Successfully deleted ${deletedCount} chat entries.` });
+    await deleteConversation(userId, conversationId);
+    res.status(200).json({ message: `Successfully deleted conversation ${conversationId}.` });
   } catch (error) {
     console.error('Error in /api/chat/delete:', error);
-    res.status(500).json({ error: 'Failed to delete chat entries.', details: error.message });
+    next(createHttpError(500, 'Failed to delete chat entries.'));
   }
 });
 
 // POST /api/chat/process-file
-router.post('/process-file', chatFileUpload.single('file'), async (req, res) => {
+router.post('/chat/process-file', authenticateToken, chatFileUpload.single('file'), validateRequest({
+  body: {
+    conversationId: conversationIdRule,
+    prompt: { type: 'string', maxLength: MAX_PROMPT_LENGTH }
+  }
+}), async (req, res, next) => {
   try {
     const { conversationId, prompt } = req.body;
-    const userId = 'local-user'; // Mock user ID for localStorage approach
+    const userId = req.user.id;
     const file = req.file;
 
     if (!file) {
-      return res.status(400).json({ error: 'No file provided.' });
-    }
-
-    if (!conversationId) {
-      return res.status(400).json({ error: 'Conversation ID is required.' });
+      return next(createHttpError(400, 'No file provided.'));
     }
 
     console.log('Processing chat file:', {
@@ -138,35 +169,7 @@ router.post('/process-file', chatFileUpload.single('file'), async (req, res) =>
 
     const aiResponse = await generateContent(aiPrompt);
 
-    // Create timestamp
-    const now = Date.now();
-    const timestamp = {
-      _seconds: Math.floor(now / 1000),
-      _nanoseconds: (now % 1000) * 1_000_000
-    };
-
-    // Save the file message and AI response to chat history
-    const fileMessage = {
-      type: 'user',
-      text: `[${isImage ? 'Image' : 'File'} uploaded] ${extractedText}`,
-      timestamp,
-      conversationId,
-      fileUrl: null, // We don't store the file, just process it
-      fileName: file.originalname,
-      fileType: isImage ? 'image' : 'document'
-    };
-
-    const aiMessage = {
-      type: 'ai',
-      text: aiResponse,
-      timestamp: {
-        _seconds: Math.floor(Date.now() / 1000),
-        _nanoseconds: (Date.now() % 1000) * 1_000_000
-      },
-      conversationId
-    };
-
-    // Return processed data - frontend will handle localStorage
+    // The client saves the file message and the answer to the conversation itself
     res.status(200).json({
       message: `${isImage ? 'Image' : 'File'} processed successfully`,
       extractedText,
@@ -180,11 +183,98 @@ router.post('/process-file', chatFileUpload.single('file'), async (req, res) =>
     console.error('Error processing chat file:', error);
     // Ensure we always return JSON, never HTML
     if (!res.headersSent) {
-      res.status(500).json({
-        error: 'Failed to process file',
-        details: error.message
+      next(createHttpError(500, 'Failed to process file'));
+    }
+  }
+});
+
+// POST /api/generate-content
+router.post('/generate-content', authenticateToken, validateRequest({
+  body: {
+    prompt: { type: 'string', required: true, maxLength: MAX_PROMPT_LENGTH },
+    userId: { type: 'uuid', required: true },
+    conversationId: conversationIdRule
+  }
+}), async (req, res, next) => {
+  console.log('Server: /api/generate-content received request body:', {
+    prompt: req.body.prompt?.substring(0, 50) + '...' || 'MISSING',
+    userId: req.body.userId || 'MISSING',
+    conversationId: req.body.conversationId || 'MISSING',
+    hasPrompt: !!req.body.prompt,
+    hasUserId: !!req.body.userId,
+    hasConversationId: !!req.body.conversationId
+  });
+
+  const { prompt, userId, conversationId } = req.body;
+
+  if (userId !== req.user.id) {
+    return next(createHttpError(403, 'Access denied'));
+  }
+
+  // Streaming clients get tokens as Server-Sent Events; everyone else gets the JSON below
+  if (wantsEventStream(req)) {
+    const stream = openEventStream(res);
+    const controller = new AbortController();
+
+    // The client pressed Stop or went away: stop generating
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    try {
+      const { text, sources, interrupted } = await streamGroundedContent(prompt, req.user.id, {
+        conversationId,
+        signal: controller.signal,
+        onToken: (token) => stream.send('token', { text: token })
+      });
+
+      // A cancelled stream has no one left to tell
+      if (!interrupted) {
+        if (!text.trim()) {
+          stream.send('error', { error: 'Empty response from AI' });
+        } else {
+          stream.send('done', { generatedContent: text, sources });
+        }
+      }
+    } catch (error) {
+      console.error('❌ Streaming API Error:', error.message);
+      stream.send('error', {
+        error: 'Failed to generate content. Please try again later.',
+        partialContent: error.partialText || ''
       });
+    } finally {
+      stream.close();
     }
+    return;
+  }
+
+  try {
+    console.log('🚀 API Request received:', { prompt: prompt.substring(0, 50) + '...', userId, conversationId });
+
+    console.log('📡 Calling generateGroundedContent function...');
+    const { text: response, sources } = await generateGroundedContent(prompt, req.user.id, { conversationId });
+
+    console.log('✅ AI Response received:', response ? 'Length: ' + response.length : 'EMPTY RESPONSE!');
+    console.log('📝 Response preview:', response ? response.substring(0, 100) + '...' : 'N/A');
+
+    if (!response || response.trim().length === 0) {
+      console.error('❌ Empty response from AI provider');
+      throw new Error('Empty response from AI');
+    }
+
+    console.log('📤 Sending response back to client:', { contentLength: response ? response.length : 0, sources: sources.length });
+
+    res.status(200).json({ generatedContent: response, sources });
+  } catch (error) {
+    console.error('❌ API Error:', error.message);
+    console.error('❌ Error details:', {
+      name: error.name,
+      code: error.code,
+      status: error.status,
+      response: error.response?.data || 'No response data',
+      stack: error.stack
+    });
+    next(createHttpError(503, 'Failed to generate content. Please try again later.'));
   }
 });
 
@@ -0,0 +1,538 @@
+import express from 'express';
+const router = express.Router();
+import authenticateToken from '../middleware/authMiddleware.js';
+import validateRequest from '../middleware/validateRequest.js';
+import {
+  toClientClass,
+  createClass,
+  getClass,
+  getClassByJoinCode,
+  updateClass,
+  rotateJoinCode,
+  deleteClass,
+  getClassRole,
+  listUserClasses,
+  addClassMember,
+  listClassMembers,
+  updateClassMemberRole,
+  removeClassMember,
+  createClassInvites,
+  listClassInvites,
+  listInvitesForEmail,
+  getClassInvite,
+  deleteClassInvite
+} from '../model/classModel.js';
+import { getModuleById, updateModule } from '../model/moduleModel.js';
+import { getUserRole, getProfile } from '../model/profileModel.js';
+import {
+  ASSIGNABLE_ROLES,
+  normalizeJoinCode,
+  canManageClass,
+  canInviteToClass,
+  canPostToClass,
+  canRemoveClassModule,
+  canPinClassModule,
+  canRemoveClassMember
+} from '../utils/classPermissions.js';
+import { canTeachClasses, isAdmin } from '../utils/userRoles.js';
+import { createHttpError } from '../utils/httpErrors.js';
+import { parseEmailList } from '../utils/validation.js';
+import { sendClassInviteEmails } from '../utils/notificationEmails.js';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_INVITES_PER_REQUEST = 50;
+
+const classIdParams = { classId: { type: 'uuid', required: true } };
+const memberParams = { ...classIdParams, userId: { type: 'uuid', required: true } };
+const classModuleParams = { ...classIdParams, moduleId: { type: 'uuid', required: true } };
+const inviteIdSchema = { params: { inviteId: { type: 'uuid', required: true } } };
+
+const classFields = {
+  name: { type: 'string', maxLength: MAX_NAME_LENGTH },
+  description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+  studentsCanPost: { type: 'boolean' }
+};
+
+// ✅ A class's editable fields from a checked body, as columns. With
+// `partial`, missing fields are left out.
+function toClassFields(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.name?.trim() || !partial) fields.name = body.name.trim();
+  if (body.description !== undefined) fields.description = body.description?.trim() || null;
+  if (body.studentsCanPost !== undefined) {
+    fields.students_can_post = body.studentsCanPost === true || body.studentsCanPost === 'true';
+  }
+
+  return fields;
+}
+
+// ✅ The class and the user's role in it, or null when they are not a member
+async function getMembership(classId, userId) {
+  const [classRow, role] = await Promise.all([getClass(classId), getClassRole(classId, userId)]);
+  return classRow && role ? { classRow, role } : null;
+}
+
+// ✅ Like getMembership, but admins can moderate classes they are not in. They
+// act with the permissions of an instructor.
+async function getModeratorMembership(classId, req) {
+  const membership = await getMembership(classId, req.user.id);
+  if (membership || !isAdmin(req.user.role)) return membership;
+
+  const classRow = await getClass(classId);
+  return classRow ? { classRow, role: 'instructor' } : null;
+}
+
+// GET /api/classes
+router.get('/', authenticateToken, async (req, res, next) => {
+  try {
+    const classes = await listUserClasses(req.user.id);
+    res.status(200).json({ classes });
+  } catch (error) {
+    console.error('Error in GET /api/classes:', error);
+    next(createHttpError(500, 'Failed to retrieve classes.'));
+  }
+});
+
+// POST /api/classes
+// Body: { name, description?, studentsCanPost? }
+router.post('/', authenticateToken, validateRequest({
+  body: { ...classFields, name: { ...classFields.name, required: true } }
+}), async (req, res, next) => {
+  const fields = toClassFields(req.body);
+
+  try {
+    const classRow = await createClass({
+      name: fields.name,
+      description: fields.description ?? null,
+      ownerId: req.user.id,
+      studentsCanPost: fields.students_can_post ?? true
+    });
+    res.status(201).json({
+      class: toClientClass(classRow, { role: 'owner', includeJoinCode: true, memberCount: 1, moduleCount: 0 })
+    });
+  } catch (err) {
+    console.error('Error in POST /api/classes:', err);
+    next(createHttpError(500, 'Failed to create class.'));
+  }
+});
+
+// POST /api/classes/join
+// Body: { code }
+router.post('/join', authenticateToken, validateRequest({
+  body: { code: { type: 'string', required: true, maxLength: 20 } }
+}), async (req, res, next) => {
+  const code = normalizeJoinCode(req.body.code);
+
+  try {
+    const classRow = await getClassByJoinCode(code);
+    if (!classRow) {
+      return next(createHttpError(404, 'No class uses this join code.'));
+    }
+
+    const existingRole = await getClassRole(classRow.id, req.user.id);
+    if (!existingRole) {
+      await addClassMember(classRow.id, req.user.id, 'student');
+    }
+
+    const role = existingRole || 'student';
+    res.status(200).json({
+      class: toClientClass(classRow, { role, includeJoinCode: canInviteToClass(role) }),
+      alreadyMember: !!existingRole
+    });
+  } catch (error) {
+    console.error('Error in POST /api/classes/join:', error);
+    next(createHttpError(500, 'Failed to join class.'));
+  }
+});
+
+// GET /api/classes/invites
+router.get('/invites', authenticateToken, async (req, res, next) => {
+  try {
+    const invites = await listInvitesForEmail(req.user.email);
+    res.status(200).json({ invites });
+  } catch (error) {
+    console.error('Error in GET /api/classes/invites:', error);
+    next(createHttpError(500, 'Failed to retrieve invites.'));
+  }
+});
+
+// POST /api/classes/invites/:inviteId/accept
+router.post('/invites/:inviteId/accept', authenticateToken, validateRequest(inviteIdSchema), async (req, res, next) => {
+  try {
+    const invite = await getClassInvite(req.params.inviteId);
+    if (!invite || invite.email.toLowerCase() !== req.user.email?.toLowerCase()) {
+      return next(createHttpError(404, 'Invite not found.'));
+    }
+
+    // Only instructor accounts can teach; anyone else joins as a student
+    const joinRole = invite.role === 'instructor' && !canTeachClasses(req.user.role)
+      ? 'student'
+      : invite.role;
+
+    await addClassMember(invite.class_id, req.user.id, joinRole);
+    await deleteClassInvite(invite.id);
+
+    const [classRow, role] = await Promise.all([getClass(invite.class_id), getClassRole(invite.class_id, req.user.id)]);
+    res.status(200).json({
+      class: toClientClass(classRow, { role, includeJoinCode: canInviteToClass(role) })
+    });
+  } catch (error) {
+    console.error('Error in POST /api/classes/invites/:inviteId/accept:', error);
+    next(createHttpError(500, 'Failed to accept invite.'));
+  }
+});
+
+// POST /api/classes/invites/:inviteId/decline
+router.post('/invites/:inviteId/decline', authenticateToken, validateRequest(inviteIdSchema), async (req, res, next) => {
+  try {
+    const invite = await getClassInvite(req.params.inviteId);
+    if (!invite || invite.email.toLowerCase() !== req.user.email?.toLowerCase()) {
+      return next(createHttpError(404, 'Invite not found.'));
+    }
+
+    await deleteClassInvite(invite.id);
+    res.status(200).json({ message: 'Invite declined.' });
+  } catch (error) {
+    console.error('Error in POST /api/classes/invites/:inviteId/decline:', error);
+    next(createHttpError(500, 'Failed to decline invite.'));
+  }
+});
+
+// GET /api/classes/:classId
+router.get('/:classId', authenticateToken, validateRequest({ params: classIdParams }), async (req, res, next) => {
+  try {
+    const membership = await getMembership(req.params.classId, req.user.id);
+    if (!membership) {
+      return next(createHttpError(404, 'Class not found.'));
+    }
+
+    const { classRow, role } = membership;
+    const canInvite = canInviteToClass(role);
+    const [members, invites] = await Promise.all([
+      listClassMembers(classRow.id),
+      canInvite ? listClassInvites(classRow.id) : []
+    ]);
+
+    res.status(200).json({
+      class: toClientClass(classRow, { role, includeJoinCode: canInvite, memberCount: members.length }),
+      members,
+      invites
+    });
+  } catch (error) {
+    console.error('Error in GET /api/classes/:classId:', error);
+    next(createHttpError(500, 'Failed to retrieve class.'));
+  }
+});
+
+// PATCH /api/classes/:classId
+// Body: { name?, description?, studentsCanPost? }
+router.patch('/:classId', authenticateToken, validateRequest({
+  params: classIdParams,
+  body: classFields
+}), async (req, res, next) => {
+  const fields = toClassFields(req.body, { partial: true });
+  if (Object.keys(fields).length === 0) {
+    return next(createHttpError(400, 'Nothing to update.'));
+  }
+
+  try {
+    const membership = await getMembership(req.params.classId, req.user.id);
+    if (!membership) {
+      return next(createHttpError(404, 'Class not found.'));
+    }
+    if (!canManageClass(membership.role)) {
+      return next(createHttpError(403, 'Only the class owner can edit the class.'));
+    }
+
+    const classRow = await updateClass(req.params.classId, fields);
+    res.status(200).json({ class: toClientClass(classRow, { role: membership.role, includeJoinCode: true }) });
+  } catch (err) {
+    console.error('Error in PATCH /api/classes/:classId:', err);
+    next(createHttpError(500, 'Failed to update class.'));
+  }
+});
+
+// DELETE /api/classes/:classId
+router.delete('/:classId', authenticateToken, validateRequest({ params: classIdParams }), async (req, res, next) => {
+  try {
+    const membership = await getMembership(req.params.classId, req.user.id);
+    if (!membership) {
+      return next(createHttpError(404, 'Class not found.'));
+    }
+    if (!canManageClass(membership.role)) {
+      return next(createHttpError(403, 'Only the class owner can delete the class.'));
+    }
+
+    await deleteClass(req.params.classId);
+    res.status(200).json({ message: 'Class deleted.' });
+  } catch (error) {
+    console.error('Error in DELETE /api/classes/:classId:', error);
+    next(createHttpError(500, 'Failed to delete class.'));
+  }
+});
+
+// POST /api/classes/:classId/join-code
+// Replaces the join code; people who already joined stay in the class
+router.post('/:classId/join-code', authenticateToken, validateRequest({ params: classIdParams }), async (req, res, next) => {
+  try {
+    const membership = await getMembership(req.params.classId, req.user.id);
+    if (!membership) {
+      return next(createHttpError(404, 'Class not found.'));
+    }
+    if (!canManageClass(membership.role)) {
+      return next(createHttpError(403, 'Only the class owner can change the join code.'));
+    }
+
+    const classRow = await rotateJoinCode(req.params.classId);
+    res.status(200).json({ joinCode: classRow.join_code });
+  } catch (error) {
+    console.error('Error in POST /api/classes/:classId/join-code:', error);
+    next(createHttpError(500, 'Failed to change the join code.'));
+  }
+});
+
+// POST /api/classes/:classId/invites
+// Body: { emails: string[] | string, role? }. People already in the class are
+// skipped; everyone else is emailed the invite.
+router.post('/:classId/invites', authenticateToken, validateRequest({
+  params: classIdParams,
+  body: {
+    emails: { type: 'emailList', required: true, maxLength: MAX_INVITES_PER_REQUEST },
+    role: { type: 'string', values: ASSIGNABLE_ROLES }
+  }
+}), async (req, res, next) => {
+  const { role = 'student' } = req.body;
+  const emails = parseEmailList(req.body.emails);
+
+  try {
+    const membership = await getMembership(req.params.classId, req.user.id);
+    if (!membership) {
+      return next(createHttpError(404, 'Class not found.'));
+    }
+    if (!canInviteToClass(membership.role, role)) {
+      return next(createHttpError(403, `You can't invite people to this class as ${role}s.`));
+    }
+
+    const members = await listClassMembers(req.params.classId);
+    const memberEmails = new Set(members.map(member => member.email?.toLowerCase()).filter(Boolean));
+    const newEmails = emails.filter(email => !memberEmails.has(email));
+
+    const invites = newEmails.length > 0
+      ? await createClassInvites(req.params.classId, newEmails, role, req.user.id)
+      : [];
+
+    let emailed = 0;
+    if (invites.length > 0) {
+      const inviter = await getProfile(req.user.id);
+      emailed = await sendClassInviteEmails(newEmails, {
+        className: membership.classRow.name,
+        inviterName: inviter?.fullName || inviter?.username || req.user.email,
+        role
+      });
+    }
+
+    res.status(201).json({
+      invites,
+      skipped: emails.filter(email => memberEmails.has(email)),
+      emailed
+    });
+  } catch (err) {
+    console.error('Error in POST /api/classes/:classId/invites:', err);
+    next(createHttpError(500, 'Failed to send invites.'));
+  }
+});
+
+// DELETE /api/classes/:classId/invites/:inviteId
+router.delete('/:classId/invites/:inviteId', authenticateToken, validateRequest({
+  params: { ...classIdParams, ...inviteIdSchema.params }
+}), async (req, res, next) => {
+  try {
+    const membership = await getMembership(req.params.classId, req.user.id);
+    const invite = membership && await getClassInvite(req.params.inviteId);
+    if (!invite || invite.class_id !== req.params.classId) {
+      return next(createHttpError(404, 'Invite not found.'));
+    }
+    if (!canInviteToClass(membership.role, invite.role)) {
+      return next(createHttpError(403, 'You can\'t revoke this invite.'));
+    }
+
+    await deleteClassInvite(invite.id);
+    res.status(200).json({ message: 'Invite revoked.' });
+  } catch (error) {
+    console.error('Error in DELETE /api/classes/:classId/invites/:inviteId:', error);
+    next(createHttpError(500, 'Failed to revoke invite.'));
+  }
+});
+
+// PATCH /api/classes/:classId/members/:userId
+// Body: { role }
+router.patch('/:classId/members/:userId', authenticateToken, validateRequest({
+  params: memberParams,
+  body: { role: { type: 'string', required: true, values: ASSIGNABLE_ROLES } }
+}), async (req, res, next) => {
+  const { classId, userId } = req.params;
+  const { role } = req.body;
+
+  try {
+    const membership = await getMembership(classId, req.user.id);
+    if (!membership) {
+      return next(createHttpError(404, 'Class not found.'));
+    }
+    if (!canManageClass(membership.role)) {
+      return next(createHttpError(403, 'Only the class owner can change roles.'));
+    }
+
+    const targetRole = await getClassRole(classId, userId);
+    if (!targetRole) {
+      return next(createHttpError(404, 'Member not found.'));
+    }
+    if (targetRole === 'owner') {
+      return next(createHttpError(400, 'The owner\'s role can\'t be changed.'));
+    }
+    if (role === 'instructor' && !canTeachClasses(await getUserRole(userId))) {
+      return next(createHttpError(400, 'Only instructor accounts can be made class instructors.'));
+    }
+
+    await updateClassMemberRole(classId, userId, role);
+    res.status(200).json({ userId, role });
+  } catch (error) {
+    console.error('Error in PATCH /api/classes/:classId/members/:userId:', error);
+    next(createHttpError(500, 'Failed to update member role.'));
+  }
+});
+
+// DELETE /api/classes/:classId/members/:userId
+// Removes a member, or leaves the class when it is the user's own ID
+router.delete('/:classId/members/:userId', authenticateToken, validateRequest({ params: memberParams }), async (req, res, next) => {
+  const { classId, userId } = req.params;
+
+  try {
+    const membership = await getMembership(classId, req.user.id);
+    if (!membership) {
+      return next(createHttpError(404, 'Class not found.'));
+    }
+
+    const isSelf = userId === req.user.id;
+    const targetRole = isSelf ? membership.role : await getClassRole(classId, userId);
+    if (!targetRole) {
+      return next(createHttpError(404, 'Member not found.'));
+    }
+    if (!canRemoveClassMember(membership.role, targetRole, isSelf)) {
+      return next(createHttpError(403, targetRole === 'owner'
+        ? 'The owner can\'t leave the class. Delete it instead.'
+        : 'You can\'t remove this member.'));
+    }
+
+    await removeClassMember(classId, userId);
+    res.status(200).json({ message: isSelf ? 'You left the class.' : 'Member removed.' });
+  } catch (error) {
+    console.error('Error in DELETE /api/classes/:classId/members/:userId:', error);
+    next(createHttpError(500, 'Failed to remove member.'));
+  }
+});
+
+// POST /api/classes/:classId/modules
+// Body: { moduleId }. Posts one of your modules to the class library; private
+// modules become visible to the class.
+router.post('/:classId/modules', authenticateToken, validateRequest({
+  params: classIdParams,
+  body: { moduleId: { type: 'uuid', required: true } }
+}), async (req, res, next) => {
+  const { classId } = req.params;
+  const { moduleId } = req.body;
+
+  try {
+    const membership = await getMembership(classId, req.user.id);
+    if (!membership) {
+      return next(createHttpError(404, 'Class not found.'));
+    }
+    if (!canPostToClass(membership.role, membership.classRow)) {
+      return next(createHttpError(403, 'Only instructors can post modules to this class.'));
+    }
+
+    const module = await getModuleById(moduleId);
+    if (!module || module.user_id !== req.user.id) {
+      return next(createHttpError(404, 'Module not found or access denied.'));
+    }
+    if (module.class_id && module.class_id !== classId) {
+      return next(createHttpError(409, 'This module is already posted to another class.'));
+    }
+
+    const fields = { class_id: classId };
+    if (module.visibility === 'private') fields.visibility = 'class';
+    await updateModule(moduleId, fields);
+
+    res.status(200).json({
+      moduleId,
+      classId,
+      visibility: fields.visibility || module.visibility
+    });
+  } catch (error) {
+    console.error('Error in POST /api/classes/:classId/modules:', error);
+    next(createHttpError(500, 'Failed to post module to class.'));
+  }
+});
+
+// DELETE /api/classes/:classId/modules/:moduleId
+// Takes a module out of the class library. It stays with its uploader; a
+// class-only module becomes private again.
+router.delete('/:classId/modules/:moduleId', authenticateToken, validateRequest({ params: classModuleParams }), async (req, res, next) => {
+  const { classId, moduleId } = req.params;
+
+  try {
+    const membership = await getModeratorMembership(classId, req);
+    const module = membership && await getModuleById(moduleId);
+    if (!module || module.class_id !== classId) {
+      return next(createHttpError(404, 'Module not found in this class.'));
+    }
+    if (!canRemoveClassModule(membership.role, module, req.user.id)) {
+      return next(createHttpError(403, 'You can\'t remove this module from the class.'));
+    }
+
+    const visibility = module.visibility === 'class' ? 'private' : module.visibility;
+    await updateModule(moduleId, { class_id: null, visibility, pinned_at: null, pinned_by: null });
+
+    res.status(200).json({ moduleId, classId: null, visibility });
+  } catch (error) {
+    console.error('Error in DELETE /api/classes/:classId/modules/:moduleId:', error);
+    next(createHttpError(500, 'Failed to remove module from class.'));
+  }
+});
+
+// ✅ Shared handler for pinning and unpinning a class module
+function setModulePinned(pinned) {
+  return async (req, res, next) => {
+    const { classId, moduleId } = req.params;
+
+    try {
+      const membership = await getModeratorMembership(classId, req);
+      const module = membership && await getModuleById(moduleId);
+      if (!module || module.class_id !== classId) {
+        return next(createHttpError(404, 'Module not found in this class.'));
+      }
+      if (!canPinClassModule(membership.role)) {
+        return next(createHttpError(403, 'Only instructors can pin modules.'));
+      }
+
+      const fields = pinned
+        ? { pinned_at: new Date().toISOString(), pinned_by: req.user.id }
+        : { pinned_at: null, pinned_by: null };
+      await updateModule(moduleId, fields);
+
+      res.status(200).json({ moduleId, pinnedAt: fields.pinned_at });
+    } catch (error) {
+      console.error(`Error in ${req.method} /api/classes/:classId/modules/:moduleId/pin:`, error);
+      next(createHttpError(500, pinned ? 'Failed to pin module.' : 'Failed to unpin module.'));
+    }
+  };
+}
+
+// POST /api/classes/:classId/modules/:moduleId/pin
+router.post('/:classId/modules/:moduleId/pin', authenticateToken, validateRequest({ params: classModuleParams }), setModulePinned(true));
+
+// DELETE /api/classes/:classId/modules/:moduleId/pin
+router.delete('/:classId/modules/:moduleId/pin', authenticateToken, validateRequest({ params: classModuleParams }), setModulePinned(false));
+
+export default router;
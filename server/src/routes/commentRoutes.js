@@ -0,0 +1,261 @@
+import express from 'express';
+// Mounted under /api/modules/:id/comments
+const router = express.Router({ mergeParams: true });
+import authenticateToken from '../middleware/authMiddleware.js';
+import validateRequest from '../middleware/validateRequest.js';
+import { getModuleById } from '../model/moduleModel.js';
+import {
+  listModuleComments,
+  getComment,
+  createComment,
+  updateComment,
+  deleteComment,
+  setCommentAccepted
+} from '../model/commentModel.js';
+import { createNotification } from '../model/notificationModel.js';
+import { canViewModule } from '../utils/moduleAccess.js';
+import { extractMentionIds, toCommentPreview } from '../utils/commentMentions.js';
+import { createHttpError } from '../utils/httpErrors.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_COMMENT_LENGTH = 5000;
+
+// ✅ The module from the URL if the user may see it, else null. Unlisted
+// modules need their share token in the query or body.
+async function getViewableModule(req) {
+  const module = await getModuleById(req.params.id);
+  const shareToken = req.query.share_token || req.body?.share_token;
+  return (await canViewModule(module, req.user.id, shareToken)) ? module : null;
+}
+
+const moduleIdParams = { id: { type: 'uuid', required: true } };
+const commentIdParams = { ...moduleIdParams, commentId: { type: 'uuid', required: true } };
+const commentBody = { body: { type: 'string', required: true, maxLength: MAX_COMMENT_LENGTH } };
+
+// ✅ Notify each user once, skipping whoever wrote the comment. Mentioned users
+// only hear about it if they can open the module.
+async function notifyAboutComment({ module, comment, authorId, recipients, mentionIds }) {
+  const notified = new Set([authorId]);
+  const link = `/dashboard/modules/${module.id}#comment-${comment.id}`;
+  const preview = comment.body ? toCommentPreview(comment.body) : null;
+  const data = { moduleId: module.id, commentId: comment.id };
+
+  for (const { userId, type, title } of recipients) {
+    if (!userId || notified.has(userId)) continue;
+    notified.add(userId);
+    await createNotification({ userId, type, title, body: preview, link, data });
+  }
+
+  for (const userId of mentionIds) {
+    if (notified.has(userId)) continue;
+    notified.add(userId);
+    if (!(await canViewModule(module, userId))) continue;
+    await createNotification({
+      userId,
+      type: 'comment_mention',
+      title: `${comment.authorName} mentioned you on "${module.title}"`,
+      body: preview,
+      link,
+      data
+    });
+  }
+}
+
+// GET /api/modules/:id/comments?page=1&limit=20&share_token=...
+// Threads newest first, each with its replies
+router.get('/', authenticateToken, validateRequest({
+  params: moduleIdParams,
+  query: {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1 }
+  }
+}), async (req, res, next) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+  try {
+    const module = await getViewableModule(req);
+    if (!module) {
+      return next(createHttpError(404, 'Module not found.'));
+    }
+
+    const { comments, total } = await listModuleComments(module.id, { page, pageSize });
+    res.status(200).json({
+      comments,
+      commentCount: module.comment_count ?? 0,
+      page,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    });
+  } catch (error) {
+    console.error(`Error in GET /api/modules/${req.params.id}/comments:`, error);
+    next(createHttpError(500, 'Failed to retrieve comments.'));
+  }
+});
+
+// POST /api/modules/:id/comments
+// Body: { body, parentId?, share_token? }. Replies to a reply join the same thread.
+router.post('/', authenticateToken, validateRequest({
+  params: moduleIdParams,
+  body: { ...commentBody, parentId: { type: 'uuid' } }
+}), async (req, res, next) => {
+  const text = req.body.body.trim();
+
+  try {
+    const module = await getViewableModule(req);
+    if (!module) {
+      return next(createHttpError(404, 'Module not found.'));
+    }
+
+    let parent = null;
+    if (req.body.parentId) {
+      parent = await getComment(req.body.parentId);
+      if (!parent || parent.module_id !== module.id) {
+        return next(createHttpError(404, 'The comment you are replying to no longer exists.'));
+      }
+      if (parent.parent_id) {
+        parent = await getComment(parent.parent_id);
+      }
+    }
+
+    const mentionIds = extractMentionIds(text);
+    const comment = await createComment({
+      moduleId: module.id,
+      userId: req.user.id,
+      parentId: parent?.id || null,
+      body: text,
+      mentions: mentionIds
+    });
+
+    await notifyAboutComment({
+      module,
+      comment,
+      authorId: req.user.id,
+      recipients: [
+        parent && !parent.deleted_at && {
+          userId: parent.user_id,
+          type: 'comment_reply',
+          title: `${comment.authorName} replied to you on "${module.title}"`
+        },
+        {
+          userId: module.user_id,
+          type: parent ? 'comment_reply' : 'module_comment',
+          title: parent
+            ? `${comment.authorName} replied in a discussion on "${module.title}"`
+            : `${comment.authorName} commented on "${module.title}"`
+        }
+      ].filter(Boolean),
+      mentionIds
+    });
+
+    res.status(201).json({ comment: parent ? comment : { ...comment, replies: [] } });
+  } catch (error) {
+    console.error(`Error in POST /api/modules/${req.params.id}/comments:`, error);
+    next(createHttpError(500, 'Failed to post comment.'));
+  }
+});
+
+// PATCH /api/modules/:id/comments/:commentId
+// Body: { body }. Authors can edit their own comments; only people newly
+// mentioned are notified.
+router.patch('/:commentId', authenticateToken, validateRequest({
+  params: commentIdParams,
+  body: commentBody
+}), async (req, res, next) => {
+  const text = req.body.body.trim();
+
+  try {
+    const module = await getViewableModule(req);
+    const existing = module && await getComment(req.params.commentId);
+    if (!existing || existing.module_id !== module.id || existing.deleted_at) {
+      return next(createHttpError(404, 'Comment not found.'));
+    }
+    if (existing.user_id !== req.user.id) {
+      return next(createHttpError(403, 'You can only edit your own comments.'));
+    }
+
+    const mentionIds = extractMentionIds(text);
+    const comment = await updateComment(existing.id, { body: text, mentions: mentionIds });
+
+    const alreadyMentioned = new Set(existing.mentions || []);
+    await notifyAboutComment({
+      module,
+      comment,
+      authorId: req.user.id,
+      recipients: [],
+      mentionIds: mentionIds.filter(userId => !alreadyMentioned.has(userId))
+    });
+
+    res.status(200).json({ comment });
+  } catch (error) {
+    console.error(`Error in PATCH /api/modules/${req.params.id}/comments/${req.params.commentId}:`, error);
+    next(createHttpError(500, 'Failed to update comment.'));
+  }
+});
+
+// DELETE /api/modules/:id/comments/:commentId
+// Authors can delete their own comments
+router.delete('/:commentId', authenticateToken, validateRequest({ params: commentIdParams }), async (req, res, next) => {
+  try {
+    const module = await getViewableModule(req);
+    const comment = module && await getComment(req.params.commentId);
+    if (!comment || comment.module_id !== module.id || comment.deleted_at) {
+      return next(createHttpError(404, 'Comment not found.'));
+    }
+    if (comment.user_id !== req.user.id) {
+      return next(createHttpError(403, 'You can only delete your own comments.'));
+    }
+
+    const kept = await deleteComment(comment);
+    res.status(200).json({ commentId: comment.id, kept });
+  } catch (error) {
+    console.error(`Error in DELETE /api/modules/${req.params.id}/comments/${req.params.commentId}:`, error);
+    next(createHttpError(500, 'Failed to delete comment.'));
+  }
+});
+
+// ✅ POST accepts a reply as its thread's answer, DELETE takes it back.
+// Only the module's uploader can do either.
+const setAccepted = (accepted) => async (req, res, next) => {
+  try {
+    const module = await getViewableModule(req);
+    const comment = module && await getComment(req.params.commentId);
+    if (!comment || comment.module_id !== module.id || comment.deleted_at) {
+      return next(createHttpError(404, 'Comment not found.'));
+    }
+    if (module.user_id !== req.user.id) {
+      return next(createHttpError(403, 'Only the uploader can accept answers.'));
+    }
+    if (!comment.parent_id) {
+      return next(createHttpError(400, 'Only replies can be accepted as an answer.'));
+    }
+
+    await setCommentAccepted(comment, accepted);
+
+    if (accepted && comment.user_id !== req.user.id) {
+      await createNotification({
+        userId: comment.user_id,
+        type: 'answer_accepted',
+        title: `Your answer on "${module.title}" was accepted`,
+        body: toCommentPreview(comment.body),
+        link: `/dashboard/modules/${module.id}#comment-${comment.id}`,
+        data: { moduleId: module.id, commentId: comment.id }
+      });
+    }
+
+    res.status(200).json({ commentId: comment.id, parentId: comment.parent_id, accepted });
+  } catch (error) {
+    console.error(`Error in /api/modules/${req.params.id}/comments/${req.params.commentId}/accept:`, error);
+    next(createHttpError(500, 'Failed to update the accepted answer.'));
+  }
+};
+
+// POST /api/modules/:id/comments/:commentId/accept
+router.post('/:commentId/accept', authenticateToken, validateRequest({ params: commentIdParams }), setAccepted(true));
+
+// DELETE /api/modules/:id/comments/:commentId/accept
+router.delete('/:commentId/accept', authenticateToken, validateRequest({ params: commentIdParams }), setAccepted(false));
+
+export default router;
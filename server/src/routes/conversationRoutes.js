@@ -0,0 +1,150 @@
+import express from 'express';
+const router = express.Router();
+import authenticateToken from '../middleware/authMiddleware.js';
+import validateRequest from '../middleware/validateRequest.js';
+import {
+  listConversations,
+  getConversation,
+  appendConversationMessages,
+  deleteConversation
+} from '../model/conversationModel.js';
+import { createHttpError } from '../utils/httpErrors.js';
+
+const MAX_MESSAGES_PER_REQUEST = 500;
+const MAX_IMPORT_SESSIONS = 200;
+
+const messagesRule = {
+  type: 'array',
+  maxLength: MAX_MESSAGES_PER_REQUEST,
+  items: {
+    type: 'object',
+    fields: {
+      id: { type: 'string', required: true },
+      type: { type: 'string', required: true, values: ['user', 'ai'] }
+    }
+  }
+};
+
+const conversationIdSchema = { params: { id: { type: 'string', required: true, maxLength: 200 } } };
+
+// GET /api/conversations?since=<iso>&include=messages
+// Without `since`: all live conversations. With it: everything changed since,
+// including deletions. `syncedAt` is the value to pass as `since` next time.
+router.get('/', authenticateToken, validateRequest({
+  query: {
+    since: { type: 'date' },
+    include: { type: 'string', values: ['messages'] }
+  }
+}), async (req, res, next) => {
+  const { since, include } = req.query;
+
+  // Taken before querying so changes made during the request are picked up next time
+  const syncedAt = new Date().toISOString();
+
+  try {
+    const conversations = await listConversations(req.user.id, {
+      since: since ? new Date(since).toISOString() : null,
+      includeMessages: include === 'messages'
+    });
+    res.status(200).json({ conversations, syncedAt });
+  } catch (error) {
+    console.error('Error in GET /api/conversations:', error);
+    next(createHttpError(500, 'Failed to retrieve conversations.'));
+  }
+});
+
+// POST /api/conversations/import
+// One-time upload of the chat sessions a browser kept in localStorage.
+// Safe to repeat: sessions and messages already stored are skipped.
+router.post('/import', authenticateToken, validateRequest({
+  body: {
+    sessions: {
+      type: 'array',
+      required: true,
+      maxLength: MAX_IMPORT_SESSIONS,
+      items: {
+        type: 'object',
+        fields: {
+          id: { type: 'string', required: true, maxLength: 200 },
+          messages: messagesRule
+        }
+      }
+    }
+  }
+}), async (req, res, next) => {
+  const { sessions } = req.body;
+
+  try {
+    const imported = [];
+    const deleted = [];
+
+    for (const session of sessions) {
+      const result = await appendConversationMessages(req.user.id, session.id, {
+        title: session.title,
+        createdAt: session.createdAt,
+        messages: session.messages || []
+      });
+      (result.deleted ? deleted : imported).push(session.id);
+    }
+
+    res.status(200).json({ imported, deleted });
+  } catch (error) {
+    console.error('Error in /api/conversations/import:', error);
+    next(createHttpError(500, 'Failed to import conversations.'));
+  }
+});
+
+// GET /api/conversations/:id
+router.get('/:id', authenticateToken, validateRequest(conversationIdSchema), async (req, res, next) => {
+  try {
+    const conversation = await getConversation(req.user.id, req.params.id);
+    if (!conversation) {
+      return next(createHttpError(404, 'Conversation not found.'));
+    }
+    res.status(200).json({ conversation });
+  } catch (error) {
+    console.error('Error in GET /api/conversations/:id:', error);
+    next(createHttpError(500, 'Failed to retrieve conversation.'));
+  }
+});
+
+// POST /api/conversations/:id/messages
+// Appends messages, creating the conversation on first use. Returns 410 when
+// the conversation was deleted on another device.
+router.post('/:id/messages', authenticateToken, validateRequest({
+  ...conversationIdSchema,
+  body: {
+    messages: { ...messagesRule, required: true },
+    createdAt: { type: 'date' }
+  }
+}), async (req, res, next) => {
+  const { title, createdAt, messages } = req.body;
+
+  try {
+    const result = await appendConversationMessages(req.user.id, req.params.id, { title, createdAt, messages });
+
+    if (result.deleted) {
+      return next(createHttpError(410, 'This conversation was deleted.', {
+        details: { conversation: result.conversation }
+      }));
+    }
+
+    res.status(200).json({ conversation: result.conversation, savedMessages: result.savedMessages });
+  } catch (error) {
+    console.error('Error in /api/conversations/:id/messages:', error);
+    next(createHttpError(500, 'Failed to save messages.'));
+  }
+});
+
+// DELETE /api/conversations/:id
+router.delete('/:id', authenticateToken, validateRequest(conversationIdSchema), async (req, res, next) => {
+  try {
+    await deleteConversation(req.user.id, req.params.id);
+    res.status(200).json({ message: 'Conversation deleted.' });
+  } catch (error) {
+    console.error('Error in DELETE /api/conversations/:id:', error);
+    next(createHttpError(500, 'Failed to delete conversation.'));
+  }
+});
+
+export default router;
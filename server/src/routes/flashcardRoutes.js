@@ -0,0 +1,209 @@
+import express from 'express';
+const router = express.Router();
+import authenticateToken from '../middleware/authMiddleware.js';
+import validateRequest from '../middleware/validateRequest.js';
+import {
+  listDecks,
+  getDeck,
+  deleteDeck,
+  addCards,
+  getCard,
+  updateCard,
+  deleteCard,
+  getDueCards,
+  saveCardReview,
+  recordReviewTime
+} from '../model/flashcardModel.js';
+import { CARD_KINDS, MAX_SIDE_LENGTH } from '../utils/flashcardGenerator.js';
+import { scheduleReview } from '../utils/spacedRepetition.js';
+import { createHttpError } from '../utils/httpErrors.js';
+
+const DEFAULT_REVIEW_LIMIT = 20;
+const MAX_REVIEW_LIMIT = 100;
+// A single review session can't add more than this to the day's usage time
+const MAX_SESSION_SECONDS = 4 * 60 * 60;
+
+const deckIdSchema = { params: { deckId: { type: 'uuid', required: true } } };
+const cardIdSchema = { params: { cardId: { type: 'uuid', required: true } } };
+
+const cardFields = {
+  front: { type: 'string', maxLength: MAX_SIDE_LENGTH },
+  back: { type: 'string', maxLength: MAX_SIDE_LENGTH },
+  kind: { type: 'string', values: CARD_KINDS }
+};
+
+// ✅ The editable fields of a card from a checked body, trimmed. With
+// `partial`, missing fields are left out instead of defaulted.
+function toCardInput(body, { partial = false } = {}) {
+  const card = {};
+  for (const side of ['front', 'back']) {
+    if (body[side]?.trim()) card[side] = body[side].trim();
+  }
+  if (body.kind || !partial) card.kind = body.kind || 'qa';
+  return card;
+}
+
+// GET /api/flashcards/decks?module_id=<id>
+router.get('/decks', authenticateToken, validateRequest({
+  query: { module_id: { type: 'uuid' } }
+}), async (req, res, next) => {
+  try {
+    const decks = await listDecks(req.user.id, { moduleId: req.query.module_id || null });
+    res.status(200).json({ decks });
+  } catch (error) {
+    console.error('Error in GET /api/flashcards/decks:', error);
+    next(createHttpError(500, 'Failed to retrieve flashcard decks.'));
+  }
+});
+
+// GET /api/flashcards/decks/:deckId
+router.get('/decks/:deckId', authenticateToken, validateRequest(deckIdSchema), async (req, res, next) => {
+  try {
+    const deck = await getDeck(req.user.id, req.params.deckId);
+    if (!deck) {
+      return next(createHttpError(404, 'Deck not found.'));
+    }
+    res.status(200).json({ deck });
+  } catch (error) {
+    console.error('Error in GET /api/flashcards/decks/:deckId:', error);
+    next(createHttpError(500, 'Failed to retrieve flashcard deck.'));
+  }
+});
+
+// DELETE /api/flashcards/decks/:deckId
+router.delete('/decks/:deckId', authenticateToken, validateRequest(deckIdSchema), async (req, res, next) => {
+  try {
+    const deleted = await deleteDeck(req.user.id, req.params.deckId);
+    if (!deleted) {
+      return next(createHttpError(404, 'Deck not found.'));
+    }
+    res.status(200).json({ message: 'Deck deleted.' });
+  } catch (error) {
+    console.error('Error in DELETE /api/flashcards/decks/:deckId:', error);
+    next(createHttpError(500, 'Failed to delete flashcard deck.'));
+  }
+});
+
+// POST /api/flashcards/decks/:deckId/cards
+// Body: { front, back, kind = 'qa' }
+router.post('/decks/:deckId/cards', authenticateToken, validateRequest({
+  ...deckIdSchema,
+  body: {
+    ...cardFields,
+    front: { ...cardFields.front, required: true },
+    back: { ...cardFields.back, required: true }
+  }
+}), async (req, res, next) => {
+  const card = toCardInput(req.body);
+
+  try {
+    const deck = await getDeck(req.user.id, req.params.deckId);
+    if (!deck) {
+      return next(createHttpError(404, 'Deck not found.'));
+    }
+
+    const [added] = await addCards(req.user.id, deck.id, [card]);
+    res.status(201).json({ card: added });
+  } catch (error) {
+    console.error('Error in POST /api/flashcards/decks/:deckId/cards:', error);
+    next(createHttpError(500, 'Failed to add flashcard.'));
+  }
+});
+
+// GET /api/flashcards/decks/:deckId/review?limit=20
+// Cards due for review, most overdue first
+router.get('/decks/:deckId/review', authenticateToken, validateRequest({
+  ...deckIdSchema,
+  query: { limit: { type: 'integer', min: 1 } }
+}), async (req, res, next) => {
+  const limit = Math.min(MAX_REVIEW_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_REVIEW_LIMIT));
+
+  try {
+    const cards = await getDueCards(req.user.id, req.params.deckId, { limit });
+    res.status(200).json({ cards });
+  } catch (error) {
+    console.error('Error in GET /api/flashcards/decks/:deckId/review:', error);
+    next(createHttpError(500, 'Failed to retrieve due flashcards.'));
+  }
+});
+
+// PATCH /api/flashcards/cards/:cardId
+// Body: any of { front, back, kind }
+router.patch('/cards/:cardId', authenticateToken, validateRequest({
+  ...cardIdSchema,
+  body: cardFields
+}), async (req, res, next) => {
+  const card = toCardInput(req.body, { partial: true });
+  if (Object.keys(card).length === 0) {
+    return next(createHttpError(400, 'Nothing to update.'));
+  }
+
+  try {
+    const updated = await updateCard(req.user.id, req.params.cardId, card);
+    if (!updated) {
+      return next(createHttpError(404, 'Flashcard not found.'));
+    }
+    res.status(200).json({ card: updated });
+  } catch (error) {
+    console.error('Error in PATCH /api/flashcards/cards/:cardId:', error);
+    next(createHttpError(500, 'Failed to update flashcard.'));
+  }
+});
+
+// DELETE /api/flashcards/cards/:cardId
+router.delete('/cards/:cardId', authenticateToken, validateRequest(cardIdSchema), async (req, res, next) => {
+  try {
+    const deleted = await deleteCard(req.user.id, req.params.cardId);
+    if (!deleted) {
+      return next(createHttpError(404, 'Flashcard not found.'));
+    }
+    res.status(200).json({ message: 'Flashcard deleted.' });
+  } catch (error) {
+    console.error('Error in DELETE /api/flashcards/cards/:cardId:', error);
+    next(createHttpError(500, 'Failed to delete flashcard.'));
+  }
+});
+
+// POST /api/flashcards/cards/:cardId/review
+// Body: { quality } from 0 (forgot) to 5 (perfect recall). Returns the rescheduled card.
+router.post('/cards/:cardId/review', authenticateToken, validateRequest({
+  ...cardIdSchema,
+  body: { quality: { type: 'integer', required: true, min: 0, max: 5 } }
+}), async (req, res, next) => {
+  const quality = Number(req.body.quality);
+
+  try {
+    const card = await getCard(req.user.id, req.params.cardId);
+    if (!card) {
+      return next(createHttpError(404, 'Flashcard not found.'));
+    }
+
+    const reviewed = await saveCardReview(req.user.id, card.id, quality, scheduleReview(card, quality));
+    res.status(200).json({ card: reviewed });
+  } catch (error) {
+    console.error('Error in POST /api/flashcards/cards/:cardId/review:', error);
+    next(createHttpError(500, 'Failed to save flashcard review.'));
+  }
+});
+
+// POST /api/flashcards/review-sessions
+// Body: { seconds, cardsReviewed }. Adds a finished review session to the day's usage time.
+router.post('/review-sessions', authenticateToken, validateRequest({
+  body: {
+    seconds: { type: 'number', required: true, min: 0, max: MAX_SESSION_SECONDS },
+    cardsReviewed: { type: 'integer', min: 0 }
+  }
+}), async (req, res, next) => {
+  const seconds = Math.round(Number(req.body.seconds));
+  const cardsReviewed = Number(req.body.cardsReviewed ?? 0);
+
+  try {
+    const usage = await recordReviewTime(req.user.id, seconds, cardsReviewed);
+    res.status(200).json({ usage });
+  } catch (error) {
+    console.error('Error in /api/flashcards/review-sessions:', error);
+    next(createHttpError(500, 'Failed to record review session.'));
+  }
+});
+
+export default router;
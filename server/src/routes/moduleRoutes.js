@@ -0,0 +1,1206 @@
+import express from 'express';
+import multer from 'multer';
+const router = express.Router();
+import { supabase } from '../config/supabaseClient.js';
+import authenticateToken from '../middleware/authMiddleware.js';
+import validateRequest from '../middleware/validateRequest.js';
+import { searchModules, getModuleTexts, getUploaderProfiles } from '../model/searchModel.js';
+import { getModuleById, updateModule, incrementModuleDownloads } from '../model/moduleModel.js';
+import { getModuleText } from '../model/moduleTextModel.js';
+import {
+  updateModuleWithVersion,
+  listModuleVersions,
+  getModuleVersion,
+  getModuleVersionFileUrls
+} from '../model/moduleVersionModel.js';
+import { getClass, getClassRole } from '../model/classModel.js';
+import { canPostToClass } from '../utils/classPermissions.js';
+import { tokenizeQuery, buildModuleSnippet } from '../utils/moduleSearch.js';
+import { toModuleTextStatus, enqueueModuleIndexing, readModuleText } from '../utils/moduleIndexing.js';
+import {
+  MAX_MODULE_FILE_SIZE,
+  DOWNLOAD_URL_TTL_SECONDS,
+  getModuleFilePath,
+  uploadModuleFile,
+  downloadModuleFile,
+  signModuleFileUrls,
+  createModuleFileLink,
+  removeModuleFiles
+} from '../utils/moduleFiles.js';
+import {
+  VISIBILITY_LEVELS,
+  DEFAULT_VISIBILITY,
+  createShareToken,
+  applyClassModulesFilter,
+  applyVisibleModulesFilter,
+  canViewModule,
+  toClientModules,
+  toClientModule
+} from '../utils/moduleAccess.js';
+import {
+  toModuleSummary,
+  normalizeModuleSummary,
+  generateModuleSummary,
+  readModuleSummary
+} from '../utils/moduleSummary.js';
+import { createQuiz } from '../model/quizModel.js';
+import { getLLMProvider } from '../utils/llmProviders.js';
+import { QUESTION_TYPES, DIFFICULTIES, buildQuizMessages, parseQuizResponse, stripAnswers } from '../utils/quizGenerator.js';
+import { getOrCreateDeck, addCards } from '../model/flashcardModel.js';
+import { CARD_KINDS, buildFlashcardMessages, parseFlashcardResponse } from '../utils/flashcardGenerator.js';
+import { createReport, countOpenReportsForModule } from '../model/reportModel.js';
+import { createNotification } from '../model/notificationModel.js';
+import { recordAuditEvent } from '../model/auditLogModel.js';
+import { listModuleReviews, getUserReview, saveReview, deleteReview, getModuleRating } from '../model/reviewModel.js';
+import {
+  REPORT_REASONS,
+  REPORT_REASON_LABELS,
+  MAX_REPORT_DETAILS_LENGTH,
+  shouldHideModule
+} from '../utils/moduleReports.js';
+import { createHttpError } from '../utils/httpErrors.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const DEFAULT_QUIZ_QUESTIONS = 10;
+const MAX_QUIZ_QUESTIONS = 20;
+// Room for the questions, options and explanations as JSON
+const QUIZ_MAX_TOKENS = 4000;
+const DEFAULT_FLASHCARDS = 15;
+const MAX_FLASHCARDS = 40;
+const FLASHCARD_MAX_TOKENS = 4000;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_REVIEW_LENGTH = 2000;
+
+const upload = multer({ limits: { fileSize: MAX_MODULE_FILE_SIZE } });
+
+const moduleIdParams = { id: { type: 'uuid', required: true } };
+const moduleIdSchema = { params: moduleIdParams };
+const versionParams = { ...moduleIdParams, version: { type: 'integer', required: true, min: 1 } };
+const pagingQuery = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1 }
+};
+// Unlisted modules are reachable with their share token in the query or body
+const shareTokenRule = { type: 'string', maxLength: 200 };
+
+// ✅ Resolve the display name shown for a module's uploader
+function getUploaderName(module, profile, currentUserId) {
+  if (module.user_id === currentUserId) return 'You';
+  if (module.uploaded_by) return module.uploaded_by;
+  if (profile?.fullname) return profile.fullname;
+  if (profile?.username) return profile.username;
+  return 'Unknown User';
+}
+
+// ✅ Queue extraction of a module's new file; the summary follows it, unless the owner wrote their own
+async function refreshModuleText(module, buffer, mimeType) {
+  const extraction = await enqueueModuleIndexing(module, { buffer, mimeType });
+  const summaryQueued = extraction.status === 'pending' && !module.summary_edited;
+  return { extraction, summaryQueued };
+}
+
+// ✅ Swap the stored file links of versions for signed ones
+async function toClientVersions(versions) {
+  const signed = await signModuleFileUrls(versions.flatMap(v => [v.fileUrl, v.previousFileUrl]));
+  return versions.map(version => ({
+    ...version,
+    fileUrl: signed.get(version.fileUrl) || null,
+    previousFileUrl: signed.get(version.previousFileUrl) || null
+  }));
+}
+
+// ✅ Module and version returned by the edit routes, with signed file links
+async function toClientEdit({ module, version }, userId) {
+  const [clientModule, [clientVersion]] = await Promise.all([
+    toClientModule(module, userId),
+    toClientVersions(version ? [version] : [])
+  ]);
+  return { module: clientModule, version: clientVersion || null };
+}
+
+// ✅ ISO string of an optional date query param, undefined when absent
+function parseDateParam(value) {
+  return value ? new Date(value).toISOString() : undefined;
+}
+
+// GET /api/modules/search?q=...&page=1&limit=20&show_all=true&uploader=...&file_type=pdf&from=...&to=...
+router.get('/modules/search', authenticateToken, validateRequest({
+  query: {
+    ...pagingQuery,
+    q: { type: 'string', required: true, maxLength: 500 },
+    uploader: { type: 'string', maxLength: 200 },
+    file_type: { type: 'string', pattern: /^\.?[a-z0-9]{1,5}$/i },
+    show_all: { type: 'boolean' },
+    from: { type: 'date' },
+    to: { type: 'date' }
+  }
+}), async (req, res, next) => {
+  const { q, uploader, file_type, show_all } = req.query;
+  const terms = tokenizeQuery(q);
+
+  if (terms.length === 0) {
+    return next(createHttpError(400, 'Search query "q" must contain at least one word of 2+ characters.'));
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  const fileType = file_type ? file_type.toLowerCase().replace(/^\./, '') : undefined;
+
+  try {
+    const filters = {
+      userId: req.user.id,
+      showAll: show_all === 'true',
+      uploader: uploader ? String(uploader).trim() : undefined,
+      fileType,
+      from,
+      to
+    };
+
+    const { results: pageResults, total } = await searchModules(q, filters, { page, pageSize: limit });
+    // Only this page's texts are loaded, for its snippets
+    const texts = await getModuleTexts(pageResults.map(r => r.module.id));
+
+    const profiles = await getUploaderProfiles([...new Set(pageResults.map(r => r.module.user_id))]);
+
+    const clientModules = await toClientModules(pageResults.map(r => r.module), req.user.id);
+
+    const results = clientModules.map((module, i) => ({
+      ...module,
+      uploadedAt: module.created_at,
+      uploadedBy: getUploaderName(module, profiles.get(module.user_id), req.user.id),
+      isOwn: module.user_id === req.user.id,
+      score: pageResults[i].score,
+      snippet: buildModuleSnippet({
+        title: module.title,
+        description: module.description,
+        content: texts.get(module.id)
+      }, terms)
+    }));
+
+    res.status(200).json({
+      results,
+      query: q,
+      terms,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error in /api/modules/search:', error);
+    next(createHttpError(500, 'Failed to search modules.'));
+  }
+});
+
+// GET /api/modules/:id/text
+router.get('/modules/:id/text', authenticateToken, validateRequest({
+  params: moduleIdParams,
+  query: { share_token: shareTokenRule }
+}), async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const module = await getModuleById(id);
+    if (!(await canViewModule(module, req.user.id, req.query.share_token))) {
+      return next(createHttpError(404, 'Module not found.'));
+    }
+
+    const moduleText = await readModuleText(id);
+    if (!moduleText) {
+      return next(createHttpError(404, 'No extracted text for this module.', { details: { status: 'pending' } }));
+    }
+
+    res.status(200).json({
+      ...toModuleTextStatus(moduleText),
+      content: moduleText.content,
+      pages: moduleText.pages
+    });
+  } catch (error) {
+    console.error(`Error in /api/modules/${id}/text:`, error);
+    next(createHttpError(500, 'Failed to get module text.'));
+  }
+});
+
+// POST /api/modules/:id/extract
+// Queues the stored file's extraction again; poll GET /api/modules/:id/text for the result
+router.post('/modules/:id/extract', authenticateToken, validateRequest(moduleIdSchema), async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const module = await getModuleById(id);
+    if (!module || module.user_id !== req.user.id) {
+      return next(createHttpError(404, 'Module not found or access denied.'));
+    }
+
+    if (!module.file_url) {
+      return next(createHttpError(400, 'This module has no stored file to extract.'));
+    }
+
+    const file = await downloadModuleFile(module.file_url, module.file_name);
+    if (!file) {
+      return next(createHttpError(502, 'Failed to download module file.'));
+    }
+
+    const { extraction } = await refreshModuleText(module, file.buffer, file.mimeType);
+
+    res.status(extraction.status === 'pending' ? 202 : 200).json({
+      message: extraction.status === 'pending' ? 'Module text extraction queued.' : 'Module text extraction did not complete.',
+      moduleId: id,
+      extraction
+    });
+  } catch (error) {
+    console.error(`Error in /api/modules/${id}/extract:`, error);
+    next(createHttpError(500, 'Failed to re-extract module text.'));
+  }
+});
+
+// GET /api/modules/:id?share_token=...
+// One module with a signed file link. Unlisted modules need their share token.
+router.get('/modules/:id', authenticateToken, validateRequest({
+  params: moduleIdParams,
+  query: { share_token: shareTokenRule }
+}), async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const module = await getModuleById(id);
+    if (!(await canViewModule(module, req.user.id, req.query.share_token))) {
+      return next(createHttpError(404, 'Module not found.'));
+    }
+
+    const profiles = await getUploaderProfiles([module.user_id]);
+    const clientModule = await toClientModule(module, req.user.id);
+
+    res.status(200).json({
+      module: {
+        ...clientModule,
+        uploadedAt: module.created_at,
+        uploadedBy: getUploaderName(module, profiles.get(module.user_id), req.user.id),
+        isOwn: module.user_id === req.user.id
+      }
+    });
+  } catch (error) {
+    console.error(`Error in GET /api/modules/${id}:`, error);
+    next(createHttpError(500, 'Failed to get module.'));
+  }
+});
+
+// GET /api/modules/:id/download?disposition=attachment|inline&share_token=...&redirect=true
+// Checks access and hands out a signed link to the file that expires in a few
+// minutes. Only attachment downloads are counted; inline is for the viewer.
+router.get('/modules/:id/download', authenticateToken, validateRequest({
+  params: moduleIdParams,
+  query: {
+    disposition: { type: 'string', values: ['attachment', 'inline'] },
+    redirect: { type: 'boolean' },
+    share_token: shareTokenRule
+  }
+}), async (req, res, next) => {
+  const { id } = req.params;
+  const { disposition = 'attachment', redirect } = req.query;
+
+  try {
+    const module = await getModuleById(id);
+    if (!(await canViewModule(module, req.user.id, req.query.share_token))) {
+      return next(createHttpError(404, 'Module not found.'));
+    }
+    if (!module.file_url) {
+      return next(createHttpError(404, 'This module has no file.'));
+    }
+
+    const isDownload = disposition === 'attachment';
+    // Files linked from elsewhere were never in our storage, so there is nothing to sign
+    const url = getModuleFilePath(module.file_url)
+      ? await createModuleFileLink(module.file_url, {
+        downloadName: isDownload ? (module.file_name || module.title) : undefined
+      })
+      : module.file_url;
+
+    if (!url) {
+      return next(createHttpError(502, 'Could not create a download link.'));
+    }
+
+    let downloadCount = module.download_count ?? 0;
+    if (isDownload) {
+      try {
+        downloadCount = await incrementModuleDownloads(id);
+      } catch (error) {
+        // A missed count shouldn't block the download
+        console.warn(`Could not count download of module ${id}:`, error.message);
+      }
+    }
+
+    if (redirect === 'true') {
+      return res.redirect(302, url);
+    }
+
+    res.status(200).json({
+      url,
+      fileName: module.file_name,
+      expiresAt: new Date(Date.now() + DOWNLOAD_URL_TTL_SECONDS * 1000).toISOString(),
+      downloadCount
+    });
+  } catch (error) {
+    console.error(`Error in GET /api/modules/${id}/download:`, error);
+    next(createHttpError(500, 'Failed to create download link.'));
+  }
+});
+
+// POST /api/modules/:id/report
+// Body: { reason: 'copyright' | 'inappropriate' | 'spam' | 'other', details?, share_token? }.
+// Once enough different people report a module it is hidden until an admin
+// reviews it. The uploader is told either way, without who reported it.
+router.post('/modules/:id/report', authenticateToken, validateRequest({
+  params: moduleIdParams,
+  body: {
+    reason: { type: 'string', required: true, values: REPORT_REASONS },
+    details: { type: 'string' },
+    share_token: shareTokenRule
+  }
+}), async (req, res, next) => {
+  const { id } = req.params;
+  const { reason, details } = req.body;
+
+  if (reason === 'other' && !details?.trim()) {
+    return next(createHttpError(400, 'Tell us what is wrong with this module.'));
+  }
+
+  try {
+    const module = await getModuleById(id);
+    if (!(await canViewModule(module, req.user.id, req.body.share_token))) {
+      return next(createHttpError(404, 'Module not found.'));
+    }
+    if (module.user_id === req.user.id) {
+      return next(createHttpError(400, 'You cannot report your own module.'));
+    }
+
+    const report = await createReport({
+      moduleId: id,
+      reporterId: req.user.id,
+      reason,
+      details: details?.trim().slice(0, MAX_REPORT_DETAILS_LENGTH) || null
+    });
+    if (!report) {
+      return next(createHttpError(409, 'You have already reported this module.'));
+    }
+
+    const openReports = await countOpenReportsForModule(id);
+    const hidden = !module.hidden_at && shouldHideModule(openReports);
+    if (hidden) {
+      await updateModule(id, { hidden_at: new Date().toISOString() });
+      await recordAuditEvent({
+        actorId: null,
+        action: 'module.auto_hidden',
+        targetType: 'module',
+        targetId: id,
+        details: { title: module.title, ownerId: module.user_id, openReports }
+      });
+    }
+
+    await createNotification({
+      userId: module.user_id,
+      type: hidden ? 'module_hidden' : 'module_reported',
+      title: hidden
+        ? `"${module.title}" is hidden while we review it`
+        : `"${module.title}" was reported`,
+      body: hidden
+        ? 'Several people reported this module, so only you can see it until an admin has looked at the reports.'
+        : `Someone reported this module for ${REPORT_REASON_LABELS[reason]}. An admin will review it.`,
+      link: `/dashboard/modules/${id}`,
+      data: { moduleId: id, reason }
+    });
+
+    res.status(201).json({ reportId: report.id, hidden: hidden || !!module.hidden_at });
+  } catch (error) {
+    console.error(`Error in POST /api/modules/${id}/report:`, error);
+    next(createHttpError(500, 'Failed to submit report.'));
+  }
+});
+
+// GET /api/modules/:id/reviews?page=1&limit=20&share_token=...
+// Reviews with the module's average rating and the caller's own review
+router.get('/modules/:id/reviews', authenticateToken, validateRequest({
+  params: moduleIdParams,
+  query: { ...pagingQuery, share_token: shareTokenRule }
+}), async (req, res, next) => {
+  const { id } = req.params;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+  try {
+    const module = await getModuleById(id);
+    if (!(await canViewModule(module, req.user.id, req.query.share_token))) {
+      return next(createHttpError(404, 'Module not found.'));
+    }
+
+    const [{ reviews, total }, myReview, rating] = await Promise.all([
+      listModuleReviews(id, { page, pageSize }),
+      getUserReview(id, req.user.id),
+      getModuleRating(id)
+    ]);
+
+    res.status(200).json({
+      reviews,
+      myReview,
+      averageRating: rating.average,
+      ratingCount: rating.count,
+      page,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    });
+  } catch (error) {
+    console.error(`Error in GET /api/modules/${id}/reviews:`, error);
+    next(createHttpError(500, 'Failed to retrieve reviews.'));
+  }
+});
+
+// PUT /api/modules/:id/reviews
+// Body: { rating: 1-5, body?, share_token? }. Writes or edits the caller's
+// review; the uploader is notified of new reviews, not edits.
+router.put('/modules/:id/reviews', authenticateToken, validateRequest({
+  params: moduleIdParams,
+  body: {
+    rating: { type: 'integer', required: true, min: 1, max: 5 },
+    body: { type: 'string', maxLength: MAX_REVIEW_LENGTH },
+    share_token: shareTokenRule
+  }
+}), async (req, res, next) => {
+  const { id } = req.params;
+  const { body } = req.body;
+  const rating = Number(req.body.rating);
+
+  try {
+    const module = await getModuleById(id);
+    if (!(await canViewModule(module, req.user.id, req.body.share_token))) {
+      return next(createHttpError(404, 'Module not found.'));
+    }
+    if (module.user_id === req.user.id) {
+      return next(createHttpError(400, 'You cannot review your own module.'));
+    }
+
+    const { review, created } = await saveReview({
+      moduleId: id,
+      userId: req.user.id,
+      rating,
+      body: body?.trim() || null
+    });
+
+    if (created) {
+      await createNotification({
+        userId: module.user_id,
+        type: 'module_reviewed',
+        title: `New ${rating}-star review on "${module.title}"`,
+        body: review.body ? review.body.slice(0, 200) : null,
+        link: `/dashboard/modules/${id}`,
+        data: { moduleId: id, reviewId: review.id, rating }
+      });
+    }
+
+    const ratingStats = await getModuleRating(id);
+    res.status(created ? 201 : 200).json({
+      review,
+      averageRating: ratingStats.average,
+      ratingCount: ratingStats.count
+    });
+  } catch (error) {
+    console.error(`Error in PUT /api/modules/${id}/reviews:`, error);
+    next(createHttpError(500, 'Failed to save review.'));
+  }
+});
+
+// DELETE /api/modules/:id/reviews
+// Removes the caller's review
+router.delete('/modules/:id/reviews', authenticateToken, validateRequest(moduleIdSchema), async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await deleteReview(id, req.user.id))) {
+      return next(createHttpError(404, 'You have not reviewed this module.'));
+    }
+
+    const rating = await getModuleRating(id);
+    res.status(200).json({ averageRating: rating.average, ratingCount: rating.count });
+  } catch (error) {
+    console.error(`Error in DELETE /api/modules/${id}/reviews:`, error);
+    next(createHttpError(500, 'Failed to delete review.'));
+  }
+});
+
+// PATCH /api/modules/:id/visibility
+// Body: { visibility, rotateShareToken? }. Unlisted modules get a share token;
+// rotating it breaks links shared before.
+router.patch('/modules/:id/visibility', authenticateToken, validateRequest({
+  params: moduleIdParams,
+  body: {
+    visibility: { type: 'string', required: true, values: VISIBILITY_LEVELS },
+    rotateShareToken: { type: 'boolean' }
+  }
+}), async (req, res, next) => {
+  const { id } = req.params;
+  const { visibility, rotateShareToken = false } = req.body;
+
+  try {
+    const module = await getModuleById(id);
+    if (!module || module.user_id !== req.user.id) {
+      return next(createHttpError(404, 'Module not found or access denied.'));
+    }
+    if (visibility === 'class' && !module.class_id) {
+      return next(createHttpError(400, 'Post the module to a class before making it class-only.'));
+    }
+
+    const fields = { visibility };
+    if (visibility === 'unlisted' && (!module.share_token || rotateShareToken)) {
+      fields.share_token = createShareToken();
+    }
+    await updateModule(id, fields);
+
+    res.status(200).json({
+      moduleId: id,
+      visibility,
+      shareToken: fields.share_token ?? module.share_token ?? null
+    });
+  } catch (error) {
+    console.error(`Error in PATCH /api/modules/${id}/visibility:`, error);
+    next(createHttpError(500, 'Failed to update module visibility.'));
+  }
+});
+
+// PATCH /api/modules/:id
+// Body: { title?, description? }. The change is kept in the version history.
+router.patch('/modules/:id', authenticateToken, validateRequest({
+  params: moduleIdParams,
+  body: {
+    title: { type: 'string', maxLength: MAX_TITLE_LENGTH },
+    description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH }
+  }
+}), async (req, res, next) => {
+  const { id } = req.params;
+  const updates = {};
+
+  for (const field of ['title', 'description']) {
+    if (req.body[field]?.trim()) updates[field] = req.body[field].trim();
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return next(createHttpError(400, 'Provide a "title" or "description" to update.'));
+  }
+
+  try {
+    const module = await getModuleById(id);
+    if (!module || module.user_id !== req.user.id) {
+      return next(createHttpError(404, 'Module not found or access denied.'));
+    }
+
+    const result = await updateModuleWithVersion(module, updates, {
+      changedBy: req.user.id,
+      changeType: 'metadata'
+    });
+
+    res.status(200).json(await toClientEdit(result, req.user.id));
+  } catch (error) {
+    console.error(`Error in PATCH /api/modules/${id}:`, error);
+    next(createHttpError(500, 'Failed to update module.'));
+  }
+});
+
+// PUT /api/modules/:id/file
+// Multipart field "file". The previous file stays in storage so the version can be restored.
+// The id is checked before multer buffers the upload.
+router.put('/modules/:id/file', authenticateToken, validateRequest(moduleIdSchema), upload.single('file'), async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!req.file) {
+    return next(createHttpError(400, 'A "file" is required.'));
+  }
+
+  try {
+    const module = await getModuleById(id);
+    if (!module || module.user_id !== req.user.id) {
+      return next(createHttpError(404, 'Module not found or access denied.'));
+    }
+
+    const { filePath, fileName } = await uploadModuleFile(req.user.id, req.file);
+
+    let result;
+    try {
+      result = await updateModuleWithVersion(module, { file_url: filePath, file_name: fileName }, {
+        changedBy: req.user.id,
+        changeType: 'file'
+      });
+    } catch (error) {
+      await removeModuleFiles([filePath]);
+      throw error;
+    }
+
+    const { extraction, summaryQueued } = await refreshModuleText(module, req.file.buffer, req.file.mimetype);
+
+    res.status(200).json({
+      ...(await toClientEdit({
+        module: { ...result.module, ...(summaryQueued && { summary_status: 'pending' }) },
+        version: result.version
+      }, req.user.id)),
+      extraction
+    });
+  } catch (error) {
+    console.error(`Error in PUT /api/modules/${id}/file:`, error);
+    next(createHttpError(500, 'Failed to replace module file.'));
+  }
+});
+
+// GET /api/modules/:id/versions
+router.get('/modules/:id/versions', authenticateToken, validateRequest(moduleIdSchema), async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const module = await getModuleById(id);
+    if (!module || module.user_id !== req.user.id) {
+      return next(createHttpError(404, 'Module not found or access denied.'));
+    }
+
+    res.status(200).json({ versions: await toClientVersions(await listModuleVersions(id)) });
+  } catch (error) {
+    console.error(`Error in GET /api/modules/${id}/versions:`, error);
+    next(createHttpError(500, 'Failed to get module versions.'));
+  }
+});
+
+// GET /api/modules/:id/versions/:version
+router.get('/modules/:id/versions/:version', authenticateToken, validateRequest({ params: versionParams }), async (req, res, next) => {
+  const { id } = req.params;
+  const versionNumber = Number(req.params.version);
+
+  try {
+    const module = await getModuleById(id);
+    if (!module || module.user_id !== req.user.id) {
+      return next(createHttpError(404, 'Module not found or access denied.'));
+    }
+
+    const version = await getModuleVersion(id, versionNumber);
+    if (!version) {
+      return next(createHttpError(404, 'Version not found.'));
+    }
+
+    const [clientVersion] = await toClientVersions([version]);
+    res.status(200).json({ version: clientVersion });
+  } catch (error) {
+    console.error(`Error in GET /api/modules/${id}/versions/${req.params.version}:`, error);
+    next(createHttpError(500, 'Failed to get module version.'));
+  }
+});
+
+// POST /api/modules/:id/versions/:version/restore
+// Brings back the title, description and file of an older version as a new version
+router.post('/modules/:id/versions/:version/restore', authenticateToken, validateRequest({ params: versionParams }), async (req, res, next) => {
+  const { id } = req.params;
+  const versionNumber = Number(req.params.version);
+
+  try {
+    const module = await getModuleById(id);
+    if (!module || module.user_id !== req.user.id) {
+      return next(createHttpError(404, 'Module not found or access denied.'));
+    }
+
+    const version = await getModuleVersion(id, versionNumber);
+    if (!version) {
+      return next(createHttpError(404, 'Version not found.'));
+    }
+
+    const result = await updateModuleWithVersion(module, {
+      title: version.title,
+      description: version.description,
+      file_url: version.fileUrl,
+      file_name: version.fileName
+    }, {
+      changedBy: req.user.id,
+      changeType: 'restore',
+      restoredFrom: versionNumber
+    });
+
+    // The search index and summary follow the restored file
+    let refreshed = { extraction: null, summaryQueued: false };
+    if (result.version?.changes.file_url && version.fileUrl) {
+      const file = await downloadModuleFile(version.fileUrl, version.fileName);
+      if (file) refreshed = await refreshModuleText(module, file.buffer, file.mimeType);
+    }
+
+    res.status(200).json({
+      ...(await toClientEdit({
+        module: { ...result.module, ...(refreshed.summaryQueued && { summary_status: 'pending' }) },
+        version: result.version
+      }, req.user.id)),
+      extraction: refreshed.extraction
+    });
+  } catch (error) {
+    console.error(`Error in POST /api/modules/${id}/versions/${req.params.version}/restore:`, error);
+    next(createHttpError(500, 'Failed to restore module version.'));
+  }
+});
+
+// GET /api/modules/:id/summary
+// Clients poll this while the summary is pending; lost extraction and summary jobs are rerun here
+router.get('/modules/:id/summary', authenticateToken, validateRequest({
+  params: moduleIdParams,
+  query: { share_token: shareTokenRule }
+}), async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const module = await getModuleById(id);
+    if (!(await canViewModule(module, req.user.id, req.query.share_token))) {
+      return next(createHttpError(404, 'Module not found.'));
+    }
+    // A lost extraction job holds the summary up too, so it is rerun first
+    await readModuleText(id, { includeContent: false });
+    res.status(200).json(await readModuleSummary(module));
+  } catch (error) {
+    console.error(`Error in GET /api/modules/${id}/summary:`, error);
+    next(createHttpError(500, 'Failed to get module summary.'));
+  }
+});
+
+// POST /api/modules/:id/summary
+// Regenerates the summary now (replacing an edited one) and returns it
+router.post('/modules/:id/summary', authenticateToken, validateRequest(moduleIdSchema), async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const module = await getModuleById(id);
+    if (!module || module.user_id !== req.user.id) {
+      return next(createHttpError(404, 'Module not found or access denied.'));
+    }
+
+    const summary = await generateModuleSummary(id, { force: true });
+    if (!summary) {
+      return next(createHttpError(409, 'The summary was regenerated by another request. Please reload it.'));
+    }
+    if (summary.status === 'unavailable') {
+      return next(createHttpError(409, 'This module has no extracted text to summarise yet.', { details: summary }));
+    }
+    if (summary.status === 'failed') {
+      return next(createHttpError(502, 'The AI could not generate a summary. Please try again.', { details: summary }));
+    }
+    res.status(200).json(summary);
+  } catch (error) {
+    console.error(`Error in POST /api/modules/${id}/summary:`, error);
+    next(createHttpError(500, 'Failed to regenerate module summary.'));
+  }
+});
+
+// PATCH /api/modules/:id/summary
+// Body: { summary, keyConcepts }. Edited summaries are kept when the text is re-extracted.
+router.patch('/modules/:id/summary', authenticateToken, validateRequest({
+  params: moduleIdParams,
+  body: {
+    summary: { type: 'string', required: true },
+    keyConcepts: { type: 'array', items: { type: 'string' } }
+  }
+}), async (req, res, next) => {
+  const { id } = req.params;
+  const { summary, keyConcepts = [] } = req.body;
+
+  const normalized = normalizeModuleSummary({ summary, keyConcepts });
+  if (!normalized) {
+    return next(createHttpError(400, 'The summary cannot be empty.'));
+  }
+
+  try {
+    const module = await getModuleById(id);
+    if (!module || module.user_id !== req.user.id) {
+      return next(createHttpError(404, 'Module not found or access denied.'));
+    }
+
+    const fields = {
+      summary: normalized.summary,
+      key_concepts: normalized.keyConcepts,
+      summary_status: 'completed',
+      summary_error: null,
+      summary_edited: true
+    };
+    await updateModule(id, fields);
+
+    res.status(200).json(toModuleSummary({ ...module, ...fields }));
+  } catch (error) {
+    console.error(`Error in PATCH /api/modules/${id}/summary:`, error);
+    next(createHttpError(500, 'Failed to update module summary.'));
+  }
+});
+
+// POST /api/modules/:id/quiz
+// Body: { count = 10, types = ['multiple_choice', 'true_false', 'short_answer'], difficulty = 'medium' }
+// Generates a quiz from the module's extracted text. The answer keys are stored
+// and only returned when an attempt is submitted to /api/quizzes/:id/attempts.
+router.post('/modules/:id/quiz', authenticateToken, validateRequest({
+  params: moduleIdParams,
+  query: { share_token: shareTokenRule },
+  body: {
+    count: { type: 'integer', min: 1, max: MAX_QUIZ_QUESTIONS },
+    types: { type: 'array', minLength: 1, items: { type: 'string', values: QUESTION_TYPES } },
+    difficulty: { type: 'string', values: DIFFICULTIES }
+  }
+}), async (req, res, next) => {
+  const { id } = req.params;
+  const { types = QUESTION_TYPES, difficulty = 'medium' } = req.body;
+  const count = req.body.count === undefined ? DEFAULT_QUIZ_QUESTIONS : Number(req.body.count);
+
+  try {
+    const module = await getModuleById(id);
+    if (!(await canViewModule(module, req.user.id, req.query.share_token))) {
+      return next(createHttpError(404, 'Module not found.'));
+    }
+
+    const moduleText = await getModuleText(id);
+    if (!moduleText || moduleText.status !== 'completed' || !moduleText.content?.trim()) {
+      return next(createHttpError(409, 'This module has no extracted text to build a quiz from yet.', {
+        details: { status: moduleText?.status || 'pending' }
+      }));
+    }
+
+    const provider = getLLMProvider();
+    const reply = await provider.complete(
+      buildQuizMessages({ title: module.title, content: moduleText.content, count, types, difficulty }),
+      { temperature: 0.4, maxTokens: QUIZ_MAX_TOKENS }
+    );
+
+    let questions;
+    try {
+      questions = parseQuizResponse(reply, { count, types });
+    } catch (parseError) {
+      console.error(`Invalid quiz generated for module ${id}:`, parseError.message);
+      return next(createHttpError(502, 'The AI could not generate a valid quiz. Please try again.'));
+    }
+
+    const quiz = await createQuiz({
+      moduleId: id,
+      moduleTitle: module.title,
+      createdBy: req.user.id,
+      title: `${module.title} quiz`,
+      difficulty,
+      questions,
+      model: `${provider.name}/${provider.model}`
+    });
+
+    res.status(201).json({ quiz: { ...quiz, questions: stripAnswers(quiz.questions) } });
+  } catch (error) {
+    console.error(`Error in /api/modules/${id}/quiz:`, error);
+    next(createHttpError(500, 'Failed to generate quiz.'));
+  }
+});
+
+// POST /api/modules/:id/flashcards
+// Body: { count = 15, kinds = ['term', 'qa'] }
+// Generates flashcards from the module's extracted text and adds them to the
+// user's deck for the module, creating the deck on first use
+router.post('/modules/:id/flashcards', authenticateToken, validateRequest({
+  params: moduleIdParams,
+  query: { share_token: shareTokenRule },
+  body: {
+    count: { type: 'integer', min: 1, max: MAX_FLASHCARDS },
+    kinds: { type: 'array', minLength: 1, items: { type: 'string', values: CARD_KINDS } }
+  }
+}), async (req, res, next) => {
+  const { id } = req.params;
+  const { kinds = CARD_KINDS } = req.body;
+  const count = req.body.count === undefined ? DEFAULT_FLASHCARDS : Number(req.body.count);
+
+  try {
+    const module = await getModuleById(id);
+    if (!(await canViewModule(module, req.user.id, req.query.share_token))) {
+      return next(createHttpError(404, 'Module not found.'));
+    }
+
+    const moduleText = await getModuleText(id);
+    if (!moduleText || moduleText.status !== 'completed' || !moduleText.content?.trim()) {
+      return next(createHttpError(409, 'This module has no extracted text to build flashcards from yet.', {
+        details: { status: moduleText?.status || 'pending' }
+      }));
+    }
+
+    const reply = await getLLMProvider().complete(
+      buildFlashcardMessages({ title: module.title, content: moduleText.content, count, kinds }),
+      { temperature: 0.4, maxTokens: FLASHCARD_MAX_TOKENS }
+    );
+
+    let cards;
+    try {
+      cards = parseFlashcardResponse(reply, { count, kinds });
+    } catch (parseError) {
+      console.error(`Invalid flashcards generated for module ${id}:`, parseError.message);
+      return next(createHttpError(502, 'The AI could not generate valid flashcards. Please try again.'));
+    }
+
+    const deck = await getOrCreateDeck(req.user.id, id, module.title);
+    const added = await addCards(req.user.id, deck.id, cards);
+
+    res.status(201).json({ deck, cards: added });
+  } catch (error) {
+    console.error(`Error in /api/modules/${id}/flashcards:`, error);
+    next(createHttpError(500, 'Failed to generate flashcards.'));
+  }
+});
+
+// POST /api/upload-module
+// Multipart fields only reach req.body once multer has run, so it comes first
+router.post('/upload-module', authenticateToken, upload.single('file'), validateRequest({
+  body: {
+    title: { type: 'string', required: true, maxLength: MAX_TITLE_LENGTH },
+    description: { type: 'string', required: true, maxLength: MAX_DESCRIPTION_LENGTH },
+    visibility: { type: 'string', values: VISIBILITY_LEVELS },
+    class_id: { type: 'uuid' },
+    file_url: { type: 'string', pattern: /^https?:\/\// },
+    file_name: { type: 'string', maxLength: 255 }
+  }
+}), async (req, res, next) => {
+  if (!supabase) {
+    return next(createHttpError(500, 'Database service not initialized'));
+  }
+
+  try {
+    const { title, description, class_id = null } = req.body;
+    // Modules uploaded into a class are shared with the class unless asked otherwise
+    const { visibility = class_id ? 'class' : DEFAULT_VISIBILITY } = req.body;
+    let { file_url, file_name } = req.body;
+
+    if (visibility === 'class' && !class_id) {
+      return next(createHttpError(400, 'Choose a class to share the module with'));
+    }
+
+    if (class_id) {
+      const [classRow, role] = await Promise.all([getClass(class_id), getClassRole(class_id, req.user.id)]);
+      if (!classRow || !role) {
+        return next(createHttpError(404, 'Class not found or access denied'));
+      }
+      if (!canPostToClass(role, classRow)) {
+        return next(createHttpError(403, 'Only instructors can post modules to this class'));
+      }
+    }
+
+    let storedFile = false;
+    if (req.file && !file_url) {
+      try {
+        ({ filePath: file_url, fileName: file_name } = await uploadModuleFile(req.user.id, req.file));
+        storedFile = true;
+      } catch (error) {
+        console.error('[uploadModule] ❌', error.message);
+        return next(createHttpError(502, 'The file could not be stored. Please try again.'));
+      }
+    }
+
+    // ✅ FIXED: Changed 'fullName' to 'fullname' in SELECT query
+    const { data: profileData } = await supabase
+      .from('profiles')
+      .select('username, fullname')
+      .eq('id', req.user.id)
+      .single();
+
+    let uploaderName = 'Anonymous';
+
+    // ✅ FIXED: Changed profileData?.fullName to profileData?.fullname
+    if (profileData?.fullname) {
+      uploaderName = profileData.fullname;
+    } else if (profileData?.username) {
+      uploaderName = profileData.username;
+    } else if (req.user.email) {
+      const emailPart = req.user.email.split('@')[0];
+      uploaderName = emailPart.split('.').map(part =>
+        part.charAt(0).toUpperCase() + part.slice(1).toLowerCase()
+      ).join(' ');
+    }
+
+    let insertData = {
+      title,
+      description,
+      user_id: req.user.id,
+      uploaded_by: uploaderName,
+      visibility,
+      class_id: class_id || null,
+      ...(visibility === 'unlisted' && { share_token: createShareToken() }),
+      created_at: new Date().toISOString()
+    };
+
+    if (file_url) {
+      insertData.file_url = file_url;
+      insertData.file_name = file_name;
+    }
+
+    const { data, error } = await supabase
+      .from('modules')
+      .insert([insertData])
+      .select();
+
+    if (error) {
+      if (storedFile) await removeModuleFiles([file_url]);
+      throw error;
+    }
+
+    // Text extraction, chunk indexing and then the summary run in the background;
+    // GET /api/modules/:id/text and /summary report their progress
+    let extraction = null;
+    if (req.file && insertData.file_url) {
+      extraction = await enqueueModuleIndexing(data[0], { buffer: req.file.buffer, mimeType: req.file.mimetype });
+    }
+    const summaryQueued = extraction?.status === 'pending';
+
+    res.status(200).json({
+      message: 'Module uploaded successfully',
+      data: {
+        ...(await toClientModule(data[0], req.user.id)),
+        ...(summaryQueued && { summary_status: 'pending' }),
+        uploadedBy: uploaderName,
+        uploadedAt: data[0].created_at
+      },
+      extraction
+    });
+
+  } catch (error) {
+    console.error('[uploadModule] ❌', error);
+    next(createHttpError(500, 'Upload failed. Please try again.'));
+  }
+});
+
+// GET /api/get-modules
+router.get('/get-modules', authenticateToken, validateRequest({
+  query: {
+    show_all: { type: 'boolean' },
+    class_id: { type: 'uuid' }
+  }
+}), async (req, res, next) => {
+  try {
+    const { show_all, class_id } = req.query;
+
+    let query = supabase.from('modules').select('*');
+
+    if (class_id) {
+      // A class library lists everything posted to the class, for its members only
+      if (!(await getClassRole(class_id, req.user.id))) {
+        return next(createHttpError(403, 'You are not a member of this class'));
+      }
+      // Modules instructors pinned come first
+      query = applyClassModulesFilter(query.eq('class_id', class_id), req.user.id)
+        .order('pinned_at', { ascending: false, nullsFirst: false });
+    } else {
+      query = show_all === 'true'
+        ? applyVisibleModulesFilter(query, req.user.id)
+        : query.eq('user_id', req.user.id);
+    }
+
+    const { data: modulesData, error: modulesError } = await query
+      .order('created_at', { ascending: false });
+
+    if (modulesError) {
+      throw modulesError;
+    }
+
+    const userIds = [...new Set(modulesData.map(m => m.user_id))];
+
+    // ✅ FIXED: Changed 'fullName' to 'fullname' in SELECT query
+    const { data: profilesData } = await supabase
+      .from('profiles')
+      .select('id, username, fullname')
+      .in('id', userIds);
+
+    const profilesMap = new Map();
+    profilesData?.forEach(profile => {
+      profilesMap.set(profile.id, profile);
+    });
+
+    const modules = (await toClientModules(modulesData, req.user.id)).map(module => {
+      const profile = profilesMap.get(module.user_id);
+
+      let uploaderName = 'Unknown User';
+      if (module.user_id === req.user.id) {
+        uploaderName = 'You';
+      } else if (module.uploaded_by) {
+        uploaderName = module.uploaded_by;
+      } else if (profile?.fullname) { // ✅ FIXED: Changed fullName to fullname
+        uploaderName = profile.fullname;
+      } else if (profile?.username) {
+        uploaderName = profile.username;
+      }
+
+      return {
+        ...module,
+        uploadedAt: module.created_at,
+        uploadedBy: uploaderName,
+        isOwn: module.user_id === req.user.id
+      };
+    });
+
+    res.status(200).json({
+      modules,
+      showingAll: show_all === 'true',
+      classId: class_id || null,
+      totalCount: modules.length
+    });
+  } catch (error) {
+    console.error('[getModules] ❌', error);
+    next(createHttpError(500, 'Failed to get modules'));
+  }
+});
+
+// DELETE /api/delete-module/:moduleId
+router.delete('/delete-module/:moduleId', authenticateToken, validateRequest({
+  params: { moduleId: { type: 'uuid', required: true } }
+}), async (req, res, next) => {
+  try {
+    const { moduleId } = req.params;
+
+    const { data: moduleData, error: selectError } = await supabase
+      .from('modules')
+      .select('*')
+      .eq('id', moduleId)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (selectError || !moduleData) {
+      return next(createHttpError(404, 'Module not found or access denied'));
+    }
+
+    // Versions are deleted with the module, so collect their files first
+    const versionFileUrls = await getModuleVersionFileUrls(moduleId);
+
+    const { error: deleteError } = await supabase
+      .from('modules')
+      .delete()
+      .eq('id', moduleId)
+      .eq('user_id', req.user.id);
+
+    if (deleteError) throw deleteError;
+
+    await removeModuleFiles([moduleData.file_url, ...versionFileUrls].filter(Boolean));
+
+    res.status(200).json({ message: 'Module deleted successfully' });
+  } catch (error) {
+    next(createHttpError(500, 'Failed to delete module'));
+  }
+});
+
+// GET /api/get-my-modules
+router.get('/get-my-modules', authenticateToken, async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('modules')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    const modules = (await toClientModules(data, req.user.id)).map(module => ({
+      ...module,
+      uploadedAt: module.created_at,
+      uploadedBy: 'You'
+    }));
+
+    res.status(200).json({ modules });
+  } catch (error) {
+    next(createHttpError(500, 'Failed to get your modules'));
+  }
+});
+
+export default router;
@@ -0,0 +1,64 @@
+import express from 'express';
+const router = express.Router();
+import authenticateToken from '../middleware/authMiddleware.js';
+import validateRequest from '../middleware/validateRequest.js';
+import { listNotifications, countUnreadNotifications, markNotificationsRead } from '../model/notificationModel.js';
+import { createHttpError } from '../utils/httpErrors.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// GET /api/notifications?unread=true&page=1&limit=20
+router.get('/', authenticateToken, validateRequest({
+  query: {
+    unread: { type: 'boolean' },
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1 }
+  }
+}), async (req, res, next) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+  try {
+    const { notifications, total, unreadCount } = await listNotifications(req.user.id, {
+      unreadOnly: req.query.unread === 'true',
+      page,
+      pageSize
+    });
+
+    res.status(200).json({
+      notifications,
+      unreadCount,
+      page,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    });
+  } catch (error) {
+    console.error('Error in GET /api/notifications:', error);
+    next(createHttpError(500, 'Failed to retrieve notifications.'));
+  }
+});
+
+// GET /api/notifications/unread-count
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  res.status(200).json({ unreadCount: await countUnreadNotifications(req.user.id) });
+});
+
+// POST /api/notifications/read
+// Body: { ids? }. Without ids every notification is marked read.
+router.post('/read', authenticateToken, validateRequest({
+  body: { ids: { type: 'array', items: { type: 'uuid' } } }
+}), async (req, res, next) => {
+  const { ids } = req.body || {};
+
+  try {
+    const updatedIds = await markNotificationsRead(req.user.id, ids);
+    res.status(200).json({ updatedIds, unreadCount: await countUnreadNotifications(req.user.id) });
+  } catch (error) {
+    console.error('Error in POST /api/notifications/read:', error);
+    next(createHttpError(500, 'Failed to update notifications.'));
+  }
+});
+
+export default router;
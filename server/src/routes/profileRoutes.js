@@ -0,0 +1,306 @@
+import express from 'express';
+import { supabase } from '../config/supabaseClient.js';
+import authenticateToken from '../middleware/authMiddleware.js';
+import { requireRole } from '../middleware/roleMiddleware.js';
+import validateRequest from '../middleware/validateRequest.js';
+import { DEFAULT_USER_ROLE } from '../utils/userRoles.js';
+import { createHttpError } from '../utils/httpErrors.js';
+
+const router = express.Router();
+
+// GET /api/protected-data
+router.get('/protected-data', authenticateToken, (req, res) => {
+  res.status(200).json({
+    message: 'Welcome to the protected area!',
+    userEmail: req.user.email,
+    userId: req.user.id,
+  });
+});
+
+// ✅ Get user profile
+router.get('/get-user-profile', authenticateToken, async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('*')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    res.status(200).json({
+      profile: data
+        ? {
+            id: data.id,
+            email: data.email,
+            username: data.username,
+            fullName: data.fullname, // map snake_case → camelCase
+            pfpUrl: data.pfpurl,     // map snake_case → camelCase
+            role: data.role || DEFAULT_USER_ROLE
+          }
+        : {
+            id: req.user.id,
+            email: req.user.email,
+            username: '',
+            fullName: '',
+            pfpUrl: '',
+            role: DEFAULT_USER_ROLE
+          }
+    });
+  } catch (error) {
+    next(createHttpError(500, 'Failed to get profile'));
+  }
+});
+
+
+// ✅ Sync user profile
+router.post('/sync-user-profile', authenticateToken, validateRequest({
+  body: {
+    username: { type: 'string', maxLength: 50 },
+    fullName: { type: 'string', maxLength: 100 },
+    pfpUrl: { type: 'string', maxLength: 2048, pattern: /^https?:\/\// }
+  }
+}), async (req, res, next) => {
+  console.log('🔄 /api/sync-user-profile called');
+  console.log('👤 User ID:', req.user.id);
+  console.log('📥 Request body:', req.body);
+
+  try {
+    const { username, fullName, pfpUrl } = req.body; // camelCase from frontend
+
+    console.log('📝 Parsed data:', { username, fullName, pfpUrl });
+
+    const upsertData = {
+      id: req.user.id,
+      email: req.user.email,
+      username: username || '',
+      fullname: fullName || '', // save to DB as snake_case
+      pfpurl: pfpUrl || '',     // save to DB as snake_case
+      updated_at: new Date().toISOString()
+    };
+
+    console.log('💾 Upserting to database:', upsertData);
+
+    const { data, error } = await supabase
+      .from('profiles')
+      .upsert(upsertData)
+      .select();
+
+    if (error) {
+      console.error('❌ Database error:', error);
+      throw error;
+    }
+
+    console.log('✅ Database update successful:', data);
+
+    // return camelCase to frontend
+    const responseData = {
+      message: 'Profile updated successfully',
+      profile: {
+        id: data[0].id,
+        email: data[0].email,
+        username: data[0].username,
+        fullName: data[0].fullname,
+        pfpUrl: data[0].pfpurl
+      }
+    };
+
+    console.log('📤 Sending response:', responseData);
+    res.status(200).json(responseData);
+  } catch (error) {
+    console.error('❌ Error in /api/sync-user-profile:', error);
+    next(createHttpError(500, 'Failed to sync profile'));
+  }
+});
+
+// POST /api/debug/user-info
+router.post('/debug/user-info', authenticateToken, requireRole('admin'), validateRequest({
+  body: { email: { type: 'email', required: true } }
+}), async (req, res, next) => {
+  if (!supabase) {
+    return next(createHttpError(500, 'Database service not initialized'));
+  }
+
+  const { email } = req.body;
+
+  try {
+    const { data: { users }, error: usersError } = await supabase.auth.admin.listUsers();
+
+    if (usersError) {
+      throw usersError;
+    }
+
+    const user = users.find(u => u.email === email.trim().toLowerCase());
+
+    if (!user) {
+      return next(createHttpError(404, 'User not found in auth', {
+        details: { searchedEmail: email.trim().toLowerCase(), totalUsers: users.length }
+      }));
+    }
+
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('*')
+      .eq('id', user.id)
+      .single();
+
+    const { count: modulesCount } = await supabase
+      .from('modules')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', user.id);
+
+    res.status(200).json({
+      auth: {
+        id: user.id,
+        email: user.email,
+        emailConfirmed: !!user.email_confirmed_at,
+        emailConfirmedAt: user.email_confirmed_at,
+        createdAt: user.created_at,
+        lastSignInAt: user.last_sign_in_at,
+        userMetadata: user.user_metadata,
+        appMetadata: user.app_metadata
+      },
+      profile: profile || null,
+      profileError: profileError?.message || null,
+      modulesCount: modulesCount || 0,
+      debug: {
+        hasProfile: !!profile,
+        profileCreatedAt: profile?.created_at,
+        googleVerified: profile?.google_verified || false
+      }
+    });
+
+  } catch (error) {
+    console.error('[getDebugUserInfo] ❌', error.message);
+    next(createHttpError(500, 'Failed to get debug info'));
+  }
+});
+
+// POST /api/fix-null-profiles
+router.post('/fix-null-profiles', authenticateToken, requireRole('admin'), async (req, res, next) => {
+  if (!supabase) {
+    return next(createHttpError(500, 'Database service not initialized'));
+  }
+
+  try {
+    const { data: { users }, error: usersError } = await supabase.auth.admin.listUsers();
+    if (usersError) throw usersError;
+
+    // ✅ FIXED: Changed 'fullName.is.null,fullName.eq.' to 'fullname.is.null,fullname.eq.'
+    const { data: profiles, error: profilesError } = await supabase
+      .from('profiles')
+      .select('*')
+      .or('fullname.is.null,fullname.eq.');
+
+    if (profilesError) throw profilesError;
+
+    let fixedCount = 0;
+
+    for (const profile of profiles) {
+      const authUser = users.find(u => u.id === profile.id);
+
+      if (authUser) {
+        const userMetadata = authUser.user_metadata || {};
+
+        let fullname = userMetadata.full_name ||
+                      userMetadata.name;
+
+        if (!fullname && authUser.email) {
+          const emailPart = authUser.email.split('@')[0];
+          fullname = emailPart.split('.').map(part =>
+            part.charAt(0).toUpperCase() + part.slice(1).toLowerCase()
+          ).join(' ');
+        }
+
+        const username = userMetadata.first_name ||
+                        fullname?.split(' ')[0] ||
+                        authUser.email?.split('@')[0];
+
+        if (fullname) {
+          const { error: updateError } = await supabase
+            .from('profiles')
+            .update({
+              fullname: fullname,   // ✅ FIXED: Changed from fullName
+              username: username,
+              pfpurl: userMetadata.avatar_url || profile.pfpurl || '', // ✅ FIXED: Changed from pfpUrl
+              updated_at: new Date().toISOString()
+            })
+            .eq('id', profile.id);
+
+          if (!updateError) {
+            fixedCount++;
+          }
+        }
+      }
+    }
+
+    res.status(200).json({
+      message: `Successfully fixed ${fixedCount} NULL profiles`,
+      fixedCount,
+      totalProfiles: profiles.length
+    });
+
+  } catch (error) {
+    console.error('[fixNullProfiles] ❌', error.message);
+    next(createHttpError(500, 'Failed to fix NULL profiles'));
+  }
+});
+
+// GET /api/debug/table-structure
+router.get('/debug/table-structure', authenticateToken, requireRole('admin'), async (req, res, next) => {
+  if (!supabase) {
+    return next(createHttpError(500, 'Database service not initialized'));
+  }
+
+  try {
+    const { data: sampleModule } = await supabase
+      .from('modules')
+      .select('*')
+      .limit(1);
+
+    const { data: sampleProfile } = await supabase
+      .from('profiles')
+      .select('*')
+      .limit(1);
+
+    const { data: sampleSave } = await supabase
+      .from('save_modules')
+      .select('*')
+      .limit(1);
+
+    const [
+      { count: modulesCount },
+      { count: profilesCount },
+      { count: savesCount }
+    ] = await Promise.all([
+      supabase.from('modules').select('*', { count: 'exact', head: true }),
+      supabase.from('profiles').select('*', { count: 'exact', head: true }),
+      supabase.from('save_modules').select('*', { count: 'exact', head: true })
+    ]);
+
+    res.status(200).json({
+      tables: {
+        modules: {
+          count: modulesCount,
+          sample: sampleModule?.[0] || null,
+          fields: sampleModule?.[0] ? Object.keys(sampleModule[0]) : []
+        },
+        profiles: {
+          count: profilesCount,
+          sample: sampleProfile?.[0] || null,
+          fields: sampleProfile?.[0] ? Object.keys(sampleProfile[0]) : []
+        },
+        save_modules: {
+          count: savesCount,
+          sample: sampleSave?.[0] || null,
+          fields: sampleSave?.[0] ? Object.keys(sampleSave[0]) : []
+        }
+      }
+    });
+  } catch (error) {
+    console.error('[getTableStructure] ❌', error.message);
+    next(createHttpError(500, 'Failed to read table structure'));
+  }
+});
+
+export default router;
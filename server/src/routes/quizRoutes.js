@@ -0,0 +1,125 @@
+import express from 'express';
+const router = express.Router();
+import authenticateToken from '../middleware/authMiddleware.js';
+import validateRequest from '../middleware/validateRequest.js';
+import { getQuiz, listQuizzes, createQuizAttempt, listQuizAttempts } from '../model/quizModel.js';
+import { getModuleById } from '../model/moduleModel.js';
+import { canViewModule } from '../utils/moduleAccess.js';
+import { stripAnswers, gradeQuizAttempt } from '../utils/quizGenerator.js';
+import { createHttpError } from '../utils/httpErrors.js';
+
+const MAX_ANSWER_LENGTH = 1000;
+
+// Quizzes of an unlisted module need its share token in the query
+const shareTokenRule = { type: 'string', maxLength: 200 };
+const quizIdSchema = {
+  params: { id: { type: 'uuid', required: true } },
+  query: { share_token: shareTokenRule }
+};
+
+// ✅ The quiz from the URL if the user may see the module it was made from, else null
+async function getViewableQuiz(req) {
+  const quiz = await getQuiz(req.params.id);
+  if (!quiz) return null;
+  const module = await getModuleById(quiz.moduleId);
+  return (await canViewModule(module, req.user.id, req.query.share_token)) ? quiz : null;
+}
+
+// ✅ Keep only answers to questions of this quiz, trimming free text
+function sanitizeAnswers(questions, answers) {
+  const sanitized = {};
+  questions.forEach(question => {
+    const value = answers[question.id];
+    if (value === undefined || value === null) return;
+    sanitized[question.id] = typeof value === 'string' ? value.trim().slice(0, MAX_ANSWER_LENGTH) : value;
+  });
+  return sanitized;
+}
+
+// GET /api/quizzes?module_id=<id>&share_token=...
+// Quizzes the user generated, or all quizzes of one module, with the user's best score
+router.get('/', authenticateToken, validateRequest({
+  query: { module_id: { type: 'uuid' }, share_token: shareTokenRule }
+}), async (req, res, next) => {
+  try {
+    if (req.query.module_id) {
+      const module = await getModuleById(req.query.module_id);
+      if (!(await canViewModule(module, req.user.id, req.query.share_token))) {
+        return next(createHttpError(404, 'Module not found.'));
+      }
+    }
+
+    const quizzes = await listQuizzes(req.user.id, { moduleId: req.query.module_id || null });
+    res.status(200).json({ quizzes });
+  } catch (error) {
+    console.error('Error in GET /api/quizzes:', error);
+    next(createHttpError(500, 'Failed to retrieve quizzes.'));
+  }
+});
+
+// GET /api/quizzes/:id
+// The quiz to take, without answer keys or explanations
+router.get('/:id', authenticateToken, validateRequest(quizIdSchema), async (req, res, next) => {
+  try {
+    const quiz = await getViewableQuiz(req);
+    if (!quiz) {
+      return next(createHttpError(404, 'Quiz not found.'));
+    }
+    res.status(200).json({ quiz: { ...quiz, questions: stripAnswers(quiz.questions) } });
+  } catch (error) {
+    console.error('Error in GET /api/quizzes/:id:', error);
+    next(createHttpError(500, 'Failed to retrieve quiz.'));
+  }
+});
+
+// POST /api/quizzes/:id/attempts
+// Body: { answers: { [questionId]: optionIndex | true/false | text } }
+// Scores the attempt, stores it and returns the results with the correct answers and explanations
+router.post('/:id/attempts', authenticateToken, validateRequest({
+  ...quizIdSchema,
+  body: { answers: { type: 'object', required: true } }
+}), async (req, res, next) => {
+  const { answers } = req.body;
+
+  try {
+    const quiz = await getViewableQuiz(req);
+    if (!quiz) {
+      return next(createHttpError(404, 'Quiz not found.'));
+    }
+
+    const given = sanitizeAnswers(quiz.questions, answers);
+    const { score, maxScore, results } = gradeQuizAttempt(quiz.questions, given);
+
+    const attempt = await createQuizAttempt({
+      quizId: quiz.id,
+      userId: req.user.id,
+      answers: given,
+      results,
+      score,
+      maxScore
+    });
+
+    res.status(201).json({ attempt: { ...attempt, results }, questions: quiz.questions });
+  } catch (error) {
+    console.error('Error in POST /api/quizzes/:id/attempts:', error);
+    next(createHttpError(500, 'Failed to submit quiz attempt.'));
+  }
+});
+
+// GET /api/quizzes/:id/attempts
+// The user's earlier attempts at a quiz, newest first
+router.get('/:id/attempts', authenticateToken, validateRequest(quizIdSchema), async (req, res, next) => {
+  try {
+    if (!(await getViewableQuiz(req))) {
+      return next(createHttpError(404, 'Quiz not found.'));
+    }
+
+    const attempts = await listQuizAttempts(req.user.id, req.params.id);
+    res.status(200).json({ attempts });
+  } catch (error) {
+    console.error('Error in GET /api/quizzes/:id/attempts:', error);
+    next(createHttpError(500, 'Failed to retrieve quiz attempts.'));
+  }
+});
+
+export default router;
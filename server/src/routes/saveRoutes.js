@@ -0,0 +1,187 @@
+import express from 'express';
+import { supabase } from '../config/supabaseClient.js';
+import authenticateToken from '../middleware/authMiddleware.js';
+import validateRequest from '../middleware/validateRequest.js';
+import { getUserClassIds } from '../model/classModel.js';
+import { applySavedModulesFilter, canViewModule, toClientModules } from '../utils/moduleAccess.js';
+import { createHttpError } from '../utils/httpErrors.js';
+
+const router = express.Router();
+
+const saveModuleSchema = {
+  body: {
+    module_id: { type: 'uuid', required: true },
+    share_token: { type: 'string', maxLength: 200 }
+  }
+};
+
+// POST /api/save-module
+router.post('/save-module', authenticateToken, validateRequest(saveModuleSchema), async (req, res, next) => {
+  try {
+    const { module_id } = req.body;
+    const authenticatedUserId = req.user.id;
+
+    const { data: moduleExists, error: checkError } = await supabase
+      .from('modules')
+      .select('id, title, user_id, visibility, share_token')
+      .eq('id', module_id)
+      .single();
+
+    // Unlisted modules can be saved from their share link, which sends the token along
+    if (checkError || !(await canViewModule(moduleExists, req.user.id, req.body.share_token))) {
+      return next(createHttpError(404, 'Module not found'));
+    }
+
+    const { data: alreadySaved } = await supabase
+      .from('save_modules')
+      .select('id')
+      .eq('user_id', authenticatedUserId)
+      .eq('module_id', module_id)
+      .single();
+
+    if (alreadySaved) {
+      return res.status(200).json({
+        message: 'Module already saved',
+        data: alreadySaved
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('save_modules')
+      .insert([{
+        user_id: authenticatedUserId,
+        module_id: module_id,
+        saved_at: new Date().toISOString()
+      }])
+      .select();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(200).json({
+          message: 'Module already saved by this user',
+          data: null
+        });
+      }
+
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Module saved successfully',
+      data: data[0]
+    });
+
+  } catch (error) {
+    console.error('[saveModule] ❌', error.message);
+    next(createHttpError(500, 'Failed to save module'));
+  }
+});
+
+// POST /api/unsave-module
+router.post('/unsave-module', authenticateToken, validateRequest(saveModuleSchema), async (req, res, next) => {
+  try {
+    const { module_id } = req.body;
+    const authenticatedUserId = req.user.id;
+
+    const { error } = await supabase
+      .from('save_modules')
+      .delete()
+      .eq('user_id', authenticatedUserId)
+      .eq('module_id', module_id);
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Module unsaved successfully'
+    });
+
+  } catch (error) {
+    console.error('[unsaveModule] ❌', error.message);
+    next(createHttpError(500, 'Failed to unsave module'));
+  }
+});
+
+// GET /api/get-saved-modules
+router.get('/get-saved-modules', authenticateToken, async (req, res, next) => {
+  try {
+    const { data: savedData, error: savedError } = await supabase
+      .from('save_modules')
+      .select('module_id, saved_at, folder_id')
+      .eq('user_id', req.user.id)
+      .order('saved_at', { ascending: false });
+
+    if (savedError) {
+      throw savedError;
+    }
+
+    if (!savedData || savedData.length === 0) {
+      return res.status(200).json({ modules: [] });
+    }
+
+    const moduleIds = savedData.map(item => item.module_id);
+    const classIds = await getUserClassIds(req.user.id);
+    const { data: modulesData, error: modulesError } = await applySavedModulesFilter(
+      supabase
+        .from('modules')
+        .select('*')
+        .in('id', moduleIds),
+      req.user.id,
+      classIds
+    );
+
+    if (modulesError) {
+      throw modulesError;
+    }
+
+    const userIds = [...new Set(modulesData.map(m => m.user_id))];
+    // ✅ FIXED: Changed 'fullName' to 'fullname' in SELECT query
+    const { data: profilesData } = await supabase
+      .from('profiles')
+      .select('id, username, fullname')
+      .in('id', userIds);
+
+    const profilesMap = new Map();
+    profilesData?.forEach(profile => {
+      profilesMap.set(profile.id, profile);
+    });
+
+    const savedMap = new Map();
+    savedData.forEach(item => {
+      savedMap.set(item.module_id, item);
+    });
+
+    const modules = (await toClientModules(modulesData, req.user.id))
+      .filter(module => module)
+      .map(module => {
+        const profile = profilesMap.get(module.user_id);
+
+        let uploaderName = 'Unknown User';
+        if (module.uploaded_by) {
+          uploaderName = module.uploaded_by;
+        } else if (profile?.fullname) { // ✅ FIXED: Changed fullName to fullname
+          uploaderName = profile.fullname;
+        } else if (profile?.username) {
+          uploaderName = profile.username;
+        }
+
+        return {
+          ...module,
+          uploadedAt: module.created_at,
+          uploadedBy: uploaderName,
+          savedAt: savedMap.get(module.id).saved_at,
+          folder_id: savedMap.get(module.id).folder_id || null
+        };
+      });
+
+    res.status(200).json({ modules });
+  } catch (error) {
+    console.error('[getSavedModules] ❌', error.message);
+    next(createHttpError(500, 'Failed to get saved modules'));
+  }
+});
+
+export default router;
@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+
+const CLASS_ROLES = ['owner', 'instructor', 'student'];
+// Roles an invite or a role change can hand out; there is one owner per class
+const ASSIGNABLE_ROLES = ['instructor', 'student'];
+
+// No 0/O or 1/I/L so codes read out in class are typed correctly
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 8;
+
+/**
+ * Random code students type to join a class
+ * @returns {string}
+ */
+function createJoinCode() {
+  return Array.from({ length: JOIN_CODE_LENGTH }, () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]).join('');
+}
+
+/**
+ * Join codes are matched case-insensitively and without spaces or dashes
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeJoinCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Whether a member can rename or delete the class and change roles
+ * @param {string} role
+ */
+function canManageClass(role) {
+  return role === 'owner';
+}
+
+/**
+ * Whether a member can invite people and share the join code. Instructors can
+ * only invite students.
+ * @param {string} role
+ * @param {string} [inviteRole] - Role the invite would give
+ */
+function canInviteToClass(role, inviteRole = 'student') {
+  if (role === 'owner') return ASSIGNABLE_ROLES.includes(inviteRole);
+  return role === 'instructor' && inviteRole === 'student';
+}
+
+/**
+ * Whether a member can post modules to the class library
+ * @param {string} role
+ * @param {{ students_can_post: boolean }} classRow
+ */
+function canPostToClass(role, classRow) {
+  return role === 'owner' || role === 'instructor' || (role === 'student' && !!classRow.students_can_post);
+}
+
+/**
+ * Whether a member can take a module out of the class library: owners and
+ * instructors can remove anything, students only what they posted
+ * @param {string} role
+ * @param {{ user_id: string }} module
+ * @param {string} userId
+ */
+function canRemoveClassModule(role, module, userId) {
+  return role === 'owner' || role === 'instructor' || (!!role && module.user_id === userId);
+}
+
+/**
+ * Whether a member can pin modules to the top of the class library
+ * @param {string} role
+ */
+function canPinClassModule(role) {
+  return role === 'owner' || role === 'instructor';
+}
+
+/**
+ * Whether a member can remove another member. Owners can remove anyone but
+ * themselves, instructors can remove students, and anyone can leave.
+ * @param {string} role - Role of the member doing the removing
+ * @param {string} targetRole - Role of the member being removed
+ * @param {boolean} isSelf
+ */
+function canRemoveClassMember(role, targetRole, isSelf) {
+  if (targetRole === 'owner') return false;
+  if (isSelf) return true;
+  return role === 'owner' || (role === 'instructor' && targetRole === 'student');
+}
+
+export {
+  CLASS_ROLES,
+  ASSIGNABLE_ROLES,
+  createJoinCode,
+  normalizeJoinCode,
+  canManageClass,
+  canInviteToClass,
+  canPostToClass,
+  canRemoveClassModule,
+  canPinClassModule,
+  canRemoveClassMember
+};
@@ -0,0 +1,35 @@
+// Mentions are written into comment markdown as @[Name](mention:<user id>) so
+// they survive renames and don't depend on unique usernames.
+const MENTION_PATTERN = /@\[([^\]\n]{1,100})\]\(mention:([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\)/gi;
+const MAX_MENTIONS = 10;
+
+/**
+ * Ids of the users mentioned in a comment, without duplicates
+ * @param {string} body - Comment markdown
+ * @returns {string[]}
+ */
+function extractMentionIds(body) {
+  const ids = new Set();
+  for (const [, , userId] of body.matchAll(MENTION_PATTERN)) {
+    ids.add(userId.toLowerCase());
+    if (ids.size === MAX_MENTIONS) break;
+  }
+  return [...ids];
+}
+
+/**
+ * Comment text for notifications: mentions become @Name and long comments are cut
+ * @param {string} body - Comment markdown
+ * @param {number} [maxLength]
+ * @returns {string}
+ */
+function toCommentPreview(body, maxLength = 200) {
+  const text = body.replace(MENTION_PATTERN, '@$1').replace(/\s+/g, ' ').trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+export {
+  MAX_MENTIONS,
+  extractMentionIds,
+  toCommentPreview
+};
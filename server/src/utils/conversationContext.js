@@ -0,0 +1,155 @@
+import config from '../config/config.js';
+import {
+  getConversationTurns,
+  getConversationSummary,
+  saveConversationSummary
+} from '../model/conversationModel.js';
+
+const SUMMARY_TOKEN_BUDGET = 300;
+const CHARS_PER_TOKEN = 4;
+// Role markers and separators the chat format adds around each message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Where conversations are read from and summaries kept; replaceable in tests
+const conversationStore = { getConversationTurns, getConversationSummary, saveConversationSummary };
+
+const SYSTEM_PROMPT = `You are EduRetrieve's study assistant. Help students understand their learning modules and answer their questions clearly and accurately. Use the earlier messages of the conversation to resolve follow-up questions.`;
+
+/**
+ * Rough token count for budgeting: about four characters per token for English text
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+function estimateTurnTokens(turn) {
+  return estimateTokens(turn.prompt) + estimateTokens(turn.response) + 2 * MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Finds how far back the newest turns fit in a token budget
+ * @param {Array<{ prompt: string, response: string }>} turns - Oldest first
+ * @param {number} budget - Tokens available for history
+ * @param {number} startIndex - Turns before this index are never kept
+ * @returns {number} Index of the oldest turn that still fits (turns.length if none do)
+ */
+function selectRecentTurns(turns, budget, startIndex = 0) {
+  let used = 0;
+  let first = turns.length;
+
+  for (let i = turns.length - 1; i >= startIndex; i--) {
+    const cost = estimateTurnTokens(turns[i]);
+    if (used + cost > budget) break;
+    used += cost;
+    first = i;
+  }
+
+  return first;
+}
+
+/**
+ * Loads the history of a conversation and fits it into a token budget. The
+ * newest turns are kept verbatim; turns that no longer fit are folded into a
+ * rolling summary, which is stored so each turn only has to be summarised once.
+ * @param {string} userId - Owner of the conversation
+ * @param {string} conversationId - Conversation to load
+ * @param {Object} options - { budget, summarize(previousSummary, turns) => Promise<string>, store }
+ * @returns {Promise<{ summary: string|null, turns: Array<{ prompt: string, response: string }> }>}
+ */
+async function assembleConversationContext(userId, conversationId, {
+  budget = config.chat.historyTokenBudget,
+  summarize,
+  store = conversationStore
+} = {}) {
+  const turns = await store.getConversationTurns(userId, conversationId);
+  if (turns.length === 0) return { summary: null, turns: [] };
+
+  let stored = null;
+  try {
+    stored = await store.getConversationSummary(userId, conversationId);
+  } catch (error) {
+    console.warn('[conversationContext] Could not load conversation summary:', error.message);
+  }
+
+  // A summary covering more turns than exist is stale (turns were deleted)
+  const hasValidSummary = stored && stored.summarizedTurns <= turns.length;
+  let summary = hasValidSummary ? stored.summary : null;
+  let covered = hasValidSummary ? stored.summarizedTurns : 0;
+
+  let first = selectRecentTurns(turns, budget, covered);
+  if (summary || first > covered) {
+    // Leave room for the summary itself
+    first = selectRecentTurns(turns, Math.max(0, budget - SUMMARY_TOKEN_BUDGET), covered);
+  }
+
+  if (first > covered && summarize) {
+    try {
+      summary = await summarize(summary, turns.slice(covered, first));
+      covered = first;
+
+      try {
+        await store.saveConversationSummary(userId, conversationId, summary, covered);
+      } catch (error) {
+        console.warn('[conversationContext] Could not store conversation summary:', error.message);
+      }
+    } catch (error) {
+      // Without a fresh summary the older turns are simply left out
+      console.warn('[conversationContext] Summarisation failed:', error.message);
+    }
+  }
+
+  return { summary, turns: turns.slice(Math.max(first, covered)) };
+}
+
+/**
+ * Builds the system/user/assistant messages sent to the model
+ * @param {Object} context - { summary, turns, prompt, systemPrompt }
+ * @returns {Array<{ role: string, content: string }>}
+ */
+function buildChatMessages({ summary = null, turns = [], prompt, systemPrompt = SYSTEM_PROMPT }) {
+  const system = summary
+    ? `${systemPrompt}\n\nSummary of the earlier conversation:\n${summary}`
+    : systemPrompt;
+
+  return [
+    { role: 'system', content: system },
+    ...turns.flatMap(turn => [
+      { role: 'user', content: turn.prompt },
+      { role: 'assistant', content: turn.response }
+    ]),
+    { role: 'user', content: prompt }
+  ];
+}
+
+/**
+ * Builds the messages asking the model to fold older turns into the running summary
+ * @param {string|null} previousSummary - Summary of the turns before `turns`
+ * @param {Array<{ prompt: string, response: string }>} turns - Turns to add to it
+ * @returns {Array<{ role: string, content: string }>}
+ */
+function buildSummaryMessages(previousSummary, turns) {
+  const transcript = turns
+    .map(turn => `User: ${turn.prompt}\nAssistant: ${turn.response}`)
+    .join('\n\n');
+
+  const earlier = previousSummary ? `Summary so far:\n${previousSummary}\n\n` : '';
+
+  return [
+    {
+      role: 'system',
+      content: `You summarise tutoring conversations so they can be continued later. Write a concise summary (at most ${Math.floor(SUMMARY_TOKEN_BUDGET * 0.75)} words) of the topics discussed, the facts and answers given, and any open questions or preferences the student stated. Reply with the summary only.`
+    },
+    { role: 'user', content: `${earlier}New messages:\n${transcript}` }
+  ];
+}
+
+export {
+  SUMMARY_TOKEN_BUDGET,
+  estimateTokens,
+  selectRecentTurns,
+  assembleConversationContext,
+  buildChatMessages,
+  buildSummaryMessages
+};
@@ -0,0 +1,290 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import nodemailer from 'nodemailer';
+import config from '../config/config.js';
+
+const TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../templates/email');
+
+// Subjects use the same {{placeholders}} as the template files
+const EMAIL_TEMPLATES = {
+  'signup-code': {
+    subject: 'Complete Your EduRetrieve Registration',
+    required: ['name', 'email', 'code', 'expiresInMinutes']
+  },
+  notification: {
+    subject: '{{title}}',
+    required: ['name', 'title']
+  },
+  digest: {
+    subject: 'Your EduRetrieve digest',
+    required: ['name', 'period', 'items']
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Fills a template. `{{name}}` inserts a value (HTML-escaped when `escape` is
+ * set), `{{{name}}}` inserts it as is, `{{#name}}...{{/name}}` repeats for each
+ * item of a list or shows once when the value is truthy, and
+ * `{{^name}}...{{/name}}` shows when it is falsy or empty.
+ * @param {string} template
+ * @param {Object} data
+ * @param {{ escape?: boolean }} [options]
+ */
+function renderTemplate(template, data, { escape = false } = {}) {
+  // Lines holding only a section tag leave no blank line behind
+  const source = template.replace(/^[ \t]*({{[#^/]\w+}})[ \t]*\r?\n/gm, '$1');
+
+  // One pass, so inserted values are never read as tags themselves
+  const render = (text, context) => text.replace(
+    /{{([#^])(\w+)}}([\s\S]*?){{\/\2}}|{{{(\w+)}}}|{{(\w+)}}/g,
+    (match, kind, key, inner, rawKey, valueKey) => {
+      if (rawKey) return String(context[rawKey] ?? '');
+      if (valueKey) {
+        const value = String(context[valueKey] ?? '');
+        return escape ? escapeHtml(value) : value;
+      }
+
+      const value = context[key];
+      const empty = !value || (Array.isArray(value) && value.length === 0);
+      if (kind === '^') return empty ? render(inner, context) : '';
+      if (empty) return '';
+      const items = Array.isArray(value) ? value : [value];
+      return items
+        .map(item => render(inner, item && typeof item === 'object' ? { ...context, ...item } : context))
+        .join('');
+    }
+  );
+
+  return render(source, data);
+}
+
+const templateCache = new Map();
+
+function readTemplateFile(fileName) {
+  if (!templateCache.has(fileName)) {
+    templateCache.set(fileName, fs.readFileSync(path.join(TEMPLATE_DIR, fileName), 'utf8'));
+  }
+  return templateCache.get(fileName);
+}
+
+/**
+ * Builds the subject, HTML and plain-text bodies for a named template.
+ * Throws when the template is unknown or data it needs is missing.
+ * @param {string} name - A key of EMAIL_TEMPLATES
+ * @param {Object} data
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+function renderEmail(name, data = {}) {
+  const definition = EMAIL_TEMPLATES[name];
+  if (!definition) {
+    throw new Error(`Unknown email template "${name}". Expected one of: ${Object.keys(EMAIL_TEMPLATES).join(', ')}`);
+  }
+
+  const missing = definition.required.filter(key => data[key] === undefined || data[key] === null);
+  if (missing.length > 0) {
+    throw new Error(`Email template "${name}" is missing: ${missing.join(', ')}`);
+  }
+
+  const html = renderTemplate(readTemplateFile(`${name}.html`), data, { escape: true });
+  const text = renderTemplate(readTemplateFile(`${name}.txt`), data);
+
+  return {
+    subject: renderTemplate(definition.subject, data),
+    html: renderTemplate(readTemplateFile('layout.html'), { content: html }),
+    text: renderTemplate(readTemplateFile('layout.txt'), { content: text.trim() })
+  };
+}
+
+/**
+ * Transport over SMTP. Uses SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS, or Gmail
+ * with GMAIL_USER and GMAIL_APP_PASSWORD when no host is set.
+ */
+function createSmtpTransport({
+  host = config.email.smtpHost,
+  port = config.email.smtpPort,
+  user = config.email.smtpUser,
+  pass = config.email.smtpPass
+} = {}) {
+  if (!user || !pass) {
+    throw new Error('SMTP email needs SMTP_USER and SMTP_PASS (or GMAIL_USER and GMAIL_APP_PASSWORD)');
+  }
+
+  const transporter = nodemailer.createTransport(host
+    ? { host, port, secure: port === 465, auth: { user, pass } }
+    : { service: 'gmail', auth: { user, pass } });
+
+  return {
+    name: 'smtp',
+    defaultFrom: `"EduRetrieve" <${user}>`,
+    async send(message) {
+      try {
+        const info = await transporter.sendMail(message);
+        return { id: info.messageId };
+      } catch (error) {
+        // 5xx replies mean the server refused the message; retrying won't help
+        error.retryable = !(error.responseCode >= 500);
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Transport over the Resend API, using RESEND_API_KEY
+ */
+function createResendTransport({ apiKey = config.email.resendApiKey } = {}) {
+  if (!apiKey) {
+    throw new Error('Resend email needs RESEND_API_KEY');
+  }
+
+  let client = null;
+
+  return {
+    name: 'resend',
+    defaultFrom: 'EduRetrieve <onboarding@resend.dev>',
+    async send(message) {
+      if (!client) {
+        const { Resend } = await import('resend');
+        client = new Resend(apiKey);
+      }
+
+      const { data, error } = await client.emails.send(message);
+      if (error) {
+        const sendError = new Error(error.message);
+        sendError.retryable = error.statusCode === 429 || !error.statusCode || error.statusCode >= 500;
+        throw sendError;
+      }
+      return { id: data.id };
+    }
+  };
+}
+
+/**
+ * Transport that sends nothing. Messages are kept in `messages` and, when
+ * `dir` (EMAIL_CAPTURE_DIR) is set, written there as .json and .html files to
+ * open in a browser.
+ */
+function createCaptureTransport({ dir = config.email.captureDir } = {}) {
+  const messages = [];
+
+  return {
+    name: 'capture',
+    defaultFrom: 'EduRetrieve <no-reply@localhost>',
+    messages,
+    async send(message) {
+      const id = `${Date.now()}-${messages.length + 1}`;
+      messages.push({ id, ...message });
+
+      if (dir) {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify(message, null, 2));
+        await fs.promises.writeFile(path.join(dir, `${id}.html`), message.html || '');
+      }
+      return { id };
+    }
+  };
+}
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  resend: createResendTransport,
+  capture: createCaptureTransport
+};
+
+let cachedTransport = null;
+
+/**
+ * Returns the transport selected by EMAIL_TRANSPORT ("smtp", "resend" or
+ * "capture"). Defaults to resend when RESEND_API_KEY is set, then smtp when
+ * SMTP or Gmail credentials are set, otherwise capture.
+ */
+function getEmailTransport() {
+  if (cachedTransport) return cachedTransport;
+
+  const { email } = config;
+  const name = email.transport
+    || (email.resendApiKey ? 'resend' : email.smtpUser && email.smtpPass ? 'smtp' : 'capture');
+  const factory = transportFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Expected one of: ${Object.keys(transportFactories).join(', ')}`);
+  }
+
+  cachedTransport = factory();
+
+  if (name === 'capture' && !email.transport) {
+    console.warn('[email] ⚠️ No RESEND_API_KEY or SMTP credentials set - emails are captured, not sent');
+  }
+  console.log(`[email] Using ${cachedTransport.name} transport`);
+  return cachedTransport;
+}
+
+/**
+ * Overrides the transport returned by getEmailTransport (pass null to reset)
+ */
+function setEmailTransport(transport) {
+  cachedTransport = transport;
+}
+
+// j***@example.com, so logs show who was emailed without the full address
+const maskAddress = (address) => String(address).replace(/^(.)[^@]*/, '$1***');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Renders a named template and sends it, retrying transient failures with
+ * backoff (EMAIL_MAX_ATTEMPTS, EMAIL_RETRY_BASE_DELAY_MS). Every attempt's
+ * outcome is logged. Never throws for delivery problems.
+ * @param {string} template - A key of EMAIL_TEMPLATES
+ * @param {{ to: string, data: Object, from?: string }} options
+ * @returns {Promise<{ ok: boolean, id?: string, attempts: number, error?: string }>}
+ */
+async function sendTemplateEmail(template, { to, data, from }) {
+  const { subject, html, text } = renderEmail(template, data);
+  const { maxAttempts, retryBaseDelayMs } = config.email;
+  const label = `${template} to ${maskAddress(to)}`;
+
+  let transport;
+  try {
+    transport = getEmailTransport();
+  } catch (error) {
+    console.error(`[email] ❌ ${label} not sent:`, error.message);
+    return { ok: false, attempts: 0, error: error.message };
+  }
+
+  const message = { from: from || config.email.from || transport.defaultFrom, to, subject, html, text };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const { id } = await transport.send(message);
+      console.log(`[email] ✅ ${label} sent via ${transport.name} (id ${id}, attempt ${attempt})`);
+      return { ok: true, id, attempts: attempt };
+    } catch (error) {
+      const retry = error.retryable !== false && attempt < maxAttempts;
+      console.warn(`[email] ${retry ? '⚠️' : '❌'} ${label} failed via ${transport.name} (attempt ${attempt}/${maxAttempts}):`, error.message);
+      if (!retry) {
+        return { ok: false, attempts: attempt, error: error.message };
+      }
+      await sleep(retryBaseDelayMs * 2 ** (attempt - 1));
+    }
+  }
+}
+
+export {
+  EMAIL_TEMPLATES,
+  renderTemplate,
+  renderEmail,
+  createSmtpTransport,
+  createResendTransport,
+  createCaptureTransport,
+  getEmailTransport,
+  setEmailTransport,
+  sendTemplateEmail
+};
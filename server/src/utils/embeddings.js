@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import config from '../config/config.js';
+
+const LOCAL_DIMENSIONS = 256;
+const GEMINI_BATCH_SIZE = 100;
+
+/**
+ * Deterministic, offline embedding provider based on feature hashing.
+ * Each word (and each pair of adjacent words) is hashed into a fixed-size
+ * vector, so texts that share vocabulary end up close together. Quality is far
+ * below a real model, but it needs no network and always returns the same
+ * vector for the same text, which makes it suitable for tests and development.
+ * @returns {{ name: string, model: string, dimensions: number, minScore: number, embed: Function }}
+ */
+function createLocalEmbeddingProvider({ dimensions = LOCAL_DIMENSIONS } = {}) {
+  const embedOne = (text) => {
+    const vector = new Array(dimensions).fill(0);
+    const words = (text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 1);
+
+    const features = [...words];
+    for (let i = 0; i < words.length - 1; i++) {
+      features.push(`${words[i]} ${words[i + 1]}`);
+    }
+
+    features.forEach(feature => {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const index = hash.readUInt32LE(0) % dimensions;
+      const sign = hash[4] & 1 ? 1 : -1;
+      vector[index] += sign;
+    });
+
+    // Sublinear term frequency, then L2-normalize
+    const scaled = vector.map(value => Math.sign(value) * Math.log(1 + Math.abs(value)));
+    const norm = Math.sqrt(scaled.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return scaled.map(value => Number((value / norm).toFixed(6)));
+  };
+
+  return {
+    name: 'local',
+    model: `local-hash-${dimensions}`,
+    dimensions,
+    minScore: 0.1,
+    embed: async (texts) => texts.map(embedOne)
+  };
+}
+
+/**
+ * Embedding provider backed by the Gemini embedding API
+ * @returns {{ name: string, model: string, minScore: number, embed: Function }}
+ */
+function createGeminiEmbeddingProvider({
+  apiKey = config.llm.geminiApiKey,
+  model = config.embeddings.geminiModel
+} = {}) {
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY is required for the gemini embedding provider');
+  }
+
+  const embeddingModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+
+  return {
+    name: 'gemini',
+    model,
+    minScore: 0.45,
+    embed: async (texts) => {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += GEMINI_BATCH_SIZE) {
+        const batch = texts.slice(i, i + GEMINI_BATCH_SIZE);
+        const result = await embeddingModel.batchEmbedContents({
+          requests: batch.map(text => ({
+            content: { role: 'user', parts: [{ text }] }
+          }))
+        });
+        vectors.push(...result.embeddings.map(embedding => embedding.values));
+      }
+      return vectors;
+    }
+  };
+}
+
+const providerFactories = {
+  local: createLocalEmbeddingProvider,
+  gemini: createGeminiEmbeddingProvider
+};
+
+let cachedProvider = null;
+
+/**
+ * Returns the embedding provider selected by EMBEDDING_PROVIDER ("gemini" or
+ * "local"). Defaults to gemini when GEMINI_API_KEY is set, otherwise local.
+ */
+function getEmbeddingProvider() {
+  if (cachedProvider) return cachedProvider;
+
+  const name = config.embeddings.provider || (config.llm.geminiApiKey ? 'gemini' : 'local');
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+
+  cachedProvider = factory();
+  console.log(`[embeddings] Using ${cachedProvider.name} provider (${cachedProvider.model})`);
+  return cachedProvider;
+}
+
+/**
+ * Overrides the provider returned by getEmbeddingProvider (pass null to reset)
+ */
+function setEmbeddingProvider(provider) {
+  cachedProvider = provider;
+}
+
+/**
+ * Cosine similarity of two equal-length vectors
+ * @returns {number} Similarity in [-1, 1], 0 for mismatched or empty vectors
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+export {
+  createLocalEmbeddingProvider,
+  createGeminiEmbeddingProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  cosineSimilarity
+};
@@ -0,0 +1,80 @@
+import { sampleModuleText, extractJson } from './quizGenerator.js';
+
+const CARD_KINDS = ['term', 'qa'];
+const MAX_SIDE_LENGTH = 1000;
+
+/**
+ * Builds the messages asking the model for flashcards as JSON
+ * @param {Object} options - { title, content, count, kinds }
+ * @returns {Array<{ role: string, content: string }>}
+ */
+function buildFlashcardMessages({ title, content, count, kinds = CARD_KINDS }) {
+  const kindList = [
+    kinds.includes('term') && '- "term": "front" is a key term or concept, "back" is its definition in one or two sentences',
+    kinds.includes('qa') && '- "qa": "front" is a question, "back" is a short answer'
+  ].filter(Boolean).join('\n');
+
+  return [
+    {
+      role: 'system',
+      content: `You write study flashcards for students from their learning materials. Cover the most important ideas, use only facts stated in the material and keep each side short. Reply with JSON only, no markdown, in this shape:
+{"cards": [{"kind": "...", "front": "...", "back": "..."}]}
+
+Card kinds:
+${kindList}`
+    },
+    {
+      role: 'user',
+      content: `Write ${count} flashcards.
+
+Module: ${title || 'Untitled module'}
+
+Material:
+${sampleModuleText(content)}`
+    }
+  ];
+}
+
+/**
+ * Parses and validates the model's flashcard reply. Malformed and duplicate cards are dropped.
+ * @param {string} text - Model output
+ * @param {Object} options - { count, kinds }
+ * @returns {Array<{ kind: string, front: string, back: string }>}
+ * @throws {Error} When the reply holds no usable cards
+ */
+function parseFlashcardResponse(text, { count, kinds = CARD_KINDS } = {}) {
+  const parsed = extractJson(text || '');
+  const rawCards = Array.isArray(parsed) ? parsed : parsed?.cards;
+
+  if (!Array.isArray(rawCards)) {
+    throw new Error('The flashcard response was not valid JSON.');
+  }
+
+  const seen = new Set();
+  const cards = rawCards
+    .map(raw => ({
+      kind: String(raw?.kind || '').toLowerCase(),
+      front: typeof raw?.front === 'string' ? raw.front.trim().slice(0, MAX_SIDE_LENGTH) : '',
+      back: typeof raw?.back === 'string' ? raw.back.trim().slice(0, MAX_SIDE_LENGTH) : ''
+    }))
+    .filter(card => {
+      const key = card.front.toLowerCase();
+      if (!kinds.includes(card.kind) || !card.front || !card.back || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, count || rawCards.length);
+
+  if (cards.length === 0) {
+    throw new Error('The flashcard response contained no valid cards.');
+  }
+
+  return cards;
+}
+
+export {
+  CARD_KINDS,
+  MAX_SIDE_LENGTH,
+  buildFlashcardMessages,
+  parseFlashcardResponse
+};
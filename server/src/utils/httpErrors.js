@@ -0,0 +1,44 @@
+// Error codes clients can rely on, by HTTP status. Responses may use a more
+// specific code, like validation_failed.
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  410: 'gone',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'bad_gateway',
+  503: 'service_unavailable'
+};
+
+/**
+ * Code for a status, falling back to the generic one of its class
+ * @param {number} status
+ * @returns {string}
+ */
+function errorCodeForStatus(status) {
+  return ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+}
+
+/**
+ * Error that the error handler answers with the given status. Throw it, or
+ * pass it to next(), from any route.
+ * @param {number} status
+ * @param {string} message - Shown to the user
+ * @param {{ code?: string, details?: any }} [options]
+ * @returns {Error}
+ */
+function createHttpError(status, message, { code, details } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code || errorCodeForStatus(status);
+  error.details = details;
+  error.expose = true;
+  return error;
+}
+
+export { ERROR_CODES, errorCodeForStatus, createHttpError };
@@ -0,0 +1,327 @@
+import Groq from 'groq-sdk';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import config from '../config/config.js';
+
+const DEFAULT_MODELS = {
+  groq: 'llama-3.1-8b-instant',
+  gemini: 'gemini-1.5-flash',
+  mock: 'mock-echo'
+};
+
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+const MAX_RETRY_DELAY = 10000;
+
+/**
+ * Generation settings shared by all providers, from the config.
+ * Each can be overridden per call (e.g. a lower temperature for summaries).
+ * @returns {{ temperature: number|undefined, maxTokens: number|undefined, timeoutMs: number, maxRetries: number, retryBaseDelayMs: number }}
+ */
+function getLLMSettings() {
+  return {
+    temperature: config.llm.temperature,
+    maxTokens: config.llm.maxTokens,
+    timeoutMs: config.llm.timeoutMs,
+    maxRetries: config.llm.maxRetries,
+    retryBaseDelayMs: config.llm.retryBaseDelayMs
+  };
+}
+
+/**
+ * Errors worth another attempt: rate limits, server errors, timeouts and
+ * dropped connections. Cancellation by the caller never is.
+ */
+function isRetryableError(error) {
+  if (error.timedOut) return true;
+  if (error.name === 'AbortError' || error.name === 'APIUserAbortError') return false;
+  if (error.status) return RETRYABLE_STATUSES.includes(error.status);
+  return /network|fetch failed|ECONNRESET|ETIMEDOUT|socket hang up/i.test(error.message || '');
+}
+
+/**
+ * Signal for one attempt: aborts when the caller aborts or when `timeoutMs`
+ * passes without `touch()` being called (streams touch on every token, so the
+ * timeout measures silence rather than total length).
+ */
+function createAttemptSignal(callerSignal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+
+  const touch = () => {
+    clearTimeout(timer);
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    }
+  };
+  const onCallerAbort = () => controller.abort();
+
+  if (callerSignal?.aborted) controller.abort();
+  callerSignal?.addEventListener('abort', onCallerAbort);
+  touch();
+
+  return {
+    signal: controller.signal,
+    touch,
+    timedOut: () => timedOut,
+    clear: () => {
+      clearTimeout(timer);
+      callerSignal?.removeEventListener('abort', onCallerAbort);
+    }
+  };
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+  }, { once: true });
+});
+
+/**
+ * Wraps a provider's raw complete/stream calls with timeouts and retries with
+ * exponential backoff. A stream is only retried if nothing was emitted yet, so
+ * callers never see duplicated tokens.
+ * @param {{ name: string, model: string, complete: Function, stream: Function }} raw
+ * @returns {{ name: string, model: string, complete: Function, stream: Function }}
+ */
+function withPolicy(raw, settings) {
+  const run = async (attemptFn, { signal, onToken } = {}) => {
+    let emitted = false;
+
+    for (let attempt = 0; ; attempt++) {
+      const attemptSignal = createAttemptSignal(signal, settings.timeoutMs);
+      const tokenHandler = onToken && ((token) => {
+        emitted = true;
+        attemptSignal.touch();
+        onToken(token);
+      });
+
+      try {
+        return await attemptFn(attemptSignal.signal, tokenHandler);
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        if (attemptSignal.timedOut()) {
+          error = Object.assign(new Error(`${raw.name} request timed out after ${settings.timeoutMs}ms`), { timedOut: true });
+        }
+
+        if (attempt >= settings.maxRetries || emitted || !isRetryableError(error)) throw error;
+
+        const delay = Math.min(MAX_RETRY_DELAY, settings.retryBaseDelayMs * 2 ** attempt);
+        console.warn(`[llm] ${raw.name} ${error.status || error.message} - retrying in ${delay}ms (${attempt + 1}/${settings.maxRetries})`);
+        await sleep(delay, signal);
+      } finally {
+        attemptSignal.clear();
+      }
+    }
+  };
+
+  const withDefaults = (options) => ({
+    temperature: options.temperature ?? settings.temperature,
+    maxTokens: options.maxTokens ?? settings.maxTokens
+  });
+
+  return {
+    name: raw.name,
+    model: raw.model,
+    /**
+     * @param {Array<{ role: 'system'|'user'|'assistant', content: string }>} messages
+     * @param {Object} options - { temperature, maxTokens, signal }
+     * @returns {Promise<string>} The generated text
+     */
+    complete: (messages, options = {}) =>
+      run((signal) => raw.complete(messages, { ...withDefaults(options), signal }), options),
+    /**
+     * Same as complete, calling `onToken` with each piece of text as it arrives
+     * @param {Object} options - { temperature, maxTokens, signal, onToken }
+     * @returns {Promise<string>} The full generated text
+     */
+    stream: (messages, options = {}) =>
+      run((signal, onToken) => raw.stream(messages, { ...withDefaults(options), signal, onToken }), {
+        signal: options.signal,
+        onToken: options.onToken || (() => {})
+      })
+  };
+}
+
+/**
+ * Provider backed by Groq's OpenAI-compatible chat API
+ */
+function createGroqProvider({ apiKey = config.llm.groqApiKey, model = DEFAULT_MODELS.groq } = {}) {
+  if (!apiKey) {
+    throw new Error('GROQ_API_KEY is required for the groq LLM provider');
+  }
+
+  // Retries and timeouts are handled by withPolicy
+  const groq = new Groq({ apiKey, maxRetries: 0 });
+
+  const params = (messages, { temperature, maxTokens }) => ({
+    messages,
+    model,
+    ...(temperature !== undefined && { temperature }),
+    ...(maxTokens !== undefined && { max_tokens: maxTokens })
+  });
+
+  return {
+    name: 'groq',
+    model,
+    complete: async (messages, options) => {
+      const completion = await groq.chat.completions.create(params(messages, options), { signal: options.signal });
+      return completion.choices[0]?.message?.content || '';
+    },
+    stream: async (messages, options) => {
+      const stream = await groq.chat.completions.create(
+        { ...params(messages, options), stream: true },
+        { signal: options.signal }
+      );
+
+      let text = '';
+      for await (const chunk of stream) {
+        const token = chunk.choices[0]?.delta?.content;
+        if (token) {
+          text += token;
+          options.onToken(token);
+        }
+      }
+      return text;
+    }
+  };
+}
+
+/**
+ * Provider backed by the Gemini API. System messages become the system
+ * instruction and assistant turns are sent with Gemini's "model" role.
+ */
+function createGeminiProvider({ apiKey = config.llm.geminiApiKey, model = DEFAULT_MODELS.gemini } = {}) {
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY is required for the gemini LLM provider');
+  }
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  const prepare = (messages, { temperature, maxTokens }) => {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const generativeModel = genAI.getGenerativeModel({
+      model,
+      ...(system && { systemInstruction: system }),
+      generationConfig: {
+        ...(temperature !== undefined && { temperature }),
+        ...(maxTokens !== undefined && { maxOutputTokens: maxTokens })
+      }
+    });
+    const contents = messages
+      .filter(m => m.role !== 'system')
+      .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+
+    return { generativeModel, contents };
+  };
+
+  return {
+    name: 'gemini',
+    model,
+    complete: async (messages, options) => {
+      const { generativeModel, contents } = prepare(messages, options);
+      const result = await generativeModel.generateContent({ contents }, { signal: options.signal });
+      return result.response.text();
+    },
+    stream: async (messages, options) => {
+      const { generativeModel, contents } = prepare(messages, options);
+      const result = await generativeModel.generateContentStream({ contents }, { signal: options.signal });
+
+      let text = '';
+      for await (const chunk of result.stream) {
+        const token = chunk.text();
+        if (token) {
+          text += token;
+          options.onToken(token);
+        }
+      }
+      return text;
+    }
+  };
+}
+
+/**
+ * Offline provider that answers deterministically from the last user message,
+ * so the chat and file-processing routes can run without network or API keys.
+ * Cites [1] when the prompt carries numbered module context, like a real model would.
+ */
+function createMockProvider({ model = DEFAULT_MODELS.mock } = {}) {
+  const respond = (messages) => {
+    const lastUser = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const preview = lastUser.replace(/\s+/g, ' ').trim().slice(0, 120);
+    const turns = messages.filter(m => m.role === 'user').length;
+    const citation = /^\[1\] /m.test(lastUser) ? ' [1]' : '';
+    return `Mock response (turn ${turns}) to: "${preview}"${citation}`;
+  };
+
+  return {
+    name: 'mock',
+    model,
+    complete: async (messages) => respond(messages),
+    stream: async (messages, options) => {
+      const text = respond(messages);
+      for (const token of text.match(/\S+\s*/g) || []) {
+        if (options.signal?.aborted) {
+          throw Object.assign(new Error('Aborted'), { name: 'AbortError' });
+        }
+        options.onToken(token);
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      return text;
+    }
+  };
+}
+
+const providerFactories = {
+  groq: createGroqProvider,
+  gemini: createGeminiProvider,
+  mock: createMockProvider
+};
+
+let cachedProvider = null;
+
+/**
+ * Returns the provider selected by LLM_PROVIDER ("groq", "gemini" or "mock"),
+ * using LLM_MODEL when set. Defaults to groq when GROQ_API_KEY is set, then
+ * gemini when GEMINI_API_KEY is set, otherwise mock.
+ */
+function getLLMProvider() {
+  if (cachedProvider) return cachedProvider;
+
+  const name = config.llm.provider
+    || (config.llm.groqApiKey ? 'groq' : config.llm.geminiApiKey ? 'gemini' : 'mock');
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+
+  const raw = factory({ model: config.llm.model || DEFAULT_MODELS[name] });
+  cachedProvider = withPolicy(raw, getLLMSettings());
+
+  if (name === 'mock' && !config.llm.provider) {
+    console.warn('[llm] ⚠️ No GROQ_API_KEY or GEMINI_API_KEY set - using the mock provider');
+  }
+  console.log(`[llm] Using ${cachedProvider.name} provider (${cachedProvider.model})`);
+  return cachedProvider;
+}
+
+/**
+ * Overrides the provider returned by getLLMProvider (pass null to reset).
+ * Raw providers are wrapped with the configured timeout and retry policy.
+ */
+function setLLMProvider(provider, settings = getLLMSettings()) {
+  cachedProvider = provider ? withPolicy(provider, settings) : null;
+}
+
+export {
+  createGroqProvider,
+  createGeminiProvider,
+  createMockProvider,
+  getLLMProvider,
+  setLLMProvider,
+  getLLMSettings
+};
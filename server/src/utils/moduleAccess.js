@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { supabase } from '../config/supabaseClient.js';
+import { getModuleFilePath, signModuleFileUrls } from './moduleFiles.js';
+
+// private: only the uploader. class: members of the class it is posted to.
+// unlisted: anyone with the share link. public: everyone.
+const VISIBILITY_LEVELS = ['private', 'class', 'unlisted', 'public'];
+const DEFAULT_VISIBILITY = 'private';
+
+/**
+ * Random token for a module's share link
+ * @returns {string}
+ */
+function createShareToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+function tokensMatch(given, expected) {
+  if (typeof given !== 'string' || !expected) return false;
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Drops modules hidden after being reported, except for their uploader
+ * @param {Object} query - Supabase query on the modules table
+ * @param {string} userId
+ */
+function applyNotHiddenFilter(query, userId) {
+  return query.or(`user_id.eq.${userId},hidden_at.is.null`);
+}
+
+/**
+ * Limits a modules query to the ones a user may find in listings: their own
+ * and public ones. Unlisted modules are only reached through their link.
+ * @param {Object} query - Supabase query on the modules table
+ * @param {string} userId
+ */
+function applyVisibleModulesFilter(query, userId) {
+  return applyNotHiddenFilter(query.or(`user_id.eq.${userId},visibility.eq.public`), userId);
+}
+
+/**
+ * Limits a query on modules a user saved to the ones they can still open:
+ * saving an unlisted module needed its link, so those stay; private ones don't,
+ * and class modules only while the user is in the class.
+ * @param {Object} query - Supabase query on the modules table
+ * @param {string} userId
+ * @param {string[]} [classIds] - Classes the user belongs to
+ */
+function applySavedModulesFilter(query, userId, classIds = []) {
+  const filters = [`user_id.eq.${userId}`, 'visibility.in.(public,unlisted)'];
+  if (classIds.length > 0) filters.push(`and(visibility.eq.class,class_id.in.(${classIds.join(',')}))`);
+  return applyNotHiddenFilter(query.or(filters.join(',')), userId);
+}
+
+/**
+ * Limits a query on the modules posted to a class to the ones its members may
+ * see there: class-only and public ones, and the user's own
+ * @param {Object} query - Supabase query on the modules table
+ * @param {string} userId
+ */
+function applyClassModulesFilter(query, userId) {
+  return applyNotHiddenFilter(query.or(`user_id.eq.${userId},visibility.in.(class,public)`), userId);
+}
+
+async function isClassMember(classId, userId) {
+  if (!classId) return false;
+
+  const { data, error } = await supabase
+    .from('class_members')
+    .select('user_id')
+    .eq('class_id', classId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[moduleAccess] Could not check class membership:', error.message);
+    return false;
+  }
+  return !!data;
+}
+
+/**
+ * Whether a user may open a module. Class-only modules are open to the
+ * members of the class they are posted to. An unlisted module needs its share token, or to have been saved by
+ * the user from the share link before. Hidden modules are only open to their
+ * uploader.
+ * @param {Object} module - Row from the modules table
+ * @param {string} userId
+ * @param {string} [shareToken]
+ * @returns {Promise<boolean>}
+ */
+async function canViewModule(module, userId, shareToken) {
+  if (!module) return false;
+  if (module.user_id === userId) return true;
+  if (module.hidden_at) return false;
+  if (module.visibility === 'public') return true;
+  if (module.visibility === 'class') return isClassMember(module.class_id, userId);
+  if (module.visibility !== 'unlisted') return false;
+  if (tokensMatch(shareToken, module.share_token)) return true;
+
+  const { data, error } = await supabase
+    .from('save_modules')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('module_id', module.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[moduleAccess] Could not check saved module:', error.message);
+    return false;
+  }
+  return !!data;
+}
+
+/**
+ * Prepares module rows for a response: links to stored files are swapped for
+ * signed, expiring ones and the share token is only kept for the uploader.
+ * @param {Object[]} modules - Rows from the modules table
+ * @param {string} userId - User the response is for
+ * @returns {Promise<Object[]>}
+ */
+async function toClientModules(modules, userId) {
+  const signedUrls = await signModuleFileUrls(modules.map(module => module.file_url));
+
+  return modules.map(({ share_token, ...module }) => ({
+    ...module,
+    ...(module.file_url && getModuleFilePath(module.file_url) && {
+      file_url: signedUrls.get(module.file_url) || null
+    }),
+    ...(module.user_id === userId && { share_token })
+  }));
+}
+
+/**
+ * Single-module version of toClientModules
+ * @param {Object} module
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ */
+async function toClientModule(module, userId) {
+  const [prepared] = await toClientModules([module], userId);
+  return prepared;
+}
+
+export {
+  VISIBILITY_LEVELS,
+  DEFAULT_VISIBILITY,
+  createShareToken,
+  applyNotHiddenFilter,
+  applyVisibleModulesFilter,
+  applySavedModulesFilter,
+  applyClassModulesFilter,
+  canViewModule,
+  toClientModules,
+  toClientModule
+};
@@ -0,0 +1,91 @@
+import { extractDocument, countWords } from './textExtractor.js';
+
+// MIME types extractDocument knows how to read
+const EXTRACTABLE_MIME_TYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp'
+];
+
+const MIME_TYPES_BY_EXTENSION = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  txt: 'text/plain',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+/**
+ * Guesses a MIME type from a file name, for files re-read from storage
+ * @param {string} fileName
+ * @returns {string|null}
+ */
+function getMimeTypeFromFileName(fileName) {
+  const ext = (fileName || '').split('.').pop().toLowerCase();
+  return MIME_TYPES_BY_EXTENSION[ext] || null;
+}
+
+/**
+ * Extracts text from a module's file. Never throws: problems are reported
+ * in the returned fields so they can be recorded on the module_texts row.
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - MIME type of the file
+ * @returns {Promise<{ fields: Object, document: { text: string, pages: string[]|null }|null }>}
+ *   `fields` are module_texts columns; `document` is null when nothing was extracted
+ */
+async function extractModuleText(buffer, mimeType) {
+  const failed = (status, error) => ({
+    fields: {
+      content: '',
+      pages: null,
+      page_count: null,
+      word_count: 0,
+      mime_type: mimeType,
+      status,
+      error,
+      extracted_at: new Date().toISOString()
+    },
+    document: null
+  });
+
+  if (!EXTRACTABLE_MIME_TYPES.includes(mimeType)) {
+    return failed('unsupported', `Text extraction is not supported for ${mimeType || 'this file type'}`);
+  }
+
+  try {
+    const document = await extractDocument(buffer, mimeType);
+    return {
+      fields: {
+        content: document.text,
+        pages: document.pages,
+        page_count: document.pageCount,
+        word_count: countWords(document.text),
+        mime_type: mimeType,
+        status: 'completed',
+        error: null,
+        extracted_at: new Date().toISOString()
+      },
+      document
+    };
+  } catch (error) {
+    console.warn('[moduleExtraction] Extraction failed:', error.message);
+    return failed('failed', error.message);
+  }
+}
+
+export {
+  EXTRACTABLE_MIME_TYPES,
+  getMimeTypeFromFileName,
+  extractModuleText
+};
@@ -0,0 +1,182 @@
+import { supabase } from '../config/supabaseClient.js';
+import { getMimeTypeFromFileName } from './moduleExtraction.js';
+
+const MODULE_FILES_BUCKET = 'module-files';
+const MAX_MODULE_FILE_SIZE = 10 * 1024 * 1024;
+// The bucket is private, so files are handed out as links that expire
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+// Links from the download route only need to last until the browser opens them
+const DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+
+/**
+ * Path of a module file inside the storage bucket. Modules store the path
+ * itself; older ones stored the file's public URL.
+ * @param {string} fileUrl - Stored file_url
+ * @returns {string|null} null when the file is not stored in the bucket
+ */
+function getModuleFilePath(fileUrl) {
+  if (!fileUrl) return null;
+  if (!/^https?:\/\//.test(fileUrl)) return fileUrl;
+  if (!fileUrl.includes(`/${MODULE_FILES_BUCKET}/`)) return null;
+  return fileUrl.split(`/${MODULE_FILES_BUCKET}/`)[1].split('?')[0];
+}
+
+/**
+ * Uploads a file to the user's folder in the module files bucket. The bucket
+ * is private, so modules store the returned path and links are signed on read.
+ * @param {string} userId
+ * @param {{ originalname: string, buffer: Buffer, mimetype: string }} file - multer file
+ * @returns {Promise<{ filePath: string, fileName: string }>}
+ * @throws {Error} When the upload fails
+ */
+async function uploadModuleFile(userId, file) {
+  const fileExt = file.originalname.split('.').pop();
+  const uniqueFileName = `${Date.now()}-${Math.random().toString(36).substring(2)}.${fileExt}`;
+  const filePath = `modules/${userId}/${uniqueFileName}`;
+
+  const { error } = await supabase.storage
+    .from(MODULE_FILES_BUCKET)
+    .upload(filePath, file.buffer, {
+      contentType: file.mimetype,
+      cacheControl: '3600',
+      upsert: false
+    });
+
+  if (error) {
+    throw new Error(`File upload failed: ${error.message}`);
+  }
+
+  return { filePath, fileName: file.originalname };
+}
+
+/**
+ * Downloads a stored module file so its text can be extracted again
+ * @param {string} fileUrl
+ * @param {string} fileName - Used to work out the MIME type
+ * @returns {Promise<{ buffer: Buffer, mimeType: string }|null>} null when the file is not in storage
+ */
+async function downloadModuleFile(fileUrl, fileName) {
+  const filePath = getModuleFilePath(fileUrl);
+  if (!filePath) return null;
+
+  const { data: blob, error } = await supabase.storage
+    .from(MODULE_FILES_BUCKET)
+    .download(filePath);
+
+  if (error || !blob) {
+    console.error(`[moduleFiles] Could not download ${filePath}:`, error?.message);
+    return null;
+  }
+
+  return {
+    buffer: Buffer.from(await blob.arrayBuffer()),
+    mimeType: getMimeTypeFromFileName(fileName) || blob.type
+  };
+}
+
+/**
+ * Short-lived signed links for stored module files, in one storage request
+ * @param {string[]} fileUrls - Stored file URLs
+ * @param {number} expiresIn - Seconds the links stay valid
+ * @returns {Promise<Map<string, string>>} Stored URL → signed URL. URLs that are
+ *   not in the bucket or could not be signed are left out.
+ */
+async function signModuleFileUrls(fileUrls, expiresIn = SIGNED_URL_TTL_SECONDS) {
+  const signed = new Map();
+  const pathsByUrl = new Map(
+    fileUrls.filter(Boolean).map(url => [url, getModuleFilePath(url)]).filter(([, path]) => path)
+  );
+  if (pathsByUrl.size === 0) return signed;
+
+  const { data, error } = await supabase.storage
+    .from(MODULE_FILES_BUCKET)
+    .createSignedUrls([...new Set(pathsByUrl.values())], expiresIn);
+
+  if (error) {
+    console.error('[moduleFiles] Could not sign file URLs:', error.message);
+    return signed;
+  }
+
+  const urlsByPath = new Map(data.filter(item => item.signedUrl).map(item => [item.path, item.signedUrl]));
+  pathsByUrl.forEach((path, url) => {
+    if (urlsByPath.has(path)) signed.set(url, urlsByPath.get(path));
+  });
+  return signed;
+}
+
+/**
+ * Signed link for one stored module file
+ * @param {string} fileUrl - Stored file URL
+ * @param {Object} options - { expiresIn, downloadName }. With downloadName the
+ *   browser saves the file under that name instead of opening it.
+ * @returns {Promise<string|null>} null when the file is not in storage or could not be signed
+ */
+async function createModuleFileLink(fileUrl, { expiresIn = DOWNLOAD_URL_TTL_SECONDS, downloadName } = {}) {
+  const filePath = getModuleFilePath(fileUrl);
+  if (!filePath) return null;
+
+  const { data, error } = await supabase.storage
+    .from(MODULE_FILES_BUCKET)
+    .createSignedUrl(filePath, expiresIn, downloadName ? { download: downloadName } : undefined);
+
+  if (error) {
+    console.error(`[moduleFiles] Could not sign ${filePath}:`, error.message);
+    return null;
+  }
+  return data.signedUrl;
+}
+
+/**
+ * Storage a user's module files take up, including files kept for older versions
+ * @param {string} userId
+ * @returns {Promise<{ bytes: number, fileCount: number }>}
+ */
+async function getUserStorageUsage(userId) {
+  const usage = { bytes: 0, fileCount: 0 };
+  const pageSize = 1000;
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await supabase.storage
+      .from(MODULE_FILES_BUCKET)
+      .list(`modules/${userId}`, { limit: pageSize, offset });
+
+    if (error) {
+      console.error(`[moduleFiles] Could not list files of ${userId}:`, error.message);
+      return usage;
+    }
+
+    data.forEach(file => {
+      usage.bytes += file.metadata?.size || 0;
+      usage.fileCount += 1;
+    });
+    if (data.length < pageSize) return usage;
+  }
+}
+
+/**
+ * Removes module files from storage. Failures are logged, not thrown.
+ * @param {string[]} fileUrls
+ */
+async function removeModuleFiles(fileUrls) {
+  const paths = [...new Set(fileUrls.map(getModuleFilePath).filter(Boolean))];
+  if (paths.length === 0) return;
+
+  const { error } = await supabase.storage.from(MODULE_FILES_BUCKET).remove(paths);
+  if (error) {
+    console.error('[moduleFiles] Could not remove files:', error.message);
+  }
+}
+
+export {
+  MODULE_FILES_BUCKET,
+  MAX_MODULE_FILE_SIZE,
+  SIGNED_URL_TTL_SECONDS,
+  DOWNLOAD_URL_TTL_SECONDS,
+  getModuleFilePath,
+  uploadModuleFile,
+  downloadModuleFile,
+  signModuleFileUrls,
+  createModuleFileLink,
+  getUserStorageUsage,
+  removeModuleFiles
+};
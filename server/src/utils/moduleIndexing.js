@@ -0,0 +1,181 @@
+import { getModuleById, updateModule } from '../model/moduleModel.js';
+import { upsertModuleText, getModuleText, claimModuleText, updateClaimedModuleText } from '../model/moduleTextModel.js';
+import { replaceModuleChunks } from '../model/chunkModel.js';
+import { EXTRACTABLE_MIME_TYPES, extractModuleText } from './moduleExtraction.js';
+import { embedDocumentChunks } from './moduleRetrieval.js';
+import { downloadModuleFile } from './moduleFiles.js';
+import { enqueueModuleSummary } from './moduleSummary.js';
+
+// A job pending or processing for longer than this was lost. OCR of a long
+// scan can take minutes, so this is longer than for summaries.
+const STALE_INDEXING_MS = 15 * 60 * 1000;
+
+/**
+ * The extraction fields of a module_texts row in the shape the API returns
+ * @param {Object} moduleText - Row from module_texts
+ */
+function toModuleTextStatus(moduleText) {
+  return {
+    moduleId: moduleText.module_id,
+    status: moduleText.status,
+    pageCount: moduleText.page_count ?? null,
+    wordCount: moduleText.word_count ?? 0,
+    chunkCount: moduleText.chunk_count ?? 0,
+    mimeType: moduleText.mime_type || null,
+    extractedAt: moduleText.extracted_at || null,
+    error: moduleText.error || null
+  };
+}
+
+/**
+ * Extracts a module's text, indexes its chunks for chat and stores both, then
+ * queues the summary. Runs only if it can claim the job still queued at
+ * `queuedAt`, and stores nothing once a rerun has taken the job over.
+ * @param {string} moduleId
+ * @param {string|null} queuedAt - queued_at of the row when the job was queued
+ * @param {{ buffer: Buffer, mimeType: string }} [file] - The uploaded file;
+ *   downloaded from storage when not given
+ * @returns {Promise<Object|null>} The stored row (see toModuleTextStatus), or
+ *   null when the job was taken over or the module is gone
+ */
+async function runModuleIndexing(moduleId, queuedAt, file = null) {
+  const claimedAt = await claimModuleText(moduleId, queuedAt);
+  if (!claimedAt) return null;
+
+  const module = await getModuleById(moduleId);
+  if (!module) return null;
+
+  if (!file && module.file_url) {
+    file = await downloadModuleFile(module.file_url, module.file_name);
+  }
+
+  const { fields, document } = file
+    ? await extractModuleText(file.buffer, file.mimeType)
+    : {
+      fields: {
+        content: '',
+        pages: null,
+        page_count: null,
+        word_count: 0,
+        status: 'failed',
+        error: 'The module file could not be read.',
+        extracted_at: new Date().toISOString()
+      },
+      document: null
+    };
+
+  // Indexing failures only affect chat grounding, so the extracted text is kept either way
+  let embedded = null;
+  try {
+    embedded = await embedDocumentChunks(document || { text: '' });
+  } catch (error) {
+    console.warn(`[moduleIndexing] Chunk indexing failed for module ${moduleId}:`, error.message);
+  }
+
+  const stored = await updateClaimedModuleText(moduleId, claimedAt, {
+    ...fields,
+    chunk_count: embedded?.chunks.length ?? 0
+  });
+  if (!stored) {
+    console.warn(`[moduleIndexing] Dropping results for module ${moduleId}: a newer run took the job over`);
+    return null;
+  }
+
+  if (embedded) {
+    try {
+      await replaceModuleChunks(moduleId, embedded.embeddingModel, embedded.chunks);
+    } catch (error) {
+      console.warn(`[moduleIndexing] Could not store chunks for module ${moduleId}:`, error.message);
+    }
+  }
+
+  // The summary was marked pending when this job was queued
+  if (!module.summary_edited) {
+    enqueueModuleSummary(moduleId);
+  }
+  return stored;
+}
+
+// Jobs run one at a time in this process: extraction and OCR are CPU heavy
+let queueTail = Promise.resolve();
+
+/**
+ * Queues text extraction and indexing of a module's new file in the
+ * background and returns once the job is recorded as pending. Files of a type
+ * that can't be read are recorded as unsupported right away. The summary is
+ * marked pending too, unless the owner wrote their own. Never throws.
+ * @param {Object} module - Row from the modules table
+ * @param {{ buffer: Buffer, mimeType: string }} file
+ * @returns {Promise<Object>} The extraction status (see toModuleTextStatus)
+ */
+async function enqueueModuleIndexing(module, file) {
+  try {
+    if (!EXTRACTABLE_MIME_TYPES.includes(file.mimeType)) {
+      const { fields } = await extractModuleText(file.buffer, file.mimeType);
+      return toModuleTextStatus(await upsertModuleText(module.id, { ...fields, queued_at: null }));
+    }
+
+    const queuedAt = new Date().toISOString();
+    const pending = await upsertModuleText(module.id, {
+      status: 'pending',
+      mime_type: file.mimeType,
+      error: null,
+      queued_at: queuedAt
+    });
+
+    if (!module.summary_edited) {
+      await updateModule(module.id, { summary_status: 'pending', summary_error: null, summary_queued_at: queuedAt });
+    }
+
+    queueTail = queueTail
+      .then(() => runModuleIndexing(module.id, queuedAt, file))
+      .catch(error => {
+        console.error(`[moduleIndexing] Background job failed for module ${module.id}:`, error.message);
+      });
+
+    return toModuleTextStatus(pending);
+  } catch (error) {
+    // The module itself is saved; its owner can queue extraction again
+    console.error(`[moduleIndexing] Could not queue extraction for module ${module.id}:`, error.message);
+    return toModuleTextStatus({ module_id: module.id, status: 'failed', error: 'Could not queue text extraction.' });
+  }
+}
+
+/**
+ * Whether a module's extraction job was lost: still pending or processing
+ * well after it was queued, because the process restarted or a serverless
+ * function ended before the in-process queue got to it
+ * @param {Object} moduleText - Row from module_texts
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function isIndexingStale(moduleText, now = Date.now()) {
+  if (!['pending', 'processing'].includes(moduleText.status)) return false;
+  const queuedAt = new Date(moduleText.queued_at || moduleText.updated_at || 0).getTime();
+  return now - queuedAt > STALE_INDEXING_MS;
+}
+
+/**
+ * A module's extracted text for a read. A lost job is run again within the
+ * request, downloading the file from storage, so the text doesn't stay
+ * pending when there is no queue to finish it.
+ * @param {string} moduleId
+ * @param {Object} options - { includeContent }
+ * @returns {Promise<Object|null>} Row from module_texts, null when the module has none
+ */
+async function readModuleText(moduleId, { includeContent = true } = {}) {
+  const moduleText = await getModuleText(moduleId, { includeContent });
+  if (!moduleText || !isIndexingStale(moduleText)) return moduleText;
+
+  console.warn(`[moduleIndexing] Rerunning lost extraction job for module ${moduleId}`);
+  const rerun = await runModuleIndexing(moduleId, moduleText.queued_at);
+  return rerun ? getModuleText(moduleId, { includeContent }) : moduleText;
+}
+
+export {
+  toModuleTextStatus,
+  runModuleIndexing,
+  enqueueModuleIndexing,
+  isIndexingStale,
+  readModuleText
+};
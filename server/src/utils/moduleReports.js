@@ -0,0 +1,39 @@
+import config from '../config/config.js';
+
+// Why a module can be reported. Matches the check on module_reports.reason.
+const REPORT_REASONS = ['copyright', 'inappropriate', 'spam', 'other'];
+
+const REPORT_REASON_LABELS = {
+  copyright: 'copyright infringement',
+  inappropriate: 'inappropriate content',
+  spam: 'spam',
+  other: 'another reason'
+};
+
+const MAX_REPORT_DETAILS_LENGTH = 1000;
+
+/**
+ * How many different people have to report a module before it is hidden
+ * pending review. Set with MODULE_REPORT_HIDE_THRESHOLD; 0 turns auto-hiding off.
+ * @returns {number}
+ */
+function getReportHideThreshold() {
+  return config.moderation.reportHideThreshold;
+}
+
+/**
+ * Whether a module with this many open reports should be hidden
+ * @param {number} openReports - Distinct people with an open report on it
+ */
+function shouldHideModule(openReports) {
+  const threshold = getReportHideThreshold();
+  return threshold > 0 && openReports >= threshold;
+}
+
+export {
+  REPORT_REASONS,
+  REPORT_REASON_LABELS,
+  MAX_REPORT_DETAILS_LENGTH,
+  getReportHideThreshold,
+  shouldHideModule
+};
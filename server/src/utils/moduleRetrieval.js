@@ -0,0 +1,158 @@
+import { chunkDocument } from './textChunker.js';
+import { getEmbeddingProvider } from './embeddings.js';
+import { tokenizeQuery } from './moduleSearch.js';
+import { matchModuleChunks, getRetrievableModules } from '../model/chunkModel.js';
+import { signModuleFileUrls } from './moduleFiles.js';
+
+const DEFAULT_TOP_K = 5;
+const EXCERPT_LENGTH = 280;
+
+/**
+ * Splits a module's extracted text into chunks and embeds them with the
+ * current embedding provider. Nothing is stored: see replaceModuleChunks.
+ * @param {{ text: string, pages?: string[]|null }} document - Output of extractDocument
+ * @returns {Promise<{ embeddingModel: string, chunks: Array<{ chunkIndex, page, content, embedding }> }>}
+ */
+async function embedDocumentChunks(document) {
+  const provider = getEmbeddingProvider();
+  const chunks = chunkDocument(document);
+
+  if (chunks.length > 0) {
+    const embeddings = await provider.embed(chunks.map(chunk => chunk.content));
+    chunks.forEach((chunk, i) => {
+      chunk.embedding = embeddings[i];
+    });
+  }
+
+  return { embeddingModel: provider.model, chunks };
+}
+
+/**
+ * Finds the chunks most similar to a query among the modules a user uploaded or saved
+ * @param {string} userId - User whose modules are searched
+ * @param {string} query - Chat prompt
+ * @param {Object} options - { topK, minScore } (minScore defaults to the provider's)
+ * @returns {Promise<Array<{ chunkId, moduleId, moduleTitle, fileName, fileUrl, chunkIndex, page, content, score }>>}
+ */
+async function retrieveRelevantChunks(userId, query, { topK = DEFAULT_TOP_K, minScore } = {}) {
+  const modules = await getRetrievableModules(userId);
+  if (modules.length === 0) return [];
+
+  const provider = getEmbeddingProvider();
+  const threshold = minScore ?? provider.minScore;
+
+  const [queryEmbedding] = await provider.embed([query]);
+  const chunks = await matchModuleChunks(modules.map(module => module.id), provider.model, queryEmbedding, {
+    topK,
+    minScore: threshold
+  });
+
+  const modulesById = new Map(modules.map(module => [module.id, module]));
+
+  const topChunks = chunks.map(chunk => ({
+    chunkId: chunk.id,
+    moduleId: chunk.module_id,
+    moduleTitle: modulesById.get(chunk.module_id)?.title || 'Untitled module',
+    fileName: modulesById.get(chunk.module_id)?.file_name || null,
+    fileUrl: modulesById.get(chunk.module_id)?.file_url || null,
+    chunkIndex: chunk.chunk_index,
+    page: chunk.page,
+    content: chunk.content,
+    score: Number(Number(chunk.score).toFixed(4))
+  }));
+
+  const signedUrls = await signModuleFileUrls(topChunks.map(chunk => chunk.fileUrl));
+  return topChunks.map(chunk => ({ ...chunk, fileUrl: signedUrls.get(chunk.fileUrl) || null }));
+}
+
+/**
+ * Wraps a prompt with numbered module excerpts and instructions to cite them
+ * as [1], [2], ... so answers can be traced back to the chunks used.
+ * @param {string} prompt - The user's question
+ * @param {Array} chunks - Output of retrieveRelevantChunks
+ * @returns {string}
+ */
+function buildGroundedPrompt(prompt, chunks) {
+  const context = chunks
+    .map((chunk, i) => {
+      const location = chunk.page ? ` (${getLocationLabel(chunk.fileName, chunk.page).toLowerCase()})` : '';
+      return `[${i + 1}] Module: ${chunk.moduleTitle}${location}\n${chunk.content}`;
+    })
+    .join('\n\n');
+
+  return `Context from your uploaded modules:\n\n${context}\n\nUser question: ${prompt}\n\nAnswer based on the numbered context when it is relevant and cite the excerpts you use inline as [1], [2], etc. If the context doesn't contain the information, say so briefly and answer from your general knowledge without citations.`;
+}
+
+/**
+ * Describes where a chunk sits in its file: slides for presentations, pages otherwise
+ * @returns {string|null} e.g. "Page 3" or "Slide 2"
+ */
+function getLocationLabel(fileName, page) {
+  if (!page) return null;
+  const ext = (fileName || '').split('.').pop().toLowerCase();
+  return ['ppt', 'pptx'].includes(ext) ? `Slide ${page}` : `Page ${page}`;
+}
+
+/**
+ * Quotes the part of a chunk most related to the query: the sentence with the
+ * most query terms, extended with the sentences after it up to `maxLength`.
+ * @param {string} content - Chunk text
+ * @param {string} query - The user's question
+ * @returns {string}
+ */
+function buildExcerpt(content, query, maxLength = EXCERPT_LENGTH) {
+  const sentences = (content || '').match(/[^.!?]+[.!?]*/g)?.map(s => s.trim()).filter(Boolean) || [];
+  if (sentences.length === 0) return '';
+
+  const terms = tokenizeQuery(query);
+  const scores = sentences.map(sentence => {
+    const lowered = sentence.toLowerCase();
+    return terms.filter(term => lowered.includes(term)).length;
+  });
+  const best = scores.indexOf(Math.max(...scores));
+
+  let excerpt = sentences[best];
+  for (let i = best + 1; i < sentences.length && excerpt.length + sentences[i].length + 1 <= maxLength; i++) {
+    excerpt += ` ${sentences[i]}`;
+  }
+
+  if (excerpt.length > maxLength) {
+    const cut = excerpt.lastIndexOf(' ', maxLength - 1);
+    excerpt = `${excerpt.slice(0, cut > 0 ? cut : maxLength - 1)}…`;
+  }
+
+  return excerpt;
+}
+
+/**
+ * Turns retrieved chunks into the `sources` returned with a chat answer,
+ * marking which ones the answer actually cites as [n].
+ * @param {Array} chunks - Output of retrieveRelevantChunks, in prompt order
+ * @param {string} query - The user's question
+ * @param {string} answer - The generated answer
+ * @returns {Array<{ ref, moduleId, moduleTitle, fileName, fileUrl, page, location, excerpt, chunkId, chunkIndex, score, cited }>}
+ */
+function buildSources(chunks, query, answer = '') {
+  return chunks.map((chunk, i) => ({
+    ref: i + 1,
+    moduleId: chunk.moduleId,
+    moduleTitle: chunk.moduleTitle,
+    fileName: chunk.fileName,
+    fileUrl: chunk.fileUrl,
+    page: chunk.page,
+    location: getLocationLabel(chunk.fileName, chunk.page),
+    excerpt: buildExcerpt(chunk.content, query),
+    chunkId: chunk.chunkId,
+    chunkIndex: chunk.chunkIndex,
+    score: chunk.score,
+    // Matches "[2]" as well as grouped citations like "[1, 2]"
+    cited: new RegExp(`\\[(?:\\d+\\s*,\\s*)*${i + 1}(?:\\s*,\\s*\\d+)*\\]`).test(answer)
+  }));
+}
+
+export {
+  embedDocumentChunks,
+  buildSources,
+  retrieveRelevantChunks,
+  buildGroundedPrompt
+};
@@ -0,0 +1,105 @@
+const MAX_TERMS = 8;
+const SNIPPET_RADIUS = 90;
+
+/**
+ * Splits a search query into unique lowercase terms.
+ * Only letters and digits are kept so terms are safe to embed in PostgREST filters.
+ * @param {string} query - Raw query from the user
+ * @returns {string[]} Search terms (at most MAX_TERMS)
+ */
+function tokenizeQuery(query) {
+  if (!query || typeof query !== 'string') return [];
+
+  const terms = query
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length >= 2);
+
+  return [...new Set(terms)].slice(0, MAX_TERMS);
+}
+
+/**
+ * Builds a short excerpt around the first match in the text, with the
+ * character ranges of every term occurrence inside the excerpt.
+ * @param {string} text - Text to cut the snippet from
+ * @param {string[]} terms - Terms from tokenizeQuery
+ * @param {number} radius - Characters to keep on each side of the match
+ * @returns {{ text: string, highlights: Array<[number, number]> }|null}
+ */
+function buildSnippet(text, terms, radius = SNIPPET_RADIUS) {
+  if (!text || terms.length === 0) return null;
+
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  const lowered = normalized.toLowerCase();
+
+  const firstMatch = terms
+    .map(term => lowered.indexOf(term))
+    .filter(index => index !== -1)
+    .sort((a, b) => a - b)[0];
+
+  if (firstMatch === undefined) return null;
+
+  let start = Math.max(0, firstMatch - radius);
+  let end = Math.min(normalized.length, firstMatch + radius * 2);
+
+  // Avoid cutting words in half at either edge
+  if (start > 0) {
+    const space = normalized.indexOf(' ', start);
+    if (space !== -1 && space < firstMatch) start = space + 1;
+  }
+  if (end < normalized.length) {
+    const space = normalized.lastIndexOf(' ', end);
+    if (space > firstMatch) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < normalized.length ? '…' : '';
+  const excerpt = normalized.slice(start, end);
+  const loweredExcerpt = excerpt.toLowerCase();
+
+  const ranges = [];
+  terms.forEach(term => {
+    let index = loweredExcerpt.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index + prefix.length, index + prefix.length + term.length]);
+      index = loweredExcerpt.indexOf(term, index + term.length);
+    }
+  });
+
+  // Merge overlapping ranges so the client can wrap each one in a single <mark>
+  ranges.sort((a, b) => a[0] - b[0]);
+  const highlights = [];
+  ranges.forEach(range => {
+    const last = highlights[highlights.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      highlights.push([...range]);
+    }
+  });
+
+  return {
+    text: `${prefix}${excerpt}${suffix}`,
+    highlights
+  };
+}
+
+/**
+ * Picks the most useful snippet for a result: extracted text first, then the
+ * description, then the title.
+ */
+function buildModuleSnippet(fields, terms) {
+  for (const source of ['content', 'description', 'title']) {
+    const snippet = buildSnippet(fields[source], terms);
+    if (snippet) {
+      return { ...snippet, source };
+    }
+  }
+  return null;
+}
+
+export {
+  tokenizeQuery,
+  buildSnippet,
+  buildModuleSnippet
+};
@@ -0,0 +1,266 @@
+import { getModuleById, updateModule, claimModuleSummary, updateClaimedModuleSummary } from '../model/moduleModel.js';
+import { getModuleText } from '../model/moduleTextModel.js';
+import { getLLMProvider } from './llmProviders.js';
+import { sampleModuleText, extractJson } from './quizGenerator.js';
+
+const WORDS_PER_MINUTE = 200;
+const MAX_KEY_CONCEPTS = 8;
+const MAX_SUMMARY_LENGTH = 2000;
+const MAX_CONCEPT_LENGTH = 200;
+const SUMMARY_MAX_TOKENS = 800;
+// A job pending or processing for longer than this was lost
+const STALE_SUMMARY_MS = 5 * 60 * 1000;
+
+/**
+ * Minutes an average reader needs for the given number of words (at least 1)
+ * @param {number} wordCount
+ * @returns {number}
+ */
+function estimateReadingTime(wordCount) {
+  return Math.max(1, Math.ceil((wordCount || 0) / WORDS_PER_MINUTE));
+}
+
+/**
+ * Builds the messages asking the model for a module's summary and key concepts as JSON
+ * @param {Object} options - { title, content }
+ * @returns {Array<{ role: string, content: string }>}
+ */
+function buildModuleSummaryMessages({ title, content }) {
+  return [
+    {
+      role: 'system',
+      content: `You summarise learning materials for students. Reply with JSON only, no markdown, in this shape:
+{"summary": "...", "keyConcepts": ["...", "..."]}
+
+"summary" is 2 to 4 plain sentences on what the material covers. "keyConcepts" lists the ${MAX_KEY_CONCEPTS} or fewer most important ideas, each a short phrase. Only use what the material states.`
+    },
+    {
+      role: 'user',
+      content: `Module: ${title || 'Untitled module'}
+
+Material:
+${sampleModuleText(content)}`
+    }
+  ];
+}
+
+/**
+ * Checks and trims a summary and its key concepts, from the model or from a user edit
+ * @param {{ summary: any, keyConcepts: any }} value
+ * @returns {{ summary: string, keyConcepts: string[] }|null} null when the summary is empty
+ */
+function normalizeModuleSummary({ summary, keyConcepts }) {
+  const text = typeof summary === 'string' ? summary.trim().slice(0, MAX_SUMMARY_LENGTH) : '';
+  if (!text) return null;
+
+  const concepts = (Array.isArray(keyConcepts) ? keyConcepts : [])
+    .filter(concept => typeof concept === 'string')
+    .map(concept => concept.replace(/^[-*•\d.)\s]+/, '').trim().slice(0, MAX_CONCEPT_LENGTH))
+    .filter(Boolean)
+    .slice(0, MAX_KEY_CONCEPTS);
+
+  return { summary: text, keyConcepts: concepts };
+}
+
+/**
+ * Parses the model's summary reply. Falls back to using plain prose as the
+ * summary when the model ignored the JSON format.
+ * @param {string} text - Model output
+ * @returns {{ summary: string, keyConcepts: string[] }}
+ * @throws {Error} When the reply is empty
+ */
+function parseModuleSummaryResponse(text) {
+  const parsed = extractJson(text || '');
+  const result = normalizeModuleSummary(parsed && !Array.isArray(parsed)
+    ? parsed
+    : { summary: text, keyConcepts: [] });
+
+  if (!result) {
+    throw new Error('The summary response was empty.');
+  }
+  return result;
+}
+
+/**
+ * The summary fields of a module row in the shape the API returns
+ * @param {Object} module - Row from the modules table
+ */
+function toModuleSummary(module) {
+  return {
+    moduleId: module.id,
+    status: module.summary_status || null,
+    summary: module.summary || null,
+    keyConcepts: module.key_concepts || [],
+    readingTimeMinutes: module.reading_time_minutes ?? null,
+    generatedAt: module.summary_generated_at || null,
+    edited: !!module.summary_edited,
+    error: module.summary_error || null
+  };
+}
+
+/**
+ * Generates a module's summary, key concepts and reading time from its
+ * extracted text and stores them on the module. A summary the owner edited is
+ * kept unless `force` is set. A queued run only goes ahead if it can claim the
+ * job still queued at `queuedAt`, a forced one takes the job over, and either
+ * stores nothing once another run has taken the job from it. Generation
+ * failures are recorded in summary_status and summary_error, not thrown.
+ * @param {string} moduleId
+ * @param {Object} options - { force, queuedAt }
+ * @returns {Promise<Object|null>} The stored summary (see toModuleSummary), or
+ *   null when the module is gone or another run has the job
+ */
+async function generateModuleSummary(moduleId, { force = false, queuedAt = null } = {}) {
+  const module = await getModuleById(moduleId);
+  if (!module) return null;
+  if (module.summary_edited && !force) return toModuleSummary(module);
+
+  let moduleText = null;
+  let textError = null;
+  try {
+    moduleText = await getModuleText(moduleId);
+  } catch (error) {
+    textError = error;
+  }
+
+  // Still being extracted: the extraction job queues the summary when it's done
+  if (['pending', 'processing'].includes(moduleText?.status)) {
+    return toModuleSummary(module);
+  }
+
+  let claimedAt;
+  if (force) {
+    claimedAt = new Date().toISOString();
+    await updateModule(moduleId, { summary_status: 'processing', summary_error: null, summary_queued_at: claimedAt });
+  } else {
+    claimedAt = await claimModuleSummary(moduleId, queuedAt);
+    if (!claimedAt) return null;
+  }
+
+  const record = async (fields) => {
+    try {
+      if (!(await updateClaimedModuleSummary(moduleId, claimedAt, fields))) {
+        console.warn(`[moduleSummary] Dropping summary for module ${moduleId}: a newer run took the job over`);
+        return null;
+      }
+    } catch (error) {
+      console.error(`[moduleSummary] Could not store summary for module ${moduleId}:`, error.message);
+    }
+    return toModuleSummary({ ...module, ...fields });
+  };
+
+  if (textError) {
+    return record({ summary_status: 'failed', summary_error: textError.message });
+  }
+
+  if (!moduleText || moduleText.status !== 'completed' || !moduleText.content?.trim()) {
+    return record({
+      summary_status: 'unavailable',
+      summary_error: 'No extracted text to summarise.'
+    });
+  }
+
+  try {
+    const reply = await getLLMProvider().complete(
+      buildModuleSummaryMessages({ title: module.title, content: moduleText.content }),
+      { temperature: 0.3, maxTokens: SUMMARY_MAX_TOKENS }
+    );
+    const { summary, keyConcepts } = parseModuleSummaryResponse(reply);
+
+    return record({
+      summary,
+      key_concepts: keyConcepts,
+      reading_time_minutes: estimateReadingTime(moduleText.word_count),
+      summary_status: 'completed',
+      summary_error: null,
+      summary_generated_at: new Date().toISOString(),
+      summary_edited: false
+    });
+  } catch (error) {
+    console.warn(`[moduleSummary] Summary generation failed for module ${moduleId}:`, error.message);
+    return record({
+      summary_status: 'failed',
+      summary_error: error.message,
+      reading_time_minutes: estimateReadingTime(moduleText.word_count)
+    });
+  }
+}
+
+// Jobs run one at a time in this process so uploads don't compete for the LLM
+let queueTail = Promise.resolve();
+// Modules waiting in the queue, with the time their latest job was queued at
+const queuedJobs = new Map();
+
+/**
+ * Queues summary generation for a module in the background and returns right
+ * away. A module already waiting in the queue is not queued twice; the
+ * waiting job runs as the latest one queued.
+ * @param {string} moduleId
+ */
+function enqueueModuleSummary(moduleId) {
+  const queuedAt = new Date().toISOString();
+  const markedPending = updateModule(moduleId, {
+    summary_status: 'pending',
+    summary_error: null,
+    summary_queued_at: queuedAt
+  }).catch(error => {
+    console.warn(`[moduleSummary] Could not mark module ${moduleId} as pending:`, error.message);
+  });
+
+  const waiting = queuedJobs.has(moduleId);
+  queuedJobs.set(moduleId, { queuedAt, markedPending });
+  if (waiting) return;
+
+  queueTail = queueTail
+    .then(async () => {
+      const job = queuedJobs.get(moduleId);
+      queuedJobs.delete(moduleId);
+      await job.markedPending;
+      return generateModuleSummary(moduleId, { queuedAt: job.queuedAt });
+    })
+    .catch(error => {
+      console.error(`[moduleSummary] Background job failed for module ${moduleId}:`, error.message);
+    });
+}
+
+/**
+ * Whether a module's summary job was lost: still pending or processing well
+ * after it was queued, because the process restarted or a serverless function
+ * ended before the in-process queue got to it
+ * @param {Object} module - Row from the modules table
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function isSummaryStale(module, now = Date.now()) {
+  if (!['pending', 'processing'].includes(module.summary_status)) return false;
+  const queuedAt = module.summary_queued_at ? new Date(module.summary_queued_at).getTime() : 0;
+  return now - queuedAt > STALE_SUMMARY_MS;
+}
+
+/**
+ * A module's summary for a read. A lost job is run again within the request,
+ * so the summary doesn't stay pending when there is no queue to finish it.
+ * @param {Object} module - Row from the modules table
+ * @returns {Promise<Object>} See toModuleSummary
+ */
+async function readModuleSummary(module) {
+  if (!isSummaryStale(module)) return toModuleSummary(module);
+
+  // Claiming the job stops the lost run, should it still be going, from storing its result
+  const rerun = await generateModuleSummary(module.id, { queuedAt: module.summary_queued_at });
+  if (rerun) console.warn(`[moduleSummary] Reran lost summary job for module ${module.id}`);
+  return rerun || toModuleSummary(module);
+}
+
+export {
+  WORDS_PER_MINUTE,
+  estimateReadingTime,
+  buildModuleSummaryMessages,
+  normalizeModuleSummary,
+  parseModuleSummaryResponse,
+  toModuleSummary,
+  generateModuleSummary,
+  enqueueModuleSummary,
+  isSummaryStale,
+  readModuleSummary
+};
@@ -0,0 +1,122 @@
+import config from '../config/config.js';
+import { listUndigestedNotifications, markNotificationsEmailed } from '../model/notificationModel.js';
+import { listProfilesByIds } from '../model/profileModel.js';
+import { sendTemplateEmail } from './emailService.js';
+
+const DIGEST_MAX_ITEMS = 10;
+// Newer notifications may still be seen in the app, so they wait for the next digest
+const DIGEST_MIN_AGE_MS = 60 * 60 * 1000;
+
+// Where digests read notifications and recipients from; replaceable in tests
+const digestStore = { listUndigestedNotifications, listProfilesByIds, markNotificationsEmailed };
+
+/**
+ * Full link to a client route, for emails
+ * @param {string} link - Client route, e.g. /dashboard/modules/<id>
+ * @returns {string|null} null when no client URL is configured
+ */
+function toAppUrl(link) {
+  const base = config.server.clientUrl || config.server.frontendUrl;
+  return base && link ? new URL(link, base).toString() : null;
+}
+
+/**
+ * Emails the people invited to a class. Invites are made out to email
+ * addresses, so this is how someone without an account yet hears of one.
+ * @param {string[]} emails
+ * @param {{ className: string, inviterName: string, role: string }} invite
+ * @returns {Promise<number>} How many of the emails were sent
+ */
+async function sendClassInviteEmails(emails, { className, inviterName, role }) {
+  const results = await Promise.all(emails.map(email => sendTemplateEmail('notification', {
+    to: email,
+    data: {
+      name: 'there',
+      title: `${inviterName} invited you to ${className}`,
+      body: `You're invited to join ${className} on EduRetrieve as ${role === 'instructor' ? 'an instructor' : 'a student'}. Sign in or sign up with this email address to accept.`,
+      url: toAppUrl('/dashboard')
+    }
+  })));
+  return results.filter(result => result.ok).length;
+}
+
+/**
+ * The digest template's items for one user's notifications, newest first
+ * @param {Object[]} notifications - Rows from the notifications table
+ * @param {number} [maxItems]
+ * @returns {{ items: Array<{ title: string, body: string|null, url: string|null }>, moreCount: number }}
+ */
+function buildDigestItems(notifications, maxItems = DIGEST_MAX_ITEMS) {
+  const newest = [...notifications].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  return {
+    items: newest.slice(0, maxItems).map(notification => ({
+      title: notification.title,
+      body: notification.body || null,
+      url: toAppUrl(notification.link)
+    })),
+    moreCount: Math.max(0, newest.length - maxItems)
+  };
+}
+
+/**
+ * Emails each user with unread notifications a digest of them. Meant to run
+ * on a schedule (npm run digests). A notification goes out in one digest at
+ * most; suspended users and users without an email address get none, and
+ * their notifications are not offered again. Failed emails are retried on the
+ * next run.
+ * @param {Object} [options] - { period, now, store }. `period` finishes the
+ *   sentence "Here is what happened on EduRetrieve ..."
+ * @returns {Promise<{ sent: number, failed: number, skipped: number }>} Users per outcome
+ */
+async function sendNotificationDigests({ period = 'today', now = Date.now(), store = digestStore } = {}) {
+  const notifications = await store.listUndigestedNotifications({
+    createdBefore: new Date(now - DIGEST_MIN_AGE_MS).toISOString()
+  });
+
+  const byUser = new Map();
+  notifications.forEach(notification => {
+    if (!byUser.has(notification.user_id)) byUser.set(notification.user_id, []);
+    byUser.get(notification.user_id).push(notification);
+  });
+  const profiles = new Map((await store.listProfilesByIds([...byUser.keys()])).map(profile => [profile.id, profile]));
+
+  const result = { sent: 0, failed: 0, skipped: 0 };
+  const handledIds = [];
+
+  for (const [userId, userNotifications] of byUser) {
+    const profile = profiles.get(userId);
+    const ids = userNotifications.map(notification => notification.id);
+
+    if (!profile?.email || profile.suspended) {
+      result.skipped += 1;
+      handledIds.push(...ids);
+      continue;
+    }
+
+    const { ok } = await sendTemplateEmail('digest', {
+      to: profile.email,
+      data: {
+        name: profile.fullName || profile.username || profile.email,
+        period,
+        ...buildDigestItems(userNotifications)
+      }
+    });
+
+    if (ok) {
+      result.sent += 1;
+      handledIds.push(...ids);
+    } else {
+      result.failed += 1;
+    }
+  }
+
+  await store.markNotificationsEmailed(handledIds);
+  return result;
+}
+
+export {
+  toAppUrl,
+  sendClassInviteEmails,
+  buildDigestItems,
+  sendNotificationDigests
+};
@@ -0,0 +1,271 @@
+const QUESTION_TYPES = ['multiple_choice', 'true_false', 'short_answer'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_SOURCE_CHARS = 12000;
+const SOURCE_SECTIONS = 4;
+const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+// Short answers may differ from an accepted one by a typo per this many
+// characters, up to MAX_ANSWER_TYPOS
+const CHARS_PER_TYPO = 6;
+const MAX_ANSWER_TYPOS = 2;
+
+const TYPE_DESCRIPTIONS = {
+  multiple_choice: '"multiple_choice": 4 options, "answer" is the 0-based index of the correct option',
+  true_false: '"true_false": a statement, "answer" is true or false',
+  short_answer: '"short_answer": answerable in a few words, "answer" is the expected answer and "acceptedAnswers" lists other acceptable wordings'
+};
+
+/**
+ * Picks the text the quiz is written from. Long modules are sampled in evenly
+ * spaced sections so questions cover the whole document, not just its start.
+ * @param {string} content - Extracted module text
+ * @param {number} maxChars
+ * @returns {string}
+ */
+function sampleModuleText(content, maxChars = MAX_SOURCE_CHARS) {
+  const text = (content || '').replace(/\n{3,}/g, '\n\n').trim();
+  if (text.length <= maxChars) return text;
+
+  const sectionLength = Math.floor(maxChars / SOURCE_SECTIONS);
+  const stride = Math.floor((text.length - sectionLength) / (SOURCE_SECTIONS - 1));
+
+  return Array.from({ length: SOURCE_SECTIONS }, (_, i) => text.slice(i * stride, i * stride + sectionLength).trim())
+    .join('\n\n[...]\n\n');
+}
+
+/**
+ * Builds the messages asking the model for a quiz as JSON
+ * @param {Object} options - { title, content, count, types, difficulty }
+ * @returns {Array<{ role: string, content: string }>}
+ */
+function buildQuizMessages({ title, content, count, types = QUESTION_TYPES, difficulty = 'medium' }) {
+  const typeList = types.map(type => `- ${TYPE_DESCRIPTIONS[type]}`).join('\n');
+
+  return [
+    {
+      role: 'system',
+      content: `You write study quizzes for students from their learning materials. Only ask about facts and ideas stated in the material. Reply with JSON only, no markdown, in this shape:
+{"questions": [{"type": "...", "question": "...", "options": ["..."], "answer": ..., "acceptedAnswers": ["..."], "explanation": "..."}]}
+
+Question types:
+${typeList}
+
+Every question needs a one or two sentence "explanation" of why the answer is correct. Omit "options" for non multiple-choice questions.`
+    },
+    {
+      role: 'user',
+      content: `Write ${count} ${difficulty} questions mixing these types: ${types.join(', ')}.
+
+Module: ${title || 'Untitled module'}
+
+Material:
+${sampleModuleText(content)}`
+    }
+  ];
+}
+
+// ✅ Pull the JSON object out of a reply that may be wrapped in prose or a code fence
+function extractJson(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.search(/[[{]/);
+  const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+  if (start === -1 || end < start) return null;
+
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value ?? '').trim().toLowerCase();
+  if (['true', 't', 'yes'].includes(normalized)) return true;
+  if (['false', 'f', 'no'].includes(normalized)) return false;
+  return null;
+}
+
+// ✅ Accepts an index, a letter ("B") or the option text as the correct answer
+function toOptionIndex(answer, options) {
+  if (Number.isInteger(answer)) return answer >= 0 && answer < options.length ? answer : -1;
+
+  const value = String(answer ?? '').trim();
+  if (/^\d+$/.test(value)) return toOptionIndex(Number(value), options);
+
+  const letter = OPTION_LETTERS.indexOf(value.replace(/[).:]$/, '').toUpperCase());
+  if (letter !== -1 && letter < options.length) return letter;
+
+  return options.findIndex(option => normalizeAnswer(option) === normalizeAnswer(value));
+}
+
+// ✅ Check one generated question, returning it in the stored shape or null when unusable
+function normalizeQuestion(raw, index, types) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const type = String(raw.type || '').toLowerCase().replace(/[\s-]/g, '_');
+  const question = typeof raw.question === 'string' ? raw.question.trim() : '';
+  if (!types.includes(type) || !question) return null;
+
+  const base = {
+    id: `q${index + 1}`,
+    type,
+    question,
+    explanation: typeof raw.explanation === 'string' ? raw.explanation.trim() : ''
+  };
+
+  if (type === 'multiple_choice') {
+    const options = Array.isArray(raw.options)
+      ? raw.options.map(option => String(option).replace(/^[A-F][).:]\s+/, '').trim()).filter(Boolean)
+      : [];
+    const answer = toOptionIndex(raw.answer, options);
+    if (options.length < 2 || options.length > OPTION_LETTERS.length || answer === -1) return null;
+    return { ...base, options, answer };
+  }
+
+  if (type === 'true_false') {
+    const answer = toBoolean(raw.answer);
+    return answer === null ? null : { ...base, answer };
+  }
+
+  const answer = typeof raw.answer === 'string' || typeof raw.answer === 'number' ? String(raw.answer).trim() : '';
+  if (!answer) return null;
+  const acceptedAnswers = Array.isArray(raw.acceptedAnswers)
+    ? raw.acceptedAnswers.map(String).map(value => value.trim()).filter(Boolean)
+    : [];
+  return { ...base, answer, acceptedAnswers };
+}
+
+/**
+ * Parses and validates the model's quiz reply. Malformed questions are dropped.
+ * @param {string} text - Model output
+ * @param {Object} options - { count, types }
+ * @returns {Array<Object>} Questions with answer keys
+ * @throws {Error} When the reply holds no usable questions
+ */
+function parseQuizResponse(text, { count, types = QUESTION_TYPES } = {}) {
+  const parsed = extractJson(text || '');
+  const rawQuestions = Array.isArray(parsed) ? parsed : parsed?.questions;
+
+  if (!Array.isArray(rawQuestions)) {
+    throw new Error('The quiz response was not valid JSON.');
+  }
+
+  const questions = rawQuestions
+    .map((raw, i) => normalizeQuestion(raw, i, types))
+    .filter(Boolean)
+    .slice(0, count || rawQuestions.length)
+    .map((question, i) => ({ ...question, id: `q${i + 1}` }));
+
+  if (questions.length === 0) {
+    throw new Error('The quiz response contained no valid questions.');
+  }
+
+  return questions;
+}
+
+/**
+ * Removes answer keys and explanations so a quiz can be sent to the student taking it
+ * @param {Array<Object>} questions
+ * @returns {Array<Object>}
+ */
+function stripAnswers(questions) {
+  return questions.map(({ id, type, question, options }) => ({ id, type, question, ...(options && { options }) }));
+}
+
+/**
+ * Lowercases and strips punctuation, articles and extra whitespace so short
+ * answers are compared on their wording only
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeAnswer(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\b(a|an|the)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// ✅ Levenshtein distance, giving up once it is over `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    if (Math.min(...current) > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// ✅ A short answer is correct when it matches an accepted answer, allowing a
+// few typos in longer ones. Answers listing several guesses don't match.
+function isShortAnswerCorrect(given, question) {
+  const normalized = normalizeAnswer(given);
+  if (!normalized) return false;
+
+  return [question.answer, ...(question.acceptedAnswers || [])]
+    .map(normalizeAnswer)
+    .filter(Boolean)
+    .some(accepted => {
+      const typos = Math.min(MAX_ANSWER_TYPOS, Math.floor(accepted.length / CHARS_PER_TYPO));
+      return normalized === accepted || editDistance(normalized, accepted, typos) <= typos;
+    });
+}
+
+function isCorrect(question, given) {
+  if (given === undefined || given === null || given === '') return false;
+  if (question.type === 'multiple_choice') return Number(given) === question.answer;
+  if (question.type === 'true_false') return toBoolean(given) === question.answer;
+  return isShortAnswerCorrect(given, question);
+}
+
+/**
+ * Scores an attempt, one point per correct answer
+ * @param {Array<Object>} questions - Questions with answer keys
+ * @param {Object} answers - Map of question id to the given answer
+ *   (option index, true/false or text)
+ * @returns {{ score: number, maxScore: number, results: Array<{ questionId, correct, given, correctAnswer, explanation }> }}
+ */
+function gradeQuizAttempt(questions, answers = {}) {
+  const results = questions.map(question => {
+    const given = answers[question.id] ?? null;
+    return {
+      questionId: question.id,
+      correct: isCorrect(question, given),
+      given,
+      correctAnswer: question.answer,
+      explanation: question.explanation
+    };
+  });
+
+  return {
+    score: results.filter(result => result.correct).length,
+    maxScore: questions.length,
+    results
+  };
+}
+
+export {
+  QUESTION_TYPES,
+  DIFFICULTIES,
+  sampleModuleText,
+  extractJson,
+  buildQuizMessages,
+  parseQuizResponse,
+  stripAnswers,
+  normalizeAnswer,
+  gradeQuizAttempt
+};
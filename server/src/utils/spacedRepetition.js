@@ -0,0 +1,56 @@
+const MIN_EASE_FACTOR = 1.3;
+const DEFAULT_EASE_FACTOR = 2.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Lapsed cards come back in the same session instead of tomorrow
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+
+/**
+ * Schedules a card's next review with the SM-2 algorithm
+ * @param {{ easeFactor?: number, intervalDays?: number, repetitions?: number, lapses?: number }} card - Current state
+ * @param {number} quality - Recall quality from 0 (blackout) to 5 (perfect); below 3 is a lapse
+ * @param {Date} now
+ * @returns {{ easeFactor: number, intervalDays: number, repetitions: number, lapses: number, dueAt: string }}
+ */
+function scheduleReview(card, quality, now = new Date()) {
+  if (!Number.isInteger(quality) || quality < 0 || quality > 5) {
+    throw new Error('Quality must be a whole number from 0 to 5.');
+  }
+
+  const easeFactor = card.easeFactor ?? DEFAULT_EASE_FACTOR;
+  const repetitions = card.repetitions ?? 0;
+  const lapses = card.lapses ?? 0;
+  const previousInterval = card.intervalDays ?? 0;
+
+  const nextEase = Math.max(
+    MIN_EASE_FACTOR,
+    easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  if (quality < 3) {
+    return {
+      easeFactor: Number(nextEase.toFixed(2)),
+      intervalDays: 0,
+      repetitions: 0,
+      lapses: lapses + 1,
+      dueAt: new Date(now.getTime() + RELEARN_DELAY_MS).toISOString()
+    };
+  }
+
+  let intervalDays;
+  if (repetitions === 0) intervalDays = 1;
+  else if (repetitions === 1) intervalDays = 6;
+  else intervalDays = Math.max(1, Math.round(previousInterval * easeFactor));
+
+  return {
+    easeFactor: Number(nextEase.toFixed(2)),
+    intervalDays,
+    repetitions: repetitions + 1,
+    lapses,
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS).toISOString()
+  };
+}
+
+export {
+  DEFAULT_EASE_FACTOR,
+  scheduleReview
+};
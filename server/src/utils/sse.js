@@ -0,0 +1,49 @@
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Checks whether a request asked for a Server-Sent Events response, either with
+ * `?stream=true` or an `Accept: text/event-stream` header
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+function wantsEventStream(req) {
+  return req.query?.stream === 'true' || (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Switches a response to a Server-Sent Events stream. A comment line is sent
+ * periodically so proxies don't drop the connection while the model is slow.
+ * @param {import('express').Response} res
+ * @returns {{ send: (event: string, data: any) => void, close: () => void }}
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering on nginx-style proxies
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  return {
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+export {
+  wantsEventStream,
+  openEventStream
+};
@@ -0,0 +1,79 @@
+const DEFAULT_CHUNK_SIZE = 1000;
+const DEFAULT_OVERLAP = 200;
+
+/**
+ * Splits text into overlapping chunks of roughly `chunkSize` characters.
+ * Chunks end on a sentence or word boundary where possible, and each chunk
+ * repeats the last `overlap` characters of the previous one so an idea split
+ * across a boundary is still retrievable.
+ * @param {string} text - Text to split
+ * @param {Object} options - { chunkSize, overlap }
+ * @returns {string[]} Chunks in document order
+ */
+function chunkText(text, { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_OVERLAP } = {}) {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim();
+  if (!normalized) return [];
+  if (normalized.length <= chunkSize) return [normalized];
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < normalized.length) {
+    let end = Math.min(normalized.length, start + chunkSize);
+
+    if (end < normalized.length) {
+      // Prefer ending on a sentence, then on a word, in the last third of the chunk
+      const minEnd = start + Math.floor(chunkSize * 2 / 3);
+      const window = normalized.slice(minEnd, end);
+      const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! '));
+      const wordEnd = window.lastIndexOf(' ');
+
+      if (sentenceEnd !== -1) {
+        end = minEnd + sentenceEnd + 1;
+      } else if (wordEnd !== -1) {
+        end = minEnd + wordEnd;
+      }
+    }
+
+    const chunk = normalized.slice(start, end).trim();
+    if (chunk) chunks.push(chunk);
+
+    if (end >= normalized.length) break;
+
+    // Start the next chunk `overlap` characters before this one ended, moved
+    // back to the start of a word, and always past this chunk's start
+    let nextStart = Math.max(start + 1, end - overlap);
+    const space = normalized.lastIndexOf(' ', nextStart - 1);
+    if (space + 1 > start) nextStart = space + 1;
+    start = nextStart;
+  }
+
+  return chunks;
+}
+
+/**
+ * Chunks an extracted document, keeping track of the page (or slide) each
+ * chunk came from when per-page text is available.
+ * @param {{ text: string, pages?: string[]|null }} document - Output of extractDocument
+ * @param {Object} options - { chunkSize, overlap }
+ * @returns {Array<{ chunkIndex: number, page: number|null, content: string }>}
+ */
+function chunkDocument({ text, pages }, options = {}) {
+  const sections = Array.isArray(pages) && pages.length > 0
+    ? pages.map((pageText, i) => ({ page: i + 1, text: pageText }))
+    : [{ page: null, text }];
+
+  const chunks = [];
+  sections.forEach(({ page, text: sectionText }) => {
+    chunkText(sectionText, options).forEach(content => {
+      chunks.push({ chunkIndex: chunks.length, page, content });
+    });
+  });
+
+  return chunks;
+}
+
+export {
+  chunkText,
+  chunkDocument
+};
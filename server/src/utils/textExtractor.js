@@ -130,42 +130,55 @@ async function extractFromTXT(input) {
 
 /**
  * Extract text from PPTX files
- * Handles both constructor and function export styles
  */
 async function extractFromPPTX(input) {
+  const slides = await extractPPTXSlides(input);
+  return slides.join('\n').trim();
+}
+
+/**
+ * Extract the text of each slide of a PPTX file, in slide order
+ * @param {string|Buffer} input - Path to the file or file buffer
+ * @returns {Promise<string[]>} One entry per slide
+ */
+async function extractPPTXSlides(input) {
   try {
-    let pptx;
-    if (Buffer.isBuffer(input)) {
-      // For buffers, we might need to create a temporary approach
-      // For now, return a placeholder since PPTX processing with buffers is complex
-      console.warn('PPTX buffer processing not fully implemented, returning placeholder');
-      return '[PPTX file uploaded - processing not available in serverless environment]';
-    } else {
-      try {
-        // Some versions expose a class
-        pptx = new PPTX2Json(input);
-      } catch (_e) {
-        // Fallback: some builds expose a function default export
-        const mod = await import('pptx2json');
-        const fn = mod?.default ?? mod;
-        pptx = await fn(input);
-      }
-    }
+    const buffer = Buffer.isBuffer(input) ? input : fs.readFileSync(input);
+    const json = await new PPTX2Json().buffer2json(buffer);
 
-    let text = '';
-    if (pptx?.slides) {
-      pptx.slides.forEach(slide => {
-        if (slide?.text) {
-          text += slide.text + '\n';
-        }
-      });
-    }
-    return text.trim();
+    const slideNumber = (key) => parseInt(key.match(/slide(\d+)\.xml$/)[1], 10);
+    const slideKeys = Object.keys(json)
+      .filter(key => /^ppt\/slides\/slide\d+\.xml$/.test(key))
+      .sort((a, b) => slideNumber(a) - slideNumber(b));
+
+    return slideKeys.map(key => {
+      const runs = [];
+      collectTextRuns(json[key], runs);
+      return runs.join(' ').replace(/\s+/g, ' ').trim();
+    });
   } catch (error) {
     throw new Error(`PPTX extraction failed: ${error.message}`);
   }
 }
 
+/**
+ * Recursively collect the contents of <a:t> text runs from xml2js output
+ */
+function collectTextRuns(node, runs) {
+  if (!node || typeof node !== 'object') return;
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === 'a:t') {
+      value.forEach(run => {
+        const text = typeof run === 'string' ? run : run?._;
+        if (text) runs.push(text);
+      });
+    } else if (key !== '$') {
+      (Array.isArray(value) ? value : [value]).forEach(child => collectTextRuns(child, runs));
+    }
+  });
+}
+
 /**
  * Extract text from image files using OCR
  */
@@ -224,8 +237,101 @@ async function extractFromImage(input) {
   }
 }
 
+/**
+ * Extract text from PDF files page by page (pdf-parse v2 only; v1 has no per-page output)
+ * Unlike extractFromPDF this throws on failure instead of returning a placeholder.
+ * @returns {Promise<{ text: string, pages: string[]|null, pageCount: number|null }>}
+ */
+async function extractPDFPages(input) {
+  const dataBuffer = Buffer.isBuffer(input) ? input : fs.readFileSync(input);
+  const mod = await import('pdf-parse');
+
+  if (typeof mod?.PDFParse === 'function') {
+    const parser = new mod.PDFParse({ data: dataBuffer });
+    try {
+      // Drop the default "-- 1 of N --" page markers; pages are returned separately
+      const result = await parser.getText({ pageJoiner: '' });
+      const pages = (result?.pages || []).map(page => (page.text || '').trim());
+      return {
+        text: (result?.text || pages.join('\n')).trim(),
+        pages,
+        pageCount: result?.total ?? pages.length
+      };
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  const parse = typeof mod?.default === 'function' ? mod.default : mod;
+  const result = await parse(dataBuffer);
+  return {
+    text: result?.text || '',
+    pages: null,
+    pageCount: result?.numpages ?? null
+  };
+}
+
+/**
+ * Detects the bracketed fallback messages the extractors return instead of
+ * throwing (e.g. "[PDF uploaded - extraction failed: ...]")
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isExtractionPlaceholder(text) {
+  const trimmed = (text || '').trim();
+  return trimmed.startsWith('[') &&
+    trimmed.endsWith(']') &&
+    /\b(uploaded|processed)\b/.test(trimmed);
+}
+
+/**
+ * Extracts a document into plain text plus per-page (or per-slide) text where
+ * the format has pages. Used when persisting module text; throws on failure.
+ * @param {string|Buffer} input - Path to the file or file buffer
+ * @param {string} mimeType - MIME type of the file
+ * @returns {Promise<{ text: string, pages: string[]|null, pageCount: number|null }>}
+ */
+async function extractDocument(input, mimeType) {
+  switch (mimeType) {
+    case 'application/pdf':
+      return await extractPDFPages(input);
+    case 'application/vnd.openxmlformats-officedocument.presentationml.presentation': {
+      const slides = await extractPPTXSlides(input);
+      return { text: slides.join('\n').trim(), pages: slides, pageCount: slides.length };
+    }
+    case 'image/jpeg':
+    case 'image/png':
+    case 'image/gif':
+    case 'image/webp': {
+      const text = await extractFromImage(input);
+      if (isExtractionPlaceholder(text)) {
+        throw new Error(text.slice(1, -1));
+      }
+      return { text, pages: [text], pageCount: 1 };
+    }
+    default: {
+      const text = await extractTextFromFile(input, mimeType);
+      return { text, pages: null, pageCount: null };
+    }
+  }
+}
+
+/**
+ * Counts whitespace-separated words
+ * @param {string} text
+ * @returns {number}
+ */
+function countWords(text) {
+  const matches = (text || '').match(/\S+/g);
+  return matches ? matches.length : 0;
+}
+
 export {
   extractTextFromFile,
   extractFromImage,
-  extractFromPPTX
+  extractFromPPTX,
+  extractPPTXSlides,
+  extractDocument,
+  isExtractionPlaceholder,
+  countWords
 };
\ No newline at end of file
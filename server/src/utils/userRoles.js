@@ -0,0 +1,28 @@
+// Account roles stored on profiles. Class roles (owner/instructor/student) are
+// separate and live in classPermissions.js.
+const USER_ROLES = ['student', 'instructor', 'admin'];
+const DEFAULT_USER_ROLE = 'student';
+
+/**
+ * Whether an account can be made an instructor of a class. Students can still
+ * own and run their own study groups.
+ * @param {string} accountRole
+ */
+function canTeachClasses(accountRole) {
+  return accountRole === 'instructor' || accountRole === 'admin';
+}
+
+/**
+ * Whether an account can moderate every class and module, not only its own
+ * @param {string} accountRole
+ */
+function isAdmin(accountRole) {
+  return accountRole === 'admin';
+}
+
+export {
+  USER_ROLES,
+  DEFAULT_USER_ROLE,
+  canTeachClasses,
+  isAdmin
+};
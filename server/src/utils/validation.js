@@ -0,0 +1,128 @@
+// Rules a request field can have. Every rule is optional except `type`:
+//   type       string, integer, number, boolean, uuid, email, emailList, date
+//              (ISO), array, object, or any when being present is enough.
+//              emailList takes a list of addresses or one string of them
+//              separated by commas, semicolons or spaces; read it with
+//              parseEmailList
+//   required   the field must be present and not empty
+//   values     allowed values, for strings and the items of arrays
+//   min, max   bounds for numbers
+//   minLength, maxLength   bounds for strings (after trimming), arrays and
+//              the number of addresses in an emailList
+//   pattern    RegExp a string has to match
+//   items      rule every item of an array has to follow
+//   fields     schema the keys of an object have to follow
+// Query strings, route params and multipart fields only ever hold strings, so
+// integers, numbers and booleans are accepted in their string form as well.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isEmpty = (value) => value === undefined || value === null
+  || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * The addresses of an emailList field, trimmed, lowercased and without duplicates
+ * @param {string[]|string} value
+ * @returns {string[]}
+ */
+function parseEmailList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(/[\s,;]+/);
+  return [...new Set(list.map(email => String(email ?? '').trim().toLowerCase()).filter(Boolean))];
+}
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+// ✅ Check one value that is present. Returns a problem message or null.
+function checkValue(value, rule) {
+  switch (rule.type) {
+    case 'integer':
+    case 'number': {
+      const number = toNumber(value);
+      if (Number.isNaN(number) || (rule.type === 'integer' && !Number.isInteger(number))) {
+        return `must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}`;
+      }
+      if (rule.min !== undefined && number < rule.min) return `must be at least ${rule.min}`;
+      if (rule.max !== undefined && number > rule.max) return `must be at most ${rule.max}`;
+      return null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' || value === 'true' || value === 'false'
+        ? null
+        : 'must be true or false';
+    case 'uuid':
+      return typeof value === 'string' && UUID_PATTERN.test(value) ? null : 'must be a valid id';
+    case 'email':
+      return typeof value === 'string' && EMAIL_PATTERN.test(value.trim()) ? null : 'must be an email address';
+    case 'emailList': {
+      if (typeof value !== 'string' && !Array.isArray(value)) return 'must be a list of email addresses';
+      const emails = parseEmailList(value);
+      if (emails.length === 0) return 'must have at least one email address';
+      if (rule.minLength !== undefined && emails.length < rule.minLength) return `must have at least ${rule.minLength} email addresses`;
+      if (rule.maxLength !== undefined && emails.length > rule.maxLength) return `must have at most ${rule.maxLength} email addresses`;
+      const invalid = emails.filter(email => !EMAIL_PATTERN.test(email));
+      return invalid.length > 0 ? `has invalid email addresses: ${invalid.join(', ')}` : null;
+    }
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(new Date(value).getTime()) ? null : 'must be an ISO date';
+    case 'array': {
+      if (!Array.isArray(value)) return 'must be a list';
+      if (rule.minLength !== undefined && value.length < rule.minLength) return `must have at least ${rule.minLength} items`;
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) return `must have at most ${rule.maxLength} items`;
+      if (rule.items) {
+        const index = value.findIndex(item => isEmpty(item) || checkValue(item, rule.items));
+        if (index !== -1) {
+          return `item ${index + 1} ${isEmpty(value[index]) ? 'is empty' : checkValue(value[index], rule.items)}`;
+        }
+      }
+      return null;
+    }
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+      const [problem] = rule.fields ? validateFields(value, rule.fields) : [];
+      return problem ? `${problem.field} ${problem.message}` : null;
+    }
+    case 'any':
+      return null;
+    default: {
+      if (typeof value !== 'string') return 'must be text';
+      if (rule.values && !rule.values.includes(value)) return `must be one of ${rule.values.join(', ')}`;
+      const length = value.trim().length;
+      if (rule.minLength !== undefined && length < rule.minLength) return `must be at least ${rule.minLength} characters`;
+      if (rule.maxLength !== undefined && length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+      if (rule.pattern && !rule.pattern.test(value)) return 'is not in the expected format';
+      return null;
+    }
+  }
+}
+
+/**
+ * Checks an object (a request body, its params or its query) against a
+ * schema of field rules. Fields the schema doesn't name are left alone.
+ * @param {Object} source
+ * @param {Object<string, Object>} schema - Field name to rule
+ * @returns {Array<{ field: string, message: string }>} Empty when valid
+ */
+function validateFields(source, schema) {
+  const problems = [];
+  const values = source || {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = values[field];
+    if (isEmpty(value)) {
+      if (rule.required) problems.push({ field, message: 'is required' });
+      continue;
+    }
+
+    const message = checkValue(value, rule);
+    if (message) problems.push({ field, message });
+  }
+
+  return problems;
+}
+
+export { UUID_PATTERN, parseEmailList, validateFields };
@@ -0,0 +1,370 @@
+import crypto from 'crypto';
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+// [max events, window] per email and per IP
+const RATE_LIMITS = {
+  send: { email: [5, 60 * 60 * 1000], ip: [20, 60 * 60 * 1000] },
+  verify: { email: [15, 15 * 60 * 1000], ip: [50, 15 * 60 * 1000] }
+};
+
+/**
+ * @typedef {Object} VerificationRecord
+ * @property {string} email
+ * @property {string} codeHash
+ * @property {string} salt
+ * @property {Object} payload - What the code unlocks, e.g. a verified Google profile
+ * @property {number} attempts - Checks so far
+ * @property {number} sendCount
+ * @property {number} expiresAt - Epoch ms
+ * @property {number} lastSentAt - Epoch ms
+ */
+
+/**
+ * Where codes and rate-limit events are kept. Both stores below implement it.
+ * @typedef {Object} VerificationStore
+ * @property {(email: string) => Promise<VerificationRecord|null>} get
+ * @property {(record: VerificationRecord) => Promise<void>} save - Replaces the email's code
+ * @property {(email: string) => Promise<number>} incrementAttempts - Returns the new count
+ * @property {(email: string) => Promise<void>} remove
+ * @property {(key: string, action: string) => Promise<void>} recordEvent
+ * @property {(key: string, action: string, since: number) => Promise<number>} countEvents
+ * @property {(key: string, action: string, since: number) => Promise<number|null>} oldestEventAt - Epoch ms
+ * @property {() => Promise<void>} prune - Drops expired codes and old events
+ */
+
+/**
+ * Store for tests and local runs without a database. Codes are lost on restart.
+ * @param {{ now?: () => number }} [options] - Clock for event times, replaceable in tests
+ * @returns {VerificationStore}
+ */
+function createMemoryVerificationStore({ now = Date.now } = {}) {
+  const records = new Map();
+  const events = [];
+
+  return {
+    async get(email) {
+      return records.get(email) ? { ...records.get(email) } : null;
+    },
+    async save(record) {
+      records.set(record.email, { ...record });
+    },
+    async incrementAttempts(email) {
+      const record = records.get(email);
+      if (!record) return 0;
+      record.attempts += 1;
+      return record.attempts;
+    },
+    async remove(email) {
+      records.delete(email);
+    },
+    async recordEvent(key, action) {
+      events.push({ key, action, at: now() });
+    },
+    async countEvents(key, action, since) {
+      return events.filter(event => event.key === key && event.action === action && event.at >= since).length;
+    },
+    async oldestEventAt(key, action, since) {
+      const times = events
+        .filter(event => event.key === key && event.action === action && event.at >= since)
+        .map(event => event.at);
+      return times.length > 0 ? Math.min(...times) : null;
+    },
+    async prune() {
+      const current = now();
+      for (const [email, record] of records) {
+        if (record.expiresAt < current) records.delete(email);
+      }
+      const dayAgo = current - 24 * 60 * 60 * 1000;
+      events.splice(0, events.length, ...events.filter(event => event.at >= dayAgo));
+    }
+  };
+}
+
+/**
+ * Store backed by the verification tables. Needs a service-role client:
+ * row level security keeps everyone else out.
+ * @param {Object} client - Supabase client
+ * @returns {VerificationStore}
+ */
+function createSupabaseVerificationStore(client) {
+  const fail = (fn, error) => {
+    console.error(`[${fn}] ❌`, error.message);
+    throw new Error('Verification code storage failed.');
+  };
+
+  return {
+    async get(email) {
+      const { data, error } = await client
+        .from('verification_codes')
+        .select('email, code_hash, salt, payload, attempts, send_count, expires_at, last_sent_at')
+        .eq('email', email)
+        .maybeSingle();
+
+      if (error) fail('getVerificationCode', error);
+      return data && {
+        email: data.email,
+        codeHash: data.code_hash,
+        salt: data.salt,
+        payload: data.payload || {},
+        attempts: data.attempts,
+        sendCount: data.send_count,
+        expiresAt: new Date(data.expires_at).getTime(),
+        lastSentAt: new Date(data.last_sent_at).getTime()
+      };
+    },
+    async save(record) {
+      const { error } = await client
+        .from('verification_codes')
+        .upsert({
+          email: record.email,
+          code_hash: record.codeHash,
+          salt: record.salt,
+          payload: record.payload,
+          attempts: record.attempts,
+          send_count: record.sendCount,
+          expires_at: new Date(record.expiresAt).toISOString(),
+          last_sent_at: new Date(record.lastSentAt).toISOString()
+        }, { onConflict: 'email' });
+
+      if (error) fail('saveVerificationCode', error);
+    },
+    async incrementAttempts(email) {
+      const { data, error } = await client.rpc('increment_verification_attempts', { target_email: email });
+      if (error) fail('incrementVerificationAttempts', error);
+      return data ?? 0;
+    },
+    async remove(email) {
+      const { error } = await client.from('verification_codes').delete().eq('email', email);
+      if (error) fail('removeVerificationCode', error);
+    },
+    async recordEvent(key, action) {
+      const { error } = await client.from('verification_rate_events').insert([{ key, action }]);
+      if (error) fail('recordVerificationEvent', error);
+    },
+    async countEvents(key, action, since) {
+      const { count, error } = await client
+        .from('verification_rate_events')
+        .select('id', { count: 'exact', head: true })
+        .eq('key', key)
+        .eq('action', action)
+        .gte('created_at', new Date(since).toISOString());
+
+      if (error) fail('countVerificationEvents', error);
+      return count || 0;
+    },
+    async oldestEventAt(key, action, since) {
+      const { data, error } = await client
+        .from('verification_rate_events')
+        .select('created_at')
+        .eq('key', key)
+        .eq('action', action)
+        .gte('created_at', new Date(since).toISOString())
+        .order('created_at', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) fail('getOldestVerificationEvent', error);
+      return data ? new Date(data.created_at).getTime() : null;
+    },
+    async prune() {
+      const { error } = await client.rpc('prune_verification_codes');
+      // Leftovers are harmless, so a failed cleanup only gets logged
+      if (error) console.warn('[pruneVerificationCodes] ⚠️', error.message);
+    }
+  };
+}
+
+function hashCode(code, salt) {
+  return crypto.createHash('sha256').update(`${salt}:${code}`).digest('hex');
+}
+
+function hashesMatch(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Issues and checks one-time email codes on top of a store. Every method
+ * resolves to `{ ok: true, ... }` or `{ ok: false, reason, ... }` where reason
+ * is one of: rate_limited, cooldown, not_found, expired, too_many_attempts,
+ * invalid. Limited results carry `retryAfterSeconds`.
+ * @param {Object} options
+ * @param {VerificationStore} options.store
+ * @param {() => number} [options.now] - Clock, replaceable in tests
+ */
+function createVerificationCodeService({
+  store,
+  now = Date.now,
+  ttlMs = CODE_TTL_MS,
+  maxAttempts = MAX_ATTEMPTS,
+  resendCooldownMs = RESEND_COOLDOWN_MS,
+  rateLimits = RATE_LIMITS
+}) {
+  // First limit the email or IP has hit, if any, with the time until the
+  // oldest event in its window drops out. Requests over a limit aren't
+  // recorded, so a stream of them from someone else can't keep an email locked
+  // out. Requests under the limits are recorded and then counted again, so
+  // parallel requests can't all get in under a limit.
+  async function checkRateLimit(action, email, ip) {
+    const keys = { email: `email:${email}`, ip: ip && `ip:${ip}` };
+    const limits = Object.entries(rateLimits[action]).filter(([scope]) => keys[scope]);
+
+    const findLimit = async (countsThisRequest) => {
+      for (const [scope, [max, windowMs]] of limits) {
+        const since = now() - windowMs;
+        const count = await store.countEvents(keys[scope], action, since);
+        if (count + (countsThisRequest ? 0 : 1) > max) {
+          const oldest = await store.oldestEventAt(keys[scope], action, since);
+          const retryAfterMs = (oldest ?? now()) + windowMs - now();
+          return { ok: false, reason: 'rate_limited', scope, retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000)) };
+        }
+      }
+      return null;
+    };
+
+    const limited = await findLimit(false);
+    if (limited) return limited;
+
+    await Promise.all(limits.map(([scope]) => store.recordEvent(keys[scope], action)));
+    return findLimit(true);
+  }
+
+  async function sendCode(email, payload, previous, ip) {
+    const limited = await checkRateLimit('send', email, ip);
+    if (limited) return limited;
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const salt = crypto.randomBytes(16).toString('hex');
+    const issuedAt = now();
+    const record = {
+      email,
+      codeHash: hashCode(code, salt),
+      salt,
+      payload,
+      attempts: 0,
+      sendCount: (previous?.sendCount || 0) + 1,
+      expiresAt: issuedAt + ttlMs,
+      lastSentAt: issuedAt
+    };
+
+    await store.save(record);
+    store.prune().catch(() => {});
+    return { ok: true, code, expiresAt: record.expiresAt, resendAvailableAt: issuedAt + resendCooldownMs };
+  }
+
+  function cooldownLeft(record) {
+    return record ? record.lastSentAt + resendCooldownMs - now() : 0;
+  }
+
+  return {
+    /**
+     * New code for an email, replacing any pending one
+     * @param {string} email
+     * @param {{ ip?: string, payload?: Object }} [options]
+     */
+    async issue(email, { ip, payload = {} } = {}) {
+      email = normalizeEmail(email);
+      const previous = await store.get(email);
+      const wait = cooldownLeft(previous);
+      if (wait > 0) {
+        return { ok: false, reason: 'cooldown', retryAfterSeconds: Math.ceil(wait / 1000) };
+      }
+      return sendCode(email, payload, previous, ip);
+    },
+
+    /**
+     * Fresh code for a pending verification, keeping what it unlocks
+     * @param {string} email
+     * @param {{ ip?: string }} [options]
+     */
+    async resend(email, { ip } = {}) {
+      email = normalizeEmail(email);
+      const record = await store.get(email);
+      if (!record) return { ok: false, reason: 'not_found' };
+      if (record.expiresAt < now()) return { ok: false, reason: 'expired' };
+
+      const wait = cooldownLeft(record);
+      if (wait > 0) {
+        return { ok: false, reason: 'cooldown', retryAfterSeconds: Math.ceil(wait / 1000) };
+      }
+      return { ...(await sendCode(email, record.payload, record, ip)), payload: record.payload };
+    },
+
+    /**
+     * Checks a code. Every check counts as an attempt, and a code stops
+     * working after too many of them. The code stays valid until `consume`
+     * so a failed signup can be retried.
+     * @param {string} email
+     * @param {string} code
+     * @param {{ ip?: string }} [options]
+     */
+    async verify(email, code, { ip } = {}) {
+      email = normalizeEmail(email);
+      const limited = await checkRateLimit('verify', email, ip);
+      if (limited) return limited;
+
+      const record = await store.get(email);
+      if (!record) return { ok: false, reason: 'not_found' };
+      if (record.expiresAt < now()) {
+        await store.remove(email);
+        return { ok: false, reason: 'expired' };
+      }
+
+      // Counted atomically before comparing, so parallel guesses can't reuse a stale count
+      const attempts = await store.incrementAttempts(email);
+      // 0 means the code was used since it was read
+      if (attempts === 0) return { ok: false, reason: 'not_found' };
+      if (attempts > maxAttempts) return { ok: false, reason: 'too_many_attempts' };
+
+      if (!hashesMatch(hashCode(String(code).trim(), record.salt), record.codeHash)) {
+        return attempts >= maxAttempts
+          ? { ok: false, reason: 'too_many_attempts' }
+          : { ok: false, reason: 'invalid', attemptsRemaining: maxAttempts - attempts };
+      }
+
+      return { ok: true, payload: record.payload };
+    },
+
+    /**
+     * Pending verification for an email, without the code
+     * @param {string} email
+     */
+    async status(email) {
+      email = normalizeEmail(email);
+      const record = await store.get(email);
+      if (!record) return { ok: false, reason: 'not_found' };
+      if (record.expiresAt < now()) return { ok: false, reason: 'expired' };
+
+      return {
+        ok: true,
+        payload: record.payload,
+        expiresAt: record.expiresAt,
+        resendAvailableAt: record.lastSentAt + resendCooldownMs,
+        attemptsRemaining: Math.max(0, maxAttempts - record.attempts)
+      };
+    },
+
+    /**
+     * Drops an email's code once it has been used
+     * @param {string} email
+     */
+    async consume(email) {
+      await store.remove(normalizeEmail(email));
+    }
+  };
+}
+
+export {
+  CODE_TTL_MS,
+  MAX_ATTEMPTS,
+  RESEND_COOLDOWN_MS,
+  createMemoryVerificationStore,
+  createSupabaseVerificationStore,
+  createVerificationCodeService
+};
@@ -0,0 +1,6 @@
+import app from './app.js';
+
+// For Vercel serverless functions
+export default function handler(req, res) {
+  return app(req, res);
+}
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createJoinCode,
+  normalizeJoinCode,
+  canManageClass,
+  canInviteToClass,
+  canPostToClass,
+  canRemoveClassModule,
+  canPinClassModule,
+  canRemoveClassMember
+} from '../src/utils/classPermissions.js';
+
+describe('join codes', () => {
+  it('are eight characters without ones that read alike', () => {
+    for (let i = 0; i < 50; i++) {
+      assert.match(createJoinCode(), /^[A-HJKMNP-Z2-9]{8}$/);
+    }
+  });
+
+  it('match however they are typed', () => {
+    assert.equal(normalizeJoinCode(' abcd-efgh '), 'ABCDEFGH');
+    assert.equal(normalizeJoinCode(null), '');
+  });
+});
+
+describe('class permissions', () => {
+  it('leaves managing the class to its owner', () => {
+    assert.equal(canManageClass('owner'), true);
+    assert.equal(canManageClass('instructor'), false);
+    assert.equal(canManageClass('student'), false);
+  });
+
+  it('lets owners invite instructors and students, instructors only students', () => {
+    assert.equal(canInviteToClass('owner', 'instructor'), true);
+    assert.equal(canInviteToClass('owner', 'student'), true);
+    assert.equal(canInviteToClass('owner', 'owner'), false);
+    assert.equal(canInviteToClass('instructor'), true);
+    assert.equal(canInviteToClass('instructor', 'instructor'), false);
+    assert.equal(canInviteToClass('student'), false);
+  });
+
+  it('lets students post only when the class allows it', () => {
+    assert.equal(canPostToClass('instructor', { students_can_post: false }), true);
+    assert.equal(canPostToClass('student', { students_can_post: false }), false);
+    assert.equal(canPostToClass('student', { students_can_post: true }), true);
+    assert.equal(canPostToClass(null, { students_can_post: true }), false);
+  });
+
+  it('lets students remove only their own modules and only teachers pin', () => {
+    const module = { user_id: 'student-1' };
+    assert.equal(canRemoveClassModule('instructor', module, 'instructor-1'), true);
+    assert.equal(canRemoveClassModule('student', module, 'student-1'), true);
+    assert.equal(canRemoveClassModule('student', module, 'student-2'), false);
+    assert.equal(canRemoveClassModule(null, module, 'student-1'), false);
+    assert.equal(canPinClassModule('instructor'), true);
+    assert.equal(canPinClassModule('student'), false);
+  });
+
+  it('never removes the owner, and lets anyone else leave', () => {
+    assert.equal(canRemoveClassMember('owner', 'owner', true), false);
+    assert.equal(canRemoveClassMember('owner', 'instructor', false), true);
+    assert.equal(canRemoveClassMember('instructor', 'student', false), true);
+    assert.equal(canRemoveClassMember('instructor', 'instructor', false), false);
+    assert.equal(canRemoveClassMember('student', 'student', false), false);
+    assert.equal(canRemoveClassMember('student', 'student', true), true);
+  });
+});
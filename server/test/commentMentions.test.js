@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_MENTIONS, extractMentionIds, toCommentPreview } from '../src/utils/commentMentions.js';
+
+const userId = (n) => `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`;
+const mention = (name, id) => `@[${name}](mention:${id})`;
+
+describe('extractMentionIds', () => {
+  it('finds each mentioned user once', () => {
+    const body = `${mention('Ada', userId(1))} and ${mention('Ben', userId(2))}, see ${mention('Ada L.', userId(1).toUpperCase())}`;
+    assert.deepEqual(extractMentionIds(body), [userId(1), userId(2)]);
+  });
+
+  it('ignores plain @names and malformed mentions', () => {
+    assert.deepEqual(extractMentionIds('@Ada, [Ben](mention:123) and @[](mention:x)'), []);
+  });
+
+  it(`stops after ${MAX_MENTIONS} users`, () => {
+    const body = Array.from({ length: MAX_MENTIONS + 5 }, (_, i) => mention(`User ${i}`, userId(i))).join(' ');
+    assert.equal(extractMentionIds(body).length, MAX_MENTIONS);
+  });
+});
+
+describe('toCommentPreview', () => {
+  it('shows mentions as @Name on one line', () => {
+    assert.equal(toCommentPreview(`Thanks ${mention('Ada', userId(1))}!\n\nSee page 3.`), 'Thanks @Ada! See page 3.');
+  });
+
+  it('cuts long comments', () => {
+    const preview = toCommentPreview('word '.repeat(100), 20);
+    assert.equal(preview.length, 20);
+    assert.ok(preview.endsWith('…'));
+  });
+});
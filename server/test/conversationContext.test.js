@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  estimateTokens,
+  selectRecentTurns,
+  assembleConversationContext,
+  buildChatMessages
+} from '../src/utils/conversationContext.js';
+
+// Each turn costs 8 tokens of overhead plus its text (4 characters a token)
+const turn = (n, size = 40) => ({ prompt: `q${n}`.padEnd(size, '.'), response: `a${n}`.padEnd(size, '.') });
+const turns = (count) => Array.from({ length: count }, (_, i) => turn(i));
+const TURN_TOKENS = 2 * (40 / 4) + 8;
+
+function createStore(history, stored = null) {
+  const store = {
+    saved: [],
+    getConversationTurns: async () => history,
+    getConversationSummary: async () => stored,
+    saveConversationSummary: async (_userId, _conversationId, summary, summarizedTurns) => {
+      store.saved.push({ summary, summarizedTurns });
+    }
+  };
+  return store;
+}
+
+describe('selectRecentTurns', () => {
+  it('keeps as many of the newest turns as fit', () => {
+    assert.equal(estimateTokens('abcdefgh'), 2);
+    assert.equal(selectRecentTurns(turns(5), TURN_TOKENS * 2), 3);
+    assert.equal(selectRecentTurns(turns(5), TURN_TOKENS * 2 - 1), 4);
+    assert.equal(selectRecentTurns(turns(5), TURN_TOKENS * 10), 0);
+  });
+
+  it('keeps no turn when even the newest does not fit', () => {
+    assert.equal(selectRecentTurns(turns(3), 1), 3);
+  });
+
+  it('never goes back past the start index', () => {
+    assert.equal(selectRecentTurns(turns(5), TURN_TOKENS * 10, 2), 2);
+  });
+});
+
+describe('assembleConversationContext', () => {
+  it('returns the whole history when it fits', async () => {
+    const history = turns(3);
+    const context = await assembleConversationContext('u1', 'c1', { budget: 1000, store: createStore(history) });
+
+    assert.deepEqual(context, { summary: null, turns: history });
+  });
+
+  it('folds turns that no longer fit into a stored summary', async () => {
+    const history = turns(40);
+    const store = createStore(history);
+    const summarized = [];
+
+    const context = await assembleConversationContext('u1', 'c1', {
+      budget: 300 + TURN_TOKENS * 3,
+      store,
+      summarize: async (previous, older) => {
+        summarized.push({ previous, count: older.length });
+        return 'summary of older turns';
+      }
+    });
+
+    assert.equal(context.summary, 'summary of older turns');
+    assert.deepEqual(context.turns, history.slice(37));
+    assert.deepEqual(summarized, [{ previous: null, count: 37 }]);
+    assert.deepEqual(store.saved, [{ summary: 'summary of older turns', summarizedTurns: 37 }]);
+  });
+
+  it('only summarises turns the stored summary does not cover', async () => {
+    const history = turns(40);
+    const store = createStore(history, { summary: 'earlier', summarizedTurns: 35 });
+    const summarized = [];
+
+    const context = await assembleConversationContext('u1', 'c1', {
+      budget: 300 + TURN_TOKENS * 3,
+      store,
+      summarize: async (previous, older) => {
+        summarized.push({ previous, first: older[0].prompt.slice(0, 3), count: older.length });
+        return 'updated';
+      }
+    });
+
+    assert.deepEqual(summarized, [{ previous: 'earlier', first: 'q35', count: 2 }]);
+    assert.equal(context.summary, 'updated');
+    assert.equal(context.turns.length, 3);
+  });
+
+  it('ignores a summary covering more turns than exist', async () => {
+    const history = turns(2);
+    const context = await assembleConversationContext('u1', 'c1', {
+      budget: 1000,
+      store: createStore(history, { summary: 'stale', summarizedTurns: 10 })
+    });
+
+    assert.deepEqual(context, { summary: null, turns: history });
+  });
+
+  it('leaves older turns out when summarising fails', async () => {
+    const history = turns(40);
+    const store = createStore(history);
+
+    const context = await assembleConversationContext('u1', 'c1', {
+      budget: 300 + TURN_TOKENS * 3,
+      store,
+      summarize: async () => { throw new Error('model down'); }
+    });
+
+    assert.equal(context.summary, null);
+    assert.deepEqual(context.turns, history.slice(37));
+    assert.deepEqual(store.saved, []);
+  });
+
+  it('returns nothing for an empty conversation', async () => {
+    assert.deepEqual(await assembleConversationContext('u1', 'c1', { store: createStore([]) }), { summary: null, turns: [] });
+  });
+});
+
+describe('buildChatMessages', () => {
+  it('puts the summary in the system message and replays the turns before the prompt', () => {
+    const messages = buildChatMessages({
+      summary: 'We covered mitosis.',
+      turns: [{ prompt: 'What is meiosis?', response: 'Cell division for gametes.' }],
+      prompt: 'And mitosis?',
+      systemPrompt: 'Be helpful.'
+    });
+
+    assert.deepEqual(messages, [
+      { role: 'system', content: 'Be helpful.\n\nSummary of the earlier conversation:\nWe covered mitosis.' },
+      { role: 'user', content: 'What is meiosis?' },
+      { role: 'assistant', content: 'Cell division for gametes.' },
+      { role: 'user', content: 'And mitosis?' }
+    ]);
+  });
+});
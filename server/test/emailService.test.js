@@ -0,0 +1,138 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTemplate, renderEmail, setEmailTransport, sendTemplateEmail } from '../src/utils/emailService.js';
+
+const signupData = { name: 'Ada', email: 'ada@example.com', code: '123456', expiresInMinutes: 10 };
+
+describe('renderTemplate', () => {
+  it('fills values, escaping them only when asked', () => {
+    const template = 'Hi {{name}}, {{{html}}}';
+    const data = { name: '<Ada>', html: '<b>bold</b>' };
+
+    assert.equal(renderTemplate(template, data), 'Hi <Ada>, <b>bold</b>');
+    assert.equal(renderTemplate(template, data, { escape: true }), 'Hi &lt;Ada&gt;, <b>bold</b>');
+  });
+
+  it('repeats sections for lists and shows inverted sections when empty', () => {
+    const template = '{{#items}}[{{title}}]{{/items}}{{^items}}none{{/items}}';
+
+    assert.equal(renderTemplate(template, { items: [{ title: 'a' }, { title: 'b' }] }), '[a][b]');
+    assert.equal(renderTemplate(template, { items: [] }), 'none');
+  });
+
+  it('leaves no blank lines where section tags stood alone', () => {
+    const template = 'start\n{{#show}}\nshown\n{{/show}}\nend';
+
+    assert.equal(renderTemplate(template, { show: true }), 'start\nshown\nend');
+    assert.equal(renderTemplate(template, { show: false }), 'start\nend');
+  });
+
+  it('does not read inserted values as tags', () => {
+    assert.equal(renderTemplate('{{name}}', { name: '{{secret}}', secret: 'leaked' }), '{{secret}}');
+  });
+});
+
+describe('renderEmail', () => {
+  it('builds the subject and both bodies inside the layout', () => {
+    const email = renderEmail('signup-code', signupData);
+
+    assert.equal(email.subject, 'Complete Your EduRetrieve Registration');
+    assert.match(email.html, /123456/);
+    assert.match(email.html, /<html/i);
+    assert.match(email.text, /^EduRetrieve\n/);
+    assert.match(email.text, /expire in 10 minutes/);
+  });
+
+  it('escapes values in the HTML body but not the text one', () => {
+    const email = renderEmail('signup-code', { ...signupData, name: '<script>' });
+
+    assert.doesNotMatch(email.html, /<script>/);
+    assert.match(email.html, /&lt;script&gt;/);
+    assert.match(email.text, /Hi <script>!/);
+  });
+
+  it('renders digest items and their optional parts', () => {
+    const email = renderEmail('digest', {
+      name: 'Ada',
+      period: 'this week',
+      items: [{ title: 'New comment', url: 'https://example.com/1' }, { title: 'Module shared' }]
+    });
+
+    assert.match(email.text, /- New comment\n {2}https:\/\/example\.com\/1\n/);
+    assert.match(email.text, /- Module shared/);
+    assert.doesNotMatch(email.text, /more in your notifications/);
+  });
+
+  it('rejects unknown templates and missing data', () => {
+    assert.throws(() => renderEmail('nope', {}), /Unknown email template "nope"/);
+    assert.throws(() => renderEmail('signup-code', { name: 'Ada' }), /missing: email, code, expiresInMinutes/);
+  });
+});
+
+describe('sendTemplateEmail', () => {
+  const createFlakyTransport = (failures) => {
+    const sent = [];
+    return {
+      name: 'fake',
+      defaultFrom: 'EduRetrieve <test@localhost>',
+      sent,
+      async send(message) {
+        sent.push(message);
+        const failure = failures[sent.length - 1];
+        if (failure) throw failure;
+        return { id: `message-${sent.length}` };
+      }
+    };
+  };
+
+  afterEach(() => setEmailTransport(null));
+
+  it('sends the rendered message', async () => {
+    const transport = createFlakyTransport([]);
+    setEmailTransport(transport);
+
+    const result = await sendTemplateEmail('signup-code', { to: 'ada@example.com', data: signupData });
+
+    assert.deepEqual(result, { ok: true, id: 'message-1', attempts: 1 });
+    assert.equal(transport.sent[0].to, 'ada@example.com');
+    assert.equal(transport.sent[0].from, 'EduRetrieve <test@localhost>');
+    assert.equal(transport.sent[0].subject, 'Complete Your EduRetrieve Registration');
+  });
+
+  it('retries transient failures', async () => {
+    const transport = createFlakyTransport([new Error('ECONNRESET'), new Error('ETIMEDOUT')]);
+    setEmailTransport(transport);
+
+    const result = await sendTemplateEmail('signup-code', { to: 'ada@example.com', data: signupData });
+
+    assert.deepEqual(result, { ok: true, id: 'message-3', attempts: 3 });
+  });
+
+  it('gives up after the configured number of attempts', async () => {
+    const transport = createFlakyTransport([new Error('down'), new Error('down'), new Error('down'), null]);
+    setEmailTransport(transport);
+
+    const result = await sendTemplateEmail('signup-code', { to: 'ada@example.com', data: signupData });
+
+    assert.deepEqual(result, { ok: false, attempts: 3, error: 'down' });
+    assert.equal(transport.sent.length, 3);
+  });
+
+  it('does not retry failures marked permanent', async () => {
+    const rejected = Object.assign(new Error('mailbox unavailable'), { retryable: false });
+    const transport = createFlakyTransport([rejected]);
+    setEmailTransport(transport);
+
+    const result = await sendTemplateEmail('signup-code', { to: 'ada@example.com', data: signupData });
+
+    assert.deepEqual(result, { ok: false, attempts: 1, error: 'mailbox unavailable' });
+  });
+
+  it('throws before sending when the template data is incomplete', async () => {
+    const transport = createFlakyTransport([]);
+    setEmailTransport(transport);
+
+    await assert.rejects(sendTemplateEmail('signup-code', { to: 'ada@example.com', data: {} }), /is missing/);
+    assert.equal(transport.sent.length, 0);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLocalEmbeddingProvider, getEmbeddingProvider, cosineSimilarity } from '../src/utils/embeddings.js';
+
+describe('local embedding provider', () => {
+  it('is selected by EMBEDDING_PROVIDER', () => {
+    assert.equal(getEmbeddingProvider().name, 'local');
+  });
+
+  it('returns one normalized vector of the configured size per text', async () => {
+    const provider = createLocalEmbeddingProvider({ dimensions: 64 });
+    const vectors = await provider.embed(['Cells divide by mitosis', 'Photosynthesis makes sugar']);
+
+    assert.equal(provider.model, 'local-hash-64');
+    assert.equal(vectors.length, 2);
+    for (const vector of vectors) {
+      assert.equal(vector.length, 64);
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+      assert.ok(Math.abs(norm - 1) < 1e-3);
+    }
+  });
+
+  it('gives the same vector for the same text', async () => {
+    const provider = createLocalEmbeddingProvider();
+    const [first] = await provider.embed(['The mitochondria is the powerhouse of the cell']);
+    const [second] = await provider.embed(['The mitochondria is the powerhouse of the cell']);
+
+    assert.deepEqual(first, second);
+  });
+
+  it('scores texts sharing vocabulary above unrelated ones', async () => {
+    const provider = createLocalEmbeddingProvider();
+    const [query, related, unrelated] = await provider.embed([
+      'how do plants use photosynthesis',
+      'Photosynthesis lets plants turn light into sugar',
+      'The French revolution began in 1789'
+    ]);
+
+    assert.ok(cosineSimilarity(query, related) > provider.minScore);
+    assert.ok(cosineSimilarity(query, related) > cosineSimilarity(query, unrelated));
+  });
+
+  it('embeds empty text as a zero vector', async () => {
+    const [vector] = await createLocalEmbeddingProvider({ dimensions: 8 }).embed(['']);
+    assert.deepEqual(vector, new Array(8).fill(0));
+  });
+});
+
+describe('cosineSimilarity', () => {
+  it('measures the angle between vectors', () => {
+    assert.equal(cosineSimilarity([1, 0], [2, 0]), 1);
+    assert.equal(cosineSimilarity([1, 0], [0, 3]), 0);
+    assert.equal(cosineSimilarity([1, 0], [-1, 0]), -1);
+  });
+
+  it('is 0 for mismatched, empty or zero vectors', () => {
+    assert.equal(cosineSimilarity([1, 0], [1, 0, 0]), 0);
+    assert.equal(cosineSimilarity([], []), 0);
+    assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+    assert.equal(cosineSimilarity(null, [1]), 0);
+  });
+});
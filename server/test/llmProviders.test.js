@@ -0,0 +1,163 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockProvider, getLLMProvider, setLLMProvider } from '../src/utils/llmProviders.js';
+
+const settings = { timeoutMs: 1000, maxRetries: 2, retryBaseDelayMs: 0 };
+const messages = [{ role: 'user', content: 'What is photosynthesis?' }];
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+// Raw provider that fails with the given errors, in order, before answering
+function createScriptedProvider(failures) {
+  const provider = {
+    name: 'scripted',
+    model: 'scripted-1',
+    calls: 0,
+    async complete() {
+      const failure = failures[provider.calls++];
+      if (failure) throw failure;
+      return 'answer';
+    },
+    async stream(_messages, { onToken }) {
+      const failure = failures[provider.calls++];
+      onToken('partial ');
+      if (failure) throw failure;
+      onToken('answer');
+      return 'partial answer';
+    }
+  };
+  return provider;
+}
+
+describe('mock provider', () => {
+  it('answers deterministically from the last user message', async () => {
+    const provider = createMockProvider();
+    const conversation = [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'First question' },
+      { role: 'assistant', content: 'First answer' },
+      { role: 'user', content: '  Second\n question ' }
+    ];
+
+    const answer = await provider.complete(conversation);
+    assert.equal(answer, 'Mock response (turn 2) to: "Second question"');
+    assert.equal(await provider.complete(conversation), answer);
+  });
+
+  it('cites numbered module context like a real model', async () => {
+    const provider = createMockProvider();
+    const answer = await provider.complete([{ role: 'user', content: '[1] Chloroplasts hold chlorophyll.\n\nWhat holds chlorophyll?' }]);
+
+    assert.match(answer, / \[1\]$/);
+  });
+
+  it('streams the same text token by token', async () => {
+    const provider = createMockProvider();
+    const tokens = [];
+
+    const text = await provider.stream(messages, { onToken: token => tokens.push(token) });
+
+    assert.equal(text, await provider.complete(messages));
+    assert.ok(tokens.length > 1);
+    assert.equal(tokens.join(''), text);
+  });
+
+  it('stops streaming when aborted', async () => {
+    const provider = createMockProvider();
+    const controller = new AbortController();
+    const tokens = [];
+
+    const streaming = provider.stream(messages, {
+      signal: controller.signal,
+      onToken: token => {
+        tokens.push(token);
+        controller.abort();
+      }
+    });
+
+    await assert.rejects(streaming, { name: 'AbortError' });
+    assert.equal(tokens.length, 1);
+  });
+});
+
+describe('retry and timeout policy', () => {
+  afterEach(() => setLLMProvider(null));
+
+  it('uses the mock provider from LLM_PROVIDER', () => {
+    assert.equal(getLLMProvider().name, 'mock');
+  });
+
+  it('retries rate limits and server errors', async () => {
+    const raw = createScriptedProvider([httpError(429), httpError(503)]);
+    setLLMProvider(raw, settings);
+
+    assert.equal(await getLLMProvider().complete(messages), 'answer');
+    assert.equal(raw.calls, 3);
+  });
+
+  it('gives up after the configured retries', async () => {
+    const raw = createScriptedProvider([httpError(500), httpError(500), httpError(500), null]);
+    setLLMProvider(raw, settings);
+
+    await assert.rejects(getLLMProvider().complete(messages), { status: 500 });
+    assert.equal(raw.calls, 3);
+  });
+
+  it('does not retry client errors', async () => {
+    const raw = createScriptedProvider([httpError(400)]);
+    setLLMProvider(raw, settings);
+
+    await assert.rejects(getLLMProvider().complete(messages), { status: 400 });
+    assert.equal(raw.calls, 1);
+  });
+
+  it('backs off exponentially between attempts', async () => {
+    const raw = createScriptedProvider([httpError(503), httpError(503)]);
+    setLLMProvider(raw, { ...settings, retryBaseDelayMs: 25 });
+
+    const started = Date.now();
+    await getLLMProvider().complete(messages);
+
+    // 25ms, then 50ms
+    assert.ok(Date.now() - started >= 70);
+  });
+
+  it('times out a silent request and retries it', async () => {
+    let calls = 0;
+    setLLMProvider({
+      name: 'slow',
+      model: 'slow-1',
+      complete: (_messages, { signal }) => new Promise((resolve, reject) => {
+        calls += 1;
+        if (calls > 1) return resolve('answer');
+        signal.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' })));
+      }),
+      stream: async () => ''
+    }, { ...settings, timeoutMs: 20 });
+
+    assert.equal(await getLLMProvider().complete(messages), 'answer');
+    assert.equal(calls, 2);
+  });
+
+  it('reports a timeout once retries run out', async () => {
+    setLLMProvider({
+      name: 'slow',
+      model: 'slow-1',
+      complete: (_messages, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' })));
+      }),
+      stream: async () => ''
+    }, { ...settings, timeoutMs: 20, maxRetries: 0 });
+
+    await assert.rejects(getLLMProvider().complete(messages), /slow request timed out after 20ms/);
+  });
+
+  it('does not retry a stream that already sent tokens', async () => {
+    const raw = createScriptedProvider([httpError(503)]);
+    setLLMProvider(raw, settings);
+    const tokens = [];
+
+    await assert.rejects(getLLMProvider().stream(messages, { onToken: token => tokens.push(token) }), { status: 503 });
+    assert.equal(raw.calls, 1);
+    assert.deepEqual(tokens, ['partial ']);
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getModuleFilePath } from '../src/utils/moduleFiles.js';
+
+describe('getModuleFilePath', () => {
+  it('takes stored paths as they are', () => {
+    assert.equal(getModuleFilePath('modules/u1/1700000000000-abc.pdf'), 'modules/u1/1700000000000-abc.pdf');
+  });
+
+  it('reads the path out of the public URLs older modules stored', () => {
+    assert.equal(
+      getModuleFilePath('https://project.supabase.co/storage/v1/object/public/module-files/modules/u1/a.pdf?t=1'),
+      'modules/u1/a.pdf'
+    );
+  });
+
+  it('has no path for files linked from elsewhere or missing', () => {
+    assert.equal(getModuleFilePath('https://example.com/notes.pdf'), null);
+    assert.equal(getModuleFilePath(null), null);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isIndexingStale, toModuleTextStatus } from '../src/utils/moduleIndexing.js';
+import { extractModuleText } from '../src/utils/moduleExtraction.js';
+
+const now = Date.parse('2025-01-01T12:00:00Z');
+const minutesAgo = (minutes) => new Date(now - minutes * 60 * 1000).toISOString();
+
+describe('isIndexingStale', () => {
+  it('flags jobs left pending or processing long after they were queued', () => {
+    assert.equal(isIndexingStale({ status: 'pending', queued_at: minutesAgo(16) }, now), true);
+    assert.equal(isIndexingStale({ status: 'processing', queued_at: minutesAgo(16) }, now), true);
+  });
+
+  it('leaves recent and finished jobs alone', () => {
+    assert.equal(isIndexingStale({ status: 'processing', queued_at: minutesAgo(2) }, now), false);
+    assert.equal(isIndexingStale({ status: 'completed', queued_at: minutesAgo(60) }, now), false);
+    assert.equal(isIndexingStale({ status: 'failed', queued_at: null }, now), false);
+  });
+
+  it('falls back to the last update for rows queued before jobs had a queue time', () => {
+    assert.equal(isIndexingStale({ status: 'processing', queued_at: null, updated_at: minutesAgo(30) }, now), true);
+    assert.equal(isIndexingStale({ status: 'processing', queued_at: null, updated_at: minutesAgo(1) }, now), false);
+  });
+});
+
+describe('extractModuleText', () => {
+  it('reads plain text and counts its words', async () => {
+    const { fields, document } = await extractModuleText(Buffer.from('Cells divide by mitosis.'), 'text/plain');
+
+    assert.equal(fields.status, 'completed');
+    assert.equal(fields.content, 'Cells divide by mitosis.');
+    assert.equal(fields.word_count, 4);
+    assert.equal(document.text, 'Cells divide by mitosis.');
+  });
+
+  it('records file types it cannot read as unsupported', async () => {
+    const { fields, document } = await extractModuleText(Buffer.from('x'), 'application/msword');
+
+    assert.equal(fields.status, 'unsupported');
+    assert.match(fields.error, /not supported for application\/msword/);
+    assert.equal(document, null);
+  });
+
+  it('reports the API shape of a stored row', () => {
+    assert.deepEqual(toModuleTextStatus({ module_id: 'm1', status: 'pending', mime_type: 'text/plain' }), {
+      moduleId: 'm1',
+      status: 'pending',
+      pageCount: null,
+      wordCount: 0,
+      chunkCount: 0,
+      mimeType: 'text/plain',
+      extractedAt: null,
+      error: null
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeQuery, buildSnippet, buildModuleSnippet } from '../src/utils/moduleSearch.js';
+
+describe('tokenizeQuery', () => {
+  it('splits on anything but letters and digits, keeping unique lowercase terms', () => {
+    assert.deepEqual(tokenizeQuery('Cell-Biology, cell (101) & é-volution'), ['cell', 'biology', '101', 'volution']);
+  });
+
+  it('drops one-letter terms and caps the number of terms', () => {
+    assert.deepEqual(tokenizeQuery('a b cd'), ['cd']);
+    assert.equal(tokenizeQuery('one two three four five six seven eight nine ten').length, 8);
+  });
+
+  it('returns nothing for empty or non-string queries', () => {
+    assert.deepEqual(tokenizeQuery(''), []);
+    assert.deepEqual(tokenizeQuery(undefined), []);
+    assert.deepEqual(tokenizeQuery(['cell']), []);
+  });
+});
+
+describe('buildSnippet', () => {
+  it('highlights every occurrence of the terms', () => {
+    const snippet = buildSnippet('Cells  divide.\nCells grow.', ['cells']);
+
+    assert.equal(snippet.text, 'Cells divide. Cells grow.');
+    assert.deepEqual(snippet.highlights, [[0, 5], [14, 19]]);
+  });
+
+  it('cuts long text around the first match without splitting words', () => {
+    const text = `${'lorem '.repeat(40)}mitochondria ${'ipsum '.repeat(60)}`;
+    const snippet = buildSnippet(text, ['mitochondria'], 20);
+
+    assert.match(snippet.text, /^…lorem/);
+    assert.match(snippet.text, /ipsum…$/);
+    const [[start, end]] = snippet.highlights;
+    assert.equal(snippet.text.slice(start, end), 'mitochondria');
+  });
+
+  it('merges overlapping highlights', () => {
+    assert.deepEqual(buildSnippet('photosynthesis', ['photo', 'synthesis', 'tosyn']).highlights, [[0, 14]]);
+  });
+
+  it('returns null when nothing matches', () => {
+    assert.equal(buildSnippet('Cells divide', ['atoms']), null);
+    assert.equal(buildSnippet('', ['cells']), null);
+  });
+});
+
+describe('buildModuleSnippet', () => {
+  it('prefers the extracted text, then the description, then the title', () => {
+    const fields = { title: 'Cell notes', description: 'All about cells', content: 'Cells divide by mitosis' };
+
+    assert.equal(buildModuleSnippet(fields, ['mitosis']).source, 'content');
+    assert.equal(buildModuleSnippet(fields, ['about']).source, 'description');
+    assert.equal(buildModuleSnippet(fields, ['notes']).source, 'title');
+    assert.equal(buildModuleSnippet(fields, ['atoms']), null);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setEmailTransport } from '../src/utils/emailService.js';
+import { sendClassInviteEmails, buildDigestItems, sendNotificationDigests } from '../src/utils/notificationEmails.js';
+
+const createTransport = ({ failFor = [] } = {}) => {
+  const sent = [];
+  return {
+    name: 'fake',
+    defaultFrom: 'EduRetrieve <test@localhost>',
+    sent,
+    async send(message) {
+      if (failFor.includes(message.to)) {
+        throw Object.assign(new Error('mailbox unavailable'), { retryable: false });
+      }
+      sent.push(message);
+      return { id: `message-${sent.length}` };
+    }
+  };
+};
+
+describe('sendClassInviteEmails', () => {
+  afterEach(() => setEmailTransport(null));
+
+  it('emails every invited address with the class and who invited them', async () => {
+    const transport = createTransport();
+    setEmailTransport(transport);
+
+    const emailed = await sendClassInviteEmails(['ana@school.edu', 'ben@school.edu'], {
+      className: 'Biology 101',
+      inviterName: 'Ms. Cruz',
+      role: 'student'
+    });
+
+    assert.equal(emailed, 2);
+    assert.deepEqual(transport.sent.map(message => message.to), ['ana@school.edu', 'ben@school.edu']);
+    assert.equal(transport.sent[0].subject, 'Ms. Cruz invited you to Biology 101');
+    assert.match(transport.sent[0].text, /join Biology 101 on EduRetrieve as a student/);
+  });
+
+  it('counts only the emails that were sent', async () => {
+    setEmailTransport(createTransport({ failFor: ['ben@school.edu'] }));
+
+    const emailed = await sendClassInviteEmails(['ana@school.edu', 'ben@school.edu'], {
+      className: 'Biology 101',
+      inviterName: 'Ms. Cruz',
+      role: 'instructor'
+    });
+
+    assert.equal(emailed, 1);
+  });
+});
+
+describe('buildDigestItems', () => {
+  it('lists the newest notifications first and counts the rest', () => {
+    const notifications = [1, 2, 3].map(n => ({
+      title: `Notification ${n}`,
+      body: n === 1 ? 'First' : null,
+      link: null,
+      created_at: `2026-03-0${n}T08:00:00.000Z`
+    }));
+
+    assert.deepEqual(buildDigestItems(notifications, 2), {
+      items: [
+        { title: 'Notification 3', body: null, url: null },
+        { title: 'Notification 2', body: null, url: null }
+      ],
+      moreCount: 1
+    });
+  });
+});
+
+describe('sendNotificationDigests', () => {
+  afterEach(() => setEmailTransport(null));
+
+  const now = Date.parse('2026-03-02T08:00:00.000Z');
+  const notification = (id, userId) => ({
+    id,
+    user_id: userId,
+    title: `Notification ${id}`,
+    body: null,
+    link: null,
+    created_at: '2026-03-01T08:00:00.000Z'
+  });
+
+  const createStore = (notifications, profiles) => {
+    const store = {
+      emailed: [],
+      listUndigestedNotifications: async ({ createdBefore }) => {
+        store.createdBefore = createdBefore;
+        return notifications;
+      },
+      listProfilesByIds: async (ids) => profiles.filter(profile => ids.includes(profile.id)),
+      markNotificationsEmailed: async (ids) => { store.emailed.push(...ids); }
+    };
+    return store;
+  };
+
+  it('emails each user one digest and marks what it carried', async () => {
+    const transport = createTransport();
+    setEmailTransport(transport);
+    const store = createStore(
+      [notification('n1', 'u1'), notification('n2', 'u1'), notification('n3', 'u2')],
+      [
+        { id: 'u1', email: 'ana@school.edu', fullName: 'Ana', suspended: false },
+        { id: 'u2', email: 'ben@school.edu', username: 'ben', suspended: false }
+      ]
+    );
+
+    const result = await sendNotificationDigests({ now, store });
+
+    assert.deepEqual(result, { sent: 2, failed: 0, skipped: 0 });
+    assert.equal(store.createdBefore, '2026-03-02T07:00:00.000Z');
+    assert.deepEqual(transport.sent.map(message => message.to), ['ana@school.edu', 'ben@school.edu']);
+    assert.match(transport.sent[0].text, /Hi Ana! Here is what happened on EduRetrieve today:/);
+    assert.match(transport.sent[0].text, /- Notification n1\n\n- Notification n2/);
+    assert.deepEqual(store.emailed, ['n1', 'n2', 'n3']);
+  });
+
+  it('skips suspended users and retries failed emails on the next run', async () => {
+    setEmailTransport(createTransport({ failFor: ['ben@school.edu'] }));
+    const store = createStore(
+      [notification('n1', 'u1'), notification('n2', 'u2'), notification('n3', 'u3')],
+      [
+        { id: 'u1', email: 'ana@school.edu', suspended: true },
+        { id: 'u2', email: 'ben@school.edu', suspended: false }
+      ]
+    );
+
+    const result = await sendNotificationDigests({ now, store });
+
+    assert.deepEqual(result, { sent: 0, failed: 1, skipped: 2 });
+    assert.deepEqual(store.emailed, ['n1', 'n3']);
+  });
+});
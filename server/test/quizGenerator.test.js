@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { gradeQuizAttempt, normalizeAnswer } from '../src/utils/quizGenerator.js';
+
+const shortAnswer = (answer, acceptedAnswers = []) => [{ id: 'q1', type: 'short_answer', answer, acceptedAnswers }];
+const isCorrect = (questions, given) => gradeQuizAttempt(questions, { q1: given }).results[0].correct;
+
+describe('gradeQuizAttempt', () => {
+  it('scores multiple choice and true/false answers', () => {
+    const questions = [
+      { id: 'a', type: 'multiple_choice', answer: 2 },
+      { id: 'b', type: 'true_false', answer: false },
+      { id: 'c', type: 'true_false', answer: true }
+    ];
+
+    const { score, maxScore, results } = gradeQuizAttempt(questions, { a: '2', b: 'false' });
+
+    assert.equal(score, 2);
+    assert.equal(maxScore, 3);
+    assert.deepEqual(results.map(result => result.correct), [true, true, false]);
+    assert.equal(results[2].given, null);
+  });
+
+  it('accepts short answers differing in case, punctuation and articles', () => {
+    assert.equal(normalizeAnswer('  The Mitochondria! '), 'mitochondria');
+    assert.equal(isCorrect(shortAnswer('mitochondria'), 'The Mitochondria.'), true);
+  });
+
+  it('accepts any listed wording', () => {
+    assert.equal(isCorrect(shortAnswer('carbon dioxide', ['CO2']), 'co2'), true);
+  });
+
+  it('allows a typo per six characters, up to two', () => {
+    const questions = shortAnswer('photosynthesis');
+
+    assert.equal(isCorrect(questions, 'photosynthsis'), true);
+    assert.equal(isCorrect(questions, 'fotosynthesis'), true);
+    assert.equal(isCorrect(questions, 'fotosynthsis'), false);
+  });
+
+  it('allows no typos in short answers', () => {
+    assert.equal(isCorrect(shortAnswer('DNA'), 'DNB'), false);
+  });
+
+  it('does not accept answers that list several guesses', () => {
+    const questions = shortAnswer('mitosis');
+
+    assert.equal(isCorrect(questions, 'mitosis or meiosis'), false);
+    assert.equal(isCorrect(questions, 'meiosis mitosis osmosis'), false);
+  });
+
+  it('marks blank answers wrong', () => {
+    assert.equal(isCorrect(shortAnswer('mitosis'), ''), false);
+    assert.equal(isCorrect(shortAnswer('mitosis'), '  ?! '), false);
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { requireRole } from '../src/middleware/roleMiddleware.js';
+
+const run = (middleware, role) => {
+  let passed;
+  middleware({ user: { id: 'u1', role }, method: 'GET', originalUrl: '/api/admin' }, {}, (error) => { passed = error; });
+  return passed;
+};
+
+describe('requireRole', () => {
+  it('lets the given account roles through', () => {
+    assert.equal(run(requireRole('admin'), 'admin'), undefined);
+    assert.equal(run(requireRole('instructor', 'admin'), 'instructor'), undefined);
+  });
+
+  it('refuses other roles with a 403', () => {
+    const error = run(requireRole('admin'), 'student');
+    assert.equal(error.status, 403);
+    assert.equal(error.message, 'You do not have permission to do this');
+  });
+});
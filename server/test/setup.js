@@ -0,0 +1,13 @@
+// Loaded before every test file (see the "test" script). Settings are fixed
+// here so a developer's .env can't slow tests down or reach real services;
+// config.js reads them once, when it is first imported.
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  EMAIL_TRANSPORT: 'capture',
+  EMAIL_CAPTURE_DIR: '',
+  EMAIL_MAX_ATTEMPTS: '3',
+  EMAIL_RETRY_BASE_DELAY_MS: '0',
+  LLM_PROVIDER: 'mock',
+  LLM_RETRY_BASE_DELAY_MS: '0',
+  EMBEDDING_PROVIDER: 'local'
+});
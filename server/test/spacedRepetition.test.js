@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_EASE_FACTOR, scheduleReview } from '../src/utils/spacedRepetition.js';
+
+const now = new Date('2026-03-01T08:00:00.000Z');
+
+describe('scheduleReview', () => {
+  it('schedules a new card for tomorrow, then in six days', () => {
+    const first = scheduleReview({}, 4, now);
+    assert.deepEqual(first, {
+      easeFactor: DEFAULT_EASE_FACTOR,
+      intervalDays: 1,
+      repetitions: 1,
+      lapses: 0,
+      dueAt: '2026-03-02T08:00:00.000Z'
+    });
+
+    const second = scheduleReview(first, 4, now);
+    assert.equal(second.intervalDays, 6);
+    assert.equal(second.repetitions, 2);
+    assert.equal(second.dueAt, '2026-03-07T08:00:00.000Z');
+  });
+
+  it('multiplies the interval by the ease factor after that', () => {
+    const next = scheduleReview({ easeFactor: 2.5, intervalDays: 6, repetitions: 2 }, 4, now);
+    assert.equal(next.intervalDays, 15);
+    assert.equal(next.repetitions, 3);
+  });
+
+  it('makes the card easier on perfect recall and harder on hesitant recall', () => {
+    assert.equal(scheduleReview({}, 5, now).easeFactor, 2.6);
+    assert.equal(scheduleReview({}, 3, now).easeFactor, 2.36);
+  });
+
+  it('never lets the ease factor drop below 1.3', () => {
+    assert.equal(scheduleReview({ easeFactor: 1.3 }, 3, now).easeFactor, 1.3);
+    assert.equal(scheduleReview({ easeFactor: 1.3 }, 0, now).easeFactor, 1.3);
+  });
+
+  it('resets a lapsed card and shows it again in ten minutes', () => {
+    const lapsed = scheduleReview({ easeFactor: 2.5, intervalDays: 15, repetitions: 3, lapses: 1 }, 1, now);
+    assert.deepEqual(lapsed, {
+      easeFactor: 1.96,
+      intervalDays: 0,
+      repetitions: 0,
+      lapses: 2,
+      dueAt: '2026-03-01T08:10:00.000Z'
+    });
+  });
+
+  it('rejects a quality outside 0 to 5', () => {
+    for (const quality of [-1, 6, 2.5, '4', undefined]) {
+      assert.throws(() => scheduleReview({}, quality, now), /Quality must be a whole number from 0 to 5/);
+    }
+  });
+});
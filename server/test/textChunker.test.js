@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, chunkDocument } from '../src/utils/textChunker.js';
+
+const sentences = Array.from({ length: 60 }, (_, i) => `Sentence number ${i} talks about topic ${i % 7}.`).join(' ');
+
+// Characters at the end of `previous` that `next` starts with
+function sharedLength(previous, next) {
+  for (let length = Math.min(previous.length, next.length); length > 0; length--) {
+    if (previous.endsWith(next.slice(0, length))) return length;
+  }
+  return 0;
+}
+
+describe('chunkText', () => {
+  it('keeps short text in one chunk with whitespace collapsed', () => {
+    assert.deepEqual(chunkText('  Cells\n\ndivide.  '), ['Cells divide.']);
+    assert.deepEqual(chunkText(''), []);
+    assert.deepEqual(chunkText(null), []);
+  });
+
+  it('ends chunks on sentence boundaries within the size limit', () => {
+    const chunks = chunkText(sentences, { chunkSize: 300, overlap: 60 });
+
+    assert.ok(chunks.length > 1);
+    chunks.slice(0, -1).forEach(chunk => {
+      assert.ok(chunk.length <= 300);
+      assert.match(chunk, /\.$/);
+    });
+  });
+
+  it('repeats the configured overlap when a chunk ends early on a sentence', () => {
+    const chunks = chunkText(sentences, { chunkSize: 300, overlap: 60 });
+
+    for (let i = 1; i < chunks.length; i++) {
+      assert.ok(sharedLength(chunks[i - 1], chunks[i]) >= 60, `chunk ${i} repeats too little of chunk ${i - 1}`);
+    }
+  });
+
+  it('starts every chunk on a word', () => {
+    const chunks = chunkText(sentences, { chunkSize: 250, overlap: 50 });
+    const words = new Set(sentences.split(' '));
+
+    chunks.forEach(chunk => assert.ok(words.has(chunk.split(' ')[0])));
+  });
+
+  it('covers the whole text and always makes progress', () => {
+    const text = 'x'.repeat(2500);
+    const chunks = chunkText(text, { chunkSize: 1000, overlap: 1000 });
+
+    assert.ok(chunks.length < 2500);
+    assert.ok(chunks[chunks.length - 1].length > 0);
+    assert.ok(text.endsWith(chunks[chunks.length - 1]));
+  });
+});
+
+describe('chunkDocument', () => {
+  it('numbers chunks across pages and records their page', () => {
+    const chunks = chunkDocument({ text: 'ignored', pages: ['First page.', '', 'Third page.'] });
+
+    assert.deepEqual(chunks, [
+      { chunkIndex: 0, page: 1, content: 'First page.' },
+      { chunkIndex: 1, page: 3, content: 'Third page.' }
+    ]);
+  });
+
+  it('uses the whole text without a page when there are no pages', () => {
+    assert.deepEqual(chunkDocument({ text: 'Only text.' }), [{ chunkIndex: 0, page: null, content: 'Only text.' }]);
+  });
+});
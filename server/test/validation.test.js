@@ -0,0 +1,138 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEmailList, validateFields } from '../src/utils/validation.js';
+import validateRequest from '../src/middleware/validateRequest.js';
+
+const problemsFor = (value, rule) => validateFields({ field: value }, { field: rule }).map(problem => problem.message);
+
+describe('validateFields', () => {
+  it('requires fields only when asked, treating blank strings as missing', () => {
+    assert.deepEqual(problemsFor('  ', { type: 'string', required: true }), ['is required']);
+    assert.deepEqual(problemsFor(undefined, { type: 'string' }), []);
+    assert.deepEqual(validateFields(null, { name: { type: 'string', required: true } }), [
+      { field: 'name', message: 'is required' }
+    ]);
+  });
+
+  it('leaves fields the schema does not name alone', () => {
+    assert.deepEqual(validateFields({ extra: 42 }, { name: { type: 'string' } }), []);
+  });
+
+  it('checks strings against allowed values, trimmed length and pattern', () => {
+    assert.deepEqual(problemsFor(5, { type: 'string' }), ['must be text']);
+    assert.deepEqual(problemsFor('red', { type: 'string', values: ['blue', 'green'] }), ['must be one of blue, green']);
+    assert.deepEqual(problemsFor(' abc ', { type: 'string', maxLength: 3 }), []);
+    assert.deepEqual(problemsFor('abcd', { type: 'string', maxLength: 3 }), ['must be at most 3 characters']);
+    assert.deepEqual(problemsFor('ab', { type: 'string', minLength: 3 }), ['must be at least 3 characters']);
+    assert.deepEqual(problemsFor('ftp://x', { type: 'string', pattern: /^https?:\/\// }), ['is not in the expected format']);
+  });
+
+  it('accepts numbers and booleans in their string form', () => {
+    assert.deepEqual(problemsFor('3', { type: 'integer', min: 1, max: 5 }), []);
+    assert.deepEqual(problemsFor('3.5', { type: 'integer' }), ['must be a whole number']);
+    assert.deepEqual(problemsFor('abc', { type: 'number' }), ['must be a number']);
+    assert.deepEqual(problemsFor(6, { type: 'integer', max: 5 }), ['must be at most 5']);
+    assert.deepEqual(problemsFor(0, { type: 'number', min: 1 }), ['must be at least 1']);
+    assert.deepEqual(problemsFor('true', { type: 'boolean' }), []);
+    assert.deepEqual(problemsFor('yes', { type: 'boolean' }), ['must be true or false']);
+  });
+
+  it('checks ids, email addresses and dates', () => {
+    assert.deepEqual(problemsFor('6f1c1d0e-1b2a-4c3d-8e9f-0a1b2c3d4e5f', { type: 'uuid' }), []);
+    assert.deepEqual(problemsFor('42', { type: 'uuid' }), ['must be a valid id']);
+    assert.deepEqual(problemsFor(' ada@example.com ', { type: 'email' }), []);
+    assert.deepEqual(problemsFor('ada@', { type: 'email' }), ['must be an email address']);
+    assert.deepEqual(problemsFor('2026-03-01T08:00:00Z', { type: 'date' }), []);
+    assert.deepEqual(problemsFor('someday', { type: 'date' }), ['must be an ISO date']);
+  });
+
+  it('checks arrays and their items', () => {
+    const rule = { type: 'array', minLength: 1, maxLength: 2, items: { type: 'string', values: ['a', 'b'] } };
+    assert.deepEqual(problemsFor('a', rule), ['must be a list']);
+    assert.deepEqual(problemsFor([], rule), ['must have at least 1 items']);
+    assert.deepEqual(problemsFor(['a', 'b', 'a'], rule), ['must have at most 2 items']);
+    assert.deepEqual(problemsFor(['a', 'c'], rule), ['item 2 must be one of a, b']);
+    assert.deepEqual(problemsFor(['a', ''], rule), ['item 2 is empty']);
+  });
+
+  it('checks nested objects against their own schema', () => {
+    const rule = { type: 'object', fields: { page: { type: 'integer', required: true } } };
+    assert.deepEqual(problemsFor({ page: '2' }, rule), []);
+    assert.deepEqual(problemsFor({}, rule), ['page is required']);
+    assert.deepEqual(problemsFor(['x'], rule), ['must be an object']);
+  });
+
+  it('lists every problem, not only the first', () => {
+    const problems = validateFields({ rating: 9, comment: 5 }, {
+      rating: { type: 'integer', max: 5 },
+      comment: { type: 'string' },
+      moduleId: { type: 'uuid', required: true }
+    });
+    assert.deepEqual(problems.map(problem => problem.field), ['rating', 'comment', 'moduleId']);
+  });
+});
+
+describe('validateRequest', () => {
+  const run = (schemas, req) => {
+    let result;
+    validateRequest(schemas)({ params: {}, query: {}, body: {}, ...req }, {}, (error) => { result = error; });
+    return result;
+  };
+
+  it('passes valid requests on', () => {
+    assert.equal(run({ query: { page: { type: 'integer' } } }, { query: { page: '2' } }), undefined);
+  });
+
+  it('answers invalid ones with a 400 naming each problem and where it is', () => {
+    const error = run({
+      params: { id: { type: 'uuid', required: true } },
+      body: { rating: { type: 'integer', max: 5 } }
+    }, { params: { id: 'nope' }, body: { rating: 9 } });
+
+    assert.equal(error.status, 400);
+    assert.equal(error.code, 'validation_failed');
+    assert.equal(error.message, 'id must be a valid id');
+    assert.deepEqual(error.details, [
+      { location: 'params', field: 'id', message: 'must be a valid id' },
+      { location: 'body', field: 'rating', message: 'must be at most 5' }
+    ]);
+  });
+});
+
+
+describe('emailList fields', () => {
+  const schema = { emails: { type: 'emailList', required: true, maxLength: 3 } };
+
+  it('reads a list or one string of addresses, lowercased and without duplicates', () => {
+    assert.deepEqual(parseEmailList(' Ana@School.edu, ben@school.edu;\nana@school.edu '), ['ana@school.edu', 'ben@school.edu']);
+    assert.deepEqual(parseEmailList(['Ana@School.edu', '', 'ana@school.edu']), ['ana@school.edu']);
+    assert.deepEqual(validateFields({ emails: 'ana@school.edu ben@school.edu' }, schema), []);
+    assert.deepEqual(validateFields({ emails: ['ana@school.edu'] }, schema), []);
+  });
+
+  it('names the addresses that are not valid', () => {
+    assert.deepEqual(validateFields({ emails: 'ana@school.edu, ben, carl@' }, schema), [
+      { field: 'emails', message: 'has invalid email addresses: ben, carl@' }
+    ]);
+  });
+
+  it('bounds the number of distinct addresses', () => {
+    assert.deepEqual(validateFields({ emails: 'a@x.io b@x.io c@x.io d@x.io' }, schema), [
+      { field: 'emails', message: 'must have at most 3 email addresses' }
+    ]);
+    assert.deepEqual(validateFields({ emails: 'a@x.io A@x.io a@X.io b@x.io c@x.io' }, schema), []);
+  });
+
+  it('rejects missing, empty and non-list values', () => {
+    assert.deepEqual(validateFields({}, schema), [{ field: 'emails', message: 'is required' }]);
+    assert.deepEqual(validateFields({ emails: [] }, schema), [
+      { field: 'emails', message: 'must have at least one email address' }
+    ]);
+    assert.deepEqual(validateFields({ emails: ' ,; ' }, schema), [
+      { field: 'emails', message: 'must have at least one email address' }
+    ]);
+    assert.deepEqual(validateFields({ emails: { to: 'a@x.io' } }, schema), [
+      { field: 'emails', message: 'must be a list of email addresses' }
+    ]);
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CODE_TTL_MS,
+  MAX_ATTEMPTS,
+  RESEND_COOLDOWN_MS,
+  createMemoryVerificationStore,
+  createVerificationCodeService
+} from '../src/utils/verificationCodes.js';
+
+const EMAIL = 'student@example.com';
+
+describe('verification codes', () => {
+  let clock;
+  let store;
+  let codes;
+
+  const advance = (ms) => { clock += ms; };
+  const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+  beforeEach(() => {
+    clock = Date.parse('2025-01-01T00:00:00Z');
+    const now = () => clock;
+    store = createMemoryVerificationStore({ now });
+    codes = createVerificationCodeService({ store, now });
+  });
+
+  it('issues a six-digit code that verifies and keeps its payload', async () => {
+    const issued = await codes.issue(EMAIL, { payload: { name: 'Ada' } });
+    assert.equal(issued.ok, true);
+    assert.match(issued.code, /^\d{6}$/);
+    assert.equal(issued.expiresAt, clock + CODE_TTL_MS);
+
+    const result = await codes.verify(EMAIL, issued.code);
+    assert.deepEqual(result, { ok: true, payload: { name: 'Ada' } });
+  });
+
+  it('matches emails regardless of case and surrounding spaces', async () => {
+    const { code } = await codes.issue('  Student@Example.com ');
+    assert.equal((await codes.verify(EMAIL, code)).ok, true);
+  });
+
+  it('rejects and drops an expired code', async () => {
+    const { code } = await codes.issue(EMAIL);
+    advance(CODE_TTL_MS + 1);
+
+    assert.deepEqual(await codes.verify(EMAIL, code), { ok: false, reason: 'expired' });
+    assert.equal(await store.get(EMAIL), null);
+  });
+
+  it('counts down attempts and locks the code after too many wrong guesses', async () => {
+    const { code } = await codes.issue(EMAIL);
+
+    for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+      assert.deepEqual(await codes.verify(EMAIL, wrongCode(code)), {
+        ok: false,
+        reason: 'invalid',
+        attemptsRemaining: MAX_ATTEMPTS - attempt
+      });
+    }
+    assert.equal((await codes.verify(EMAIL, wrongCode(code))).reason, 'too_many_attempts');
+    // Even the right code no longer works
+    assert.equal((await codes.verify(EMAIL, code)).reason, 'too_many_attempts');
+  });
+
+  it('counts parallel guesses separately', async () => {
+    const { code } = await codes.issue(EMAIL);
+    const guesses = Array.from({ length: MAX_ATTEMPTS + 3 }, () => codes.verify(EMAIL, wrongCode(code)));
+    const results = await Promise.all(guesses);
+
+    const invalid = results.filter(result => result.reason === 'invalid');
+    assert.equal(invalid.length, MAX_ATTEMPTS - 1);
+    assert.equal((await store.get(EMAIL)).attempts, MAX_ATTEMPTS + 3);
+    assert.equal((await codes.verify(EMAIL, code)).reason, 'too_many_attempts');
+  });
+
+  it('fails a check for a code consumed after it was read', async () => {
+    const { code } = await codes.issue(EMAIL);
+    // Another request uses the code between this check's read and its count
+    const racingStore = {
+      ...store,
+      async get(email) {
+        const record = await store.get(email);
+        await store.remove(email);
+        return record;
+      }
+    };
+    const racingCodes = createVerificationCodeService({ store: racingStore, now: () => clock });
+
+    assert.deepEqual(await racingCodes.verify(EMAIL, code), { ok: false, reason: 'not_found' });
+  });
+
+  it('makes a resend wait for the cooldown, then replaces the code', async () => {
+    const first = await codes.issue(EMAIL, { payload: { name: 'Ada' } });
+
+    const early = await codes.resend(EMAIL);
+    assert.deepEqual(early, { ok: false, reason: 'cooldown', retryAfterSeconds: RESEND_COOLDOWN_MS / 1000 });
+    assert.equal((await codes.issue(EMAIL)).reason, 'cooldown');
+
+    advance(RESEND_COOLDOWN_MS);
+    const second = await codes.resend(EMAIL);
+    assert.equal(second.ok, true);
+    assert.deepEqual(second.payload, { name: 'Ada' });
+    assert.equal((await store.get(EMAIL)).sendCount, 2);
+
+    if (second.code !== first.code) {
+      assert.equal((await codes.verify(EMAIL, first.code)).reason, 'invalid');
+    }
+    assert.equal((await codes.verify(EMAIL, second.code)).ok, true);
+  });
+
+  it('resets the attempt count when a new code is sent', async () => {
+    const { code } = await codes.issue(EMAIL);
+    await codes.verify(EMAIL, wrongCode(code));
+    advance(RESEND_COOLDOWN_MS);
+    await codes.resend(EMAIL);
+
+    assert.equal((await codes.status(EMAIL)).attemptsRemaining, MAX_ATTEMPTS);
+  });
+
+  it('rate limits sends per email within the window', async () => {
+    codes = createVerificationCodeService({
+      store,
+      now: () => clock,
+      resendCooldownMs: 0,
+      rateLimits: { send: { email: [2, 60 * 60 * 1000], ip: [10, 60 * 60 * 1000] }, verify: { email: [10, 60000], ip: [10, 60000] } }
+    });
+
+    assert.equal((await codes.issue(EMAIL)).ok, true);
+    advance(10 * 60 * 1000);
+    assert.equal((await codes.issue(EMAIL)).ok, true);
+    advance(5 * 60 * 1000);
+    // Until the first send, 15 minutes ago, leaves the window
+    assert.deepEqual(await codes.issue(EMAIL), {
+      ok: false,
+      reason: 'rate_limited',
+      scope: 'email',
+      retryAfterSeconds: 45 * 60
+    });
+
+    advance(45 * 60 * 1000 + 1);
+    assert.equal((await codes.issue(EMAIL)).ok, true);
+  });
+
+  it('does not count requests it turned away', async () => {
+    codes = createVerificationCodeService({
+      store,
+      now: () => clock,
+      resendCooldownMs: 0,
+      rateLimits: { send: { email: [2, 60 * 60 * 1000], ip: [10, 60 * 60 * 1000] }, verify: { email: [10, 60000], ip: [10, 60000] } }
+    });
+
+    await codes.issue(EMAIL);
+    await codes.issue(EMAIL);
+    for (let i = 0; i < 5; i++) {
+      advance(10 * 60 * 1000);
+      assert.equal((await codes.issue(EMAIL)).reason, 'rate_limited');
+    }
+
+    // The two sends left the window; the turned away requests held nothing up
+    advance(10 * 60 * 1000 + 1);
+    assert.equal((await codes.issue(EMAIL)).ok, true);
+    assert.equal(await store.countEvents(`email:${EMAIL}`, 'send', clock - 60 * 60 * 1000), 1);
+  });
+
+  it('rate limits checks per IP across emails', async () => {
+    codes = createVerificationCodeService({
+      store,
+      now: () => clock,
+      rateLimits: { send: { email: [10, 60000], ip: [10, 60000] }, verify: { email: [10, 60000], ip: [2, 60000] } }
+    });
+
+    await codes.verify('a@example.com', '000000', { ip: '203.0.113.1' });
+    await codes.verify('b@example.com', '000000', { ip: '203.0.113.1' });
+    const limited = await codes.verify('c@example.com', '000000', { ip: '203.0.113.1' });
+    assert.equal(limited.reason, 'rate_limited');
+    assert.equal(limited.scope, 'ip');
+
+    const otherIp = await codes.verify('c@example.com', '000000', { ip: '203.0.113.2' });
+    assert.equal(otherIp.reason, 'not_found');
+  });
+
+  it('reports a pending verification without its code', async () => {
+    await codes.issue(EMAIL, { payload: { name: 'Ada' } });
+    advance(1000);
+
+    const status = await codes.status(EMAIL);
+    assert.deepEqual(status, {
+      ok: true,
+      payload: { name: 'Ada' },
+      expiresAt: clock - 1000 + CODE_TTL_MS,
+      resendAvailableAt: clock - 1000 + RESEND_COOLDOWN_MS,
+      attemptsRemaining: MAX_ATTEMPTS
+    });
+    assert.deepEqual(await codes.status('nobody@example.com'), { ok: false, reason: 'not_found' });
+  });
+});